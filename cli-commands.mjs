@@ -0,0 +1,805 @@
+#!/usr/bin/env node
+
+/**
+ * CLI command table and argument parsing for foundry-manager
+ *
+ * Each subcommand (`validate`, `doc find`, `serve status`, ...) declares its
+ * own options and positionals and is parsed strictly, so unknown flags and
+ * conflicting options are reported instead of silently ignored. The original
+ * flag-only form (`-t weapon -r`) is still accepted as a deprecated alias and
+ * translated to the same command names.
+ */
+
+import { parseArgs } from 'util';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { splitDocumentUuid } from './world-manager.mjs';
+
+const PROGRAM = 'foundry-manager.mjs';
+
+// Hidden command the generated completion scripts call back into
+export const COMPLETE_COMMAND = '__complete';
+
+/**
+ * Every option the CLI knows, keyed by long name
+ * `arg` names the value in help output; options without it are booleans.
+ * `multiple` options may be repeated and collect their values in an array.
+ */
+export const OPTION_SPECS = {
+    world: { short: 'w', arg: 'id', description: 'World ID to use (defaults to first available)' },
+    system: { short: 's', arg: 'id', description: 'Game system ID (e.g., dnd5e, pf2e)' },
+    file: { short: 'f', arg: 'path', description: 'Read JSON from file' },
+    name: { arg: 'pattern', description: 'Filter by name (with wildcards *, ?)' },
+    id: { arg: 'id', description: 'Document ID' },
+    fields: { arg: 'list', description: 'Comma-separated fields to return (e.g. name,system.price,img)' },
+    where: { arg: 'query', description: 'Filter by fields (e.g. "system.level>=3 and folder=Weapons")' },
+    sort: { arg: 'keys', description: 'Sort by fields, each optionally :desc (e.g. system.price:desc,name)' },
+    limit: { arg: 'n', description: 'Return at most n documents' },
+    offset: { arg: 'n', description: 'Skip the first n matching documents' },
+    count: { description: 'Print only the number of matching documents' },
+    type: { arg: 'type', description: 'Document type for every file (default: each file\'s top-level directory)' },
+    'batch-size': { arg: 'n', description: 'Documents created per request (default: 100)' },
+    types: { arg: 'list', description: 'Comma-separated types or subtypes to export (default: all)' },
+    strip: { description: 'Leave out volatile fields (_stats, sort)' },
+    prune: { description: 'Remove what has no counterpart: stale files on export, unmatched documents on sync' },
+    'match-by': { arg: 'path', description: 'Match documents by this path, e.g. _id, name or flags.myrepo.id (default: _id)' },
+    'on-multiple': { arg: 'mode', description: 'When several documents match: error, first, all or skip (default: error)' },
+    'keep-id': { description: 'Keep the source document ID' },
+    owner: { arg: 'user=level', multiple: true, description: 'Give a user (name or ID, or "default" for everyone else) NONE, LIMITED, OBSERVER or OWNER (repeatable)' },
+    ids: { arg: 'mode', description: 'Document IDs: keep the _id in the data (default), new, or derive from type and name' },
+    set: { arg: 'path=value', multiple: true, description: 'Set a field on the copy; the value is read as JSON if it parses (repeatable)' },
+    'from-world': { arg: 'id', description: 'World to copy documents from' },
+    'to-world': { arg: 'id', description: 'World to copy documents into' },
+    folder: { arg: 'path', description: 'Folder path, e.g. "Weapons/Martial" (created if missing; "/" for the top level)' },
+    rename: { arg: 'name', description: 'New folder name' },
+    color: { arg: 'hex', description: 'Folder color (e.g. #8b0000)' },
+    role: { arg: 'role', description: 'User role: PLAYER (default), TRUSTED, ASSISTANT, GAMEMASTER or NONE' },
+    password: { arg: 'password', description: 'User password' },
+    character: { arg: 'actor', description: 'Name or ID of the actor the user plays ("" for none)' },
+    contents: { description: 'Also delete the folder\'s subfolders and documents' },
+    formula: { arg: 'dice', description: 'Roll table formula, e.g. 1d20 (default: inferred from the ranges)' },
+    assets: { arg: 'dir', description: 'Data folder directory for uploaded images (default: worlds/<world>/assets/journal)' },
+    force: { description: 'Undo even if the documents changed since' },
+    'dry-run': { description: 'Validate and show what would change without saving anything' },
+    'fix-plan': { description: 'Also show the updates that remove each broken reference' },
+    'no-image': { description: 'Skip image validation (allow creation without images)' },
+    http: { description: 'Also expose the REST API' },
+    'http-host': { arg: 'host', description: 'REST API interface (default: 127.0.0.1)' },
+    'http-port': { arg: 'port', description: 'REST API port (default: 30080)' },
+    verbose: { short: 'v', description: 'Enable verbose output' },
+    json: { description: 'Print the result as one JSON object (diagnostics go to stderr)' },
+    ndjson: { description: 'Like --json, but list results are printed one JSON record per line' },
+    config: { arg: 'path', description: 'Use this config file instead of the nearest .foundry-manager.json' },
+    'no-daemon': { description: 'Start a local server even if a daemon is running' },
+    help: { short: 'h', description: 'Show help' }
+};
+
+// Options accepted by every command
+export const GLOBAL_OPTIONS = ['verbose', 'json', 'ndjson', 'config', 'no-daemon', 'help'];
+
+// Pairs of options that cannot be combined, checked for every command
+const GLOBAL_EXCLUSIVE = [['json', 'ndjson']];
+
+/**
+ * Subcommands
+ * - words: what the user types
+ * - command: internal command name executed by FoundryValidator
+ * - positionals: named positionals stored on args (a trailing ? marks them optional)
+ * - input: accepts JSON as the last positional or with -f
+ * - required: options that must be given
+ * - uuid: a document UUID may be given in place of <type> and --id
+ * - exclusive: groups of options of which at most one may be given
+ * - specs: option specs that differ from OPTION_SPECS for this command
+ * - set: extra args the command implies (used by the credential commands)
+ */
+export const COMMANDS = [
+    {
+        words: ['systems'], command: 'list-systems',
+        summary: 'List installed game systems'
+    },
+    {
+        words: ['types'], command: 'list-types',
+        summary: 'List document types of the active world, or of a system with -s',
+        options: ['world', 'system'], exclusive: [['world', 'system']]
+    },
+    {
+        words: ['worlds'], command: 'list-worlds',
+        summary: 'List available worlds'
+    },
+    {
+        words: ['images'], command: 'list-images',
+        summary: 'List core, system and user images (pattern supports *, ?)',
+        positionals: ['image-pattern?'], options: ['world']
+    },
+    {
+        words: ['schema'], command: 'schema',
+        summary: 'Show the expected schema for a type',
+        positionals: ['type'], options: ['world']
+    },
+    {
+        words: ['validate'], command: 'validate',
+        summary: 'Validate JSON against a type without saving (reads stdin if no JSON is given)',
+        positionals: ['type'], input: true, options: ['world', 'file', 'no-image']
+    },
+    {
+        words: ['doc', 'get'], command: 'get',
+        summary: 'Show one document (by type and --id, or by UUID)',
+        positionals: ['type'], options: ['world', 'id', 'fields'], required: ['id'], uuid: true
+    },
+    {
+        words: ['doc', 'find'], command: 'read',
+        summary: 'Search documents by name and field queries',
+        positionals: ['type'], options: ['world', 'name', 'where', 'sort', 'limit', 'offset', 'fields', 'count'],
+        exclusive: [['count', 'fields'], ['count', 'sort'], ['count', 'limit'], ['count', 'offset']]
+    },
+    {
+        words: ['doc', 'create'], command: 'insert',
+        summary: 'Create a document, optionally in a folder',
+        positionals: ['type'], input: true, options: ['world', 'file', 'no-image', 'folder', 'owner', 'ids', 'dry-run']
+    },
+    {
+        words: ['doc', 'update'], command: 'update',
+        summary: 'Update a document by ID or UUID',
+        positionals: ['type'], input: true, options: ['world', 'id', 'file', 'owner', 'dry-run'], required: ['id'], uuid: true
+    },
+    {
+        words: ['doc', 'delete'], command: 'delete',
+        summary: 'Delete a document by ID or UUID',
+        positionals: ['type'], options: ['world', 'id', 'dry-run'], required: ['id'], uuid: true
+    },
+    {
+        words: ['doc', 'upsert'], command: 'upsert',
+        summary: 'Update the document matching --match-by, or create it if none matches',
+        positionals: ['type'], input: true, options: ['world', 'file', 'match-by', 'on-multiple', 'folder', 'no-image', 'dry-run']
+    },
+    {
+        words: ['doc', 'permissions'], command: 'permissions',
+        summary: 'Show or set document ownership for one document, a search result or a folder',
+        positionals: ['type'], options: ['world', 'id', 'name', 'where', 'folder', 'owner'], uuid: true,
+        specs: { folder: { arg: 'path', description: 'Documents in this folder and its subfolders ("/" for the top level)' } }
+    },
+    {
+        words: ['doc', 'move'], command: 'move',
+        summary: 'Move a document into a folder (by ID or UUID)',
+        positionals: ['type'], options: ['world', 'id', 'folder'], required: ['id', 'folder'], uuid: true
+    },
+    {
+        words: ['doc', 'clone'], command: 'clone',
+        summary: 'Create copies of a document, with fields changed by --set',
+        positionals: ['type'], options: ['world', 'id', 'set', 'count', 'folder', 'no-image'], required: ['id'], uuid: true,
+        specs: { count: { arg: 'n', description: 'Number of copies to create (default: 1)' } }
+    },
+    {
+        words: ['copy'], command: 'copy',
+        summary: 'Copy documents of a type from one world into another',
+        options: ['from-world', 'to-world', 'type', 'name', 'where', 'keep-id', 'no-image'],
+        required: ['from-world', 'to-world', 'type'],
+        specs: {
+            type: { arg: 'type', description: 'Document type or subtype to copy' },
+            'keep-id': { description: 'Keep the source document IDs instead of generating new ones' }
+        }
+    },
+    {
+        words: ['history'], command: 'history',
+        summary: 'List recent changes from the world\'s mutation journal, newest first',
+        options: ['world', 'limit']
+    },
+    {
+        words: ['undo'], command: 'undo',
+        summary: 'Revert the last n journaled changes (default: 1)',
+        positionals: ['n?'], options: ['world', 'force']
+    },
+    {
+        words: ['folder', 'list'], command: 'list-folders',
+        summary: 'List folders, optionally only those for one document type',
+        positionals: ['type?'], options: ['world']
+    },
+    {
+        words: ['folder', 'create'], command: 'folder-create',
+        summary: 'Create a folder path such as "Weapons/Martial" for a document type',
+        positionals: ['type', 'folder'], options: ['world', 'color']
+    },
+    {
+        words: ['folder', 'update'], command: 'folder-update',
+        summary: 'Rename or recolor a folder',
+        positionals: ['type', 'folder'], options: ['world', 'rename', 'color']
+    },
+    {
+        words: ['folder', 'delete'], command: 'folder-delete',
+        summary: 'Delete a folder; its contents move up unless --contents is given',
+        positionals: ['type', 'folder'], options: ['world', 'contents']
+    },
+    {
+        words: ['import'], command: 'import',
+        summary: 'Validate a directory of JSON files, then create them all or none',
+        positionals: ['dir'], options: ['world', 'type', 'no-image', 'batch-size', 'ids']
+    },
+    {
+        words: ['import', 'journal'], command: 'journal-import',
+        summary: 'Create a journal entry from a Markdown file (a page per top-level heading) or directory (a page per file)',
+        positionals: ['path'], options: ['world', 'name', 'folder', 'assets'],
+        specs: {
+            name: { arg: 'name', description: 'Journal entry name (default: the file or directory name)' },
+            folder: { arg: 'path', description: 'Folder path for the journal entry (created if missing)' }
+        }
+    },
+    {
+        words: ['import', 'table'], command: 'table-import',
+        summary: 'Create a roll table from a CSV file of results (range, text, weight, img, documentUuid)',
+        positionals: ['csv'], options: ['world', 'name', 'folder', 'formula', 'no-image'],
+        specs: {
+            name: { arg: 'name', description: 'Roll table name (default: the file name)' },
+            folder: { arg: 'path', description: 'Folder path for the roll table (created if missing)' }
+        }
+    },
+    {
+        words: ['export'], command: 'export',
+        summary: 'Write a world\'s documents to one JSON file each, by type and folder',
+        positionals: ['world', 'dir'], options: ['world', 'types', 'strip', 'prune'],
+        specs: {
+            world: { short: 'w', arg: 'id', description: 'World to export, in place of <world> (e.g. for a world named "table")' }
+        }
+    },
+    {
+        words: ['export', 'table'], command: 'table-export',
+        summary: 'Write a roll table\'s results as CSV, to a file or stdout',
+        positionals: ['table', 'csv?'], options: ['world']
+    },
+    {
+        words: ['sync', 'plan'], command: 'sync-plan',
+        summary: 'Show what syncing a directory of JSON files would create, update and delete',
+        positionals: ['dir'], options: ['world', 'type', 'match-by', 'prune']
+    },
+    {
+        words: ['sync', 'apply'], command: 'sync-apply',
+        summary: 'Make the world match a directory of JSON files',
+        positionals: ['dir'], options: ['world', 'type', 'match-by', 'prune', 'no-image']
+    },
+    {
+        words: ['check', 'links'], command: 'check-links',
+        summary: 'Find @UUID links and document references whose target no longer exists',
+        options: ['world', 'types', 'fix-plan'],
+        specs: { types: { arg: 'list', description: 'Comma-separated types or subtypes to check (default: all)' } }
+    },
+    {
+        words: ['users', 'list'], command: 'list-users',
+        summary: 'List the world\'s users with their roles and characters',
+        options: ['world']
+    },
+    {
+        words: ['users', 'create'], command: 'user-create',
+        summary: 'Create a user',
+        positionals: ['name'], options: ['world', 'role', 'password', 'color', 'character'],
+        specs: { color: { arg: 'hex', description: 'User color (e.g. #8b0000)' } }
+    },
+    {
+        words: ['users', 'update'], command: 'user-update',
+        summary: 'Change a user\'s name, role, password, color or character',
+        positionals: ['user'], options: ['world', 'rename', 'role', 'password', 'color', 'character'],
+        specs: {
+            rename: { arg: 'name', description: 'New user name' },
+            color: { arg: 'hex', description: 'User color (e.g. #8b0000)' }
+        }
+    },
+    {
+        words: ['users', 'delete'], command: 'user-delete',
+        summary: 'Delete a user (by name or ID)',
+        positionals: ['user'], options: ['world']
+    },
+    {
+        words: ['users', 'import'], command: 'users-import',
+        summary: 'Create users from a CSV roster (name,role,password,color,character), all or none',
+        positionals: ['csv'], options: ['world']
+    },
+    {
+        words: ['pack', 'list'], command: 'list-packs',
+        summary: 'List compendium packs of the world, system and modules',
+        options: ['world']
+    },
+    {
+        words: ['pack', 'find'], command: 'pack-find',
+        summary: 'Search a compendium pack\'s index by name and field queries',
+        positionals: ['pack'], options: ['world', 'name', 'where', 'sort', 'limit', 'offset', 'fields', 'count'],
+        exclusive: [['count', 'fields'], ['count', 'sort'], ['count', 'limit'], ['count', 'offset']]
+    },
+    {
+        words: ['pack', 'get'], command: 'pack-get',
+        summary: 'Show one document from a compendium pack',
+        positionals: ['pack'], options: ['world', 'id', 'fields'], required: ['id']
+    },
+    {
+        words: ['pack', 'create'], command: 'pack-create',
+        summary: 'Create a document in an unlocked compendium pack',
+        positionals: ['pack'], input: true, options: ['world', 'file', 'no-image']
+    },
+    {
+        words: ['pack', 'update'], command: 'pack-update',
+        summary: 'Update a document in an unlocked compendium pack',
+        positionals: ['pack'], input: true, options: ['world', 'id', 'file'], required: ['id']
+    },
+    {
+        words: ['pack', 'delete'], command: 'pack-delete',
+        summary: 'Delete a document from an unlocked compendium pack',
+        positionals: ['pack'], options: ['world', 'id'], required: ['id']
+    },
+    {
+        words: ['pack', 'import'], command: 'pack-import',
+        summary: 'Import a compendium entry into the world',
+        positionals: ['pack'], options: ['world', 'id', 'keep-id'], required: ['id']
+    },
+    {
+        words: ['pack', 'export'], command: 'pack-export',
+        summary: 'Export a world document into an unlocked compendium pack',
+        positionals: ['pack', 'type'], options: ['world', 'id'], required: ['id'], uuid: true
+    },
+    {
+        words: ['serve'], command: 'serve',
+        summary: 'Start FoundryVTT once and serve CLI commands until stopped',
+        options: ['world', 'http', 'http-host', 'http-port']
+    },
+    {
+        words: ['serve', 'status'], command: 'serve-status',
+        summary: 'Show the running daemon\'s state'
+    },
+    {
+        words: ['serve', 'stop'], command: 'serve-stop',
+        summary: 'Stop the running daemon and its FoundryVTT server'
+    },
+    {
+        words: ['repl'], command: 'repl',
+        summary: 'Start an interactive shell on a world',
+        options: ['world', 'no-image']
+    },
+    {
+        words: ['completion'], command: 'completion',
+        summary: 'Print a completion script for bash, zsh or fish',
+        positionals: ['shell']
+    },
+    {
+        words: ['config', 'show'], command: 'config-show',
+        summary: 'Print the effective configuration and where each value came from'
+    },
+    {
+        words: ['credentials', 'set-admin-password'], command: 'credentials',
+        summary: 'Set the administrator password', set: { 'set-admin-password': true }
+    },
+    {
+        words: ['credentials', 'set-world-password'], command: 'credentials',
+        summary: 'Set the world password', set: { 'set-world-password': true }
+    },
+    {
+        words: ['credentials', 'status'], command: 'credentials',
+        summary: 'Show stored credential status', set: { 'credential-status': true }
+    },
+    {
+        words: ['credentials', 'clear'], command: 'credentials',
+        summary: 'Clear all stored credentials', set: { 'clear-credentials': true }
+    }
+];
+
+// Options of the deprecated flag-only form
+export const LEGACY_OPTIONS = {
+    ...OPTION_SPECS,
+    type: { short: 't', arg: 'type' },
+    read: { short: 'r' },
+    insert: { short: 'i' },
+    create: { short: 'c' },
+    update: { short: 'u' },
+    delete: { short: 'd' },
+    schema: {},
+    repl: {},
+    'list-systems': {},
+    'list-worlds': {},
+    'list-types': {},
+    'list-images': {},
+    'image-pattern': { arg: 'pattern' },
+    'set-admin-password': {},
+    'set-world-password': {},
+    'credential-status': {},
+    'clear-credentials': {}
+};
+
+// Legacy credential flags, handled by FoundryValidator.handleCredentialCommand()
+const CREDENTIAL_FLAGS = ['set-admin-password', 'set-world-password', 'credential-status', 'clear-credentials'];
+
+// Legacy flags that each select a command; more than one is a conflict
+const LEGACY_MODE_FLAGS = [
+    ...CREDENTIAL_FLAGS,
+    'repl', 'list-systems', 'list-worlds', 'list-types', 'list-images',
+    'read', 'insert', 'update', 'delete', 'schema'
+];
+
+/**
+ * Option specs of a subcommand: OPTION_SPECS with the command's own overrides
+ * @param {Object|null} definition - Command definition
+ * @returns {Object} Specs keyed by long option name
+ */
+export function commandOptionSpecs(definition) {
+    return definition?.specs ? { ...OPTION_SPECS, ...definition.specs } : OPTION_SPECS;
+}
+
+/**
+ * Build a util.parseArgs option table
+ * @private
+ */
+function toParseArgsOptions(names, specs = OPTION_SPECS) {
+    return Object.fromEntries(names.map(name => {
+        const spec = specs[name];
+        const option = { type: spec.arg ? 'string' : 'boolean' };
+        if (spec.short) {
+            option.short = spec.short;
+        }
+        if (spec.multiple) {
+            option.multiple = true;
+        }
+        return [name, option];
+    }));
+}
+
+/**
+ * Parse repeated path=value assignments, as given with --set
+ * Values are read as JSON when they parse (numbers, booleans, objects, quoted
+ * strings) and kept as plain strings otherwise.
+ * @param {Array<string>|string} assignments - e.g. ['name=Longsword +1', 'system.magicalBonus=1']
+ * @returns {Object} Values keyed by path, e.g. {name: 'Longsword +1', 'system.magicalBonus': 1}
+ * @throws {ValidationError} INVALID_ARGUMENT when an assignment has no path
+ */
+export function parseAssignments(assignments = []) {
+    const values = {};
+    for (const assignment of [].concat(assignments)) {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+            throw new ValidationError(`--set expects path=value, got "${assignment}"`, 'set', 'INVALID_ARGUMENT');
+        }
+        const text = assignment.slice(separator + 1);
+        try {
+            values[assignment.slice(0, separator).trim()] = JSON.parse(text);
+        } catch {
+            values[assignment.slice(0, separator).trim()] = text;
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse --owner user=level values into levels by user
+ * @param {Array<string>|string} owners - Values such as "Alice=OWNER" or "default=LIMITED"
+ * @returns {Object} Level by user name or ID, e.g. {Alice: 'OWNER', default: 'LIMITED'}
+ * @throws {ValidationError} INVALID_ARGUMENT when a value has no user or level
+ */
+export function parseOwners(owners = []) {
+    const levels = {};
+    for (const owner of [].concat(owners)) {
+        const separator = owner.lastIndexOf('=');
+        if (separator <= 0 || separator === owner.length - 1) {
+            throw new ValidationError(`--owner expects user=level, got "${owner}"`, 'owner', 'INVALID_ARGUMENT');
+        }
+        levels[owner.slice(0, separator).trim()] = owner.slice(separator + 1).trim();
+    }
+    return levels;
+}
+
+/**
+ * Run util.parseArgs strictly, turning its errors into ValidationErrors
+ * @private
+ */
+function strictParse(argv, options, usageHint) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+        return { ...values, positionals };
+    } catch (error) {
+        if (!error.code?.startsWith('ERR_PARSE_ARGS')) {
+            throw error;
+        }
+        throw new ValidationError(`${error.message.split('. ')[0]}. ${usageHint}`, null, 'INVALID_ARGUMENT');
+    }
+}
+
+/**
+ * Throw if more than one option of a group was given
+ * @private
+ */
+function checkExclusive(args, groups) {
+    for (const group of groups) {
+        const given = group.filter(name => args[name] !== undefined);
+        if (given.length > 1) {
+            throw new ValidationError(
+                `Options ${given.map(name => `--${name}`).join(' and ')} cannot be used together`,
+                given[1],
+                'CONFLICTING_OPTIONS'
+            );
+        }
+    }
+}
+
+/**
+ * Find the subcommand named by the leading words
+ * @param {Array<string>} words - Leading positional words
+ * @returns {Object|null} Longest matching definition
+ */
+export function findCommand(words) {
+    let match = null;
+    for (const definition of COMMANDS) {
+        const matches = definition.words.every((word, index) => words[index] === word);
+        if (matches && (!match || definition.words.length > match.words.length)) {
+            match = definition;
+        }
+    }
+    return match;
+}
+
+/**
+ * Command groups (first words shared by several subcommands)
+ * @returns {Set<string>} Group names
+ */
+function commandGroups() {
+    return new Set(COMMANDS.filter(definition => definition.words.length > 1).map(definition => definition.words[0]));
+}
+
+/**
+ * Usage line of a subcommand
+ * @param {Object} definition - Command definition
+ * @returns {string} e.g. "doc update <type> [json] --id <id>"
+ */
+export function formatUsage(definition) {
+    const parts = [...definition.words];
+    for (const positional of definition.positionals || []) {
+        parts.push(positional.endsWith('?') ? `[${positional.slice(0, -1)}]` : `<${positional}>`);
+    }
+    if (definition.input) {
+        parts.push('[json]');
+    }
+    const specs = commandOptionSpecs(definition);
+    for (const name of definition.required || []) {
+        parts.push(`--${name} <${specs[name].arg}>`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Format one option for help output
+ * @private
+ */
+function formatOption(name, specs = OPTION_SPECS) {
+    const spec = specs[name];
+    const flag = `${spec.short ? `-${spec.short}, ` : ''}--${name}${spec.arg ? ` <${spec.arg}>` : ''}`;
+    return `  ${flag.padEnd(30)}  ${spec.description}`;
+}
+
+/**
+ * Help text for one subcommand
+ * @param {Object} definition - Command definition
+ * @returns {string} Help text
+ */
+export function formatCommandHelp(definition) {
+    const lines = [
+        `USAGE:\n  ${PROGRAM} ${formatUsage(definition)} [options]`,
+        '',
+        definition.summary
+    ];
+    if (definition.input) {
+        lines.push('JSON can be given as an argument or read from a file with -f.');
+    }
+    if (definition.uuid) {
+        lines.push('A document UUID (e.g. Actor.<id>.Item.<id>) can be given instead of <type> and --id.');
+    }
+
+    const options = definition.options || [];
+    if (options.length > 0) {
+        const specs = commandOptionSpecs(definition);
+        lines.push('', 'OPTIONS:', ...options.map(name => formatOption(name, specs)));
+    }
+    lines.push('', 'GLOBAL OPTIONS:', ...GLOBAL_OPTIONS.map(name => formatOption(name)));
+    return lines.join('\n');
+}
+
+/**
+ * Help text listing the subcommands of a group, or all of them
+ * @param {string|null} group - Group name (e.g. "doc"), or null for the overview
+ * @returns {string} Help text
+ */
+export function formatOverview(group = null) {
+    const definitions = group ? COMMANDS.filter(definition => definition.words[0] === group) : COMMANDS;
+    const lines = [
+        'FoundryVTT Object Manager - Puppeteer Edition',
+        '',
+        'USAGE:',
+        `  ${PROGRAM} <command> [options]`,
+        `  ${PROGRAM} <command> --help`,
+        '',
+        'COMMANDS:',
+        ...definitions.map(definition => `  ${formatUsage(definition).padEnd(44)}  ${definition.summary}`),
+        '',
+        'GLOBAL OPTIONS:',
+        ...GLOBAL_OPTIONS.map(name => formatOption(name))
+    ];
+
+    if (!group) {
+        lines.push(
+            '',
+            'CONFIGURATION:',
+            '  Settings are read from ~/.foundry-manager.json, then the nearest .foundry-manager.json',
+            '  in the current directory or its parents; command-line flags override both.',
+            '',
+            'EXAMPLES:',
+            `  ${PROGRAM} systems                                       # List all systems`,
+            `  ${PROGRAM} types -s dnd5e                                # List D&D 5e types`,
+            `  ${PROGRAM} validate weapon '{"name": "Longsword"}'       # Validate without saving`,
+            `  ${PROGRAM} schema weapon -w myworld                      # Schema from a world`,
+            `  ${PROGRAM} doc find character -w myworld --name "Hero*"  # Search by name`,
+            `  ${PROGRAM} doc find weapon --where "system.price>=10" --sort system.price:desc --limit 5`,
+            `  ${PROGRAM} doc create character '{"name":"Hero"}'         # Create`,
+            `  ${PROGRAM} doc update character --id abc123 '{"system":{"hp":{"value":50}}}'`,
+            `  ${PROGRAM} doc delete character --id abc123              # Delete`,
+            `  ${PROGRAM} doc create Actor.abc123.Item '{"name":"Rope","type":"loot"}'  # Embedded`,
+            `  ${PROGRAM} doc create weapon --folder "Weapons/Martial" '{"name":"Glaive"}'  # In a folder`,
+            `  ${PROGRAM} doc upsert weapon --match-by name '{"name":"Glaive"}'  # Create or update`,
+            `  ${PROGRAM} doc move weapon --id abc123 --folder "Weapons/Simple"  # Move`,
+            `  ${PROGRAM} doc permissions JournalEntry --folder Handouts --owner Alice=OBSERVER`,
+            `  ${PROGRAM} doc clone weapon --id abc123 --set name="Longsword +1" --count 3`,
+            `  ${PROGRAM} copy --from-world dev --to-world live --type weapon --name "*"`,
+            `  ${PROGRAM} import ./content                              # Item/*.json, Actor/*.json, ...`,
+            `  ${PROGRAM} import journal ./lore --folder Lore           # Markdown notes as pages`,
+            `  ${PROGRAM} import table encounters.csv --formula 2d6     # Roll table from a spreadsheet`,
+            `  ${PROGRAM} export myworld ./content --strip --prune      # One file per document`,
+            `  ${PROGRAM} export table Encounters encounters.csv        # And back to CSV`,
+            `  ${PROGRAM} sync plan ./content -w myworld                # Diff files against the world`,
+            `  ${PROGRAM} check links -w myworld --fix-plan             # Broken @UUID links`,
+            `  ${PROGRAM} users create Alice --role TRUSTED --character "Hero"`,
+            `  ${PROGRAM} users import roster.csv -w myworld            # One user per row`,
+            `  ${PROGRAM} serve -w myworld --http                       # Daemon plus REST API`,
+            `  ${PROGRAM} worlds --json                                 # Machine-readable output`,
+            '',
+            'DEPRECATED FLAG FORM:',
+            '  The original flags (-t, -r, -i, -u, -d, --schema, --list-*, --set-*-password, ...) still work',
+            '  but print a warning. For example "-t weapon -r" is now "doc find weapon".',
+            '',
+            'EXIT CODES:',
+            '  0    Command succeeded',
+            '  1    Validation failed or error occurred'
+        );
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parse a subcommand invocation
+ * @private
+ */
+function parseSubcommand(definition, argv) {
+    const helpCommand = `Run "${PROGRAM} ${definition.words.join(' ')} --help" for usage.`;
+    const optionNames = [...GLOBAL_OPTIONS, ...(definition.options || [])];
+    const args = strictParse(argv.slice(definition.words.length), toParseArgsOptions(optionNames, commandOptionSpecs(definition)), helpCommand);
+
+    if (args.help) {
+        return { help: formatCommandHelp(definition) };
+    }
+
+    // Named positionals first, then at most one JSON argument; a positional given as an option is skipped
+    const extra = args.positionals;
+    args.positionals = [];
+    for (const positional of definition.positionals || []) {
+        const name = positional.replace(/\?$/, '');
+        if (args[name] !== undefined) {
+            continue;
+        }
+        if (extra.length > 0) {
+            args[name] = extra.shift();
+        } else if (!positional.endsWith('?')) {
+            throw new ValidationError(`Missing <${name}>. ${helpCommand}`, name, 'MISSING_ARGUMENT');
+        }
+    }
+    if (definition.input && extra.length > 0) {
+        args.positionals.push(extra.shift());
+    }
+    if (extra.length > 0) {
+        throw new ValidationError(`Unexpected argument: ${extra[0]}. ${helpCommand}`, null, 'INVALID_ARGUMENT');
+    }
+
+    // "Actor.abc.Item.def" stands for type "Actor.abc.Item" with --id def
+    const uuid = definition.uuid && args.id === undefined ? splitDocumentUuid(args.type) : null;
+    if (uuid) {
+        Object.assign(args, uuid);
+    }
+
+    for (const name of definition.required || []) {
+        if (args[name] === undefined) {
+            throw new ValidationError(`Option --${name} is required. ${helpCommand}`, name, 'MISSING_ARGUMENT');
+        }
+    }
+    if (definition.input && args.file !== undefined && args.positionals.length > 0) {
+        throw new ValidationError('Give the JSON either as an argument or with --file, not both', 'file', 'CONFLICTING_OPTIONS');
+    }
+    checkExclusive(args, [...GLOBAL_EXCLUSIVE, ...(definition.exclusive || [])]);
+
+    Object.assign(args, definition.set);
+    return { command: definition.command, args, options: [...(definition.options || []), ...GLOBAL_OPTIONS], deprecated: false };
+}
+
+/**
+ * Parse the deprecated flag-only form
+ * Flags select the command in the precedence order the CLI has always used.
+ * @private
+ */
+function parseLegacy(argv) {
+    const args = strictParse(argv, toParseArgsOptions(Object.keys(LEGACY_OPTIONS), LEGACY_OPTIONS), `Run "${PROGRAM} --help" for usage.`);
+
+    if (args.help) {
+        return { help: formatOverview() };
+    }
+
+    checkExclusive(args, [...GLOBAL_EXCLUSIVE, LEGACY_MODE_FLAGS]);
+
+    let command = 'validate';
+    if (CREDENTIAL_FLAGS.some(flag => args[flag])) command = 'credentials';
+    else if (args.repl) command = 'repl';
+    else if (args['list-systems']) command = 'list-systems';
+    else if (args['list-worlds']) command = 'list-worlds';
+    else if (args['list-types']) command = 'list-types';
+    else if (args['list-images']) command = 'list-images';
+    else if (args.read) command = 'read';
+    else if (args.insert) command = args['match-by'] ? 'upsert' : 'insert';
+    else if (args.update) command = 'update';
+    else if (args.delete) command = 'delete';
+    else if (args.schema) command = 'schema';
+
+    return { command, args, deprecated: true };
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} {command, args, options, deprecated} or {help} when help was requested, where options
+ *          names the options the command accepts (undefined for the deprecated flag form, which accepts all)
+ */
+export function parseCommandLine(argv) {
+    if (argv.length === 0) {
+        return { help: formatOverview() };
+    }
+
+    // The words being completed are not a command line of their own, so skip parsing
+    if (argv[0] === COMPLETE_COMMAND) {
+        return { command: 'complete', args: { positionals: argv.slice(1) }, deprecated: false };
+    }
+
+    if (argv[0] === 'help') {
+        const topic = argv.slice(1);
+        const definition = findCommand(topic);
+        if (definition && definition.words.length === topic.length) {
+            return { help: formatCommandHelp(definition) };
+        }
+        return { help: formatOverview(commandGroups().has(topic[0]) ? topic[0] : null) };
+    }
+
+    // A subcommand must be the first argument; anything else is the flag form
+    const definition = findCommand(argv.slice(0, 2));
+    if (!definition && !commandGroups().has(argv[0])) {
+        return parseLegacy(argv);
+    }
+
+    if (!definition) {
+        if (argv.slice(1).some(arg => arg === '--help' || arg === '-h') || argv.length === 1) {
+            return { help: formatOverview(argv[0]) };
+        }
+        throw new ValidationError(
+            `Unknown ${argv[0]} command: ${argv[1]}. Run "${PROGRAM} ${argv[0]} --help" for usage.`,
+            null,
+            'INVALID_ARGUMENT'
+        );
+    }
+
+    return parseSubcommand(definition, argv);
+}
+
+/**
+ * Suggested replacement for a deprecated flag-form invocation
+ * @param {string} command - Internal command name
+ * @param {Object} args - Parsed legacy arguments
+ * @returns {string} Equivalent subcommand usage
+ */
+export function suggestSubcommand(command, args) {
+    const definition = COMMANDS.find(candidate =>
+        candidate.command === command &&
+        Object.keys(candidate.set || {}).every(flag => args[flag])
+    );
+    return definition ? `${PROGRAM} ${formatUsage(definition)}` : PROGRAM;
+}
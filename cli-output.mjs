@@ -0,0 +1,739 @@
+#!/usr/bin/env node
+
+/**
+ * CliOutput - Result rendering for the foundry-manager CLI
+ *
+ * Commands produce plain result objects; this module turns them into either
+ * the human-readable report or a machine-readable JSON/NDJSON document on
+ * stdout. In the structured formats all progress and diagnostics go to stderr
+ * so stdout only ever carries the result.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+// Supported output formats
+export const OutputFormat = {
+    TEXT: 'text',
+    JSON: 'json',
+    NDJSON: 'ndjson'
+};
+
+/**
+ * Filter a list of image paths by a wildcard pattern (*, ?)
+ * @param {Array<string>} imageList - Image paths
+ * @param {string} pattern - Wildcard pattern
+ * @returns {Array<string>} Matching image paths
+ */
+export function filterByPattern(imageList, pattern) {
+    if (pattern === '*' || !pattern) return imageList;
+    const regex = new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.'), 'i');
+    return imageList.filter(img => regex.test(img));
+}
+
+// Error codes for command-line mistakes, reported as a single usage line
+const USAGE_ERROR_CODES = new Set(['MISSING_ARGUMENT', 'INVALID_ARGUMENT', 'CONFLICTING_OPTIONS', 'INVALID_QUERY']);
+
+/**
+ * Suffix naming the parent of an embedded document result
+ * @private
+ */
+function embeddedIn(result) {
+    return result.parent ? ` (in ${result.parent}, UUID: ${result.uuid})` : '';
+}
+
+/**
+ * Short JSON form of a value for diffs
+ * @private
+ */
+function formatValue(value) {
+    const text = value === undefined ? '(none)' : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Print a sync plan in +/~/- form
+ * @private
+ */
+function printSyncPlan(plan) {
+    console.log(`\n📋 Sync plan for ${plan.directory} (matched by ${plan.matchBy}):`);
+    plan.create.forEach(step => console.log(`   + ${step.documentName} ${step.name ?? ''} (${step.file})`));
+    plan.update.forEach(step => {
+        console.log(`   ~ ${step.documentName} ${step.name ?? ''} [${step.id}] (${step.file})`);
+        step.changes.forEach(change => console.log(`       ${change.path}: ${formatValue(change.from)} → ${formatValue(change.to)}`));
+        step.embedded.forEach(child => {
+            const symbol = { create: '+', update: '~', delete: '-' }[child.action];
+            console.log(`       ${symbol} ${child.collection} ${child.name ?? ''} [${child.id}]`);
+            (child.changes || []).forEach(change => console.log(`           ${change.path}: ${formatValue(change.from)} → ${formatValue(change.to)}`));
+        });
+    });
+    plan.delete.forEach(step => console.log(`   - ${step.documentName} ${step.name ?? ''} [${step.id}]`));
+    console.log(`\nPlan: ${plan.create.length} to create, ${plan.update.length} to update, ${plan.delete.length} to delete, ${plan.unchanged} unchanged.`);
+}
+
+/**
+ * Print the field changes of a dry-run create or update
+ * @private
+ */
+function printPreview(result) {
+    if (result.changes.length === 0 && result.embedded.length === 0) {
+        console.log('   No fields would change.');
+    }
+    result.changes.forEach(change => console.log(`   ${change.path}: ${formatValue(change.from)} → ${formatValue(change.to)}`));
+    result.embedded.forEach(child => {
+        const symbol = { create: '+', update: '~', delete: '-' }[child.action];
+        console.log(`   ${symbol} ${child.collection} ${child.name ?? ''} [${child.id}]`);
+        (child.changes || []).forEach(change => console.log(`       ${change.path}: ${formatValue(change.from)} → ${formatValue(change.to)}`));
+    });
+    result.ignored.forEach(path => console.log(`⚠️  ${path} is not a field of this document and would be ignored`));
+    console.log('\nNothing was saved.');
+}
+
+/**
+ * Text renderers, keyed by command name
+ * Each receives the command result and prints the human-readable report.
+ */
+const textRenderers = {
+    'list-systems': (result) => {
+        if (result.systems.length === 0) {
+            console.log('📦 No game systems found');
+            return;
+        }
+
+        console.log(`\n📦 Available Game Systems (${result.systems.length}):`);
+        console.log('='.repeat(60));
+
+        for (const system of result.systems) {
+            console.log(`\n${system.id}:`);
+            console.log(`   Title: ${system.title}`);
+            console.log(`   Version: ${system.version}`);
+            console.log(`   Author: ${system.author}`);
+            if (system.description) {
+                const desc = system.description.length > 80
+                    ? system.description.substring(0, 77) + '...'
+                    : system.description;
+                console.log(`   Description: ${desc}`);
+            }
+        }
+    },
+
+    'list-system-types': (result) => {
+        console.log(`\n📋 Object Types for ${result.systemTitle} (${result.systemId}):`);
+        console.log('='.repeat(60));
+
+        const sections = [
+            ['🎭 Actor Types', result.types.actors],
+            ['🎒 Item Types', result.types.items],
+            ...Object.entries(result.types.other).map(([docType, subtypes]) => [`📄 ${docType.toUpperCase()} Types`, subtypes])
+        ];
+
+        let totalTypes = 0;
+        for (const [heading, subtypes] of sections) {
+            const entries = Object.entries(subtypes);
+            if (entries.length > 0) {
+                console.log(`\n${heading}:`);
+                entries.forEach(([type, label]) => console.log(`   - ${type}: ${label}`));
+                totalTypes += entries.length;
+            }
+        }
+
+        console.log(`\n📊 Total object types: ${totalTypes}`);
+    },
+
+    'list-worlds': (result) => {
+        console.log('\n📁 Available Worlds:');
+        if (result.worlds.length === 0) {
+            console.log('   No worlds found');
+        } else {
+            result.worlds.forEach(world => console.log(`   - ${world}`));
+        }
+    },
+
+    'import': (result, output) => {
+        const counts = {};
+        result.documents.forEach(document => {
+            counts[document.documentName] = (counts[document.documentName] || 0) + 1;
+        });
+        console.log(`✅ Imported ${result.created} documents from ${result.directory}`);
+        Object.entries(counts).forEach(([documentName, count]) => console.log(`   ${documentName}: ${count}`));
+        if (result.references > 0) {
+            console.log(`🔗 Rewrote ${result.references} @UUID references to the new IDs`);
+        }
+        if (output.verbose) {
+            result.documents.forEach(document => console.log(`   ${document.file} → ${document.id} (${document.name})`));
+        }
+    },
+
+    'journal-import': (result, output) => {
+        const folder = result.folder ? ` in ${result.folder}` : '';
+        console.log(`✅ Created journal entry ${result.name}${folder} with ${result.pages.length} pages. ID: ${result.id}`);
+        if (output.verbose) {
+            result.pages.forEach(page => console.log(`   📄 ${page.name} (${page.file})`));
+        }
+        if (result.images.length > 0) {
+            console.log(`🖼️  Uploaded ${result.images.length} images`);
+        }
+        if (result.links > 0) {
+            console.log(`🔗 Linked ${result.links} [[wiki links]]`);
+        }
+        if (result.unresolved.length > 0) {
+            console.log(`⚠️  ${result.unresolved.length} wiki links were left as text:`);
+            result.unresolved.forEach(link => console.log(`   ${link.page}: [[${link.target}]] (${link.reason})`));
+        }
+    },
+
+    'table-import': (result, output) => {
+        const folder = result.folder ? ` in ${result.folder}` : '';
+        console.log(`✅ Created roll table ${result.name}${folder} with ${result.results.length} results (${result.formula}). ID: ${result.id}`);
+        if (output.verbose) {
+            result.results.forEach(row => console.log(`   line ${row.line}: ${row.range.join('-')} ${row.text}`));
+        }
+    },
+
+    'table-export': (result, output) => {
+        if (!result.file) {
+            output.stdout.write(result.csv);
+            return;
+        }
+        console.log(`✅ Exported roll table ${result.name} (${result.results} results, ${result.formula}) to ${result.file}`);
+    },
+
+    'sync-plan': (result) => {
+        printSyncPlan(result);
+        if (result.create.length + result.update.length + result.delete.length > 0) {
+            console.log('💡 Run "sync apply" with the same arguments to make these changes');
+        }
+    },
+
+    'sync-apply': (result) => {
+        printSyncPlan(result);
+        const { created, updated, deleted } = result.applied;
+        console.log(`✅ Applied: ${created} created, ${updated} updated, ${deleted} deleted`);
+    },
+
+    'export': (result, output) => {
+        console.log(`✅ Exported ${result.exported} documents from ${result.world} to ${result.directory}`);
+        Object.entries(result.counts).forEach(([documentName, count]) => console.log(`   ${documentName}: ${count}`));
+        if (result.removed.length > 0) {
+            console.log(`🧹 Removed ${result.removed.length} files of documents no longer in the world`);
+            if (output.verbose) {
+                result.removed.forEach(file => console.log(`   - ${file}`));
+            }
+        }
+    },
+
+    'check-links': (result) => {
+        console.log(`\n🔗 Checked ${result.references} references to ${result.targets} documents in ${result.documents} documents`);
+        if (result.broken.length === 0) {
+            console.log('✅ No broken links');
+            return;
+        }
+        console.log(`❌ ${result.broken.length} broken:`);
+        result.broken.forEach(reference => {
+            const anchor = reference.anchor ? `#${reference.anchor}` : '';
+            const label = reference.label ? ` {${reference.label}}` : '';
+            console.log(`   ${reference.source} (${reference.name}) ${reference.path} → ${reference.target}${anchor}${label}`);
+        });
+        if (result.fixes) {
+            console.log('\n🔧 Fix-up plan (links become their label, references are cleared):');
+            result.fixes.forEach(fix => console.log(`   doc update ${fix.uuid} '${JSON.stringify(fix.update)}'`));
+        } else {
+            console.log('💡 Run again with --fix-plan for the updates that remove them');
+        }
+    },
+
+    'list-packs': (result) => {
+        console.log(`\n📚 Compendium Packs (${result.packs.length}):`);
+        if (result.packs.length === 0) {
+            console.log('   No compendium packs found');
+            return;
+        }
+        result.packs.forEach(pack => {
+            const source = pack.packageType ? `${pack.packageType} ${pack.packageName}` : pack.packageName;
+            console.log(`   ${pack.locked ? '🔒' : '  '} ${pack.id} - ${pack.label} [${pack.documentName}, ${pack.size} entries, ${source}]`);
+        });
+        console.log('\n💡 Locked packs (🔒) can be searched and imported from, but not modified');
+    },
+
+    'list-types': (result) => {
+        console.log(`\n📋 Available Types for ${result.systemTitle}:`);
+        for (const [docType, subtypes] of Object.entries(result.types)) {
+            const subtypeList = Object.keys(subtypes);
+            if (subtypeList.length > 0) {
+                console.log(`\n${docType}:`);
+                subtypeList.forEach(type => console.log(`   - ${type}: ${subtypes[type]}`));
+            }
+        }
+    },
+
+    'list-images': (result) => {
+        const { pattern, core, system, user } = result;
+
+        console.log(`\n📋 Available Images for ${result.systemTitle || 'FoundryVTT'}:`);
+
+        if (core.length > 0) {
+            console.log(`\n🎯 Core FoundryVTT Icons (${core.length}):`);
+            core.forEach(img => console.log(`   - ${img}`));
+        }
+
+        if (system.length > 0) {
+            console.log(`\n🎲 System Icons (${system.length}):`);
+            system.forEach(img => console.log(`   - ${img}`));
+        }
+
+        if (user.length > 0) {
+            console.log(`\n👤 User Images (${user.length}):`);
+            user.forEach(img => console.log(`   - ${img}`));
+        }
+
+        const totalFiltered = core.length + system.length + user.length;
+
+        if (pattern !== '*' && pattern) {
+            console.log(`\n📊 Found ${totalFiltered} images matching "${pattern}" (${result.totalAvailable} total available)`);
+        } else {
+            console.log(`\n📊 Total available images: ${result.totalAvailable}`);
+        }
+
+        if (totalFiltered === 0 && pattern !== '*') {
+            console.log(`\n💡 No images found matching "${pattern}". Try a different pattern or run "images" to see all available images.`);
+        } else {
+            console.log('\n💡 Use any of these image paths in your document data');
+        }
+    },
+
+    'read': (result) => {
+        if (result.count !== undefined) {
+            console.log(`   ${result.count} documents match`);
+        } else if (result.documents.length === 0) {
+            console.log('   No documents found matching criteria.');
+        } else {
+            console.log(`   Found ${result.documents.length} documents:`);
+            result.documents.forEach(({ id, name, ...fields }) => {
+                const label = name !== undefined ? `, Name: ${name}` : '';
+                const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+                console.log(`   - ID: ${id}${label}${extra}`);
+            });
+        }
+    },
+
+    'get': (result) => {
+        console.log(`\n📄 ${result.name ?? 'Document'} (${result._id}):`);
+        console.log(JSON.stringify(result, null, 2));
+    },
+
+    'pack-find': (result) => textRenderers['read'](result),
+
+    'pack-get': (result) => textRenderers['get'](result),
+
+    'pack-create': (result) => {
+        console.log(`✅ Document created in ${result.pack}! ID: ${result.id}, Name: ${result.name}`);
+    },
+
+    'pack-update': (result) => {
+        console.log(`✅ Document updated in ${result.pack}! ID: ${result.id}, Name: ${result.name}`);
+    },
+
+    'pack-delete': (result) => {
+        console.log(`✅ Document with ID: ${result.id} deleted from ${result.pack}!`);
+    },
+
+    'pack-import': (result) => {
+        console.log(`✅ Imported into the world! ${result.documentName} ID: ${result.id}, Name: ${result.name}`);
+        console.log(`   Source: ${result.source}`);
+    },
+
+    'pack-export': (result) => {
+        console.log(`✅ Exported to ${result.pack}! ID: ${result.id}, Name: ${result.name}, UUID: ${result.uuid}`);
+    },
+
+    'insert': (result) => {
+        const folder = result.folder ? ` in folder ${result.folder}` : '';
+        if (result.dryRun) {
+            console.log(`🔍 Dry run: ${result.name} would be created${folder}${embeddedIn(result)}`);
+            printPreview(result);
+            return;
+        }
+        console.log(`✅ Document created successfully! ID: ${result.id}, Name: ${result.name}${folder}${embeddedIn(result)}`);
+    },
+
+    'upsert': (result, output) => {
+        const match = `${result.matchBy} ${formatValue(result.value)}`;
+        if (result.action === 'skipped') {
+            console.log(`⏭️  Skipped: ${result.matches} documents match ${match}; nothing was changed`);
+            return;
+        }
+        console.log(result.matches === 0 ? `🔎 No document matches ${match}` : `🔎 ${result.matches} document${result.matches === 1 ? '' : 's'} match ${match}`);
+        result.documents.forEach(document => textRenderers[result.action === 'created' ? 'insert' : 'update'](document, output));
+    },
+
+    'update': (result) => {
+        if (result.dryRun) {
+            console.log(`🔍 Dry run: changes to ${result.name} (${result.id})${embeddedIn(result)}`);
+            printPreview(result);
+            return;
+        }
+        console.log(`✅ Document updated successfully! ID: ${result.id}, Name: ${result.name}${embeddedIn(result)}`);
+    },
+
+    'delete': (result) => {
+        if (result.dryRun) {
+            console.log(`🔍 Dry run: ${result.documentName} ${result.name ?? ''} (${result.id}) would be deleted${embeddedIn(result)}`);
+            Object.entries(result.contents).forEach(([collection, count]) => console.log(`   with ${count} embedded ${collection}`));
+            console.log('\nNothing was deleted.');
+            return;
+        }
+        console.log(`✅ Document with ID: ${result.id} deleted successfully!${embeddedIn(result)}`);
+    },
+
+    'clone': (result) => {
+        const where = result.parent ? ` in ${result.parent}` : result.folder ? ` in folder ${result.folder}` : '';
+        console.log(`✅ Cloned ${result.source.name} (${result.source.id}) into ${result.documents.length} new document${result.documents.length === 1 ? '' : 's'}${where}`);
+        result.documents.forEach(document => console.log(`   ${document.id}  ${document.name}${result.parent ? `  (UUID: ${document.uuid})` : ''}`));
+    },
+
+    'copy': (result, output) => {
+        if (result.copied === 0) {
+            console.log(`ℹ️  No ${result.type} documents in ${result.from} matched; nothing was copied`);
+            return;
+        }
+        console.log(`✅ Copied ${result.copied} ${result.type} documents from ${result.from} to ${result.to}`);
+        if (output.verbose) {
+            result.documents.forEach(document => console.log(`   ${document.source} → ${document.id} (${document.name})`));
+        }
+    },
+
+    'history': (result) => {
+        console.log(`\n📜 Journal (${result.entries.length} most recent): ${result.journal}`);
+        if (result.entries.length === 0) {
+            console.log('   No changes recorded yet');
+        }
+        for (const entry of result.entries) {
+            const when = entry.timestamp.replace('T', ' ').slice(0, 19);
+            const what = entry.operation === 'undo'
+                ? `undo of #${entry.undoes ?? entry.partialUndoOf}${entry.partialUndoOf ? ' (partial)' : ''}`
+                : entry.operation;
+            const undone = entry.undoneBy ? `  ↩️ undone by #${entry.undoneBy}` : '';
+            console.log(`   #${entry.seq}  ${when}  ${what}${entry.command ? `  (${entry.command})` : ''}${undone}`);
+            const symbols = { create: '+', update: '~', delete: '-' };
+            entry.changes.slice(0, 5).forEach(change => console.log(`       ${symbols[change.action]} ${change.documentName} ${change.name ?? ''} [${change.uuid}]`));
+            if (entry.changes.length > 5) {
+                console.log(`       ... and ${entry.changes.length - 5} more`);
+            }
+        }
+    },
+
+    'undo': (result) => {
+        if (result.undone.length === 0) {
+            console.log('ℹ️  Nothing to undo');
+            return;
+        }
+        result.undone.forEach(entry => console.log(`↩️  Undid #${entry.seq} (${entry.operation}, ${entry.changes} document${entry.changes === 1 ? '' : 's'})`));
+    },
+
+    'move': (result) => {
+        console.log(`✅ Moved ${result.name} (${result.id}) to ${result.folder ?? 'the top level'}`);
+    },
+
+    'permissions': (result) => {
+        console.log(`\n🔐 Ownership of ${result.documents.length} documents${result.updated > 0 ? ` (${result.updated} updated)` : ''}:`);
+        result.documents.forEach(document => {
+            console.log(`   ${document.name} (${document.id})`);
+            document.ownership.forEach(entry => console.log(`      ${entry.user ?? `${entry.id} (unknown user)`}: ${entry.level}`));
+        });
+    },
+
+    'list-folders': (result) => {
+        console.log(`\n📁 ${result.type ? `${result.type} ` : ''}Folders (${result.folders.length}):`);
+        if (result.folders.length === 0) {
+            console.log('   No folders found');
+            return;
+        }
+        let type = null;
+        result.folders.forEach(folder => {
+            if (folder.type !== type) {
+                type = folder.type;
+                console.log(`\n${type}:`);
+            }
+            const color = folder.color ? ` ${folder.color}` : '';
+            console.log(`   ${'  '.repeat(folder.depth - 1)}📁 ${folder.name} (${folder.id}, ${folder.size} documents${color})`);
+        });
+    },
+
+    'folder-create': (result) => {
+        if (result.created.length === 0) {
+            console.log(`✅ ${result.type} folder ${result.path} already exists. ID: ${result.id}`);
+            return;
+        }
+        console.log(`✅ ${result.type} folder ${result.path} ready. ID: ${result.id}`);
+        result.created.forEach(path => console.log(`   + ${path}`));
+    },
+
+    'folder-update': (result) => {
+        console.log(`✅ ${result.type} folder updated! ID: ${result.id}, Path: ${result.path}`);
+    },
+
+    'folder-delete': (result) => {
+        const contents = result.deletedContents ? ' with its contents' : '; its contents moved up one level';
+        console.log(`✅ ${result.type} folder ${result.path} deleted${contents}`);
+    },
+
+    'list-users': (result) => {
+        console.log(`\n👥 Users (${result.users.length}):`);
+        if (result.users.length === 0) {
+            console.log('   No users found');
+            return;
+        }
+        result.users.forEach(user => {
+            const character = user.character ? `, plays ${user.character.name}` : '';
+            console.log(`   ${user.active ? '🟢' : '⚪'} ${user.name} (${user.id}, ${user.role}${character})`);
+        });
+    },
+
+    'user-create': (result) => {
+        console.log(`✅ User ${result.name} created as ${result.role}. ID: ${result.id}`);
+    },
+
+    'user-update': (result) => {
+        console.log(`✅ User ${result.name} updated (${result.role}). ID: ${result.id}`);
+    },
+
+    'user-delete': (result) => {
+        console.log(`✅ User ${result.name} deleted. ID: ${result.id}`);
+    },
+
+    'users-import': (result, output) => {
+        console.log(`✅ Created ${result.created} users from ${result.file}`);
+        if (output.verbose) {
+            result.users.forEach(user => console.log(`   line ${user.line}: ${user.name} → ${user.id} (${user.role})`));
+        }
+    },
+
+    'schema': (result) => {
+        console.log(`\n📋 Schema for ${result.subtype || result.documentType}:`);
+        console.log('='.repeat(60));
+        console.log(JSON.stringify(result, null, 2));
+    },
+
+    'serve': () => {
+        console.log('💡 Other foundry-manager.mjs commands will now use this daemon. Press Ctrl+C or run "serve stop" to stop it.');
+    },
+
+    'serve-status': (result) => {
+        console.log('\n🛰️  Daemon Status:');
+        console.log(`   PID: ${result.pid}`);
+        console.log(`   State: ${result.state}`);
+        console.log(`   World: ${result.world || 'None'}`);
+        console.log(`   System: ${result.system || 'None'}`);
+        console.log(`   Uptime: ${result.uptime}s`);
+        console.log(`   Requests served: ${result.requestsServed}`);
+        console.log(`   Pending mutations: ${result.pendingMutations}`);
+    },
+
+    'serve-stop': () => {
+        console.log('✅ Daemon is shutting down');
+    },
+
+    'completion': (result) => {
+        process.stdout.write(result.script);
+    },
+
+    'complete': (result) => {
+        process.stdout.write(result.candidates.map(candidate => `${candidate}\n`).join(''));
+    },
+
+    'config-show': (result) => {
+        console.log('\n⚙️  Effective Configuration:');
+        if (result.files.length === 0) {
+            console.log('   No config files found, using defaults');
+        } else {
+            result.files.forEach(file => console.log(`   ${file.scope}: ${file.path}`));
+        }
+        console.log('='.repeat(60));
+        for (const [key, { value, source }] of Object.entries(result.values)) {
+            console.log(`   ${key.padEnd(30)} ${JSON.stringify(value)}  (${source})`);
+        }
+    },
+
+    'validate': (result, output) => {
+        console.log(`✅ Validation successful!`);
+        if (output.verbose) {
+            console.log('\nValidated document:');
+            console.log(JSON.stringify(result.data, null, 2));
+        }
+    }
+};
+
+/**
+ * Record extractors for NDJSON streaming, keyed by command name
+ * Commands without an extractor are written as a single line.
+ */
+const streamExtractors = {
+    'list-systems': (result) => result.systems,
+    'list-worlds': (result) => result.worlds.map(id => ({ id })),
+    'read': (result) => result.documents ?? [{ count: result.count }],
+    'pack-find': (result) => result.documents ?? [{ count: result.count }],
+    'list-packs': (result) => result.packs,
+    'list-folders': (result) => result.folders,
+    'history': (result) => result.entries,
+    'clone': (result) => result.documents,
+    'copy': (result) => result.documents,
+    'import': (result) => result.documents,
+    'journal-import': (result) => result.pages,
+    'table-import': (result) => result.results,
+    'check-links': (result) => result.broken,
+    'permissions': (result) => result.documents,
+    'list-users': (result) => result.users,
+    'users-import': (result) => result.users,
+    'list-images': (result) => ['core', 'system', 'user'].flatMap(
+        source => result[source].map(path => ({ source, path }))
+    )
+};
+
+export class CliOutput {
+    /**
+     * Create a new output handler
+     * @param {Object} options - Output options
+     * @param {string} options.format - One of OutputFormat (default: text)
+     * @param {boolean} options.verbose - Include verbose details in text output
+     * @param {stream.Writable} options.stdout - Stream receiving results (default: process.stdout)
+     */
+    constructor(options = {}) {
+        this.format = options.format || OutputFormat.TEXT;
+        this.verbose = options.verbose || false;
+        this.stdout = options.stdout || process.stdout;
+        this.consoleRedirected = false;
+    }
+
+    /**
+     * Whether results are emitted as JSON/NDJSON
+     * @returns {boolean}
+     */
+    isStructured() {
+        return this.format !== OutputFormat.TEXT;
+    }
+
+    /**
+     * Stream used for progress indicators
+     * @returns {stream.Writable}
+     */
+    get progressStream() {
+        return this.isStructured() || this.consoleRedirected ? process.stderr : process.stdout;
+    }
+
+    /**
+     * Route console logging to stderr so stdout only carries the result
+     */
+    redirectConsole() {
+        const toStderr = console.error.bind(console);
+        this.consoleRedirected = true;
+        console.log = toStderr;
+        console.info = toStderr;
+        console.debug = toStderr;
+    }
+
+    /**
+     * Emit a successful command result
+     * @param {string} command - Command name
+     * @param {Object} result - Command result
+     */
+    success(command, result) {
+        if (this.format === OutputFormat.TEXT) {
+            const render = textRenderers[command];
+            if (render) {
+                render(result, this);
+            } else {
+                console.log(JSON.stringify(result, null, 2));
+            }
+            return;
+        }
+
+        if (this.format === OutputFormat.NDJSON && streamExtractors[command]) {
+            for (const record of streamExtractors[command](result)) {
+                this._write(record);
+            }
+            return;
+        }
+
+        this._write({ ok: true, command, result });
+    }
+
+    /**
+     * Emit a command failure
+     * @param {string} command - Command name
+     * @param {Error} error - Error that ended the command
+     */
+    failure(command, error) {
+        if (this.isStructured()) {
+            this._write({ ok: false, command, error: CliOutput.serializeError(error) });
+            return;
+        }
+
+        if (error instanceof ValidationError) {
+            if (USAGE_ERROR_CODES.has(error.code)) {
+                console.error(`Error: ${error.message}`);
+                return;
+            }
+
+            console.error(`\n❌ Validation failed:`);
+            console.error(`   → ${error.message}`);
+            if (error.field) {
+                console.error(`   → Field: ${error.field}`);
+            }
+            console.error(`   → Code: ${error.code}`);
+
+            if (error.details?.availableTypes) {
+                console.error('\n📋 Available object types for this system:');
+                for (const [docType, types] of Object.entries(error.details.availableTypes)) {
+                    console.error(`\n  ${docType}:`);
+                    for (const [key, label] of Object.entries(types)) {
+                        console.error(`    - ${key}: ${label}`);
+                    }
+                }
+                console.error('\n💡 Tip: Use one of the above types as the <type> argument');
+            }
+            if (error.details?.applied) {
+                const { created, updated, deleted } = error.details.applied;
+                console.error(`   → Already applied: ${created} created, ${updated} updated, ${deleted} deleted`);
+            }
+            if (error.details?.undone?.length > 0) {
+                console.error(`   → Already undone: ${error.details.undone.map(entry => `#${entry.seq}`).join(', ')}`);
+            }
+            if (error.details?.failures) {
+                console.error('');
+                error.details.failures.forEach(failure => {
+                    const field = failure.field ? `, field ${failure.field}` : '';
+                    console.error(`   ✗ ${failure.file}: ${failure.error} (${failure.code}${field})`);
+                });
+            }
+        } else {
+            console.error(`\n❌ Error: ${error.message}`);
+            if (this.verbose && error.stack) {
+                console.error('\nStack trace:');
+                console.error(error.stack);
+            }
+        }
+    }
+
+    /**
+     * Convert an error into a plain, JSON-serializable object
+     * @param {Error} error - Error to serialize
+     * @returns {Object} Error object with message, code, field and details
+     */
+    static serializeError(error) {
+        return {
+            message: error.message,
+            code: error.code || 'ERROR',
+            field: error.field || null,
+            details: error.details || null
+        };
+    }
+
+    /**
+     * Write one JSON line to stdout
+     * @private
+     */
+    _write(value) {
+        this.stdout.write(JSON.stringify(value) + '\n');
+    }
+}
+
+export default CliOutput;
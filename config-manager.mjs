@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+/**
+ * ConfigManager - Project and user configuration for foundry-manager
+ *
+ * Settings are merged from built-in defaults, the user-level
+ * ~/.foundry-manager.json, the nearest project-local .foundry-manager.json
+ * (searched upward from the working directory), the environment and finally
+ * command-line flags. Each value remembers which of these it came from so
+ * `config show` can explain the effective configuration.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { homedir } from 'os';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CONFIG_FILE_NAME = '.foundry-manager.json';
+export const USER_CONFIG_PATH = join(homedir(), CONFIG_FILE_NAME);
+
+// Settable keys and their value types; nested keys use dotted paths
+const CONFIG_KEYS = {
+    foundryPath: 'path',
+    dataPath: 'path',
+    port: 'number',
+    hostname: 'string',
+    world: 'string',
+    system: 'string',
+    chromiumPath: 'path',
+    'timeouts.serverStart': 'number',
+    'timeouts.gameReady': 'number',
+    'timeouts.navigation': 'number',
+    'timeouts.activation': 'number',
+    'timeouts.statusPollInterval': 'number'
+};
+
+// CLI boolean flags that may be turned on under "defaults"
+const DEFAULT_FLAGS = ['no-image', 'verbose', 'json', 'ndjson', 'no-daemon'];
+
+// Default flags that choose the output format; at most one may be set
+const OUTPUT_FLAGS = ['json', 'ndjson'];
+
+// Config keys that have an equivalent command-line option
+const CLI_OPTIONS = { world: 'world', system: 'system' };
+
+/**
+ * Locate the FoundryVTT data directory when none is configured
+ * Prefers a foundry-data directory (or symlink) next to the script or in the
+ * working directory, then the standard FoundryVTT install locations.
+ * @returns {string|null} Absolute path of the first existing candidate, or null
+ */
+export function resolveDataPath() {
+    const home = process.env.HOME || process.env.USERPROFILE || homedir();
+    const candidates = [
+        join(__dirname, 'foundry-data'),
+        resolve('./foundry-data'),
+        join(home, '.local/share/FoundryVTT/Data'),
+        join(home, 'FoundryVTT/Data')
+    ];
+
+    const found = candidates.find(path => existsSync(path));
+    return found ? resolve(found) : null;
+}
+
+export class ConfigManager {
+    /**
+     * Create a configuration holding only the built-in defaults
+     */
+    constructor() {
+        this.values = new Map();
+        this.files = [];
+
+        const defaults = {
+            foundryPath: join(__dirname, 'foundry-app'),
+            dataPath: resolveDataPath() || join(__dirname, 'foundry-data'),
+            port: 30000,
+            hostname: 'localhost',
+            world: null,
+            system: null,
+            chromiumPath: '/snap/bin/chromium',
+            'timeouts.serverStart': 60000,
+            'timeouts.gameReady': 60000,
+            'timeouts.navigation': 30000,
+            'timeouts.activation': 30000,
+            'timeouts.statusPollInterval': 1000
+        };
+        for (const [key, value] of Object.entries(defaults)) {
+            this._set(key, value, 'default');
+        }
+        for (const flag of DEFAULT_FLAGS) {
+            this._set(`defaults.${flag}`, false, 'default');
+        }
+    }
+
+    /**
+     * Load and merge the configuration files and environment
+     * @param {Object} options - Load options
+     * @param {string} options.configPath - Explicit config file used instead of the project-local lookup
+     * @param {string} options.cwd - Directory to start the project-local search from
+     * @returns {ConfigManager} Merged configuration
+     */
+    static load(options = {}) {
+        const config = new ConfigManager();
+
+        const projectPath = options.configPath
+            ? resolve(options.configPath)
+            : ConfigManager.findProjectConfig(options.cwd || process.cwd());
+
+        if (options.configPath && !existsSync(projectPath)) {
+            throw new ValidationError(`Config file not found: ${projectPath}`, 'config', 'FILE_NOT_FOUND');
+        }
+
+        if (existsSync(USER_CONFIG_PATH) && USER_CONFIG_PATH !== projectPath) {
+            config.mergeFile(USER_CONFIG_PATH, 'user');
+        }
+        if (projectPath) {
+            config.mergeFile(projectPath, 'project');
+        }
+
+        if (process.env.FOUNDRY_VTT_DATA_PATH) {
+            config._set('dataPath', resolve(process.env.FOUNDRY_VTT_DATA_PATH), 'env FOUNDRY_VTT_DATA_PATH');
+        }
+
+        return config;
+    }
+
+    /**
+     * Find the nearest project-local config file
+     * @param {string} startDir - Directory to search upward from
+     * @returns {string|null} Path of the config file, or null
+     */
+    static findProjectConfig(startDir) {
+        let dir = resolve(startDir);
+        while (true) {
+            const candidate = join(dir, CONFIG_FILE_NAME);
+            if (existsSync(candidate)) {
+                return candidate;
+            }
+            const parent = dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
+    /**
+     * Merge one config file over the current values
+     * Relative paths in the file are resolved against the file's directory.
+     * @param {string} filePath - Config file path
+     * @param {string} scope - 'user' or 'project'
+     */
+    mergeFile(filePath, scope) {
+        let data;
+        try {
+            data = JSON.parse(readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new ValidationError(`Invalid config file ${filePath}: ${error.message}`, null, 'INVALID_CONFIG', { file: filePath });
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ValidationError(`Config file ${filePath} must contain a JSON object`, null, 'INVALID_CONFIG', { file: filePath });
+        }
+
+        const source = `${scope} ${filePath}`;
+        const baseDir = dirname(filePath);
+        for (const [key, value] of Object.entries(this._flatten(data))) {
+            this._set(key, this._coerce(key, value, filePath, baseDir), source);
+        }
+        this.files.push({ scope, path: filePath });
+    }
+
+    /**
+     * Apply command-line arguments on top of the configuration
+     * Flags given on the command line override the config; options that were
+     * not given are filled in from it, so the rest of the CLI only reads args.
+     * Only options the command accepts are filled in, and a configured system
+     * is not used once there is a world (given or configured): a world already has its system.
+     * @param {Object} args - Parsed arguments (modified in place)
+     * @param {Array<string>} accepted - Options the command accepts (default: all)
+     * @returns {Object} The same args object
+     * @throws {ValidationError} CONFLICTING_OPTIONS when the config sets both the json and ndjson defaults
+     */
+    applyArgs(args, accepted = null) {
+        const accepts = (option) => !accepted || accepted.includes(option);
+
+        for (const [key, option] of Object.entries(CLI_OPTIONS)) {
+            if (args[option] !== undefined) {
+                this._set(key, args[option], 'command line');
+            } else if (this.get(key) !== null && accepts(option) && !(option === 'system' && args.world !== undefined)) {
+                args[option] = this.get(key);
+            }
+        }
+
+        // --json on the command line replaces a configured ndjson default, and the other way round
+        const formatGiven = args.json !== undefined || args.ndjson !== undefined;
+        for (const flag of DEFAULT_FLAGS) {
+            if (args[flag] !== undefined) {
+                this._set(`defaults.${flag}`, args[flag], 'command line');
+            } else if (this.get(`defaults.${flag}`) && accepts(flag) && !(OUTPUT_FLAGS.includes(flag) && formatGiven)) {
+                args[flag] = true;
+            }
+        }
+
+        if (args.json && args.ndjson) {
+            throw new ValidationError('defaults.json and defaults.ndjson cannot both be set', 'defaults.ndjson', 'CONFLICTING_OPTIONS');
+        }
+        return args;
+    }
+
+    /**
+     * Get an effective value
+     * @param {string} key - Dotted config key
+     * @returns {*} Value, or undefined for unknown keys
+     */
+    get(key) {
+        return this.values.get(key)?.value;
+    }
+
+    /**
+     * Options for FoundryServerManager
+     * @returns {Object} Paths, network settings and timeouts
+     */
+    toServerOptions() {
+        return {
+            foundryPath: this.get('foundryPath'),
+            dataPath: this.get('dataPath'),
+            port: this.get('port'),
+            hostname: this.get('hostname'),
+            chromiumPath: this.get('chromiumPath'),
+            world: this.get('world'),
+            serverStartTimeout: this.get('timeouts.serverStart'),
+            gameReadyTimeout: this.get('timeouts.gameReady'),
+            navigationTimeout: this.get('timeouts.navigation'),
+            activationTimeout: this.get('timeouts.activation'),
+            statusPollInterval: this.get('timeouts.statusPollInterval')
+        };
+    }
+
+    /**
+     * Describe the effective configuration
+     * @returns {Object} {files, values: {key: {value, source}}}
+     */
+    show() {
+        return {
+            files: this.files,
+            values: Object.fromEntries(this.values)
+        };
+    }
+
+    /**
+     * Flatten nested objects into dotted keys
+     * @private
+     */
+    _flatten(data, prefix = '') {
+        const flat = {};
+        for (const [key, value] of Object.entries(data)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.assign(flat, this._flatten(value, path));
+            } else {
+                flat[path] = value;
+            }
+        }
+        return flat;
+    }
+
+    /**
+     * Check a value from a config file against its expected type
+     * @private
+     */
+    _coerce(key, value, filePath, baseDir) {
+        const details = { file: filePath };
+
+        if (key.startsWith('defaults.')) {
+            if (!DEFAULT_FLAGS.includes(key.slice('defaults.'.length))) {
+                throw new ValidationError(
+                    `Unknown default flag "${key}" in ${filePath}. Supported: ${DEFAULT_FLAGS.join(', ')}`,
+                    key, 'INVALID_CONFIG', details
+                );
+            }
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`"${key}" in ${filePath} must be true or false`, key, 'INVALID_CONFIG', details);
+            }
+            return value;
+        }
+
+        const type = CONFIG_KEYS[key];
+        if (!type) {
+            throw new ValidationError(
+                `Unknown config key "${key}" in ${filePath}. Supported: ${Object.keys(CONFIG_KEYS).join(', ')}`,
+                key, 'INVALID_CONFIG', details
+            );
+        }
+        if (value === null) {
+            return null;
+        }
+        if (type === 'number') {
+            if (!Number.isInteger(value) || value <= 0) {
+                throw new ValidationError(`"${key}" in ${filePath} must be a positive integer`, key, 'INVALID_CONFIG', details);
+            }
+            return value;
+        }
+        if (typeof value !== 'string' || !value) {
+            throw new ValidationError(`"${key}" in ${filePath} must be a non-empty string`, key, 'INVALID_CONFIG', details);
+        }
+        return type === 'path' ? resolve(baseDir, value.replace(/^~(?=$|\/)/, homedir())) : value;
+    }
+
+    /**
+     * @private
+     */
+    _set(key, value, source) {
+        this.values.set(key, { value, source });
+    }
+}
+
+export default ConfigManager;
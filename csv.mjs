@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * CSV files for rosters and tables
+ *
+ * Comma-separated values as spreadsheets export them: fields may be quoted
+ * with double quotes, a quote inside a quoted field is doubled, and quoted
+ * fields may span lines. The first row names the columns; blank lines are
+ * skipped and values are trimmed.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+/**
+ * Split CSV text into records of raw fields, with the line each starts on
+ * @private
+ */
+function splitRecords(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            records.push({ line: start, fields });
+        }
+        fields = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+            line++;
+            start = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new ValidationError(`Unterminated quoted field starting on line ${start}`, null, 'INVALID_CSV');
+    }
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Parse CSV text with a header row
+ * @param {string} text - CSV text
+ * @returns {{columns: Array<string>, rows: Array<{line: number, values: Object}>}} Column names as written,
+ *          and each row's values by column name (missing trailing fields are empty strings)
+ * @throws {ValidationError} INVALID_CSV for an empty file, duplicate columns, rows with more
+ *         fields than the header or an unterminated quote
+ */
+export function parseCsv(text) {
+    const [header, ...records] = splitRecords(String(text).replace(/^﻿/, ''));
+    if (!header) {
+        throw new ValidationError('The CSV file is empty; the first row must name the columns', null, 'INVALID_CSV');
+    }
+
+    const columns = header.fields.map(column => column.trim());
+    const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (duplicate !== undefined) {
+        throw new ValidationError(`Column "${duplicate}" appears twice in the header`, null, 'INVALID_CSV');
+    }
+
+    const rows = records.map(({ line, fields }) => {
+        if (fields.length > columns.length) {
+            throw new ValidationError(`Line ${line} has ${fields.length} fields but the header names ${columns.length} columns`, null, 'INVALID_CSV');
+        }
+        return { line, values: Object.fromEntries(columns.map((column, index) => [column, (fields[index] ?? '').trim()])) };
+    });
+    return { columns, rows };
+}
+
+/**
+ * Quote a field holding commas, quotes or line breaks
+ * @private
+ */
+function formatField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV text with a header row, as parseCsv() reads it back
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Values by column name; null and undefined are written as empty fields
+ * @returns {string} CSV text, one line per row and ending with a newline
+ */
+export function formatCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(formatField).join(','))
+        .join('\n') + '\n';
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Directories of document JSON files
+ *
+ * Content kept in git holds one JSON file per document. The first directory
+ * under the root names the document type, and exports file documents below
+ * it by folder, so a tree looks like:
+ *
+ *   content/
+ *     Item/longsword.abc123.json
+ *     Item/Weapons/glaive.def456.json
+ *     Actor/bandit.ghi789.json
+ *
+ * When reading, a type given by the caller applies to every file instead.
+ */
+
+import { mkdir, readdir, readFile, rmdir, stat, unlink, writeFile } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+/**
+ * Paths of the .json files below a directory, sorted
+ * @private
+ */
+async function listJsonFiles(directory) {
+    const files = [];
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listJsonFiles(path));
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+/**
+ * Read every document file below a directory
+ * Files that cannot be read or typed are returned with an error instead of
+ * failing the whole read, so callers can report every problem at once.
+ * @param {string} directory - Root directory
+ * @param {Object} options - Read options
+ * @param {string} options.type - Type for every file (default: the file's first directory)
+ * @returns {Promise<{directory: string, entries: Array<Object>}>} Absolute directory and
+ *          entries of {file, type, data} or {file, error, code}, where file is relative to the directory
+ * @throws {ValidationError} DIRECTORY_NOT_FOUND when the directory does not exist
+ */
+export async function readDocumentDirectory(directory, options = {}) {
+    const root = resolve(directory);
+    const info = await stat(root).catch(() => null);
+    if (!info?.isDirectory()) {
+        throw new ValidationError(`Directory not found: ${directory}`, 'dir', 'DIRECTORY_NOT_FOUND');
+    }
+
+    const entries = [];
+    for (const path of await listJsonFiles(root)) {
+        const file = relative(root, path).split(sep).join('/');
+        const parts = file.split('/');
+        const type = options.type || (parts.length > 1 ? parts[0] : null);
+
+        if (!type) {
+            entries.push({
+                file,
+                error: 'Cannot tell the document type. Put the file in a <Type>/ directory or pass --type.',
+                code: 'MISSING_ARGUMENT'
+            });
+            continue;
+        }
+
+        try {
+            const data = JSON.parse(await readFile(path, 'utf8'));
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                entries.push({ file, error: 'The file must hold one JSON object.', code: 'INVALID_JSON' });
+                continue;
+            }
+            entries.push({ file, type, data });
+        } catch (error) {
+            entries.push({ file, error: `Invalid JSON: ${error.message}`, code: 'INVALID_JSON' });
+        }
+    }
+
+    return { directory: root, entries };
+}
+
+// Fields that change without a content change, removed by writeDocumentDirectory({strip: true})
+export const VOLATILE_FIELDS = ['_stats', 'sort'];
+
+/**
+ * Copy of a value with object keys sorted, so files diff cleanly
+ * @param {*} value - JSON value
+ * @returns {*} The value with every object's keys in sorted order
+ */
+export function sortKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
+
+/**
+ * Copy of document data without the given keys on the document and its embedded documents
+ * Only objects with an _id count as documents, so system data keeps its own "sort" fields.
+ * @param {*} value - Document data
+ * @param {Array<string>} fields - Keys to remove
+ * @returns {*} The data without those keys
+ */
+export function stripFields(value, fields) {
+    if (Array.isArray(value)) {
+        return value.map(item => stripFields(item, fields));
+    }
+    if (value && typeof value === 'object') {
+        const isDocument = '_id' in value;
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !isDocument || !fields.includes(key))
+            .map(([key, item]) => [key, stripFields(item, fields)]));
+    }
+    return value;
+}
+
+/**
+ * A name made safe to use as one path segment
+ * @private
+ */
+function pathSegment(name) {
+    const safe = String(name ?? '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '-').replace(/^\.+/, '').trim();
+    return safe || 'unnamed';
+}
+
+/**
+ * File name of a document: a lower-case slug of its name, then its ID
+ * @param {Object} data - Document data with name and _id
+ * @returns {string} e.g. "longsword.abc123.json"
+ */
+export function documentFileName(data) {
+    const slug = String(data.name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'unnamed'}.${data._id}.json`;
+}
+
+/**
+ * Remove directories left empty below (not including) a root
+ * @private
+ */
+async function removeEmptyDirectories(directory, root) {
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            await removeEmptyDirectories(join(directory, entry.name), root);
+        }
+    }
+    if (directory !== root && (await readdir(directory)).length === 0) {
+        await rmdir(directory);
+    }
+}
+
+/**
+ * Write documents as one JSON file each, laid out by document type and folder
+ * Keys are sorted and files end with a newline, so unchanged documents produce
+ * identical files.
+ * @param {string} directory - Root directory, created if missing
+ * @param {Array<Object>} documents - [{documentName, folder, data}] as returned by WorldManager.exportDocuments()
+ * @param {Object} options - Write options
+ * @param {boolean} options.strip - Remove VOLATILE_FIELDS at every level
+ * @param {Array<string>} options.prune - Document types whose directories are cleaned of
+ *        .json files this export did not write (documents deleted or moved since the last export)
+ * @returns {Promise<{directory: string, files: Array<string>, removed: Array<string>}>} Paths relative to the directory
+ */
+export async function writeDocumentDirectory(directory, documents, options = {}) {
+    const root = resolve(directory);
+    const written = new Set();
+
+    for (const { documentName, folder, data } of documents) {
+        const folders = folder ? folder.split('/').map(pathSegment) : [];
+        const file = [documentName, ...folders, documentFileName(data)].join('/');
+        const content = options.strip ? stripFields(data, VOLATILE_FIELDS) : data;
+
+        await mkdir(dirname(join(root, file)), { recursive: true });
+        await writeFile(join(root, file), JSON.stringify(sortKeys(content), null, 2) + '\n');
+        written.add(file);
+    }
+
+    const removed = [];
+    for (const documentName of options.prune || []) {
+        const typeDirectory = join(root, documentName);
+        if (!(await stat(typeDirectory).catch(() => null))?.isDirectory()) {
+            continue;
+        }
+        for (const path of await listJsonFiles(typeDirectory)) {
+            const file = relative(root, path).split(sep).join('/');
+            if (!written.has(file)) {
+                await unlink(path);
+                removed.push(file);
+            }
+        }
+        await removeEmptyDirectories(typeDirectory, typeDirectory);
+    }
+
+    return { directory: root, files: [...written], removed };
+}
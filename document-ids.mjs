@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Document IDs for reproducible content
+ *
+ * Foundry IDs are 16 letters and digits. Content kept outside Foundry can
+ * bring its own IDs (kept on create), get fresh ones, or get IDs derived from
+ * a stable key so the same source always yields the same ID. When documents
+ * created together get new IDs, `@UUID[...]` links between them are
+ * rewritten to the new IDs.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 16;
+
+// How create and import set document IDs
+export const ID_MODES = ['keep', 'new', 'derive'];
+
+/**
+ * 16 characters of the ID alphabet picked by bytes
+ * @private
+ */
+function toId(bytes) {
+    let result = '';
+    for (let i = 0; i < ID_LENGTH; i++) {
+        result += ID_CHARS[bytes[i] % ID_CHARS.length];
+    }
+    return result;
+}
+
+/**
+ * Generate a random ID in Foundry's format
+ * @returns {string} A 16-character alphanumeric ID
+ */
+export function generateId() {
+    return toId(randomBytes(ID_LENGTH));
+}
+
+/**
+ * Derive an ID from a stable key; the same key always gives the same ID
+ * @param {string} key - Stable key, e.g. from deriveDocumentKey()
+ * @returns {string} A 16-character alphanumeric ID
+ */
+export function deriveId(key) {
+    return toId(createHash('sha256').update(key).digest());
+}
+
+/**
+ * Stable key of a document: its document name, type and name
+ * @param {string} documentName - Document name, e.g. Item
+ * @param {Object} data - Document data
+ * @returns {string} e.g. "Item/weapon/Longsword"
+ */
+export function deriveDocumentKey(documentName, data) {
+    return [documentName, data.type ?? '', data.name ?? ''].join('/');
+}
+
+/**
+ * Whether a value is a valid Foundry ID
+ * @param {*} id - Value to check
+ * @returns {boolean} True for 16 letters and digits
+ */
+export function isValidId(id) {
+    return typeof id === 'string' && new RegExp(`^[A-Za-z0-9]{${ID_LENGTH}}$`).test(id);
+}
+
+/**
+ * Check an --ids mode
+ * @param {string} mode - keep, new or derive (default: keep)
+ * @returns {string} The mode
+ * @throws {ValidationError} INVALID_ARGUMENT for other values
+ */
+export function parseIdMode(mode) {
+    if (mode === undefined || mode === null) {
+        return 'keep';
+    }
+    if (!ID_MODES.includes(mode)) {
+        throw new ValidationError(`--ids must be one of ${ID_MODES.join(', ')}, got "${mode}"`, 'ids', 'INVALID_ARGUMENT');
+    }
+    return mode;
+}
+
+/**
+ * Rewrite @UUID[...] links to documents that got new IDs
+ * Links whose first segments name a mapped document are changed, including
+ * links into its embedded documents (@UUID[Actor.<old>.Item.<id>]).
+ * @param {*} value - Document data, or any value inside it
+ * @param {Map<string, string>} idMap - New ID by old UUID, e.g. "Item.<old>" → "<new>"
+ * @returns {{value: *, rewritten: number}} A copy with links rewritten, and how many were
+ */
+export function rewriteUuidReferences(value, idMap) {
+    let rewritten = 0;
+    const walk = (current) => {
+        if (typeof current === 'string') {
+            return current.replace(/@UUID\[(\w+)\.([A-Za-z0-9]{16})/g, (link, documentName, id) => {
+                const replacement = idMap.get(`${documentName}.${id}`);
+                if (!replacement) {
+                    return link;
+                }
+                rewritten++;
+                return `@UUID[${documentName}.${replacement}`;
+            });
+        }
+        if (Array.isArray(current)) {
+            return current.map(walk);
+        }
+        if (current && typeof current === 'object') {
+            return Object.fromEntries(Object.entries(current).map(([key, child]) => [key, walk(child)]));
+        }
+        return current;
+    };
+    return { value: walk(value), rewritten };
+}
@@ -7,37 +7,53 @@
  * Now uses Puppeteer-based validation with real FoundryVTT engine
  */
 
-import { parseArgs } from 'util';
-import { readFileSync, existsSync } from 'fs';
-import { randomBytes } from 'crypto';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { basename, resolve } from 'path';
 import { FoundryServerManagerPatched as FoundryServerManager, ServerState } from './foundry-server-manager-patched.mjs';
 import { FoundryPuppeteerValidator, ValidationError } from './foundry-puppeteer-validator.mjs';
 import CredentialManager from './credential-manager.mjs';
 import SystemDiscovery from './system-discovery.mjs';
-import { WorldManager } from './world-manager.mjs';
+import { WorldManager, isEmbeddedPath } from './world-manager.mjs';
+import { CliOutput, OutputFormat, filterByPattern } from './cli-output.mjs';
+import { ManagerDaemon, DaemonClient, MUTATING_COMMANDS } from './manager-daemon.mjs';
+import { RestServer, parseHttpPort } from './rest-server.mjs';
+import { ReplShell } from './repl-shell.mjs';
+import { ConfigManager } from './config-manager.mjs';
+import { parseCommandLine, parseAssignments, parseOwners, formatOverview, suggestSubcommand } from './cli-commands.mjs';
+import { ShellCompletion } from './shell-completion.mjs';
+import { readDocumentDirectory, writeDocumentDirectory } from './document-files.mjs';
+import { WorldSync } from './world-sync.mjs';
+import { LinkChecker } from './link-check.mjs';
+import { MutationJournal, journalPath, summarizeEntry } from './mutation-journal.mjs';
+import { parseCount } from './search-query.mjs';
+import { generateId } from './document-ids.mjs';
+import { parseCsv } from './csv.mjs';
+import { JournalImporter, readMarkdownSource } from './journal-import.mjs';
+import { RollTableCsv } from './roll-table-csv.mjs';
 
 // Progress indicator helper
 class ProgressIndicator {
-    constructor() {
+    constructor(stream = process.stdout) {
         this.spinner = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
         this.current = 0;
         this.interval = null;
         this.message = '';
+        this.stream = stream;
     }
 
     start(message) {
         this.message = message;
         this.current = 0;
-        process.stdout.write(`\r${this.spinner[this.current]} ${this.message}`);
+        this.stream.write(`\r${this.spinner[this.current]} ${this.message}`);
         this.interval = setInterval(() => {
             this.current = (this.current + 1) % this.spinner.length;
-            process.stdout.write(`\r${this.spinner[this.current]} ${this.message}`);
+            this.stream.write(`\r${this.spinner[this.current]} ${this.message}`);
         }, 100);
     }
 
     update(message) {
         this.message = message;
-        process.stdout.write(`\r${this.spinner[this.current]} ${this.message}`);
+        this.stream.write(`\r${this.spinner[this.current]} ${this.message}`);
     }
 
     stop(success = true, finalMessage = null) {
@@ -47,7 +63,7 @@ class ProgressIndicator {
         }
         const icon = success ? '✅' : '❌';
         const msg = finalMessage || this.message;
-        process.stdout.write(`\r${icon} ${msg}\n`);
+        this.stream.write(`\r${icon} ${msg}\n`);
     }
 }
 
@@ -60,12 +76,14 @@ export class FoundryManager {
         this.validator = null;
         this.initialized = false;
         this.credentialManager = new CredentialManager();
-        this.systemDiscovery = new SystemDiscovery({ verbose: options.verbose });
-        this.progress = new ProgressIndicator();
+        this.systemDiscovery = new SystemDiscovery({ verbose: options.verbose, dataPath: options.server?.dataPath });
+        this.progress = new ProgressIndicator(options.progressStream);
         this.verbose = options.verbose || false;
         this.selectedWorld = null;
         this.selectedSystem = null;
+        this.availableWorlds = null;
         this.worldOption = options.server?.world || null; // Store world option from server config
+        this.commandContext = null; // {command, args} of the running mutation, recorded in the journal
     }
 
     /**
@@ -73,15 +91,7 @@ export class FoundryManager {
      * @returns {string} A 16-character alphanumeric ID
      */
     static generateRandomId() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let result = '';
-        const bytes = randomBytes(16);
-        
-        for (let i = 0; i < 16; i++) {
-            result += chars[bytes[i] % chars.length];
-        }
-        
-        return result;
+        return generateId();
     }
 
     /**
@@ -96,20 +106,25 @@ export class FoundryManager {
         try {
             console.log('🚀 Initializing validation system...');
             
-            // Start server
-            this.progress.start('Starting FoundryVTT server...');
-            await this.serverManager.startServer();
-            this.progress.stop(true, 'FoundryVTT server started');
+            // Start server (unless listWorlds() already did)
+            if (!this.serverManager.isServerRunning()) {
+                this.progress.start('Starting FoundryVTT server...');
+                await this.serverManager.startServer();
+                this.progress.stop(true, 'FoundryVTT server started');
+            }
 
             // Initialize browser first for Puppeteer-based world discovery
-            this.progress.start('Initializing browser...');
-            await this.serverManager.initializeBrowser();
-            this.progress.stop(true, 'Browser initialized');
+            if (!this.serverManager.browser) {
+                this.progress.start('Initializing browser...');
+                await this.serverManager.initializeBrowser();
+                this.progress.stop(true, 'Browser initialized');
+            }
 
             // Get available worlds if not specified (now uses Puppeteer)
             if (!worldId) {
                 this.progress.start('Discovering available worlds...');
                 const worlds = await this.serverManager.getAvailableWorlds();
+                this.availableWorlds = worlds;
                 this.progress.stop(true, `Found ${worlds.length} worlds`);
                 
                 if (worlds.length === 0) {
@@ -135,7 +150,9 @@ export class FoundryManager {
 
             // Initialize WorldManager
             this.progress.start('Initializing WorldManager...');
-            this.worldManager = new WorldManager(this.validator);
+            this.worldManager = new WorldManager(this.validator, {
+                journal: new MutationJournal(journalPath(worldId), { context: () => this.commandContext })
+            });
             this.progress.stop(true, 'WorldManager initialized');
 
             // Get system info
@@ -222,7 +239,7 @@ export class FoundryManager {
 
         if (!documentType) {
             throw new ValidationError(
-                `Unknown type: ${type}. Use --list-types to see available types.`, 
+                `Unknown type: ${type}. Run "types" to see available types.`, 
                 'type',
                 'UNKNOWN_TYPE'
             );
@@ -286,7 +303,7 @@ export class FoundryManager {
 
         if (!documentType) {
             throw new ValidationError(
-                `Unknown type: ${type}. Use --list-types to see available types.`, 
+                `Unknown type: ${type}. Run "types" to see available types.`, 
                 'type',
                 'UNKNOWN_TYPE'
             );
@@ -318,6 +335,12 @@ export class FoundryManager {
      * @returns {Promise<Array<string>>} Available world IDs
      */
     async listWorlds() {
+        // Once a world is active the setup page is no longer available, so
+        // answer from the discovery done before activation
+        if (this.initialized && this.availableWorlds) {
+            return this.availableWorlds;
+        }
+
         // Start server and initialize browser if not already done
         if (!this.serverManager.isServerRunning()) {
             await this.serverManager.startServer();
@@ -326,14 +349,109 @@ export class FoundryManager {
             await this.serverManager.initializeBrowser();
         }
         
-        return await this.serverManager.getAvailableWorlds();
+        this.availableWorlds = await this.serverManager.getAvailableWorlds();
+        return this.availableWorlds;
+    }
+
+    /**
+     * Mutation journal of the active world
+     * A world given with -w or in the config is read without starting the server.
+     * @returns {Promise<MutationJournal>} The world's journal
+     */
+    async getJournal() {
+        if (!this.initialized && this.worldOption) {
+            return new MutationJournal(journalPath(this.worldOption));
+        }
+        await this._ensureInitialized();
+        return this.worldManager.journal;
+    }
+
+    /**
+     * Switch to a different world
+     * FoundryVTT can only leave a running world by returning to setup, so the
+     * server is restarted and the new world activated from scratch.
+     * @param {string} worldId - World ID to activate
+     * @returns {Promise<void>}
+     */
+    async switchWorld(worldId) {
+        if (this.initialized && worldId === this.selectedWorld) {
+            return;
+        }
+
+        console.log(`🔁 Switching world: ${this.selectedWorld || 'none'} → ${worldId}`);
+        await this.cleanup();
+        this.worldManager = null;
+        this.selectedWorld = null;
+        this.selectedSystem = null;
+        this.worldOption = worldId;
+        await this.initialize(worldId);
+    }
+
+    /**
+     * Copy documents of one type from one world into another
+     * The matching documents are read from the source world, then the target
+     * world is activated and they are imported all or nothing (see
+     * WorldManager.importDocuments()). Folder, ownership and _stats refer to
+     * the source world and are left out; IDs are regenerated unless
+     * options.keepId is set, and @UUID links between the copied documents
+     * follow the new IDs. The world that was active before is activated
+     * again afterwards.
+     * @param {string} fromWorld - Source world ID
+     * @param {string} toWorld - Target world ID
+     * @param {string} type - Document type or subtype
+     * @param {Object} options - Copy options
+     * @param {string} options.name - Name filter with wildcards (default: all)
+     * @param {string} options.where - Query expression (see search-query.mjs)
+     * @param {boolean} options.keepId - Keep the source document IDs
+     * @param {boolean} options.noImage - Skip image validation
+     * @returns {Promise<Object>} {from, to, type, copied, documents: [{source, id, name, documentName}]} where source is the source UUID
+     */
+    async copyDocuments(fromWorld, toWorld, type, options = {}) {
+        if (fromWorld === toWorld) {
+            throw new ValidationError('Source and target world are the same; use "doc clone" to copy within a world.', 'to-world', 'INVALID_ARGUMENT');
+        }
+        if (isEmbeddedPath(type)) {
+            throw new ValidationError(`Embedded documents are copied with their parent, not on their own: ${type}`, 'type', 'INVALID_ARGUMENT');
+        }
+
+        const previousWorld = this.initialized ? this.selectedWorld : null;
+        try {
+            await this.switchWorld(fromWorld);
+            const matches = await this.worldManager.search(type, options.name || null, { where: options.where });
+            const ids = new Set(matches.map(document => document.id));
+            const { documents } = await this.worldManager.exportDocuments({ types: [type] });
+            const entries = documents
+                .filter(({ data }) => ids.has(data._id))
+                .map(({ documentName, data }) => {
+                    const { _stats, folder, ownership, ...copy } = data;
+                    return { file: `${documentName}.${data._id}`, type, data: copy };
+                });
+
+            const result = { from: fromWorld, to: toWorld, type, copied: 0, documents: [] };
+            if (entries.length === 0) {
+                return result;
+            }
+
+            await this.switchWorld(toWorld);
+            const imported = await this.worldManager.importDocuments(entries, { ids: options.keepId ? 'keep' : 'new', noImage: options.noImage });
+            return {
+                ...result,
+                copied: imported.created,
+                documents: imported.documents.map(({ file, ...document }) => ({ source: file, ...document }))
+            };
+        } finally {
+            if (previousWorld) {
+                await this.switchWorld(previousWorld);
+            }
+        }
     }
 
     /**
      * Cleanup resources
      */
     async cleanup() {
-        if (this.serverManager) {
+        // Only tear down what this manager started; a daemon may own the running server
+        if (this.serverManager && (this.serverManager.process || this.serverManager.browser)) {
             await this.serverManager.cleanup();
         }
         this.initialized = false;
@@ -341,610 +459,801 @@ export class FoundryManager {
     }
 }
 
+// Commands that work from the data directory alone and are never sent to a daemon
+const OFFLINE_COMMANDS = new Set(['list-systems', 'list-system-types', 'config-show', 'completion', 'complete']);
+
+// Commands that take a JSON payload, mapped to whether it may come from stdin
+const JSON_INPUT_COMMANDS = {
+    insert: false,
+    upsert: false,
+    update: false,
+    'pack-create': false,
+    'pack-update': false,
+    validate: true
+};
+
+// Commands that read a directory of document files, also resolved by a forwarding client
+const DIRECTORY_INPUT_COMMANDS = new Set(['import', 'sync-plan', 'sync-apply']);
+
+// Commands that read a CSV file, mapped to the positional naming it; also resolved by a forwarding client
+const CSV_INPUT_COMMANDS = { 'users-import': 'csv', 'table-import': 'csv' };
+
+// Commands that write a file, mapped to the positional naming it; resolved by a forwarding client
+const FILE_OUTPUT_COMMANDS = { 'table-export': 'csv' };
+
+// Commands that read Markdown notes, also resolved by a forwarding client
+const MARKDOWN_INPUT_COMMANDS = new Set(['journal-import']);
+
 /**
  * CLI Validator class
  */
 class FoundryValidator {
     constructor() {
         this.manager = null;
+        this.config = null;
         this.credentialManager = new CredentialManager();
     }
 
-    /**
-     * Parse command line arguments
-     */
-    parseArguments() {
-        const options = {
-            system: {
-                type: 'string',
-                short: 's',
-                description: 'System name (e.g., dnd5e, pf2e) for type discovery'
-            },
-            type: {
-                type: 'string',
-                short: 't',
-                description: 'Object type (e.g., actor, item, weapon, spell)'
-            },
-            'list-systems': {
-                type: 'boolean',
-                description: 'List all available game systems'
-            },
-            'list-worlds': {
-                type: 'boolean',
-                description: 'List available worlds'
-            },
-            'list-types': {
-                type: 'boolean',
-                description: 'List available object types (use with -s for specific system)'
-            },
-            'list-images': {
-                type: 'boolean',
-                description: 'List available images from core and system folders'
-            },
-            'image-pattern': {
-                type: 'string',
-                description: 'Pattern for filtering images (supports wildcards: *, ?)'
-            },
-            schema: {
-                type: 'boolean',
-                description: 'Extract and display the expected schema'
-            },
-            world: {
-                type: 'string',
-                short: 'w',
-                description: 'World ID to use for validation'
-            },
-            file: {
-                type: 'string',
-                short: 'f',
-                description: 'JSON file containing object data'
-            },
-            read: {
-                type: 'boolean',
-                short: 'r',
-                description: 'Read/list documents'
-            },
-            insert: {
-                type: 'boolean',
-                short: 'i',
-                description: 'Insert/create a new document'
-            },
-            name: {
-                type: 'string',
-                description: 'Filter by name (with wildcards *, ?)'
-            },
-            create: {
-                type: 'boolean',
-                short: 'c',
-                description: 'Validate for document creation'
-            },
-            update: {
-                type: 'boolean',
-                short: 'u',
-                description: 'Validate for document update'
-            },
-            delete: {
-                type: 'boolean',
-                short: 'd',
-                description: 'Delete a document by ID'
-            },
-            id: {
-                type: 'string',
-                description: 'Document ID for update/delete operations'
-            },
-            verbose: {
-                type: 'boolean',
-                short: 'v',
-                description: 'Enable verbose output'
-            },
-            'no-image': {
-                type: 'boolean',
-                description: 'Skip image validation (allow creation without images)'
-            },
-            help: {
-                type: 'boolean',
-                short: 'h',
-                description: 'Show help message'
-            },
-            'set-admin-password': {
-                type: 'boolean',
-                description: 'Set or update FoundryVTT administrator password'
-            },
-            'set-world-password': {
-                type: 'boolean',
-                description: 'Set or update world password'
-            },
-            'credential-status': {
-                type: 'boolean',
-                description: 'Check credential storage status'
-            },
-            'clear-credentials': {
-                type: 'boolean',
-                description: 'Clear all stored credentials'
-            }
-        };
-
-        const { values, positionals } = parseArgs({
-            options,
-            allowPositionals: true,
-            strict: false
-        });
-
-        return { ...values, positionals };
-    }
-
     /**
      * Display help message
+     * @param {string} text - Help text (default: the command overview)
      */
-    showHelp() {
-        const helpText = `
-FoundryVTT Object Validator - Puppeteer Edition
-
-USAGE:
-  foundry-manager.mjs [options] [json_string]
-
-OPTIONS:
-  -s, --system <id>               System ID (e.g., dnd5e, pf2e) for type discovery
-  -t, --type <type>               Object type (e.g., weapon, npc, spell)
-  -w, --world <id>                World ID to use (defaults to first available)
-  -f, --file <path>               Read JSON from file
-  -r, --read                      Read/list documents
-  -i, --insert                    Insert/create a new document
-  --name <pattern>                Filter by name (with wildcards *, ?)
-  -c, --create                    Validate for creation (default)
-  -u, --update                    Validate for update
-  -d, --delete                    Delete a document by ID
-  --id <id>                       Document ID for update/delete operations
-  -v, --verbose                   Enable verbose output
-  --no-image                      Skip image validation (allow creation without images)
-  -h, --help                      Show this help message
-
-  --list-systems                  List all available game systems
-  --list-worlds                   List available worlds
-  --list-types                    List available object types (use with -s for specific system)
-  --list-images                   List available images from core and system folders
-  --image-pattern <pattern>       Filter images by pattern (supports wildcards: *, ?)
-  --schema                        Extract and display expected schema
-
-  --set-admin-password            Set administrator password
-  --set-world-password            Set world password
-  --credential-status             Check credential status
-  --clear-credentials             Clear stored credentials
-
-EXAMPLES:
-  # System Discovery
-  foundry-manager.mjs --list-systems                              # List all systems
-  foundry-manager.mjs --list-types -s dnd5e                       # List D&D 5e types
-  foundry-manager.mjs --list-types -s pf2e                        # List Pathfinder 2e types
-
-  # Validation
-  foundry-manager.mjs -t weapon '{"name": "Longsword", "type": "weapon"}'
-  foundry-manager.mjs -t npc -f my-npc.json
-
-  # Schema extraction
-  foundry-manager.mjs -t weapon --schema                          # From active world
-  foundry-manager.mjs -s dnd5e -t weapon --schema                 # From specific system
-
-  # World operations
-  foundry-manager.mjs --list-worlds                               # List worlds
-  foundry-manager.mjs -w myworld -t actor actor.json              # Use specific world
-
-  # CRUD Operations  
-  foundry-manager.mjs -w world -t character -r                    # READ: List all characters
-  foundry-manager.mjs -w world -t character -r --name "Hero*"     # SEARCH: Find by name pattern
-  foundry-manager.mjs -w world -t character -i '{"name":"Hero"}'  # CREATE: Insert new character
-  foundry-manager.mjs -w world -t character -u --id "abc123" '{"hp":{"value":50}}' # UPDATE: Modify by ID
-  foundry-manager.mjs -w world -t character -d --id "abc123"      # DELETE: Remove by ID
-
-EXIT CODES:
-  0    Validation successful
-  1    Validation failed or error occurred
-`;
-        console.log(helpText.trim());
+    showHelp(text = formatOverview()) {
+        console.log(text.trim());
     }
 
     /**
      * Handle credential management commands
+     * @returns {Promise<Object|null>} Command result, or null if no credential command was given
      */
     async handleCredentialCommand(args) {
         if (args['set-admin-password']) {
             await this.credentialManager.setAdminPassword();
-            return true;
+            return { updated: 'adminPassword' };
         }
         
         if (args['set-world-password']) {
             await this.credentialManager.setWorldPassword();
-            return true;
+            return { updated: 'worldPassword' };
         }
         
         if (args['credential-status']) {
-            if (typeof this.credentialManager === 'object' && this.credentialManager !== null) {
-                if (typeof this.credentialManager.showStatus === 'function') {
-                    this.credentialManager.showStatus();
-                } else {
-                    console.error('Diagnostic: this.credentialManager.showStatus is not a function.');
-                    console.error('Type of this.credentialManager:', typeof this.credentialManager);
-                    console.error('Keys on this.credentialManager:', Object.keys(this.credentialManager));
-                    console.error('Prototype of this.credentialManager:', Object.getPrototypeOf(this.credentialManager));
-                }
-            } else {
-                console.error('Diagnostic: this.credentialManager is not an object or is null.');
-                console.error('Value of this.credentialManager:', this.credentialManager);
+            if (!this.output.isStructured()) {
+                this.credentialManager.showStatus();
             }
-            return true;
+            return this.credentialManager.getStatus();
         }
         
         if (args['clear-credentials']) {
             await this.credentialManager.clearCredentials();
-            return true;
+            return { cleared: true };
         }
         
-        return false;
+        return null;
     }
 
     /**
-     * Main run method
+     * Throw a usage error when a required option is missing
+     * @private
      */
-    async run() {
-        const args = this.parseArguments();
+    _requireOption(args, option, message) {
+        if (!args[option]) {
+            throw new ValidationError(message, option, 'MISSING_ARGUMENT');
+        }
+    }
 
-        // Handle help
-        if (args.help) {
-            this.showHelp();
-            process.exit(0);
+    /**
+     * Read the JSON payload for a command from --file, the first positional or stdin
+     * @param {Object} args - Parsed arguments
+     * @param {string} operation - Operation name used in error messages
+     * @param {boolean} allowStdin - Fall back to reading stdin when no data is given
+     * @returns {Promise<Object>} Parsed JSON data
+     */
+    async readJsonInput(args, operation, allowStdin = false) {
+        // Already read by a client that forwarded this command to the daemon
+        if (args.inputData !== undefined) {
+            return args.inputData;
         }
 
-        // Handle credential commands
-        if (await this.handleCredentialCommand(args)) {
-            process.exit(0);
+        let input;
+        if (args.file) {
+            if (!existsSync(args.file)) {
+                throw new ValidationError(`File not found: ${args.file}`, 'file', 'FILE_NOT_FOUND');
+            }
+            input = readFileSync(args.file, 'utf8');
+        } else if (args.positionals.length > 0) {
+            input = args.positionals[0];
+        } else if (allowStdin) {
+            const chunks = [];
+            for await (const chunk of process.stdin) {
+                chunks.push(chunk);
+            }
+            input = Buffer.concat(chunks).toString();
+        } else {
+            throw new ValidationError(
+                `JSON data or file (-f) is required for ${operation} operations.`,
+                'file',
+                'MISSING_ARGUMENT'
+            );
         }
 
         try {
-            // Create manager
-            this.manager = new FoundryManager({
-                verbose: args.verbose,
-                server: {
-                    world: args.world
-                }
-            });
+            return JSON.parse(input);
+        } catch (error) {
+            throw new ValidationError(`Invalid JSON input: ${error.message}`, null, 'INVALID_JSON');
+        }
+    }
 
-            // Handle list systems (doesn't require server startup)
-            if (args['list-systems']) {
-                await this.manager.systemDiscovery.listSystems();
-                process.exit(0);
-            }
+    /**
+     * Read the document files of a directory command
+     * @param {Object} args - Parsed arguments (dir, type)
+     * @returns {Promise<{directory: string, entries: Array<Object>}>} See readDocumentDirectory()
+     */
+    async readDirectoryInput(args) {
+        // Already read by a client that forwarded this command to the daemon
+        if (args.inputData !== undefined) {
+            return args.inputData;
+        }
+        return await readDocumentDirectory(args.dir, { type: args.type });
+    }
 
-            // Handle list types with system specified (doesn't require server startup)
-            if (args['list-types'] && args.system) {
-                await this.manager.systemDiscovery.listSystemObjectTypes(args.system);
-                process.exit(0);
-            }
+    /**
+     * Read the CSV file of a command
+     * @param {Object} args - Parsed arguments
+     * @param {string} positional - Argument naming the file
+     * @returns {Promise<{file: string, columns: Array<string>, rows: Array<Object>}>} See parseCsv()
+     */
+    async readCsvInput(args, positional) {
+        // Already read by a client that forwarded this command to the daemon
+        if (args.inputData !== undefined) {
+            return args.inputData;
+        }
+        const path = args[positional];
+        if (!existsSync(path)) {
+            throw new ValidationError(`File not found: ${path}`, positional, 'FILE_NOT_FOUND');
+        }
+        return { file: basename(path), ...parseCsv(readFileSync(path, 'utf8')) };
+    }
 
-            // Handle list worlds
-            if (args['list-worlds']) {
-                const worlds = await this.manager.listWorlds();
-                console.log('\n📁 Available Worlds:');
-                if (worlds.length === 0) {
-                    console.log('   No worlds found');
-                } else {
-                    worlds.forEach(world => console.log(`   - ${world}`));
+    /**
+     * Read the Markdown file or directory of a command, with the images it uses
+     * @param {Object} args - Parsed arguments (path)
+     * @returns {Promise<Object>} See readMarkdownSource()
+     */
+    async readMarkdownInput(args) {
+        // Already read by a client that forwarded this command to the daemon
+        if (args.inputData !== undefined) {
+            return args.inputData;
+        }
+        return await readMarkdownSource(args.path);
+    }
+
+    /**
+     * Collect the available object types grouped by document type
+     * Used to help the user after a search with an unknown type.
+     * @private
+     * @returns {Promise<Object|null>} Map of document type to {subtype: label}
+     */
+    async _collectAvailableTypes() {
+        try {
+            const availableTypes = await this.manager.validator.getSystemObjectTypes();
+            const grouped = {};
+            for (const [key, info] of Object.entries(availableTypes)) {
+                if (!grouped[info.documentType]) {
+                    grouped[info.documentType] = {};
                 }
-                await this.manager.cleanup();
-                process.exit(0);
+                grouped[info.documentType][key] = info.label;
             }
-
-            // Handle list types
-            if (args['list-types']) {
+            return grouped;
+        } catch (typeError) {
+            // Fallback: try to get types from listTypes
+            try {
                 const types = await this.manager.listTypes();
-                console.log(`
-📋 Available Types for ${types.systemTitle}:`);
-                
-                for (const [docType, subtypes] of Object.entries(types.types)) {
-                    const subtypeList = Object.keys(subtypes);
-                    if (subtypeList.length > 0) {
-                        console.log(`
-${docType}:`);
-                        subtypeList.forEach(type => {
-                            console.log(`   - ${type}: ${subtypes[type]}`);
-                        });
-                    }
-                }
-                await this.manager.cleanup();
-                process.exit(0);
+                return Object.fromEntries(
+                    Object.entries(types.types).filter(([, subtypes]) => Object.keys(subtypes).length > 0)
+                );
+            } catch (fallbackError) {
+                console.error('Could not retrieve available types:', fallbackError.message);
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Execute a command and return its result
+     * @param {string} command - Command name from parseCommandLine()
+     * @param {Object} args - Parsed arguments
+     * @returns {Promise<Object>} Plain, JSON-serializable command result
+     */
+    async executeCommand(command, args) {
+        // Mutations are journaled with the command that made them; input read from files is left out
+        if (MUTATING_COMMANDS.has(command)) {
+            const { inputData, ...recorded } = args;
+            this.manager.commandContext = { command, args: recorded };
+        }
+
+        switch (command) {
+            // Doesn't require server startup
+            case 'config-show':
+                return this.config.show();
+
+            case 'completion':
+                return { shell: args.shell, script: ShellCompletion.script(args.shell, process.argv[1]) };
+
+            case 'complete': {
+                const completion = new ShellCompletion(this.manager.systemDiscovery, {
+                    world: this.config.get('world'),
+                    system: this.config.get('system')
+                });
+                return { candidates: await completion.complete(args.positionals) };
+            }
+
+            case 'list-systems': {
+                const systems = await this.manager.systemDiscovery.getAllSystems();
+                return { systems: systems.map(({ manifest, ...system }) => system) };
             }
 
-            // Handle list images
-            if (args['list-images']) {
+            // Doesn't require server startup
+            case 'list-system-types':
+                return await this.manager.systemDiscovery.getSystemObjectTypes(args.system);
+
+            case 'list-worlds':
+                return { worlds: await this.manager.listWorlds() };
+
+            case 'list-types':
+                return await this.manager.listTypes();
+
+            case 'list-images': {
                 const pattern = args['image-pattern'] || '*'; // Default to all if no pattern
                 console.log(`\n🖼️  Discovering available images${pattern !== '*' ? ` matching "${pattern}"` : ''}...`);
                 const images = await this.manager.listImages();
-                
-                // Helper function to filter images by pattern
-                const filterByPattern = (imageList, searchPattern) => {
-                    if (searchPattern === '*' || !searchPattern) return imageList;
-                    const regex = new RegExp(searchPattern.replace(/\*/g, '.*').replace(/\?/g, '.'), 'i');
-                    return imageList.filter(img => regex.test(img));
+                return {
+                    pattern,
+                    systemId: images.metadata.systemId,
+                    systemTitle: images.metadata.systemTitle,
+                    core: filterByPattern(images.core, pattern),
+                    system: filterByPattern(images.system, pattern),
+                    user: filterByPattern(images.user, pattern),
+                    totalAvailable: images.core.length + images.system.length + images.user.length
                 };
-                
-                const filteredCore = filterByPattern(images.core, pattern);
-                const filteredSystem = filterByPattern(images.system, pattern);
-                const filteredUser = filterByPattern(images.user, pattern);
-                
-                console.log(`\n📋 Available Images for ${images.metadata.systemTitle || 'FoundryVTT'}:`);
-                
-                if (filteredCore.length > 0) {
-                    console.log(`\n🎯 Core FoundryVTT Icons (${filteredCore.length}):`);
-                    filteredCore.forEach(img => {
-                        console.log(`   - ${img}`);
-                    });
-                }
-                
-                if (filteredSystem.length > 0) {
-                    console.log(`\n🎲 System Icons (${filteredSystem.length}):`);
-                    filteredSystem.forEach(img => {
-                        console.log(`   - ${img}`);
-                    });
-                }
-                
-                if (filteredUser.length > 0) {
-                    console.log(`\n👤 User Images (${filteredUser.length}):`);
-                    filteredUser.forEach(img => {
-                        console.log(`   - ${img}`);
-                    });
-                }
-                
-                const totalFiltered = filteredCore.length + filteredSystem.length + filteredUser.length;
-                const totalImages = images.core.length + images.system.length + images.user.length;
-                
-                if (pattern !== '*' && pattern) {
-                    console.log(`\n📊 Found ${totalFiltered} images matching "${pattern}" (${totalImages} total available)`);
-                } else {
-                    console.log(`\n📊 Total available images: ${totalImages}`);
-                }
-                
-                if (totalFiltered === 0 && pattern !== '*') {
-                    console.log(`\n💡 No images found matching "${pattern}". Try a different pattern or use --list-images to see all available images.`);
-                } else {
-                    console.log('\n💡 Use any of these image paths in your document data');
-                }
-                
-                await this.manager.cleanup();
-                process.exit(0);
             }
 
-            // Handle read/search documents
-            if (args.read) {
-                if (!args.type) {
-                    console.error('Error: Document type (-t) is required for read/search operations.');
-                    process.exit(1);
-                }
+            case 'get': {
+                console.log(`\n🔍 Getting ${args.type} document with ID: ${args.id}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.get(args.type, args.id, { fields: args.fields });
+            }
+
+            case 'read': {
+                this._requireOption(args, 'type', 'Document type (-t) is required for read/search operations.');
                 console.log(`\n🔍 Searching for ${args.type} documents...`);
                 await this.manager._ensureInitialized();
-                
+
                 try {
-                    const documents = await this.manager.worldManager.search(args.type, args.name);
-                    if (documents.length === 0) {
-                        console.log('   No documents found matching criteria.');
-                    } else {
-                        console.log(`   Found ${documents.length} documents:`);
-                        documents.forEach(doc => {
-                            console.log(`   - ID: ${doc.id}, Name: ${doc.name}`);
-                        });
+                    const worldManager = this.manager.worldManager;
+                    const filters = { type: args.type, name: args.name || null, where: args.where || null };
+                    if (args.count) {
+                        return { ...filters, count: await worldManager.count(args.type, args.name, { where: args.where }) };
                     }
+
+                    const documents = await worldManager.search(args.type, args.name, {
+                        fields: args.fields, where: args.where, sort: args.sort, limit: args.limit, offset: args.offset
+                    });
+                    return { ...filters, documents };
                 } catch (error) {
-                    // If it's a type error, show available types
-                    if (error.message.includes('not found') || error.message.includes('Invalid type')) {
-                        console.error(`\n❌ Error: ${error.message}`);
-                        
-                        // Get available types from the system
-                        try {
-                            const availableTypes = await this.manager.validator.getSystemObjectTypes();
-                            console.log('\n📋 Available object types for this system:');
-                            
-                            // Group by document type
-                            const grouped = {};
-                            for (const [key, info] of Object.entries(availableTypes)) {
-                                if (!grouped[info.documentType]) {
-                                    grouped[info.documentType] = [];
-                                }
-                                grouped[info.documentType].push({ key, label: info.label });
-                            }
-                            
-                            // Display grouped types
-                            for (const [docType, types] of Object.entries(grouped)) {
-                                console.log(`\n  ${docType}s:`);
-                                types.forEach(({ key, label }) => {
-                                    console.log(`    - ${key}: ${label}`);
-                                });
-                            }
-                            
-                            console.log('\n💡 Tip: Use one of the above types with the -t option');
-                        } catch (typeError) {
-                            // Fallback: try to get types from listTypes
-                            try {
-                                const types = await this.manager.listTypes();
-                                console.log(`\n📋 Available types for ${types.systemTitle}:`);
-                                
-                                for (const [docType, subtypes] of Object.entries(types.types)) {
-                                    const subtypeList = Object.keys(subtypes);
-                                    if (subtypeList.length > 0) {
-                                        console.log(`\n${docType}:`);
-                                        subtypeList.forEach(type => {
-                                            console.log(`   - ${type}: ${subtypes[type]}`);
-                                        });
-                                    }
-                                }
-                                
-                                console.log('\n💡 Tip: Use one of the above types with the -t option');
-                            } catch (fallbackError) {
-                                console.error('Could not retrieve available types:', fallbackError.message);
-                            }
-                        }
-                        await this.manager.cleanup();
-                        process.exit(1);
-                    } else {
-                        throw error;
+                    // If it's a type error, report the available types
+                    if ((error.code === 'UNKNOWN_TYPE' || error.message.includes('Invalid type')) && !isEmbeddedPath(args.type)) {
+                        throw new ValidationError(error.message, 'type', 'UNKNOWN_TYPE', {
+                            availableTypes: await this._collectAvailableTypes()
+                        });
                     }
+                    throw error;
                 }
-                
-                await this.manager.cleanup();
-                process.exit(0);
             }
 
-            // Handle insert/create document
-            if (args.insert) {
-                if (!args.type) {
-                    console.error('Error: Document type (-t) is required for insert operations.');
-                    process.exit(1);
-                }
-                let jsonData;
-                if (args.file) {
-                    if (!existsSync(args.file)) {
-                        console.error(`Error: File not found: ${args.file}`);
-                        process.exit(1);
-                    }
-                    const fileContent = readFileSync(args.file, 'utf8');
-                    jsonData = JSON.parse(fileContent);
-                } else if (args.positionals.length > 0) {
-                    jsonData = JSON.parse(args.positionals[0]);
-                } else {
-                    console.error('Error: JSON data or file (-f) is required for insert operations.');
-                    process.exit(1);
-                }
+            case 'insert': {
+                this._requireOption(args, 'type', 'Document type (-t) is required for insert operations.');
+                const jsonData = await this.readJsonInput(args, 'insert');
 
-                console.log(`\n➕ Creating ${args.type} document...`);
+                console.log(args['dry-run'] ? `\n🔍 Previewing creation of ${args.type} document...` : `\n➕ Creating ${args.type} document...`);
                 await this.manager._ensureInitialized();
-                const result = await this.manager.worldManager.create(args.type, jsonData, { noImage: args['no-image'] });
-                console.log(`✅ Document created successfully! ID: ${result.id}, Name: ${result.name}`);
-                await this.manager.cleanup();
-                process.exit(0);
+                return await this.manager.worldManager.create(args.type, jsonData, {
+                    noImage: args['no-image'],
+                    folder: args.folder,
+                    owner: parseOwners(args.owner),
+                    ids: args.ids,
+                    dryRun: args['dry-run']
+                });
             }
 
-            // Handle update document
-            if (args.update) {
-                if (!args.type) {
-                    console.error('Error: Document type (-t) is required for update operations.');
-                    process.exit(1);
-                }
-                if (!args.id) {
-                    console.error('Error: Document ID (--id) is required for update operations.');
-                    process.exit(1);
-                }
-                let jsonData;
-                if (args.file) {
-                    if (!existsSync(args.file)) {
-                        console.error(`Error: File not found: ${args.file}`);
-                        process.exit(1);
-                    }
-                    const fileContent = readFileSync(args.file, 'utf8');
-                    jsonData = JSON.parse(fileContent);
-                } else if (args.positionals.length > 0) {
-                    jsonData = JSON.parse(args.positionals[0]);
-                } else {
-                    console.error('Error: JSON data or file (-f) is required for update operations.');
-                    process.exit(1);
-                }
+            case 'upsert': {
+                const jsonData = await this.readJsonInput(args, 'upsert');
+                const matchBy = args['match-by'] || '_id';
 
-                console.log(`\n🔄 Updating ${args.type} document with ID: ${args.id}...`);
+                console.log(args['dry-run'] ? `\n🔍 Previewing upsert of ${args.type} document by ${matchBy}...` : `\n🔁 Upserting ${args.type} document by ${matchBy}...`);
                 await this.manager._ensureInitialized();
-                const result = await this.manager.worldManager.update(args.type, args.id, jsonData);
-                console.log(`✅ Document updated successfully! ID: ${result.id}, Name: ${result.name}`);
-                await this.manager.cleanup();
-                process.exit(0);
+                return await this.manager.worldManager.upsert(args.type, jsonData, {
+                    matchBy,
+                    onMultiple: args['on-multiple'],
+                    folder: args.folder,
+                    noImage: args['no-image'],
+                    dryRun: args['dry-run']
+                });
             }
 
-            // Handle delete document
-            if (args.delete) {
-                if (!args.type) {
-                    console.error('Error: Document type (-t) is required for delete operations.');
-                    process.exit(1);
-                }
-                if (!args.id) {
-                    console.error('Error: Document ID (--id) is required for delete operations.');
-                    process.exit(1);
-                }
+            case 'update': {
+                this._requireOption(args, 'type', 'Document type (-t) is required for update operations.');
+                this._requireOption(args, 'id', 'Document ID (--id) is required for update operations.');
+                const jsonData = await this.readJsonInput(args, 'update');
 
-                console.log(`\n🗑️ Deleting ${args.type} document with ID: ${args.id}...`);
+                console.log(args['dry-run'] ? `\n🔍 Previewing update of ${args.type} document with ID: ${args.id}...` : `\n🔄 Updating ${args.type} document with ID: ${args.id}...`);
                 await this.manager._ensureInitialized();
-                const result = await this.manager.worldManager.delete(args.type, args.id);
-                console.log(`✅ Document with ID: ${result.id} deleted successfully!`);
-                await this.manager.cleanup();
-                process.exit(0);
+                return await this.manager.worldManager.update(args.type, args.id, jsonData, {
+                    owner: parseOwners(args.owner),
+                    dryRun: args['dry-run']
+                });
             }
 
-            // Handle schema extraction
-            if (args.schema) {
-                if (!args.type) {
-                    console.error('Error: Type (-t) is required for schema extraction');
-                    process.exit(1);
+            case 'delete': {
+                this._requireOption(args, 'type', 'Document type (-t) is required for delete operations.');
+                this._requireOption(args, 'id', 'Document ID (--id) is required for delete operations.');
+
+                console.log(args['dry-run'] ? `\n🔍 Previewing deletion of ${args.type} document with ID: ${args.id}...` : `\n🗑️ Deleting ${args.type} document with ID: ${args.id}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.delete(args.type, args.id, { dryRun: args['dry-run'] });
+            }
+
+            case 'clone':
+                console.log(`\n🧬 Cloning ${args.type} document with ID: ${args.id}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.clone(args.type, args.id, {
+                    set: parseAssignments(args.set),
+                    count: args.count,
+                    folder: args.folder,
+                    noImage: args['no-image']
+                });
+
+            case 'copy':
+                console.log(`\n📋 Copying ${args.type} documents from ${args['from-world']} to ${args['to-world']}...`);
+                return await this.manager.copyDocuments(args['from-world'], args['to-world'], args.type, {
+                    name: args.name,
+                    where: args.where,
+                    keepId: args['keep-id'],
+                    noImage: args['no-image']
+                });
+
+            case 'history': {
+                const journal = await this.manager.getJournal();
+                const limit = parseCount(args.limit, 'limit') ?? 20;
+                const entries = await journal.history({ limit });
+                return { journal: journal.path, entries: entries.map(summarizeEntry) };
+            }
+
+            case 'undo':
+                console.log(`\n↩️  Undoing the last ${args.n ?? 1} journal entries...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.undo(args.n ?? 1, { force: args.force });
+
+            case 'move':
+                this._requireOption(args, 'id', 'Document ID (--id) is required for move operations.');
+                console.log(`\n📁 Moving ${args.type} document ${args.id} to ${args.folder || '/'}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.move(args.type, args.id, args.folder);
+
+            case 'permissions': {
+                const owner = parseOwners(args.owner);
+                console.log(Object.keys(owner).length > 0 ? `\n🔐 Setting ownership of ${args.type} documents...` : `\n🔐 Reading ownership of ${args.type} documents...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.permissions(args.type, {
+                    id: args.id,
+                    name: args.name,
+                    where: args.where,
+                    folder: args.folder,
+                    owner
+                });
+            }
+
+            case 'list-folders':
+                await this.manager._ensureInitialized();
+                return { type: args.type || null, folders: await this.manager.worldManager.listFolders(args.type) };
+
+            case 'folder-create':
+                console.log(`\n📁 Creating ${args.type} folder ${args.folder}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.createFolder(args.type, args.folder, { color: args.color });
+
+            case 'folder-update':
+                console.log(`\n✏️  Updating ${args.type} folder ${args.folder}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.updateFolder(args.type, args.folder, { name: args.rename, color: args.color });
+
+            case 'folder-delete':
+                console.log(`\n🗑️  Deleting ${args.type} folder ${args.folder}${args.contents ? ' and its contents' : ''}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.deleteFolder(args.type, args.folder, { contents: args.contents });
+
+            case 'import': {
+                const { directory, entries } = await this.readDirectoryInput(args);
+                if (entries.length === 0) {
+                    throw new ValidationError(`No .json files found in ${directory}`, 'dir', 'INVALID_ARGUMENT');
                 }
 
-                const schema = await this.manager.getSchema(args.type);
-                console.log(`\n📋 Schema for ${args.type}:`);
-                console.log('='.repeat(60));
-                console.log(JSON.stringify(schema, null, 2));
-                await this.manager.cleanup();
-                process.exit(0);
+                console.log(`\n📦 Importing ${entries.length} files from ${directory}...`);
+                await this.manager._ensureInitialized();
+                const result = await this.manager.worldManager.importDocuments(entries, {
+                    noImage: args['no-image'],
+                    batchSize: args['batch-size'],
+                    ids: args.ids
+                });
+                return { directory, ...result };
+            }
+
+            case 'journal-import': {
+                const source = await this.readMarkdownInput(args);
+                console.log(`\n📜 Importing ${source.files.length} Markdown files from ${args.path}...`);
+                await this.manager._ensureInitialized();
+                const importer = new JournalImporter(this.manager.worldManager);
+                return await importer.import(source, { name: args.name, folder: args.folder, assets: args.assets });
             }
 
-            // Validate document
-            if (!args.type) {
-                console.error('Error: Type (-t) is required for validation');
-                console.error('Use --list-types to see available types');
-                process.exit(1);
+            case 'table-import': {
+                const { file, ...csv } = await this.readCsvInput(args, 'csv');
+                console.log(`\n🎲 Importing ${csv.rows.length} table results from ${file}...`);
+                await this.manager._ensureInitialized();
+                return await new RollTableCsv(this.manager.worldManager).import(csv, {
+                    file,
+                    name: args.name,
+                    folder: args.folder,
+                    formula: args.formula,
+                    noImage: args['no-image']
+                });
             }
 
-            // Get JSON data
-            let jsonData;
-            if (args.file) {
-                if (!existsSync(args.file)) {
-                    console.error(`Error: File not found: ${args.file}`);
-                    process.exit(1);
+            case 'table-export': {
+                console.log(`\n📤 Exporting roll table ${args.table}${args.csv ? ` to ${args.csv}` : ''}...`);
+                await this.manager._ensureInitialized();
+                const exported = await new RollTableCsv(this.manager.worldManager).export(args.table);
+                if (args.csv) {
+                    writeFileSync(args.csv, exported.csv);
                 }
-                const fileContent = readFileSync(args.file, 'utf8');
-                jsonData = JSON.parse(fileContent);
-            } else if (args.positionals.length > 0) {
-                jsonData = JSON.parse(args.positionals[0]);
-            } else {
-                // Read from stdin
-                const chunks = [];
-                for await (const chunk of process.stdin) {
-                    chunks.push(chunk);
+                return { ...exported, file: args.csv ?? null };
+            }
+
+            case 'sync-plan':
+            case 'sync-apply': {
+                const { directory, entries } = await this.readDirectoryInput(args);
+                console.log(`\n🔄 Comparing ${entries.length} files from ${directory} with the world...`);
+                await this.manager._ensureInitialized();
+
+                const sync = new WorldSync(this.manager.worldManager);
+                const plan = await sync.plan(entries, { matchBy: args['match-by'], prune: args.prune });
+                if (command === 'sync-plan') {
+                    return { directory, ...plan };
                 }
-                const input = Buffer.concat(chunks).toString();
-                jsonData = JSON.parse(input);
+
+                console.log(`🚀 Applying ${plan.create.length + plan.update.length + plan.delete.length} changes...`);
+                const applied = await sync.apply(plan, { noImage: args['no-image'] });
+                return { directory, ...plan, applied };
+            }
+
+            case 'export': {
+                console.log(`\n📤 Exporting world ${args.world} to ${args.dir}...`);
+                await this.manager._ensureInitialized();
+                const { types, documents } = await this.manager.worldManager.exportDocuments({ types: args.types });
+
+                // Only whole document types can be pruned; a subtype shares its directory with others
+                const prune = args.prune ? types.filter(type => !type.subtype).map(type => type.documentName) : [];
+                const { directory, removed } = await writeDocumentDirectory(args.dir, documents, { strip: args.strip, prune });
+
+                const counts = {};
+                documents.forEach(({ documentName }) => {
+                    counts[documentName] = (counts[documentName] || 0) + 1;
+                });
+                return { world: args.world, directory, exported: documents.length, counts, removed };
+            }
+
+            case 'check-links': {
+                console.log('\n🔗 Checking document links...');
+                await this.manager._ensureInitialized();
+                const checker = new LinkChecker(this.manager.worldManager);
+                return await checker.check({ types: args.types, fixPlan: args['fix-plan'] });
+            }
+
+            case 'list-users':
+                await this.manager._ensureInitialized();
+                return { users: await this.manager.worldManager.listUsers() };
+
+            case 'user-create':
+                console.log(`\n👤 Creating user ${args.name}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.createUser({
+                    name: args.name,
+                    role: args.role,
+                    password: args.password,
+                    color: args.color,
+                    character: args.character
+                });
+
+            case 'user-update':
+                console.log(`\n✏️  Updating user ${args.user}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.updateUser(args.user, {
+                    name: args.rename,
+                    role: args.role,
+                    password: args.password,
+                    color: args.color,
+                    character: args.character
+                });
+
+            case 'user-delete':
+                console.log(`\n🗑️  Deleting user ${args.user}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.deleteUser(args.user);
+
+            case 'users-import': {
+                const { file, ...roster } = await this.readCsvInput(args, 'csv');
+                console.log(`\n👥 Importing ${roster.rows.length} users from ${file}...`);
+                await this.manager._ensureInitialized();
+                return { file, ...await this.manager.worldManager.importUsers(roster, { file }) };
+            }
+
+            case 'list-packs':
+                await this.manager._ensureInitialized();
+                return { packs: await this.manager.worldManager.listPacks() };
+
+            case 'pack-find': {
+                console.log(`\n🔍 Searching compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                const filters = { pack: args.pack, name: args.name || null, where: args.where || null };
+                const options = {
+                    fields: args.fields, where: args.where, sort: args.sort, limit: args.limit, offset: args.offset, count: args.count
+                };
+                const found = await this.manager.worldManager.searchPack(args.pack, args.name, options);
+                return args.count ? { ...filters, count: found } : { ...filters, documents: found };
+            }
+
+            case 'pack-get':
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.getFromPack(args.pack, args.id, { fields: args.fields });
+
+            case 'pack-create': {
+                const jsonData = await this.readJsonInput(args, 'pack-create');
+                console.log(`\n➕ Creating document in compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.createInPack(args.pack, jsonData, { noImage: args['no-image'] });
+            }
+
+            case 'pack-update': {
+                const jsonData = await this.readJsonInput(args, 'pack-update');
+                console.log(`\n✏️  Updating document ${args.id} in compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.updateInPack(args.pack, args.id, jsonData);
+            }
+
+            case 'pack-delete':
+                console.log(`\n🗑️  Deleting document ${args.id} from compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.deleteFromPack(args.pack, args.id);
+
+            case 'pack-import':
+                console.log(`\n📥 Importing ${args.id} from compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.importFromPack(args.pack, args.id, { keepId: args['keep-id'] });
+
+            case 'pack-export':
+                console.log(`\n📤 Exporting ${args.type} ${args.id} to compendium ${args.pack}...`);
+                await this.manager._ensureInitialized();
+                return await this.manager.worldManager.exportToPack(args.pack, args.type, args.id);
+
+            case 'schema':
+                this._requireOption(args, 'type', 'Type (-t) is required for schema extraction');
+                return await this.manager.getSchema(args.type);
+
+            case 'validate': {
+                this._requireOption(args, 'type', 'Type (-t) is required for validation. Run "types" to see available types');
+                const jsonData = await this.readJsonInput(args, 'validate', true);
+
+                console.log(`\n🔍 Validating ${args.type}...`);
+                return await this.manager.validateDocument(args.type, jsonData, { noImage: args['no-image'] });
             }
 
-            // Validate
-            console.log(`\n🔍 Validating ${args.type}...`);
-            const result = await this.manager.validateDocument(args.type, jsonData, { noImage: args['no-image'] });
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    }
 
-            if (result.success) {
-                console.log(`✅ Validation successful!`);
-                if (args.verbose) {
-                    console.log('\nValidated document:');
-                    console.log(JSON.stringify(result.data, null, 2));
+    /**
+     * Run a command on the running daemon if there is one, locally otherwise
+     * @param {string} command - Command name from parseCommandLine()
+     * @param {Object} args - Parsed arguments
+     * @returns {Promise<Object>} Command result
+     */
+    async dispatchCommand(command, args) {
+        if (command === 'serve-status' || command === 'serve-stop') {
+            const client = await DaemonClient.connect();
+            if (!client) {
+                throw new ValidationError('No daemon is running. Start one with: foundry-manager.mjs serve', null, 'DAEMON_NOT_RUNNING');
+            }
+            try {
+                return await client.request(command === 'serve-stop' ? 'shutdown' : 'status');
+            } finally {
+                client.close();
+            }
+        }
+
+        if (!OFFLINE_COMMANDS.has(command) && !args['no-daemon']) {
+            const client = await DaemonClient.connect();
+            if (client) {
+                console.log('🛰️  Forwarding to running daemon...');
+                try {
+                    // File and stdin input are resolved here, relative to the caller
+                    if (command in JSON_INPUT_COMMANDS) {
+                        args.inputData = await this.readJsonInput(args, command, JSON_INPUT_COMMANDS[command]);
+                    }
+                    if (DIRECTORY_INPUT_COMMANDS.has(command)) {
+                        args.inputData = await this.readDirectoryInput(args);
+                    }
+                    if (command in CSV_INPUT_COMMANDS) {
+                        args.inputData = await this.readCsvInput(args, CSV_INPUT_COMMANDS[command]);
+                    }
+                    if (MARKDOWN_INPUT_COMMANDS.has(command)) {
+                        args.inputData = await this.readMarkdownInput(args);
+                    }
+                    if (args.dir) {
+                        args.dir = resolve(args.dir);
+                    }
+                    if (args[FILE_OUTPUT_COMMANDS[command]]) {
+                        args[FILE_OUTPUT_COMMANDS[command]] = resolve(args[FILE_OUTPUT_COMMANDS[command]]);
+                    }
+                    return await client.request(command, args);
+                } finally {
+                    client.close();
                 }
             }
+        }
 
-            await this.manager.cleanup();
+        return await this.executeCommand(command, args);
+    }
+
+    /**
+     * Start the daemon and keep serving until it is stopped
+     * @param {Object} args - Parsed arguments
+     */
+    async startDaemon(args) {
+        const daemon = new ManagerDaemon(
+            this.manager,
+            (command, commandArgs) => this.executeCommand(command, commandArgs)
+        );
+
+        // Checked before Foundry starts and the PID and socket files are written
+        const port = args.http ? parseHttpPort(args['http-port']) : null;
+
+        const shutdown = async () => {
+            await daemon.stop();
             process.exit(0);
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+
+        await daemon.start(args.world);
+
+        if (args.http) {
+            const restServer = new RestServer(this.manager, {
+                host: args['http-host'],
+                port,
+                runExclusive: operation => daemon.runExclusive(operation),
+                runShared: operation => daemon.runShared(operation)
+            });
+            try {
+                await restServer.start();
+            } catch (error) {
+                // Such as EADDRINUSE: stop the daemon so no stale PID or socket file is left
+                await daemon.stop();
+                throw error;
+            }
+        }
+
+        this.output.success('serve', daemon.getStatus());
+    }
+
+    /**
+     * Main run method
+     */
+    async run() {
+        const argv = process.argv.slice(2);
 
+        // Config defaults (such as --json) are needed before choosing the output format
+        let parsed = { command: null, args: { positionals: [] } };
+        let setupError = null;
+        try {
+            parsed = parseCommandLine(argv);
+            if (!parsed.help) {
+                this.config = ConfigManager.load({ configPath: parsed.args.config });
+                this.config.applyArgs(parsed.args, parsed.options);
+            }
         } catch (error) {
-            if (error instanceof ValidationError) {
-                console.error(`\n❌ Validation failed:`);
-                console.error(`   → ${error.message}`);
-                if (error.field) {
-                    console.error(`   → Field: ${error.field}`);
-                }
-                console.error(`   → Code: ${error.code}`);
-            } else {
-                console.error(`\n❌ Error: ${error.message}`);
-                if (args.verbose && error.stack) {
-                    console.error('\nStack trace:');
-                    console.error(error.stack);
+            setupError = error;
+        }
+        const args = parsed.args || { positionals: [] };
+
+        let format = OutputFormat.TEXT;
+        if (args.ndjson || (setupError && argv.includes('--ndjson'))) {
+            format = OutputFormat.NDJSON;
+        } else if (args.json || (setupError && argv.includes('--json'))) {
+            format = OutputFormat.JSON;
+        }
+        this.output = new CliOutput({ format, verbose: args.verbose });
+        if (this.output.isStructured()) {
+            this.output.redirectConsole();
+        }
+
+        // Handle help
+        if (parsed.help) {
+            this.showHelp(parsed.help);
+            process.exit(0);
+        }
+
+        let command = parsed.command;
+        try {
+            if (setupError) {
+                throw setupError;
+            }
+
+            // Completion candidates, and a table exported without a file, must be the only thing on stdout
+            if (command === 'complete' || (command === 'table-export' && !args.csv)) {
+                this.output.redirectConsole();
+            }
+
+            if (parsed.deprecated) {
+                console.warn(`⚠️  Flag-style commands are deprecated. Use: ${suggestSubcommand(command, args)}`);
+            }
+
+            // Handle credential commands
+            if (command === 'credentials') {
+                const credentialResult = await this.handleCredentialCommand(args);
+                if (this.output.isStructured()) {
+                    this.output.success(command, credentialResult);
                 }
+                process.exit(0);
+            }
+
+            // A system (given or configured) selects the offline type listing
+            if (command === 'list-types' && args.system) {
+                command = 'list-system-types';
+            }
+
+            // Create manager
+            this.manager = new FoundryManager({
+                verbose: args.verbose,
+                progressStream: this.output.progressStream,
+                server: this.config.toServerOptions()
+            });
+
+            // The daemon keeps the process alive until it is stopped
+            if (command === 'serve') {
+                await this.startDaemon(args);
+                return;
             }
+
+            if (command === 'repl') {
+                const shell = new ReplShell(this.manager, {
+                    output: this.output,
+                    verbose: args.verbose,
+                    noImage: args['no-image']
+                });
+                await shell.start();
+                await this.manager.cleanup();
+                process.exit(0);
+            }
+
+            const result = await this.dispatchCommand(command, args);
+            this.output.success(command, result);
+
+            await this.manager.cleanup();
+            process.exit(0);
+
+        } catch (error) {
+            this.output.failure(command, error);
             
             if (this.manager) {
                 await this.manager.cleanup();
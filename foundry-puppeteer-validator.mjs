@@ -12,14 +12,27 @@ import fs from 'fs/promises';
 
 // Custom error class for validation errors
 export class ValidationError extends Error {
-    constructor(message, field = null, code = 'VALIDATION_ERROR') {
+    constructor(message, field = null, code = 'VALIDATION_ERROR', details = null) {
         super(message);
         this.name = 'ValidationError';
         this.field = field;
         this.code = code;
+        this.details = details;
     }
 }
 
+/**
+ * Data for a document without subtypes, such as User, RollTable or JournalEntry
+ * validateDocument() requires a type on every top-level document. These
+ * documents have none, so they are given their own document name as one.
+ * @param {string} documentName - Document name, e.g. "User"
+ * @param {Object} data - Document data
+ * @returns {Object} A copy of data with type set to documentName
+ */
+export function withOwnType(documentName, data) {
+    return { ...data, type: documentName };
+}
+
 export class FoundryPuppeteerValidator {
     /**
      * Create a new validator instance
@@ -613,7 +626,7 @@ export class FoundryPuppeteerValidator {
             const totalImages = availableImages.core.length + availableImages.system.length + availableImages.user.length;
             
             throw new ValidationError(
-                `Image is required for document creation. Found ${totalImages} available images. Use --list-images to see available images.`,
+                `Image is required for document creation. Found ${totalImages} available images. Run "images" to see available images.`,
                 'img',
                 'MISSING_IMAGE'
             );
@@ -623,7 +636,7 @@ export class FoundryPuppeteerValidator {
         const imageExists = await this.validateImageExists(documentData.img);
         if (!imageExists) {
             throw new ValidationError(
-                `Image not found: ${documentData.img}. Use --list-images to see available images.`,
+                `Image not found: ${documentData.img}. Run "images" to see available images.`,
                 'img',
                 'IMAGE_NOT_FOUND'
             );
@@ -642,6 +655,8 @@ export class FoundryPuppeteerValidator {
      * @param {Object} documentData - Document data to validate
      * @param {Object} options - Validation options
      * @param {boolean} options.noImage - Skip image validation
+     * @param {boolean} options.embedded - Validate an embedded document (ActiveEffect, Token, JournalEntryPage, ...):
+     *   name and type are left to the document schema instead of being required
      * @returns {Promise<Object>} Validation result with success status and validated data
      */
     async validateDocument(documentType, documentData, options = {}) {
@@ -671,7 +686,7 @@ export class FoundryPuppeteerValidator {
             
             console.log(`🔗 Type mapping: ${originalType} → ${mappedDocumentType}`);
             
-            const result = await this.serverManager.page.evaluate(async (docType, docData, timeout, subType) => {
+            const result = await this.serverManager.page.evaluate(async (docType, docData, timeout, subType, embedded) => {
                 // Helper function to extract validation errors
                 const extractValidationErrors = (error) => {
                     const errors = [];
@@ -708,7 +723,13 @@ export class FoundryPuppeteerValidator {
                         // Normalize document type to proper case
                         // For types like JournalEntry, RollTable, ensure correct capitalization
                         let normalizedType = docType;
-                        if (normalizedType.toLowerCase() === 'journalentry') {
+                        const configKey = Object.keys(window.CONFIG || {}).find(
+                            key => key.toLowerCase() === docType.toLowerCase() && window.CONFIG[key]?.documentClass
+                        );
+                        if (configKey) {
+                            // Exact CONFIG key, e.g. ActiveEffect or JournalEntryPage
+                            normalizedType = configKey;
+                        } else if (normalizedType.toLowerCase() === 'journalentry') {
                             normalizedType = 'JournalEntry';
                         } else if (normalizedType.toLowerCase() === 'rolltable') {
                             normalizedType = 'RollTable';
@@ -773,7 +794,7 @@ export class FoundryPuppeteerValidator {
                         }
                         
                         // Validate required fields
-                        if (!docData.name) {
+                        if (!docData.name && !embedded) {
                             resolve({
                                 success: false,
                                 error: 'Document must have a name',
@@ -784,7 +805,7 @@ export class FoundryPuppeteerValidator {
                             return;
                         }
                         
-                        if (!docData.type) {
+                        if (!docData.type && !embedded) {
                             resolve({
                                 success: false,
                                 error: 'Document must have a type',
@@ -795,8 +816,11 @@ export class FoundryPuppeteerValidator {
                             return;
                         }
 
+                        // Embedded documents without a type get their schema's default
+                        const checkType = !embedded || !!docData.type;
+
                         // Special handling for top-level documents like JournalEntry and RollTable
-                        if (normalizedType === 'JournalEntry' || normalizedType === 'RollTable') {
+                        if (checkType && (normalizedType === 'JournalEntry' || normalizedType === 'RollTable')) {
                             if (docData.type !== normalizedType) {
                                 resolve({
                                     success: false,
@@ -808,7 +832,7 @@ export class FoundryPuppeteerValidator {
                                 });
                                 return;
                             }
-                        } else {
+                        } else if (checkType) {
                             // Original logic for documents with subtypes
                             const validTypes = window.CONFIG?.[normalizedType]?.typeLabels;
                             if (validTypes && Object.keys(validTypes).length > 0) {
@@ -823,7 +847,7 @@ export class FoundryPuppeteerValidator {
                                     });
                                     return;
                                 }
-                            } else {
+                            } else if (!embedded) {
                                 // Fallback for other cases where typeLabels might be missing or empty
                                 if (docData.type !== normalizedType) {
                                     resolve({
@@ -933,7 +957,7 @@ export class FoundryPuppeteerValidator {
                 // Race between validation and timeout
                 return await Promise.race([validationPromise, timeoutPromise]);
                 
-            }, mappedDocumentType, documentData, this.validationTimeout, originalType);
+            }, mappedDocumentType, documentData, this.validationTimeout, originalType, options.embedded === true);
 
             if (result.success) {
                 console.log(`✅ Validation successful using ${result.documentClass}`);
@@ -1002,6 +1026,17 @@ export class FoundryPuppeteerValidator {
         }
     }
 
+    /**
+     * Validate a document without subtypes (see withOwnType())
+     * @param {string} documentName - Document name, e.g. "User"
+     * @param {Object} documentData - Document data without a type
+     * @param {Object} options - Options passed to validateDocument()
+     * @returns {Promise<Object>} Validation result with success status and validated data
+     */
+    async validateTypeless(documentName, documentData, options = {}) {
+        return await this.validateDocument(documentName, withOwnType(documentName, documentData), options);
+    }
+
     /**
      * Get available systems in the FoundryVTT instance
      * @returns {Promise<Array>} List of available systems with metadata
@@ -1145,10 +1180,12 @@ export class FoundryPuppeteerValidator {
 
     /**
      * Validate multiple documents in batch
+     * A failing document does not stop the batch; its result carries the error instead.
      * @param {Array<Object>} documents - Array of {type, data} objects
-     * @returns {Promise<Array>} Array of validation results
+     * @param {Object} options - Options passed to validateDocument() for every document
+     * @returns {Promise<Array>} Array of validation results; failures are {index, success: false, error, field, code}
      */
-    async validateBatch(documents) {
+    async validateBatch(documents, options = {}) {
         await this._ensureInitialized();
 
         console.log(`📦 Validating batch of ${documents.length} documents...`);
@@ -1161,7 +1198,17 @@ export class FoundryPuppeteerValidator {
             const doc = documents[i];
             console.log(`\n[${i + 1}/${documents.length}] Processing ${doc.type}: ${doc.data.name || 'Unnamed'}`);
             
-            const result = await this.validateDocument(doc.type, doc.data);
+            let result;
+            try {
+                result = await this.validateDocument(doc.type, doc.data, options);
+            } catch (error) {
+                result = {
+                    success: false,
+                    error: error.message,
+                    field: error.field || null,
+                    code: error.code || 'VALIDATION_ERROR'
+                };
+            }
             results.push({
                 index: i,
                 ...result
@@ -46,6 +46,7 @@ export class FoundryServerManager {
         
         this.port = options.port || 30000;
         this.hostname = options.hostname || 'localhost';
+        this.chromiumPath = options.chromiumPath || '/snap/bin/chromium';
         this.process = null;
         this.readyPromise = null;
         this.credentialManager = new CredentialManager();
@@ -307,7 +308,7 @@ export class FoundryServerManager {
                 // Get admin password
                 const adminPassword = await this.credentialManager.getAdminPassword();
                 if (!adminPassword) {
-                    throw new Error('Admin password not set. Run with --set-admin-password first.');
+                    throw new Error('Admin password not set. Run "credentials set-admin-password" first.');
                 }
                 
                 // Look for password field and submit
@@ -1137,7 +1138,7 @@ export class FoundryServerManager {
             
             this.browser = await puppeteer.launch({
                 headless: true,
-                executablePath: '/snap/bin/chromium',
+                executablePath: this.chromiumPath,
                 args: [
                     '--no-sandbox',
                     '--disable-setuid-sandbox',
@@ -1653,27 +1654,28 @@ export class FoundryServerManager {
     }
 }
 
-// Handle process signals for cleanup
 let serverManager = null;
 
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Received SIGINT, shutting down...');
-    if (serverManager) {
-        await serverManager.cleanup();
-    }
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\n🛑 Received SIGTERM, shutting down...');
-    if (serverManager) {
-        await serverManager.cleanup();
-    }
-    process.exit(0);
-});
-
 // CLI interface when run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
+    // Handle process signals for cleanup (only when run directly, so that
+    // importers stay in control of their own shutdown)
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 Received SIGINT, shutting down...');
+        if (serverManager) {
+            await serverManager.cleanup();
+        }
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\n🛑 Received SIGTERM, shutting down...');
+        if (serverManager) {
+            await serverManager.cleanup();
+        }
+        process.exit(0);
+    });
+
     const args = process.argv.slice(2);
     const command = args[0];
 
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown notes as journal entries
+ *
+ * Lore and session notes kept as Markdown become one JournalEntry. A single
+ * file gets a text page per top-level heading; a directory gets a page per
+ * Markdown file, in path order. Relative images are uploaded to the data
+ * folder, and [[Name]] wiki links become @UUID links to another page of the
+ * same entry or to the world document of that name.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { basename, dirname, extname, join, posix, relative, resolve, sep } from 'path';
+import { ValidationError, withOwnType } from './foundry-puppeteer-validator.mjs';
+import { escapeHtml, markdownToHtml } from './markdown.mjs';
+import { generateId } from './document-ids.mjs';
+
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// MIME types of uploadable images, by extension
+const IMAGE_TYPES = {
+    '.apng': 'image/apng',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.gif': 'image/gif',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.tiff': 'image/tiff',
+    '.webp': 'image/webp'
+};
+
+// CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML, and the sort spacing Foundry gives new documents
+const HTML_FORMAT = 1;
+const SORT_DENSITY = 100000;
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Whether an image source is a file next to the notes rather than a URL or data path
+ * @param {string} src - Image source as written
+ * @returns {boolean} False for URLs (http:, data:, ...), absolute paths and fragments
+ */
+export function isLocalAsset(src) {
+    return !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(src);
+}
+
+/**
+ * Path of a local image relative to the import root
+ * @param {string} file - Markdown file relative to the root, with / separators
+ * @param {string} src - Image source as written in that file
+ * @returns {string} Normalized path with / separators; may start with ../
+ */
+export function assetPath(file, src) {
+    let path = src.replace(/[?#].*$/, '');
+    try {
+        path = decodeURI(path);
+    } catch (error) {
+        // Not percent-encoded after all; use it as written
+    }
+    return posix.normalize(posix.join(posix.dirname(file), path));
+}
+
+/**
+ * Plain text of a heading, for page names
+ * @private
+ */
+function plainText(markdown) {
+    return markdown
+        .replace(/!?\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+        .replace(/!?\[\[([^\]]+)\]\]/g, '$1')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_~`]/g, '')
+        .trim();
+}
+
+/**
+ * ATX headings outside fenced code blocks
+ * @private
+ * @returns {Array<{index: number, level: number, text: string}>}
+ */
+function findHeadings(lines) {
+    const headings = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+        const opening = FENCE.exec(line);
+        if (fence) {
+            if (opening && opening[1][0] === fence[0] && opening[1].length >= fence.length) {
+                fence = null;
+            }
+        } else if (opening) {
+            fence = opening[1];
+        } else {
+            const heading = HEADING.exec(line);
+            if (heading) {
+                headings.push({ index, level: heading[1].length, text: plainText(heading[2]) });
+            }
+        }
+    });
+    return headings;
+}
+
+/**
+ * Split one Markdown file into pages at its top-level headings
+ * The top level is the highest heading level used. Text before the first such
+ * heading becomes a page of its own, named after the file.
+ * @param {string} markdown - Markdown text
+ * @param {string} name - Name for text without a heading
+ * @returns {Array<{name: string, markdown: string}>} Pages without their headings
+ */
+export function splitPages(markdown, name) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const headings = findHeadings(lines);
+    if (headings.length === 0) {
+        return [{ name, markdown: lines.join('\n') }];
+    }
+
+    const top = Math.min(...headings.map(heading => heading.level));
+    const starts = headings.filter(heading => heading.level === top);
+    const pages = [];
+    const preamble = lines.slice(0, starts[0].index).join('\n');
+    if (preamble.trim()) {
+        pages.push({ name, markdown: preamble });
+    }
+    starts.forEach((heading, index) => {
+        pages.push({ name: heading.text || name, markdown: lines.slice(heading.index + 1, starts[index + 1]?.index).join('\n') });
+    });
+    return pages;
+}
+
+/**
+ * One file as one page, named by its leading heading if it starts with one
+ * @param {string} markdown - Markdown text
+ * @param {string} name - Name when the file does not start with a heading
+ * @returns {{name: string, markdown: string}} The page, without the heading that named it
+ */
+export function titledPage(markdown, name) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const first = lines.findIndex(line => line.trim());
+    const [heading] = findHeadings(lines.slice(first, first + 1));
+    if (first === -1 || !heading?.text) {
+        return { name, markdown: lines.join('\n') };
+    }
+    return { name: heading.text, markdown: lines.slice(first + 1).join('\n') };
+}
+
+/**
+ * Local image sources of a Markdown text
+ * @private
+ */
+function localImages(markdown) {
+    const sources = [];
+    markdownToHtml(markdown, {
+        image: (src) => {
+            if (isLocalAsset(src)) {
+                sources.push(src);
+            }
+        }
+    });
+    return sources;
+}
+
+/**
+ * Paths of the Markdown files below a directory, sorted
+ * @private
+ */
+async function listMarkdownFiles(directory) {
+    const files = [];
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            files.push(...await listMarkdownFiles(path));
+        } else if (entry.isFile() && MARKDOWN_EXTENSIONS.includes(extname(entry.name).toLowerCase())) {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+/**
+ * Read a Markdown file, or every Markdown file below a directory, with the images they use
+ * Images are read here as well, so the whole source can be handed to a daemon.
+ * @param {string} path - Markdown file or directory
+ * @returns {Promise<Object>} {name, directory, files: [{file, markdown}], images} where file paths
+ *          are relative to the directory (or the file's directory) and images holds the base64
+ *          contents of each local image by assetPath(), or null for images that cannot be read
+ * @throws {ValidationError} FILE_NOT_FOUND, or INVALID_ARGUMENT for a directory without Markdown files
+ */
+export async function readMarkdownSource(path) {
+    const absolute = resolve(path);
+    const info = await stat(absolute).catch(() => null);
+    if (!info) {
+        throw new ValidationError(`File or directory not found: ${path}`, 'path', 'FILE_NOT_FOUND');
+    }
+
+    const directory = info.isDirectory();
+    const root = directory ? absolute : dirname(absolute);
+    const paths = directory ? await listMarkdownFiles(absolute) : [absolute];
+    if (paths.length === 0) {
+        throw new ValidationError(`No Markdown files (${MARKDOWN_EXTENSIONS.join(', ')}) found in ${path}`, 'path', 'INVALID_ARGUMENT');
+    }
+
+    const files = [];
+    const images = {};
+    for (const filePath of paths) {
+        const file = relative(root, filePath).split(sep).join('/');
+        const markdown = await readFile(filePath, 'utf8');
+        files.push({ file, markdown });
+
+        for (const src of localImages(markdown)) {
+            const key = assetPath(file, src);
+            if (!(key in images)) {
+                images[key] = await readFile(join(root, ...key.split('/'))).then(data => data.toString('base64'), () => null);
+            }
+        }
+    }
+
+    return { name: basename(absolute, directory ? '' : extname(absolute)), directory, files, images };
+}
+
+/**
+ * File names the images are uploaded as: each path below the root, flattened
+ * Paths that flatten to the same name, such as a/b-c.png and a-b/c.png, are
+ * numbered so that no upload overwrites another.
+ * @private
+ * @param {Array<string>} keys - Image paths from assetPath()
+ * @returns {Map<string, string>} Upload name by path
+ */
+function uploadNames(keys) {
+    const names = new Map();
+    const taken = new Set();
+    for (const key of keys) {
+        const flat = key.replace(/^(\.\.\/)+/, '').split('/').join('-');
+        const extension = posix.extname(flat);
+        let name = flat;
+        for (let number = 2; taken.has(name.toLowerCase()); number++) {
+            name = `${flat.slice(0, flat.length - extension.length)}-${number}${extension}`;
+        }
+        taken.add(name.toLowerCase());
+        names.set(key, name);
+    }
+    return names;
+}
+
+/**
+ * Label of an @UUID link as HTML; a "}" would end the label early
+ * @private
+ */
+function linkLabel(text) {
+    return escapeHtml(text).replace(/}/g, '&#125;');
+}
+
+export class JournalImporter {
+    /**
+     * @param {WorldManager} worldManager - World to create the journal entry in
+     */
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+    }
+
+    /**
+     * Create a journal entry from Markdown
+     * Images are uploaded before the entry is created and stay in place if creating it fails.
+     * @param {Object} source - Markdown files and images from readMarkdownSource()
+     * @param {Object} options - Import options
+     * @param {string} options.name - Entry name (default: the file or directory name)
+     * @param {string} options.folder - Folder path for the entry, created if missing
+     * @param {string} options.assets - Data folder directory for the images (default: worlds/<world>/assets/journal)
+     * @returns {Promise<Object>} {success, id, name, folder, pages: [{id, name, file}], images: [{file, path}],
+     *          links, unresolved: [{page, target, reason}]} where links counts the wiki links made into @UUID links
+     * @throws {ValidationError} IMAGE_NOT_FOUND with details.failures when images cannot be read
+     */
+    async import(source, options = {}) {
+        if (!source?.files?.length) {
+            throw new ValidationError('No Markdown files to import.', 'path', 'MISSING_ARGUMENT');
+        }
+        const name = options.name || source.name;
+        const entryId = generateId();
+        const pages = (source.directory
+            ? source.files.map(({ file, markdown }) => ({ file, ...titledPage(markdown, basename(file, extname(file))) }))
+            : splitPages(source.files[0].markdown, name).map(page => ({ file: source.files[0].file, ...page })))
+            .map(page => ({ ...page, id: generateId() }));
+
+        // First pass: the images and wiki links the pages use
+        const images = new Map();
+        const targets = new Set();
+        for (const page of pages) {
+            markdownToHtml(page.markdown, {
+                image: (src) => {
+                    const key = isLocalAsset(src) ? assetPath(page.file, src) : null;
+                    if (key && !images.has(key)) {
+                        images.set(key, page.file);
+                    }
+                },
+                link: (target) => {
+                    targets.add(target);
+                    return null;
+                }
+            });
+        }
+
+        const failures = [...images]
+            .filter(([key]) => !source.images?.[key])
+            .map(([key, file]) => ({ file, error: `Image not found: ${key}`, code: 'IMAGE_NOT_FOUND', field: null }));
+        if (failures.length > 0) {
+            throw new ValidationError(
+                `${failures.length} images could not be read; nothing was imported.`,
+                null,
+                'IMAGE_NOT_FOUND',
+                { failures }
+            );
+        }
+
+        // Links to pages of this entry first, world documents for the rest
+        const pagesByName = new Map(pages.map(page => [page.name.toLowerCase(), page]));
+        const worldNames = [...targets].filter(target => !pagesByName.has(target.toLowerCase()));
+        const found = worldNames.length > 0 ? await this.worldManager.findDocumentsByName(worldNames) : {};
+
+        const keys = [...images.keys()];
+        const names = uploadNames(keys);
+        const uploaded = keys.length > 0
+            ? await this.worldManager.uploadFiles(keys.map(key => ({
+                name: names.get(key),
+                type: IMAGE_TYPES[posix.extname(key).toLowerCase()] ?? 'application/octet-stream',
+                data: source.images[key]
+            })), options.assets ?? null)
+            : [];
+        const paths = new Map(keys.map((key, index) => [key, uploaded[index].path]));
+
+        // Second pass: the pages' HTML
+        let links = 0;
+        const unresolved = [];
+        const pageData = pages.map((page, index) => {
+            const content = markdownToHtml(page.markdown, {
+                image: (src) => (isLocalAsset(src) ? paths.get(assetPath(page.file, src)) : undefined),
+                link: (target, label) => {
+                    const local = pagesByName.get(target.toLowerCase());
+                    const matches = local ? [{ uuid: `JournalEntry.${entryId}.JournalEntryPage.${local.id}` }] : (found[target] ?? []);
+                    if (matches.length !== 1) {
+                        const reason = matches.length === 0 ? 'no document has this name' : `${matches.length} documents have this name`;
+                        if (!unresolved.some(entry => entry.page === page.name && entry.target === target)) {
+                            unresolved.push({ page: page.name, target, reason });
+                        }
+                        return null;
+                    }
+                    links++;
+                    return `@UUID[${matches[0].uuid}]{${linkLabel(label ?? target)}}`;
+                }
+            });
+            return {
+                _id: page.id,
+                name: page.name,
+                type: 'text',
+                title: { show: true, level: 1 },
+                text: { format: HTML_FORMAT, content },
+                sort: (index + 1) * SORT_DENSITY
+            };
+        });
+
+        const created = await this.worldManager.create('JournalEntry', withOwnType('JournalEntry', { _id: entryId, name, pages: pageData }), {
+            ids: 'keep',
+            folder: options.folder,
+            noImage: true
+        });
+        return {
+            success: true,
+            id: created.id,
+            name: created.name,
+            folder: created.folder ?? null,
+            pages: pages.map(page => ({ id: page.id, name: page.name, file: page.file })),
+            images: keys.map(key => ({ file: key, path: paths.get(key) })),
+            links,
+            unresolved
+        };
+    }
+}
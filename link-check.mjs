@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * LinkChecker - Find references to documents that no longer exist
+ *
+ * Every document of the world (as `export` reads it, embedded documents
+ * included) is searched for `@UUID[...]` links in its text and HTML fields and
+ * for fields that hold another document's ID or UUID, such as `folder`,
+ * `_stats.compendiumSource` or a token's `actorId`. Each distinct target is
+ * resolved once with fromUuid() in the Foundry page; the ones that do not
+ * resolve are reported with the document and field that refer to them.
+ *
+ * A fix-up plan gives, per document, the update that removes its broken
+ * references: links become their label text and reference fields are cleared.
+ */
+
+// Embedded collections by parent document name, as they appear in toObject() data
+const EMBEDDED_COLLECTIONS = {
+    Actor: { items: 'Item', effects: 'ActiveEffect' },
+    Item: { effects: 'ActiveEffect' },
+    Cards: { cards: 'Card' },
+    JournalEntry: { pages: 'JournalEntryPage', categories: 'JournalEntryCategory' },
+    Playlist: { sounds: 'PlaylistSound' },
+    RollTable: { results: 'TableResult' },
+    Scene: {
+        tokens: 'Token', notes: 'Note', tiles: 'Tile', drawings: 'Drawing', lights: 'AmbientLight',
+        sounds: 'AmbientSound', templates: 'MeasuredTemplate', walls: 'Wall', regions: 'Region'
+    }
+};
+
+// Fields holding a reference: the document name the ID belongs to, or null for a UUID
+const REFERENCE_FIELDS = {
+    '*': { '_stats.compendiumSource': null, '_stats.duplicateSource': null, 'flags.core.sourceId': null },
+    Scene: { journal: 'JournalEntry', playlist: 'Playlist' },
+    Token: { actorId: 'Actor' },
+    Note: { entryId: 'JournalEntry' },
+    TableResult: { documentUuid: null }
+};
+
+// Only top-level documents are filed in the world's folders
+const FOLDER_FIELD = { folder: 'Folder' };
+
+const UUID_LINK = /@UUID\[([^\]]+)\](?:\{([^}]*)\})?/g;
+
+/**
+ * Value at a dotted path
+ * @private
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Absolute UUID of a relative link, as Foundry resolves it
+ * ".<id>" is a sibling of the source document; ".<Type>.<id>" is embedded in its top-level document.
+ * @param {string} link - Link target starting with "."
+ * @param {string} sourceUuid - UUID of the document holding the link
+ * @returns {string} The absolute UUID
+ */
+export function resolveRelativeUuid(link, sourceUuid) {
+    const parts = link.slice(1).split('.');
+    const source = sourceUuid.split('.');
+    if (parts.length % 2 === 0) {
+        return [...source.slice(0, 2), ...parts].join('.');
+    }
+    return [...source.slice(0, -1), ...parts].join('.');
+}
+
+/**
+ * Every reference in a list of exported documents
+ * @param {Array<Object>} documents - [{documentName, data}] as WorldManager.exportDocuments() returns them
+ * @returns {Array<Object>} [{source, documentName, name, path, target, kind, link, anchor, label, value}] where kind
+ *          is "link" for @UUID links (link is the whole link text, anchor the part after # or null,
+ *          value the field's text) or "field"
+ */
+export function collectReferences(documents) {
+    const references = [];
+
+    const visit = (documentName, data, source, topLevel) => {
+        const fields = { ...REFERENCE_FIELDS['*'], ...REFERENCE_FIELDS[documentName], ...(topLevel ? FOLDER_FIELD : {}) };
+        const embedded = EMBEDDED_COLLECTIONS[documentName] || {};
+        const base = { source, documentName, name: data.name ?? null };
+
+        for (const [path, targetName] of Object.entries(fields)) {
+            const value = getPath(data, path);
+            if (typeof value === 'string' && value) {
+                references.push({ ...base, path, target: targetName ? `${targetName}.${value}` : value, kind: 'field' });
+            }
+        }
+
+        const walk = (value, path) => {
+            if (typeof value === 'string') {
+                for (const [link, written, label] of value.matchAll(UUID_LINK)) {
+                    // A #anchor points at a heading inside the target; only the document has to exist
+                    const [target, anchor = null] = written.split(/#(.*)/s);
+                    references.push({
+                        ...base,
+                        path,
+                        target: target.startsWith('.') ? resolveRelativeUuid(target, source) : target,
+                        anchor,
+                        kind: 'link',
+                        link,
+                        label: label ?? null,
+                        value
+                    });
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => walk(item, `${path}.${index}`));
+            } else if (value && typeof value === 'object') {
+                for (const [key, child] of Object.entries(value)) {
+                    const childPath = path ? `${path}.${key}` : key;
+                    if (!path && embedded[key] && Array.isArray(child)) {
+                        child.forEach(item => visit(embedded[key], item, `${source}.${embedded[key]}.${item._id}`, false));
+                    } else if (!(childPath in fields)) {
+                        walk(child, childPath);
+                    }
+                }
+            }
+        };
+        walk(data, '');
+    };
+
+    documents.forEach(({ documentName, data }) => visit(documentName, data, `${documentName}.${data._id}`, true));
+    return references;
+}
+
+/**
+ * Updates that remove broken references, one per source document
+ * @param {Array<Object>} broken - Broken references from collectReferences()
+ * @returns {Array<{uuid: string, name: string, update: Object}>} Update data with dotted keys
+ */
+export function fixPlan(broken) {
+    const fixes = new Map();
+    for (const reference of broken) {
+        if (!fixes.has(reference.source)) {
+            fixes.set(reference.source, { uuid: reference.source, name: reference.name, update: {} });
+        }
+        const { update } = fixes.get(reference.source);
+        if (reference.kind === 'field') {
+            update[reference.path] = null;
+        } else {
+            // Several broken links in one field are removed from the same text
+            const text = update[reference.path] ?? reference.value;
+            update[reference.path] = text.split(reference.link).join(reference.label ?? reference.target);
+        }
+    }
+    return [...fixes.values()];
+}
+
+export class LinkChecker {
+    /**
+     * @param {WorldManager} worldManager - World the documents are read from
+     */
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+    }
+
+    /**
+     * Check every reference in the world
+     * @param {Object} options - Check options
+     * @param {Array<string>|string} options.types - Types or subtypes to check (default: all);
+     *        references to other types are still resolved
+     * @param {boolean} options.fixPlan - Also return the updates that remove the broken references
+     * @returns {Promise<Object>} {documents, references, targets, broken: [{source, documentName, name, path, target, kind, anchor, label}]},
+     *          plus fixes: [{uuid, name, update}] with options.fixPlan
+     */
+    async check(options = {}) {
+        const { documents } = await this.worldManager.exportDocuments({ types: options.types });
+        const references = collectReferences(documents);
+        const targets = [...new Set(references.map(reference => reference.target))];
+        const resolved = await this.worldManager.resolveUuids(targets);
+
+        const broken = references.filter(reference => !resolved[reference.target]);
+        const result = {
+            documents: documents.length,
+            references: references.length,
+            targets: targets.length,
+            broken: broken.map(({ link, value, ...reference }) => reference)
+        };
+        return options.fixPlan ? { ...result, fixes: fixPlan(broken) } : result;
+    }
+}
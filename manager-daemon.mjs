@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+/**
+ * ManagerDaemon - Persistent FoundryManager service
+ *
+ * Keeps one initialized FoundryManager (server, browser, validator and
+ * WorldManager) alive between CLI invocations, so only the first command pays
+ * for booting FoundryVTT. CLI processes talk to the daemon over a local socket
+ * using newline-delimited JSON messages.
+ */
+
+import net from 'net';
+import readline from 'readline';
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { CliOutput } from './cli-output.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_SOCKET_PATH = process.platform === 'win32'
+    ? '\\\\.\\pipe\\foundry-manager'
+    : join(__dirname, '.foundry-manager.sock');
+export const DEFAULT_PID_FILE = join(__dirname, '.foundry-manager.pid');
+
+// Commands that modify world data and must run one at a time
+export const MUTATING_COMMANDS = new Set([
+    'insert', 'upsert', 'update', 'delete', 'move', 'permissions', 'clone', 'copy', 'import', 'journal-import', 'table-import', 'sync-apply', 'undo',
+    'folder-create', 'folder-update', 'folder-delete',
+    'user-create', 'user-update', 'user-delete', 'users-import',
+    'pack-create', 'pack-update', 'pack-delete', 'pack-import', 'pack-export'
+]);
+
+// Commands that restart the server on other worlds; no other request may run meanwhile
+export const WORLD_SWITCHING_COMMANDS = new Set(['copy']);
+
+// Requests handled by the daemon itself rather than the command handler
+const CONTROL_COMMANDS = new Set(['status', 'shutdown']);
+
+export class ManagerDaemon {
+    /**
+     * Create a new daemon
+     * @param {FoundryManager} manager - Manager instance owned by the daemon
+     * @param {Function} handler - async (command, args) => result, executes CLI commands
+     * @param {Object} options - Daemon options
+     * @param {string} options.socketPath - Socket to listen on (default: next to this script)
+     * @param {string} options.pidFile - PID file path (default: next to this script)
+     */
+    constructor(manager, handler, options = {}) {
+        if (!manager || typeof handler !== 'function') {
+            throw new Error('ManagerDaemon requires a FoundryManager and a command handler');
+        }
+
+        this.manager = manager;
+        this.handler = handler;
+        this.socketPath = options.socketPath || DEFAULT_SOCKET_PATH;
+        this.pidFile = options.pidFile || DEFAULT_PID_FILE;
+        this.server = null;
+        this.startedAt = null;
+        this.requestsServed = 0;
+        this.pendingMutations = 0;
+        this.activeReads = 0;
+        this._mutationQueue = Promise.resolve();
+        this._worldSwitch = null;
+        this._readsDrained = null;
+        this._stopping = null;
+    }
+
+    /**
+     * Initialize the manager and start accepting connections
+     * @param {string} worldId - Optional world ID to activate
+     * @returns {Promise<void>}
+     */
+    async start(worldId = null) {
+        if (await DaemonClient.connect({ socketPath: this.socketPath, pidFile: this.pidFile })) {
+            throw new ValidationError(
+                `A daemon is already listening on ${this.socketPath}`,
+                null,
+                'DAEMON_RUNNING'
+            );
+        }
+
+        // Discover worlds while the setup page is still reachable, then activate
+        await this.manager.listWorlds();
+        await this.manager.initialize(worldId);
+
+        this._removeStaleSocket();
+        this.server = net.createServer(socket => this._handleConnection(socket));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.socketPath, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        writeFileSync(this.pidFile, process.pid.toString());
+        this.startedAt = new Date();
+
+        console.log(`🛰️  Daemon listening on ${this.socketPath} (PID: ${process.pid})`);
+        console.log(`   World: ${this.manager.selectedWorld}, System: ${this.manager.selectedSystem}`);
+    }
+
+    /**
+     * Stop accepting connections and tear down the manager
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this._stopping) {
+            return this._stopping;
+        }
+
+        this._stopping = (async () => {
+            console.log('🛑 Stopping daemon...');
+            if (this.server) {
+                await new Promise(resolve => this.server.close(() => resolve()));
+                this.server = null;
+            }
+
+            // Let queued mutations finish before the server goes away
+            await this._mutationQueue;
+            await this.manager.cleanup();
+
+            this._removeFile(this.pidFile);
+            this._removeStaleSocket();
+            console.log('✅ Daemon stopped');
+        })();
+
+        return this._stopping;
+    }
+
+    /**
+     * Get daemon status
+     * @returns {Object} Status including the server manager's ServerState
+     */
+    getStatus() {
+        return {
+            pid: process.pid,
+            socketPath: this.socketPath,
+            state: this.manager.serverManager.getState(),
+            world: this.manager.selectedWorld,
+            system: this.manager.selectedSystem,
+            startedAt: this.startedAt?.toISOString() || null,
+            uptime: this.startedAt ? Math.round((Date.now() - this.startedAt.getTime()) / 1000) : 0,
+            requestsServed: this.requestsServed,
+            pendingMutations: this.pendingMutations
+        };
+    }
+
+    /**
+     * Read requests from a client connection, one JSON message per line
+     * @private
+     */
+    _handleConnection(socket) {
+        const lines = readline.createInterface({ input: socket });
+
+        lines.on('line', async (line) => {
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch (error) {
+                this._send(socket, { id: null, ok: false, error: { message: 'Malformed request', code: 'BAD_REQUEST' } });
+                return;
+            }
+
+            try {
+                const result = await this._dispatch(request);
+                this._send(socket, { id: request.id, ok: true, result });
+            } catch (error) {
+                this._send(socket, {
+                    id: request.id,
+                    ok: false,
+                    error: { name: error.name, ...CliOutput.serializeError(error) }
+                });
+            }
+
+            if (request.command === 'shutdown') {
+                socket.end();
+                await this.stop();
+                process.exit(0);
+            }
+        });
+
+        socket.on('error', (error) => {
+            console.error(`⚠️  Client connection error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Execute a single request
+     * @private
+     */
+    async _dispatch(request) {
+        const { command, args = {} } = request;
+
+        if (CONTROL_COMMANDS.has(command)) {
+            return command === 'status' ? this.getStatus() : { stopping: true };
+        }
+
+        this.requestsServed++;
+        console.log(`📨 ${command}${args.type ? ` (${args.type})` : ''}`);
+
+        // The world is checked once the request may run, so a world switch in progress is over
+        const run = () => {
+            this._checkWorld(args);
+            return this.handler(command, args);
+        };
+        if (WORLD_SWITCHING_COMMANDS.has(command)) {
+            return await this.runSwitchingWorld(run);
+        }
+        if (MUTATING_COMMANDS.has(command)) {
+            return await this.runExclusive(run);
+        }
+        return await this.runShared(run);
+    }
+
+    /**
+     * Reject a request for a world other than the one being served
+     * @private
+     */
+    _checkWorld(args) {
+        if (args.world && args.world !== this.manager.selectedWorld) {
+            throw new ValidationError(
+                `Daemon is serving world '${this.manager.selectedWorld}', not '${args.world}'. Stop it or omit -w.`,
+                'world',
+                'WORLD_MISMATCH'
+            );
+        }
+    }
+
+    /**
+     * Run a mutating operation once all previously queued ones have finished
+     * Mutations are chained so only one runs at a time, in arrival order.
+     * @param {Function} operation - async () => result
+     * @returns {Promise<*>} Result of the operation
+     */
+    async runExclusive(operation) {
+        this.pendingMutations++;
+        const run = this._mutationQueue.then(operation);
+        this._mutationQueue = run.catch(() => {}).finally(() => {
+            this.pendingMutations--;
+        });
+        return await run;
+    }
+
+    /**
+     * Run a read-only operation once no world switch is in progress
+     * Reads run alongside each other and alongside mutations.
+     * @param {Function} operation - async () => result
+     * @returns {Promise<*>} Result of the operation
+     */
+    async runShared(operation) {
+        while (this._worldSwitch) {
+            await this._worldSwitch;
+        }
+        this.activeReads++;
+        try {
+            return await operation();
+        } finally {
+            this.activeReads--;
+            if (this.activeReads === 0 && this._readsDrained) {
+                this._readsDrained();
+            }
+        }
+    }
+
+    /**
+     * Run an operation that switches worlds with every other request held back
+     * It queues like a mutation; reads arriving meanwhile wait for it, and it
+     * starts once the reads already running have finished.
+     * @param {Function} operation - async () => result
+     * @returns {Promise<*>} Result of the operation
+     */
+    async runSwitchingWorld(operation) {
+        const run = this.runExclusive(async () => {
+            while (this.activeReads > 0) {
+                await new Promise(resolve => {
+                    this._readsDrained = resolve;
+                });
+            }
+            this._readsDrained = null;
+            return await operation();
+        });
+        const worldSwitch = run.catch(() => {}).finally(() => {
+            if (this._worldSwitch === worldSwitch) {
+                this._worldSwitch = null;
+            }
+        });
+        this._worldSwitch = worldSwitch;
+        return await run;
+    }
+
+    /**
+     * Write one JSON message to a client
+     * @private
+     */
+    _send(socket, message) {
+        if (!socket.destroyed) {
+            socket.write(JSON.stringify(message) + '\n');
+        }
+    }
+
+    /**
+     * Remove a leftover socket file from a previous daemon
+     * @private
+     */
+    _removeStaleSocket() {
+        if (process.platform !== 'win32') {
+            this._removeFile(this.socketPath);
+        }
+    }
+
+    /**
+     * Remove a file if it exists
+     * @private
+     */
+    _removeFile(filePath) {
+        try {
+            if (existsSync(filePath)) {
+                unlinkSync(filePath);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Could not remove ${filePath}: ${error.message}`);
+        }
+    }
+}
+
+export class DaemonClient {
+    /**
+     * Create a client for an already connected socket
+     * @param {net.Socket} socket - Connected socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this._nextId = 1;
+        this._pending = new Map();
+
+        const lines = readline.createInterface({ input: socket });
+        lines.on('line', (line) => this._handleResponse(line));
+
+        socket.on('close', () => {
+            for (const { reject } of this._pending.values()) {
+                reject(new Error('Connection to daemon closed'));
+            }
+            this._pending.clear();
+        });
+    }
+
+    /**
+     * Connect to a running daemon
+     * @param {Object} options - Connection options
+     * @param {string} options.socketPath - Daemon socket path
+     * @param {string} options.pidFile - Daemon PID file path
+     * @returns {Promise<DaemonClient|null>} Connected client, or null if no daemon is running
+     */
+    static async connect(options = {}) {
+        const socketPath = options.socketPath || DEFAULT_SOCKET_PATH;
+        const pidFile = options.pidFile || DEFAULT_PID_FILE;
+
+        if (!DaemonClient.isDaemonRunning(pidFile)) {
+            return null;
+        }
+
+        return await new Promise((resolve) => {
+            const socket = net.createConnection(socketPath);
+            socket.once('connect', () => resolve(new DaemonClient(socket)));
+            socket.once('error', () => resolve(null));
+        });
+    }
+
+    /**
+     * Check the PID file for a live daemon process
+     * @param {string} pidFile - Daemon PID file path
+     * @returns {boolean} True if the recorded process is running
+     */
+    static isDaemonRunning(pidFile = DEFAULT_PID_FILE) {
+        if (!existsSync(pidFile)) {
+            return false;
+        }
+
+        const pid = parseInt(readFileSync(pidFile, 'utf8').trim(), 10);
+        if (!pid) {
+            return false;
+        }
+
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Send a command to the daemon and wait for its result
+     * @param {string} command - Command name
+     * @param {Object} args - Parsed CLI arguments
+     * @returns {Promise<Object>} Command result
+     */
+    request(command, args = {}) {
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            this.socket.write(JSON.stringify({ id, command, args }) + '\n');
+        });
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.socket.end();
+    }
+
+    /**
+     * Resolve the pending request a response belongs to
+     * @private
+     */
+    _handleResponse(line) {
+        let response;
+        try {
+            response = JSON.parse(line);
+        } catch (error) {
+            return;
+        }
+
+        const pending = this._pending.get(response.id);
+        if (!pending) {
+            return;
+        }
+        this._pending.delete(response.id);
+
+        if (response.ok) {
+            pending.resolve(response.result);
+        } else {
+            pending.reject(DaemonClient.deserializeError(response.error));
+        }
+    }
+
+    /**
+     * Rebuild an error received from the daemon
+     * @param {Object} error - Serialized error
+     * @returns {Error} ValidationError if the daemon raised one, Error otherwise
+     */
+    static deserializeError(error) {
+        if (error.name === 'ValidationError' || error.code !== 'ERROR') {
+            return new ValidationError(error.message, error.field, error.code, error.details);
+        }
+        return new Error(error.message);
+    }
+}
+
+export default ManagerDaemon;
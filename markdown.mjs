@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Markdown to HTML for journal pages
+ *
+ * Converts the Markdown people write notes in to the HTML that Foundry's text
+ * pages hold: headings, paragraphs, emphasis, code, links, images, lists,
+ * block quotes, tables and rules. HTML blocks are kept as they are; inline
+ * HTML is escaped. Images and [[wiki links]] are handed to callbacks, so the
+ * caller can point images at uploaded files and turn links into @UUID links.
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:\s+|$)/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HTML_BLOCK = /^ {0,3}<\/?[a-zA-Z][\w-]*(\s|\/?>|$)/;
+
+// Link and image destination: (<url with spaces>) or (url), with an optional "title";
+// a bare url may hold balanced parentheses, as in wiki/Foo_(bar)
+const DESTINATION = String.raw`\(\s*(?:<([^>]*)>|((?:[^\s()]|\([^\s()]*\))+))(?:\s+"([^"]*)")?\s*\)`;
+
+// URL schemes kept in links and images; others, such as javascript:, could run script
+const SAFE_SCHEMES = ['http', 'https'];
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Text with &, <, > and " escaped
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether a URL is relative or uses a safe scheme
+ * Browsers skip tabs, newlines and leading control characters in a URL, so
+ * the scheme is read without them.
+ * @private
+ */
+function isSafeUrl(url) {
+    const scheme = /^([a-z][a-z\d+.-]*):/i.exec(url.replace(/[\u0000-\u0020]/g, ''));
+    return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Convert inline Markdown: code, images, links, wiki links and emphasis
+ * Converted parts are set aside as placeholders so later patterns cannot change them.
+ * @private
+ */
+function renderInline(text, options) {
+    const parts = [];
+    const hold = (html) => `\u0000${parts.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, char) => hold(escapeHtml(char)))
+        .replace(/(`+)(.+?)\1/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(new RegExp(`!\\[([^\\]]*)\\]${DESTINATION}`, 'g'), (match, alt, bracketed, bare, title) => {
+            const src = bracketed ?? bare;
+            const url = options.image?.(src, alt) ?? src;
+            if (!isSafeUrl(url)) {
+                return hold(escapeHtml(alt));
+            }
+            return hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`);
+        })
+        .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, label) => {
+            const link = options.link?.(target.trim(), label?.trim() ?? null);
+            return link ? hold(link) : hold(escapeHtml((label ?? target).trim()));
+        })
+        .replace(new RegExp(`\\[([^\\]]+)\\]${DESTINATION}`, 'g'), (match, label, bracketed, bare, title) => {
+            const href = bracketed ?? bare;
+            if (!isSafeUrl(href)) {
+                return hold(renderInline(label, options));
+            }
+            return hold(`<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${renderInline(label, options)}</a>`);
+        })
+        .replace(/<(https?:\/\/[^\s>]+)>/g, (match, href) => hold(`<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>`));
+
+    html = escapeHtml(html)
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    // Placeholders may hold others (a link label with code), so restore until none are left
+    while (html.includes('\u0000')) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => parts[index]);
+    }
+    return html;
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @private
+ */
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        LIST_ITEM.test(line) || HTML_BLOCK.test(line);
+}
+
+/**
+ * Cells of a table row
+ * @private
+ */
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+/**
+ * Collect the items of the list starting at a line
+ * @private
+ * @returns {{html: string, end: number}} The list and the index of the first line after it
+ */
+function renderList(lines, start, options) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    // Another bullet character or number delimiter starts a new list
+    const sameKind = (item) => item && item[1].length === indent && item[2].at(-1) === first[2].at(-1);
+    const items = [];
+    let tight = true;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const item = LIST_ITEM.exec(line);
+        if (sameKind(item)) {
+            items.push({ width: item[0].length, lines: [line.slice(item[0].length)] });
+            i++;
+            continue;
+        }
+        if (!line.trim()) {
+            // A blank line continues the list only if the next line is indented or another item
+            const next = lines.slice(i + 1).find(candidate => candidate.trim());
+            const continues = next !== undefined && (next.search(/\S/) > indent || sameKind(LIST_ITEM.exec(next)));
+            if (!continues) {
+                break;
+            }
+            tight = false;
+            items.at(-1).lines.push('');
+            i++;
+            continue;
+        }
+        const current = items.at(-1);
+        const leading = line.search(/\S/);
+        if (leading > indent) {
+            current.lines.push(line.slice(Math.min(leading, current.width)));
+        } else if (current.lines.at(-1).trim() && !startsBlock(line)) {
+            // Lazy continuation of the item's paragraph
+            current.lines.push(line.trim());
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const number = parseInt(first[2], 10);
+    const startAttribute = ordered && number !== 1 ? ` start="${number}"` : '';
+    const body = items.map(item => {
+        while (item.lines.length > 0 && !item.lines.at(-1).trim()) {
+            item.lines.pop();
+        }
+        return `<li>${renderBlocks(item.lines, options, tight)}</li>`;
+    });
+    return { html: `<${tag}${startAttribute}>\n${body.join('\n')}\n</${tag}>`, end: i };
+}
+
+/**
+ * Convert block-level Markdown
+ * @private
+ * @param {Array<string>} lines - Lines of the block
+ * @param {Object} options - markdownToHtml() options
+ * @param {boolean} tight - Inside a tight list item: paragraphs are not wrapped in <p>
+ */
+function renderBlocks(lines, options, tight = false) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2] ?? '', options)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            blocks.push(`<blockquote>\n${renderBlocks(quoted, options)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = renderList(lines, i, options);
+            blocks.push(list.html);
+            i = list.end;
+            continue;
+        }
+
+        if (HTML_BLOCK.test(line)) {
+            const html = [];
+            while (i < lines.length && lines[i].trim()) {
+                html.push(lines[i]);
+                i++;
+            }
+            blocks.push(html.join('\n'));
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DELIMITER.test(lines[i + 1] ?? '')) {
+            const header = splitRow(line);
+            const align = splitRow(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                if (cell.endsWith(':')) return 'right';
+                return cell.startsWith(':') ? 'left' : null;
+            });
+            const cell = (tag, text, column) => `<${tag}${align[column] ? ` style="text-align: ${align[column]}"` : ''}>${renderInline(text, options)}</${tag}>`;
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = splitRow(lines[i]);
+                rows.push(`<tr>${header.map((name, column) => cell('td', cells[column] ?? '', column)).join('')}</tr>`);
+                i++;
+            }
+            blocks.push([
+                '<table>',
+                `<thead><tr>${header.map((name, column) => cell('th', name, column)).join('')}</tr></thead>`,
+                ...(rows.length > 0 ? ['<tbody>', ...rows, '</tbody>'] : []),
+                '</table>'
+            ].join('\n'));
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].replace(/^\s+/, ''));
+            i++;
+        }
+        const text = renderInline(paragraph.join('\n'), options);
+        blocks.push(tight ? text : `<p>${text}</p>`);
+    }
+
+    return blocks.join('\n');
+}
+
+/**
+ * Convert Markdown to HTML
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Conversion options
+ * @param {Function} options.image - (src, alt) => URL to use for an image, or undefined to keep src
+ * @param {Function} options.link - (target, label) => HTML for a [[target]] or [[target|label]] link,
+ *        or null to write the label (or target) as text
+ * @returns {string} HTML
+ */
+export function markdownToHtml(markdown, options = {}) {
+    const lines = String(markdown).replace(/^﻿/, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines, options);
+}
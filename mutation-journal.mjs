@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * MutationJournal - Local record of the changes made to a world
+ *
+ * Every WorldManager mutation appends one JSON line to the world's journal:
+ * the operation, the command that ran it, and the pre- and post-image of each
+ * document it touched (null before a create and after a delete). Entries are
+ * numbered in order; `undo` reverts the newest entries not yet undone and
+ * appends an "undo" entry naming them, so undoing is itself on record.
+ *
+ * Folders, users and compendium contents are not journaled. A folder that is
+ * created, renamed or deleted (including those `move` and --folder create on
+ * the way) stays that way after an undo; documents deleted with their folder
+ * are journaled and come back at the top level. Users are left out because
+ * undo could not restore their passwords.
+ *
+ * The journal only grows; delete the file to start over.
+ */
+
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { diffDocument } from './world-sync.mjs';
+import { sortKeys, stripFields } from './document-files.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// One <world>.jsonl journal per world, next to the script like the daemon's files
+export const DEFAULT_JOURNAL_DIR = join(__dirname, '.foundry-manager-journal');
+
+/**
+ * Journal file of a world
+ * @param {string} worldId - World ID
+ * @param {string} directory - Journal directory (default: DEFAULT_JOURNAL_DIR)
+ * @returns {string} Path of the world's .jsonl file
+ */
+export function journalPath(worldId, directory = DEFAULT_JOURNAL_DIR) {
+    return join(directory, `${worldId}.jsonl`);
+}
+
+/**
+ * Whether two document images hold the same data, ignoring _stats
+ * @param {Object} a - Document data
+ * @param {Object} b - Document data
+ * @returns {boolean} True when equal
+ */
+export function sameDocument(a, b) {
+    const normalize = data => JSON.stringify(sortKeys(stripFields(data, ['_stats'])));
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Update data that turns a document's current data back into an earlier image
+ * Fields the document gained are removed with Foundry's "-=" deletion keys.
+ * Embedded collections are left alone; their changes are journaled separately.
+ * @param {Object} before - Image to restore
+ * @param {Object} current - Current document data
+ * @returns {Object} Update data, nested
+ */
+export function revertData(before, current) {
+    const data = {};
+    const set = (path, value) => {
+        const keys = path.split('.');
+        let target = data;
+        keys.slice(0, -1).forEach(key => { target = target[key] ??= {}; });
+        target[keys[keys.length - 1]] = value;
+    };
+
+    // diffDocument() compares the fields of its first argument, so run it both ways
+    diffDocument(before, current, { ignore: ['_id'] }).changes.forEach(change => set(change.path, change.to));
+    diffDocument(current, before, { ignore: ['_id'] }).changes
+        .filter(change => change.from === undefined)
+        .forEach(change => {
+            const keys = change.path.split('.');
+            set([...keys.slice(0, -1), `-=${keys[keys.length - 1]}`].join('.'), null);
+        });
+    return data;
+}
+
+/**
+ * An entry without its document images, for listing
+ * @param {Object} entry - Journal entry
+ * @returns {Object} The entry with changes as [{uuid, documentName, name, action}], action being create, update or delete
+ */
+export function summarizeEntry(entry) {
+    return {
+        ...entry,
+        changes: entry.changes.map(change => ({
+            uuid: change.uuid,
+            documentName: change.documentName,
+            name: change.name ?? null,
+            action: !change.before ? 'create' : !change.after ? 'delete' : 'update'
+        }))
+    };
+}
+
+export class MutationJournal {
+    /**
+     * @param {string} path - Journal file (created on the first append)
+     * @param {Object} options - Journal options
+     * @param {Function} options.context - Returns {command, args} of the command being run, recorded with each entry
+     */
+    constructor(path, options = {}) {
+        this.path = path;
+        this.context = options.context || (() => null);
+        this.lastSeq = null;
+    }
+
+    /**
+     * Every entry, oldest first
+     * @returns {Promise<Array<Object>>} Journal entries
+     * @throws {ValidationError} JOURNAL_CORRUPT when a line is not valid JSON
+     */
+    async read() {
+        const content = await readFile(this.path, 'utf8').catch(error => {
+            if (error.code === 'ENOENT') {
+                return '';
+            }
+            throw error;
+        });
+
+        return content.split('\n').filter(line => line.trim()).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                throw new ValidationError(`Line ${index + 1} of ${this.path} is not valid JSON.`, null, 'JOURNAL_CORRUPT');
+            }
+        });
+    }
+
+    /**
+     * Append an entry
+     * @param {string} operation - create, update, delete, move, clone, import or undo
+     * @param {Array<Object>} changes - [{uuid, documentName, name, before, after}]
+     * @param {Object} extra - Additional entry fields, e.g. {undoes: 12} for an undo
+     * @returns {Promise<Object>} The entry, with its seq number and timestamp
+     */
+    async append(operation, changes, extra = {}) {
+        if (this.lastSeq === null) {
+            const entries = await this.read();
+            this.lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : 0;
+        }
+
+        const context = this.context() || {};
+        const entry = {
+            seq: this.lastSeq + 1,
+            timestamp: new Date().toISOString(),
+            operation,
+            command: context.command ?? null,
+            args: context.args ?? null,
+            ...extra,
+            changes
+        };
+
+        await mkdir(dirname(this.path), { recursive: true });
+        await appendFile(this.path, JSON.stringify(entry) + '\n');
+        this.lastSeq = entry.seq;
+        return entry;
+    }
+
+    /**
+     * Recent entries, newest first, each marked with the undo that reverted it
+     * @param {Object} options - History options
+     * @param {number} options.limit - Return at most this many entries
+     * @returns {Promise<Array<Object>>} Entries with undoneBy (seq of the undo entry, or null)
+     */
+    async history(options = {}) {
+        const entries = await this.read();
+        const undoneBy = new Map(entries.filter(entry => entry.undoes).map(entry => [entry.undoes, entry.seq]));
+        const newest = entries.reverse().map(entry => ({ ...entry, undoneBy: undoneBy.get(entry.seq) ?? null }));
+        return options.limit === undefined ? newest : newest.slice(0, options.limit);
+    }
+
+    /**
+     * The newest entries that can still be undone, newest first
+     * Undo entries themselves are skipped.
+     * @param {number} count - Number of entries
+     * @returns {Promise<Array<Object>>} Entries to revert, in the order to revert them
+     */
+    async pending(count) {
+        const entries = await this.history();
+        return entries.filter(entry => entry.operation !== 'undo' && entry.undoneBy === null).slice(0, count);
+    }
+}
@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+
+/**
+ * ReplShell - Interactive shell on top of an initialized FoundryManager
+ *
+ * Pays the FoundryVTT startup cost once and then runs searches, schema
+ * lookups and CRUD commands against the active world. Types and document
+ * names are tab-completed, and `js` evaluates raw JavaScript in the
+ * Foundry page for anything the commands do not cover.
+ */
+
+import readline from 'readline';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { CliOutput } from './cli-output.mjs';
+import { splitDocumentUuid } from './world-manager.mjs';
+
+const COMMANDS = {
+    help: 'help                             Show this list',
+    types: 'types                            List available document types',
+    worlds: 'worlds                           List available worlds',
+    schema: 'schema <type>                    Show the schema for a type',
+    find: 'find <type> [pattern] [opts]     Search by name (*, ?); opts: --where q --sort k --limit n --offset n --fields a,b --count',
+    get: 'get [type] <id> [--fields a,b]   Show a document, optionally only some fields',
+    validate: 'validate <type> <json>           Validate without saving',
+    create: 'create <type> <json>             Create a document',
+    update: 'update [type] <id> <json>        Update a document',
+    delete: 'delete [type] <id>               Delete a document',
+    use: 'use world <id> | use type <type>  Switch world or set the default type',
+    js: 'js [code]                        Evaluate JavaScript in the Foundry page (no code: JS mode, .exit to leave)',
+    exit: 'exit                             Leave the shell'
+};
+
+// Commands whose second word is a document type
+const TYPE_COMMANDS = new Set(['schema', 'find', 'get', 'validate', 'create', 'update', 'delete']);
+
+// Options accepted after commands; true when the option takes a value
+const COMMAND_OPTIONS = {
+    find: { where: true, sort: true, limit: true, offset: true, fields: true, count: false },
+    get: { fields: true }
+};
+
+/**
+ * Remove --options from a line
+ * Values may be quoted, e.g. --where "system.rarity = rare".
+ * @param {string} line - Input line
+ * @param {Object} spec - Option names mapped to whether they take a value
+ * @returns {{line: string, options: Object}} Line without the options, and their values
+ */
+export function extractOptions(line, spec = {}) {
+    const options = {};
+    for (const [name, takesValue] of Object.entries(spec)) {
+        const pattern = takesValue
+            ? new RegExp(`\\s--${name}(?:=|\\s+)("[^"]*"|'[^']*'|\\S+)`)
+            : new RegExp(`\\s--${name}(?=\\s|$)`);
+        const match = line.match(pattern);
+        if (match) {
+            options[name] = takesValue ? match[1].replace(/^(["'])(.*)\1$/, '$2') : true;
+            line = line.replace(match[0], '');
+        }
+    }
+    return { line, options };
+}
+
+/**
+ * Split the leading words of a line, honouring double and single quotes
+ * @param {string} line - Input line
+ * @param {number} count - Maximum number of words to split off
+ * @returns {{words: Array<string>, rest: string}} Words and the unparsed remainder
+ */
+export function splitWords(line, count = Infinity) {
+    const words = [];
+    let index = 0;
+
+    while (words.length < count) {
+        while (index < line.length && /\s/.test(line[index])) index++;
+        if (index >= line.length || line[index] === '{' || line[index] === '[') break;
+
+        let word = '';
+        const quote = line[index] === '"' || line[index] === "'" ? line[index] : null;
+        if (quote) {
+            index++;
+            while (index < line.length && line[index] !== quote) word += line[index++];
+            index++;
+        } else {
+            while (index < line.length && !/\s/.test(line[index])) word += line[index++];
+        }
+        words.push(word);
+    }
+
+    return { words, rest: line.slice(index).trim() };
+}
+
+export class ReplShell {
+    /**
+     * Create a new shell
+     * @param {FoundryManager} manager - Manager to run commands against
+     * @param {Object} options - Shell options
+     * @param {CliOutput} options.output - Output renderer (default: text)
+     * @param {boolean} options.verbose - Show diagnostic logging while commands run
+     * @param {boolean} options.noImage - Skip image validation on create
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.output = options.output || new CliOutput();
+        this.verbose = options.verbose || false;
+        this.noImage = options.noImage || false;
+        this.currentType = null;
+        this.jsMode = false;
+        this.rl = null;
+        this._typeCache = null;
+        this._nameCache = new Map();
+    }
+
+    /**
+     * Run the shell until the user exits
+     * @returns {Promise<void>} Resolves when the shell is closed
+     */
+    async start() {
+        await this.manager._ensureInitialized();
+
+        console.log(`\n🐚 Foundry shell — world: ${this.manager.selectedWorld}, system: ${this.manager.selectedSystem}`);
+        console.log('   Type "help" for commands, Tab to complete.\n');
+
+        this.rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            completer: (line, callback) => {
+                this.complete(line).then(result => callback(null, result), () => callback(null, [[], line]));
+            }
+        });
+        this._updatePrompt();
+        this.rl.prompt();
+
+        return new Promise((resolve) => {
+            this.rl.on('line', async (line) => {
+                this.rl.pause();
+                const keepGoing = await this.execute(line.trim());
+                if (!keepGoing) {
+                    this.rl.close();
+                    return;
+                }
+                this._updatePrompt();
+                this.rl.resume();
+                this.rl.prompt();
+            });
+            this.rl.on('close', resolve);
+        });
+    }
+
+    /**
+     * Execute one line of input
+     * @param {string} line - Trimmed input line
+     * @returns {Promise<boolean>} False when the shell should exit
+     */
+    async execute(line) {
+        if (!line) {
+            return true;
+        }
+
+        if (this.jsMode) {
+            if (line === '.exit') {
+                this.jsMode = false;
+                return true;
+            }
+            await this._run('js', () => this.evaluateJs(line));
+            return true;
+        }
+
+        const { words: [command] } = splitWords(line, 1);
+        if (command === 'exit' || command === 'quit') {
+            return false;
+        }
+
+        await this._run(command, () => this.runCommand(command, line));
+        return true;
+    }
+
+    /**
+     * Dispatch a shell command
+     * @param {string} command - First word of the line
+     * @param {string} line - Full input line
+     * @returns {Promise<Object|null>} {renderAs, result} to render, {message} to print, or null
+     */
+    async runCommand(command, line) {
+        const worldManager = this.manager.worldManager;
+
+        switch (command) {
+            case 'help':
+                return { message: ['\nCommands:', ...Object.values(COMMANDS).map(usage => `  ${usage}`)].join('\n') };
+
+            case 'types':
+                return { renderAs: 'list-types', result: await this.manager.listTypes() };
+
+            case 'worlds':
+                return { renderAs: 'list-worlds', result: { worlds: await this.manager.listWorlds() } };
+
+            case 'schema': {
+                const { words: [, type = this.currentType] } = splitWords(line, 2);
+                return { renderAs: 'schema', result: await this.manager.getSchema(this._requireType(type)) };
+            }
+
+            case 'find': {
+                const { line: rest, options } = extractOptions(line, COMMAND_OPTIONS.find);
+                const { words: [, type, pattern] } = splitWords(rest, 3);
+                this.currentType = this._requireType(type);
+
+                const filters = { type, name: pattern || null, where: options.where || null };
+                if (options.count) {
+                    return { renderAs: 'read', result: { ...filters, count: await worldManager.count(type, pattern || null, options) } };
+                }
+                const documents = await worldManager.search(type, pattern || null, options);
+                return { renderAs: 'read', result: { ...filters, documents } };
+            }
+
+            case 'get': {
+                const { line: rest, options } = extractOptions(line, COMMAND_OPTIONS.get);
+                const { type, id } = this._parseTarget(rest);
+                return { renderAs: 'json', result: await worldManager.get(type, id, options) };
+            }
+
+            case 'validate': {
+                const { words: [, type], rest } = splitWords(line, 2);
+                const data = this._parseJson(rest);
+                return {
+                    renderAs: 'validate',
+                    result: await this.manager.validateDocument(this._requireType(type), data, { noImage: this.noImage })
+                };
+            }
+
+            case 'create': {
+                const { words: [, type], rest } = splitWords(line, 2);
+                this.currentType = this._requireType(type);
+                const result = await worldManager.create(type, this._parseJson(rest), { noImage: this.noImage });
+                this._nameCache.delete(type);
+                return { renderAs: 'insert', result };
+            }
+
+            case 'update': {
+                const { type, id, rest } = this._parseTarget(line);
+                const result = await worldManager.update(type, id, this._parseJson(rest));
+                this._nameCache.delete(type);
+                return { renderAs: 'update', result };
+            }
+
+            case 'delete': {
+                const { type, id } = this._parseTarget(line);
+                const result = await worldManager.delete(type, id);
+                this._nameCache.delete(type);
+                return { renderAs: 'delete', result };
+            }
+
+            case 'use': {
+                const { words: [, what, value] } = splitWords(line, 3);
+                if (what === 'world' && value) {
+                    await this.manager.switchWorld(value);
+                    this._typeCache = null;
+                    this._nameCache.clear();
+                    return { message: `🌍 Now using world: ${value}` };
+                }
+                if (what === 'type' && value) {
+                    this.currentType = value;
+                    return null;
+                }
+                throw new ValidationError('Usage: use world <id> | use type <type>', null, 'MISSING_ARGUMENT');
+            }
+
+            case 'js': {
+                const code = line.slice(2).trim();
+                if (!code) {
+                    this.jsMode = true;
+                    return { message: 'Entering JS mode — code runs in the Foundry page. Type .exit to leave.' };
+                }
+                return await this.evaluateJs(code);
+            }
+
+            default:
+                throw new ValidationError(`Unknown command: ${command}. Type "help" for commands.`, null, 'MISSING_ARGUMENT');
+        }
+    }
+
+    /**
+     * Evaluate JavaScript in the Foundry page context
+     * Expressions return their value; statements may use `return`. Documents
+     * are converted with toObject() so they can cross the Puppeteer bridge.
+     * @param {string} code - JavaScript source
+     * @returns {Promise<Object>} {renderAs, result}
+     */
+    async evaluateJs(code) {
+        const page = this.manager.serverManager.page;
+        if (!page) {
+            throw new Error('Puppeteer page not available.');
+        }
+
+        const result = await page.evaluate(async (source) => {
+            const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+            let fn;
+            try {
+                fn = new AsyncFunction(`return (${source}\n);`);
+            } catch (syntaxError) {
+                fn = new AsyncFunction(source);
+            }
+
+            const toPlain = (value) => {
+                if (value === undefined) return { undefined: true };
+                if (typeof value?.toObject === 'function') return { value: value.toObject() };
+                if (value instanceof Map || value instanceof Set) return { value: Array.from(value.values()).map(v => v?.toObject?.() ?? v) };
+                try {
+                    return { value: JSON.parse(JSON.stringify(value)) };
+                } catch (error) {
+                    return { value: String(value) };
+                }
+            };
+
+            try {
+                return toPlain(await fn());
+            } catch (error) {
+                return { error: error.message, stack: error.stack };
+            }
+        }, code);
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return { renderAs: 'json', result: result.undefined ? undefined : result.value };
+    }
+
+    /**
+     * Complete the current line
+     * @param {string} line - Line typed so far
+     * @returns {Promise<Array>} [completions, substring being completed]
+     */
+    async complete(line) {
+        if (this.jsMode) {
+            return [[], line];
+        }
+
+        const { words } = splitWords(line);
+        const endsWithSpace = /\s$/.test(line);
+        const position = endsWithSpace ? words.length : words.length - 1;
+        // Raw text of the word being typed, including an opening quote
+        const partial = endsWithSpace ? '' : (line.match(/(?:"[^"]*|'[^']*|\S+)$/)?.[0] || '');
+
+        let candidates = [];
+        if (position <= 0) {
+            candidates = [...Object.keys(COMMANDS), 'quit'];
+        } else if (words[0] === 'use' && position === 1) {
+            candidates = ['world', 'type'];
+        } else if (words[0] === 'use' && position === 2) {
+            candidates = words[1] === 'world' ? await this.manager.listWorlds() : await this._types();
+        } else if (TYPE_COMMANDS.has(words[0]) && position === 1) {
+            candidates = await this._types();
+        } else if (words[0] === 'find' && position === 2) {
+            candidates = (await this._names(words[1])).map(name => (/\s/.test(name) ? `"${name}"` : name));
+        }
+
+        const unquoted = partial.replace(/^["']/, '');
+        const hits = candidates.filter(candidate => candidate.replace(/^"/, '').startsWith(unquoted));
+        return [hits, partial];
+    }
+
+    /**
+     * Print a command result, silencing diagnostics while it runs
+     * @private
+     */
+    async _run(command, operation) {
+        const saved = { log: console.log, info: console.info, debug: console.debug };
+        if (!this.verbose) {
+            console.log = console.info = console.debug = () => {};
+        }
+
+        let outcome;
+        try {
+            outcome = await operation();
+        } catch (error) {
+            Object.assign(console, saved);
+            this.output.failure(command, error);
+            return;
+        }
+
+        // Diagnostics are silenced until here, so the shell's own messages come back as the outcome
+        Object.assign(console, saved);
+        if (!outcome) {
+            return;
+        }
+        if (outcome.message !== undefined) {
+            console.log(outcome.message);
+        } else if (outcome.renderAs === 'json') {
+            console.log(outcome.result === undefined ? 'undefined' : JSON.stringify(outcome.result, null, 2));
+        } else {
+            this.output.success(outcome.renderAs, outcome.result);
+        }
+    }
+
+    /**
+     * Parse "[type] <id> [json]" using the current type when none is given
+     * @private
+     */
+    _parseTarget(line) {
+        const { words, rest } = splitWords(line, 3);
+        const [, first, second] = words;
+        const target = second
+            ? { type: first, id: second }
+            : (splitDocumentUuid(first ?? '') ?? { type: this.currentType, id: first });
+
+        if (!target.id) {
+            throw new ValidationError('A document ID is required.', 'id', 'MISSING_ARGUMENT');
+        }
+        this._requireType(target.type);
+        this.currentType = target.type;
+        return { ...target, rest };
+    }
+
+    /**
+     * @private
+     */
+    _requireType(type) {
+        if (!type) {
+            throw new ValidationError('A document type is required (or set one with "use type <type>").', 'type', 'MISSING_ARGUMENT');
+        }
+        return type;
+    }
+
+    /**
+     * @private
+     */
+    _parseJson(text) {
+        if (!text) {
+            throw new ValidationError('JSON data is required.', null, 'MISSING_ARGUMENT');
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError(`Invalid JSON input: ${error.message}`, null, 'INVALID_JSON');
+        }
+    }
+
+    /**
+     * Type names for completion, from getAvailableTypes()
+     * @private
+     */
+    async _types() {
+        if (!this._typeCache) {
+            const saved = console.log;
+            console.log = () => {};
+            try {
+                const available = await this.manager.validator.getAvailableTypes();
+                const names = new Set();
+                for (const [docType, subtypes] of Object.entries(available.types)) {
+                    names.add(docType.toLowerCase());
+                    Object.keys(subtypes).forEach(subtype => names.add(subtype));
+                }
+                this._typeCache = [...names].sort();
+            } finally {
+                console.log = saved;
+            }
+        }
+        return this._typeCache;
+    }
+
+    /**
+     * Document names of a type in the active world, for completion
+     * @private
+     */
+    async _names(type) {
+        if (!this._nameCache.has(type)) {
+            const saved = console.log;
+            console.log = () => {};
+            try {
+                const documents = await this.manager.worldManager.search(type);
+                this._nameCache.set(type, [...new Set(documents.map(doc => doc.name))].sort());
+            } catch (error) {
+                this._nameCache.set(type, []);
+            } finally {
+                console.log = saved;
+            }
+        }
+        return this._nameCache.get(type);
+    }
+
+    /**
+     * @private
+     */
+    _updatePrompt() {
+        const world = this.manager.selectedWorld || 'foundry';
+        const suffix = this.jsMode ? ' js' : (this.currentType ? ` ${this.currentType}` : '');
+        this.rl.setPrompt(`${world}${suffix}> `);
+    }
+}
+
+export default ReplShell;
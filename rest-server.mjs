@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+
+/**
+ * RestServer - Local HTTP/JSON API over FoundryManager
+ *
+ * Exposes validation, schema lookup and WorldManager CRUD to tools that are
+ * not written in Node. Every response uses the same envelope as the CLI's
+ * --json mode: { ok: true, result } or { ok: false, error: { message, code, field, details } }.
+ */
+
+import http from 'http';
+import net from 'net';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { CliOutput } from './cli-output.mjs';
+import { parseCount } from './search-query.mjs';
+import { summarizeEntry } from './mutation-journal.mjs';
+import { LinkChecker } from './link-check.mjs';
+import { JournalImporter } from './journal-import.mjs';
+import { RollTableCsv } from './roll-table-csv.mjs';
+import { parseOwners } from './cli-commands.mjs';
+import { parseCsv } from './csv.mjs';
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 30080;
+
+/**
+ * Read a --http-port value
+ * @param {string|number|undefined} value - Port as given (default: DEFAULT_HTTP_PORT)
+ * @returns {number} The port
+ * @throws {ValidationError} INVALID_ARGUMENT unless the port is a whole number from 1 to 65535
+ */
+export function parseHttpPort(value) {
+    if (value === undefined || value === null) {
+        return DEFAULT_HTTP_PORT;
+    }
+    const port = /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+    if (!(port >= 1 && port <= 65535)) {
+        throw new ValidationError(`Invalid --http-port: ${value} (use 1-65535)`, 'http-port', 'INVALID_ARGUMENT');
+    }
+    return port;
+}
+
+// Largest request body accepted (documents with embedded data can be big)
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Interfaces that only this machine can reach, and names that resolve to them
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+// Interfaces that accept connections on every address
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// HTTP status for each error code; anything not listed is a 500
+export const ERROR_STATUS = {
+    BAD_REQUEST: 400,
+    INVALID_JSON: 400,
+    MISSING_ARGUMENT: 400,
+    INVALID_ARGUMENT: 400,
+    INVALID_QUERY: 400,
+    INVALID_CSV: 400,
+    NOT_FOUND: 404,
+    UNKNOWN_TYPE: 404,
+    DOCUMENT_NOT_FOUND: 404,
+    PACK_NOT_FOUND: 404,
+    FOLDER_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    WORLD_MISMATCH: 409,
+    PACK_LOCKED: 409,
+    ID_CONFLICT: 409,
+    USER_EXISTS: 409,
+    MULTIPLE_MATCHES: 409,
+    UNDO_CONFLICT: 409,
+    FORBIDDEN: 403,
+    PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    VALIDATION_ERROR: 422,
+    MISSING_REQUIRED_FIELD: 422,
+    INVALID_TYPE: 422,
+    INVALID_DOCUMENT_TYPE: 422,
+    INVALID_ID: 422,
+    MISSING_IMAGE: 422,
+    IMAGE_NOT_FOUND: 422
+};
+
+export class RestServer {
+    /**
+     * Create a new REST server
+     * @param {FoundryManager} manager - Initialized (or lazily initializing) manager
+     * @param {Object} options - Server options
+     * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+     * @param {number} options.port - Port to listen on (default: 30080)
+     * @param {Function} options.runExclusive - async (operation) => result, serializes mutations
+     * @param {Function} options.runShared - async (operation) => result, holds reads back while worlds are switched
+     */
+    constructor(manager, options = {}) {
+        if (!manager) {
+            throw new Error('RestServer requires a FoundryManager instance');
+        }
+
+        this.manager = manager;
+        this.host = options.host || DEFAULT_HTTP_HOST;
+        this.port = options.port || DEFAULT_HTTP_PORT;
+        this.runExclusive = options.runExclusive || (operation => operation());
+        this.runShared = options.runShared || (operation => operation());
+        this.server = null;
+        this.routes = this._buildRoutes();
+    }
+
+    /**
+     * Route table: method, path pattern and handler(params, query, body)
+     * Routes flagged noBody take no JSON body, even for POST. Routes flagged
+     * creates answer 201 when they succeed; mutating means they run exclusively.
+     * @private
+     */
+    _buildRoutes() {
+        const worldManager = () => this.manager.worldManager;
+        const noImage = (query) => query.get('noImage') === 'true';
+        const dryRun = (query) => query.get('dryRun') === 'true';
+        const searchOptions = (query) => ({
+            fields: query.get('fields'),
+            where: query.get('where'),
+            sort: query.get('sort'),
+            limit: query.get('limit'),
+            offset: query.get('offset')
+        });
+
+        return [
+            {
+                method: 'GET', pattern: /^\/worlds$/,
+                handler: async () => ({ worlds: await this.manager.listWorlds() })
+            },
+            {
+                method: 'GET', pattern: /^\/types$/,
+                handler: () => this.manager.listTypes()
+            },
+            {
+                method: 'GET', pattern: /^\/schema\/([^/]+)$/,
+                handler: ([type]) => this.manager.getSchema(type)
+            },
+            {
+                method: 'POST', pattern: /^\/validate\/([^/]+)$/,
+                handler: ([type], query, body) => this.manager.validateDocument(type, body, { noImage: noImage(query) })
+            },
+            {
+                method: 'GET', pattern: /^\/documents\/([^/]+)$/,
+                handler: async ([type], query) => {
+                    const name = query.get('name');
+                    const where = query.get('where');
+                    if (query.get('count') === 'true') {
+                        return { type, count: await worldManager().count(type, name, { where }) };
+                    }
+                    return { type, documents: await worldManager().search(type, name, searchOptions(query)) };
+                }
+            },
+            {
+                method: 'GET', pattern: /^\/documents\/([^/]+)\/([^/]+)$/,
+                handler: ([type, id], query) => worldManager().get(type, id, { fields: query.get('fields') })
+            },
+            {
+                method: 'POST', pattern: /^\/documents\/([^/]+)$/, mutating: true, creates: true,
+                handler: ([type], query, body) => worldManager().create(type, body, {
+                    noImage: noImage(query),
+                    folder: query.get('folder') ?? undefined,
+                    owner: parseOwners(query.getAll('owner')),
+                    ids: query.get('ids') ?? undefined,
+                    dryRun: dryRun(query)
+                })
+            },
+            {
+                method: 'PUT', pattern: /^\/documents\/([^/]+)$/, mutating: true,
+                handler: ([type], query, body) => worldManager().upsert(type, body, {
+                    matchBy: query.get('matchBy') ?? undefined,
+                    onMultiple: query.get('onMultiple') ?? undefined,
+                    folder: query.get('folder') ?? undefined,
+                    noImage: noImage(query),
+                    dryRun: dryRun(query)
+                })
+            },
+            {
+                method: 'PATCH', pattern: /^\/documents\/([^/]+)\/([^/]+)$/, mutating: true,
+                handler: ([type, id], query, body) => worldManager().update(type, id, body, {
+                    owner: parseOwners(query.getAll('owner')),
+                    dryRun: dryRun(query)
+                })
+            },
+            {
+                method: 'DELETE', pattern: /^\/documents\/([^/]+)\/([^/]+)$/, mutating: true,
+                handler: ([type, id], query) => worldManager().delete(type, id, { dryRun: dryRun(query) })
+            },
+            {
+                method: 'GET', pattern: /^\/documents\/([^/]+)\/([^/]+)\/permissions$/,
+                handler: ([type, id]) => worldManager().permissions(type, { id })
+            },
+            {
+                // Body: levels by user name or ID, e.g. {"Alice": "OWNER", "default": "LIMITED"}
+                method: 'PATCH', pattern: /^\/documents\/([^/]+)\/([^/]+)\/permissions$/, mutating: true,
+                handler: ([type, id], query, body) => worldManager().permissions(type, { id, owner: body })
+            },
+            {
+                method: 'POST', pattern: /^\/documents\/([^/]+)\/([^/]+)\/move$/, mutating: true,
+                handler: ([type, id], query, body) => worldManager().move(type, id, body?.folder)
+            },
+            {
+                // Body: values for the copies keyed by path, e.g. {"name": "Longsword +1", "system.magicalBonus": 1}
+                method: 'POST', pattern: /^\/documents\/([^/]+)\/([^/]+)\/clone$/, mutating: true,
+                handler: ([type, id], query, body) => worldManager().clone(type, id, {
+                    set: body,
+                    count: query.get('count') ?? undefined,
+                    folder: query.get('folder') ?? undefined,
+                    noImage: noImage(query)
+                })
+            },
+            {
+                // Body: [{type, data}], validated and created all or nothing like the import command
+                method: 'POST', pattern: /^\/import$/, mutating: true, creates: true,
+                handler: (params, query, body) => {
+                    if (!Array.isArray(body)) {
+                        throw new ValidationError('The body must be an array of {type, data} entries', null, 'INVALID_ARGUMENT');
+                    }
+                    const entries = body.map((entry, index) => ({ file: `#${index}`, ...entry }));
+                    return worldManager().importDocuments(entries, {
+                        noImage: noImage(query),
+                        batchSize: query.get('batchSize') ?? undefined,
+                        ids: query.get('ids') ?? undefined
+                    });
+                }
+            },
+            {
+                // The body is a Markdown source: {name, directory, files: [{file, markdown}], images: {path: base64}}
+                method: 'POST', pattern: /^\/import\/journal$/, mutating: true, creates: true,
+                handler: (params, query, body) => new JournalImporter(worldManager()).import(body, {
+                    name: query.get('name'),
+                    folder: query.get('folder'),
+                    assets: query.get('assets')
+                })
+            },
+            {
+                method: 'POST', pattern: /^\/import\/table$/, mutating: true, creates: true,
+                handler: (params, query, body) => new RollTableCsv(worldManager()).import(parseCsv(body?.csv ?? ''), {
+                    file: query.get('file') || 'table.csv',
+                    name: query.get('name'),
+                    folder: query.get('folder'),
+                    formula: query.get('formula'),
+                    noImage: noImage(query)
+                })
+            },
+            {
+                method: 'GET', pattern: /^\/tables\/([^/]+)\/csv$/,
+                handler: ([table]) => new RollTableCsv(worldManager()).export(table)
+            },
+            {
+                method: 'GET', pattern: /^\/links$/,
+                handler: (params, query) => new LinkChecker(worldManager()).check({
+                    types: query.get('types') ?? undefined,
+                    fixPlan: query.get('fixPlan') === 'true'
+                })
+            },
+            {
+                method: 'GET', pattern: /^\/history$/,
+                handler: async (params, query) => {
+                    const journal = await this.manager.getJournal();
+                    const entries = await journal.history({ limit: parseCount(query.get('limit'), 'limit') ?? 20 });
+                    return { journal: journal.path, entries: entries.map(summarizeEntry) };
+                }
+            },
+            {
+                method: 'POST', pattern: /^\/undo$/, mutating: true, noBody: true,
+                handler: (params, query) => worldManager().undo(query.get('count') ?? 1, { force: query.get('force') === 'true' })
+            },
+            {
+                method: 'GET', pattern: /^\/folders$/,
+                handler: async (params, query) => ({
+                    type: query.get('type'),
+                    folders: await worldManager().listFolders(query.get('type'))
+                })
+            },
+            {
+                method: 'POST', pattern: /^\/folders\/([^/]+)$/, mutating: true, creates: true,
+                handler: ([type], query, body) => worldManager().createFolder(type, body?.path, { color: body?.color })
+            },
+            {
+                // Folder paths keep their slashes: /folders/Item/Weapons/Martial
+                method: 'PATCH', pattern: /^\/folders\/([^/]+)\/(.+)$/, mutating: true,
+                handler: ([type, path], query, body) => worldManager().updateFolder(type, path, { name: body?.name, color: body?.color })
+            },
+            {
+                method: 'DELETE', pattern: /^\/folders\/([^/]+)\/(.+)$/, mutating: true,
+                handler: ([type, path], query) => worldManager().deleteFolder(type, path, { contents: query.get('contents') === 'true' })
+            },
+            {
+                method: 'GET', pattern: /^\/users$/,
+                handler: async () => ({ users: await worldManager().listUsers() })
+            },
+            {
+                method: 'POST', pattern: /^\/users$/, mutating: true, creates: true,
+                handler: (params, query, body) => worldManager().createUser(body)
+            },
+            {
+                // The roster is sent as {"csv": "<file contents>"}
+                method: 'POST', pattern: /^\/users\/import$/, mutating: true, creates: true,
+                handler: async (params, query, body) => {
+                    const file = query.get('file') || 'roster.csv';
+                    return { file, ...await worldManager().importUsers(parseCsv(body?.csv ?? ''), { file }) };
+                }
+            },
+            {
+                method: 'PATCH', pattern: /^\/users\/([^/]+)$/, mutating: true,
+                handler: ([user], query, body) => worldManager().updateUser(user, body)
+            },
+            {
+                method: 'DELETE', pattern: /^\/users\/([^/]+)$/, mutating: true,
+                handler: ([user]) => worldManager().deleteUser(user)
+            },
+            {
+                method: 'GET', pattern: /^\/packs$/,
+                handler: async () => ({ packs: await worldManager().listPacks() })
+            },
+            {
+                method: 'GET', pattern: /^\/packs\/([^/]+)\/documents$/,
+                handler: async ([pack], query) => {
+                    const name = query.get('name');
+                    if (query.get('count') === 'true') {
+                        return { pack, count: await worldManager().searchPack(pack, name, { where: query.get('where'), count: true }) };
+                    }
+                    return { pack, documents: await worldManager().searchPack(pack, name, searchOptions(query)) };
+                }
+            },
+            {
+                method: 'GET', pattern: /^\/packs\/([^/]+)\/documents\/([^/]+)$/,
+                handler: ([pack, id], query) => worldManager().getFromPack(pack, id, { fields: query.get('fields') })
+            },
+            {
+                method: 'POST', pattern: /^\/packs\/([^/]+)\/documents$/, mutating: true, creates: true,
+                handler: ([pack], query, body) => worldManager().createInPack(pack, body, { noImage: noImage(query) })
+            },
+            {
+                method: 'PATCH', pattern: /^\/packs\/([^/]+)\/documents\/([^/]+)$/, mutating: true,
+                handler: ([pack, id], query, body) => worldManager().updateInPack(pack, id, body)
+            },
+            {
+                method: 'DELETE', pattern: /^\/packs\/([^/]+)\/documents\/([^/]+)$/, mutating: true,
+                handler: ([pack, id]) => worldManager().deleteFromPack(pack, id)
+            },
+            {
+                method: 'POST', pattern: /^\/packs\/([^/]+)\/documents\/([^/]+)\/import$/, mutating: true, noBody: true,
+                handler: ([pack, id], query) => worldManager().importFromPack(pack, id, { keepId: query.get('keepId') === 'true' })
+            },
+            {
+                method: 'POST', pattern: /^\/packs\/([^/]+)\/export\/([^/]+)\/([^/]+)$/, mutating: true, noBody: true,
+                handler: ([pack, type, id]) => worldManager().exportToPack(pack, type, id)
+            }
+        ];
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        console.log(`🌐 REST API listening on http://${this.host}:${this.port}`);
+        if (!LOOPBACK_HOSTS.includes(this.host)) {
+            console.warn('⚠️  REST API is reachable from other machines and has no authentication');
+        }
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+    }
+
+    /**
+     * Handle one HTTP request
+     * @private
+     */
+    async _handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+            const { route, params } = this._matchRoute(req.method, url.pathname);
+            this._checkRequest(req, route);
+            const body = ['POST', 'PUT', 'PATCH'].includes(req.method) && !route.noBody ? await this._readBody(req) : null;
+
+            console.log(`🌐 ${req.method} ${url.pathname}`);
+            const execute = () => route.handler(params, url.searchParams, body);
+            const result = route.mutating
+                ? await this.runExclusive(() => {
+                    // Journal entries name the request that made them
+                    this.manager.commandContext = { command: `${req.method} ${url.pathname}`, args: Object.fromEntries(url.searchParams) };
+                    return execute();
+                })
+                : await this.runShared(execute);
+
+            // A dry run creates nothing; an upsert creates only when nothing matched
+            const created = (route.creates || result?.action === 'created') && !result?.dryRun;
+            this._send(res, created ? 201 : 200, { ok: true, result });
+        } catch (error) {
+            const serialized = CliOutput.serializeError(error);
+            this._send(res, ERROR_STATUS[serialized.code] || 500, { ok: false, error: serialized });
+        }
+    }
+
+    /**
+     * Find the route for a method and path
+     * @private
+     * @returns {{route: Object, params: Array<string>}}
+     */
+    _matchRoute(method, pathname) {
+        let pathMatched = false;
+        for (const route of this.routes) {
+            const match = route.pattern.exec(pathname);
+            if (!match) {
+                continue;
+            }
+            pathMatched = true;
+            if (route.method === method) {
+                try {
+                    return { route, params: match.slice(1).map(decodeURIComponent) };
+                } catch (error) {
+                    throw new ValidationError(`Malformed URL encoding in ${pathname}`, null, 'BAD_REQUEST');
+                }
+            }
+        }
+
+        if (pathMatched) {
+            throw new ValidationError(`Method ${method} not allowed for ${pathname}`, null, 'METHOD_NOT_ALLOWED');
+        }
+        throw new ValidationError(`No route for ${method} ${pathname}`, null, 'NOT_FOUND');
+    }
+
+    /**
+     * Refuse requests a web page could have sent
+     * Browsers add an Origin header to cross-site requests and may send simple
+     * POSTs with a text/plain body without asking first, and a DNS rebinding
+     * page reaches the API under its own host name. Tools talk to the API
+     * directly, name the address it is bound to and send JSON.
+     * @private
+     * @throws {ValidationError} FORBIDDEN for an Origin or foreign Host header, UNSUPPORTED_MEDIA_TYPE
+     *   when a request that changes data or has a body is not application/json
+     */
+    _checkRequest(req, route) {
+        if (req.headers.origin !== undefined) {
+            throw new ValidationError('Requests from web pages are not accepted', null, 'FORBIDDEN', { origin: req.headers.origin });
+        }
+        if (!this._isOwnHost(req.headers.host)) {
+            throw new ValidationError(`Host "${req.headers.host ?? ''}" is not ${this._hostWithPort(this.host)}`, null, 'FORBIDDEN');
+        }
+
+        const hasBody = ['POST', 'PUT', 'PATCH'].includes(req.method) && !route.noBody;
+        const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if ((route.mutating || hasBody) && mediaType !== 'application/json') {
+            throw new ValidationError(`Content-Type must be application/json, not "${mediaType}"`, null, 'UNSUPPORTED_MEDIA_TYPE');
+        }
+    }
+
+    /**
+     * Whether a Host header names the address and port the server listens on
+     * A loopback bind also answers to the other loopback names; a wildcard
+     * bind answers to any IP address, but not to host names.
+     * @private
+     */
+    _isOwnHost(header) {
+        if (!header) {
+            return false;
+        }
+        const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(header.toLowerCase());
+        if (!match || parseInt(match[2] || '80', 10) !== this.port) {
+            return false;
+        }
+
+        const name = match[1].replace(/^\[|\]$/g, '');
+        if (WILDCARD_HOSTS.includes(this.host)) {
+            return net.isIP(name) !== 0;
+        }
+        if (LOOPBACK_HOSTS.includes(this.host)) {
+            return LOOPBACK_HOSTS.includes(name);
+        }
+        return name === this.host.toLowerCase();
+    }
+
+    /**
+     * Format a host and this server's port as a Host header
+     * @private
+     */
+    _hostWithPort(host) {
+        return `${net.isIPv6(host) ? `[${host}]` : host}:${this.port}`;
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @private
+     */
+    async _readBody(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw new ValidationError(`Request body exceeds ${MAX_BODY_BYTES} bytes`, null, 'PAYLOAD_TOO_LARGE');
+            }
+            chunks.push(chunk);
+        }
+
+        const text = Buffer.concat(chunks).toString();
+        if (!text.trim()) {
+            throw new ValidationError('Request body must be a JSON object', null, 'MISSING_ARGUMENT');
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ValidationError(`Invalid JSON body: ${error.message}`, null, 'INVALID_JSON');
+        }
+    }
+
+    /**
+     * Write a JSON response
+     * @private
+     */
+    _send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+export default RestServer;
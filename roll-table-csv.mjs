@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Roll tables as CSV
+ *
+ * A RollTable is written one row per result: the range of rolls it covers,
+ * its text, weight, image and the document it draws. Ranges may be left out;
+ * they are then laid end to end by weight and the formula rolls across all of
+ * them. An exported table reads back in with the same results.
+ */
+
+import { ValidationError, withOwnType } from './foundry-puppeteer-validator.mjs';
+import { formatCsv } from './csv.mjs';
+import { isValidId } from './document-ids.mjs';
+import { splitDocumentUuid } from './world-manager.mjs';
+
+export const TABLE_COLUMNS = ['range', 'text', 'weight', 'img', 'documentUuid'];
+
+// CONST.TABLE_RESULT_TYPES
+const TEXT_RESULT = 'text';
+const DOCUMENT_RESULT = 'document';
+
+// "7", "1-4" or "01–04"; a bound of "00" is 100, as on percentile dice
+const RANGE = /^(\d+)(?:\s*[-–—]\s*(\d+))?$/;
+
+/**
+ * Read a range cell
+ * @param {string} value - Cell text such as "5", "1-4" or "96-00"
+ * @returns {Array<number>|null} [low, high], or null when the cell is not a range
+ */
+export function parseRange(value) {
+    const match = RANGE.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+    const bound = (digits) => (digits === '00' ? 100 : parseInt(digits, 10));
+    const low = bound(match[1]);
+    const high = match[2] === undefined ? low : bound(match[2]);
+    return low <= high ? [low, high] : null;
+}
+
+/**
+ * Write a range as a cell: "5" for a single roll, "1-4" otherwise
+ * @param {Array<number>} range - [low, high]
+ * @returns {string} Cell text
+ */
+export function formatRange([low, high]) {
+    return low === high ? String(low) : `${low}-${high}`;
+}
+
+/**
+ * Dice formula that rolls exactly from low to high
+ * 1-20 is 1d20, and 2-12 or 3-18 are the sums 2d6 and 3d6.
+ * @param {number} low - Lowest range bound
+ * @param {number} high - Highest range bound
+ * @returns {string|null} The formula, or null when no plain dice roll fits
+ */
+export function inferFormula(low, high) {
+    if (low < 1 || high % low !== 0 || high === low) {
+        return null;
+    }
+    return `${low}d${high / low}`;
+}
+
+/**
+ * Build RollTable data from a parsed CSV file
+ * Every row is checked before anything is returned; a row without a range
+ * takes the rolls after the previous row's, as many as its weight.
+ * @param {Object} csv - {columns, rows} from parseCsv()
+ * @param {Object} options - Table options
+ * @param {string} options.name - Table name
+ * @param {string} options.formula - Dice formula (default: inferred from the ranges)
+ * @param {string} options.file - File name for failure reports (default: table.csv)
+ * @returns {{table: Object, lines: Array<number>}} The RollTable data, and the CSV line of each result
+ * @throws {ValidationError} INVALID_CSV for unknown or missing columns, VALIDATION_ERROR with
+ *         details.failures ({file, line, error, code, field}) for bad rows and, without options.formula,
+ *         for gaps between the ranges, MISSING_ARGUMENT when no formula can be inferred
+ */
+export function tableFromCsv(csv, options = {}) {
+    const file = options.file || 'table.csv';
+    const unknown = csv.columns.filter(column => !TABLE_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown table columns: ${unknown.join(', ')}. Use ${TABLE_COLUMNS.join(', ')}`, null, 'INVALID_CSV');
+    }
+    if (!csv.columns.includes('text') && !csv.columns.includes('documentUuid')) {
+        throw new ValidationError('The table needs a text or documentUuid column.', 'text', 'INVALID_CSV');
+    }
+    if (csv.rows.length === 0) {
+        throw new ValidationError(`${file} has no results.`, null, 'INVALID_CSV');
+    }
+
+    const failures = [];
+    const fail = (line, error, code, field) => failures.push({ file: `${file}:${line}`, line, error, code, field });
+
+    // Either every row has a range or none does
+    const ranged = csv.rows.some(({ values }) => values.range);
+    const results = [];
+    const lines = [];
+    let next = 1;
+    for (const { line, values } of csv.rows) {
+        const text = values.text ?? '';
+        const uuid = values.documentUuid ?? '';
+        if (!text && !uuid) {
+            fail(line, 'A result needs text or a documentUuid.', 'MISSING_REQUIRED_FIELD', 'text');
+            continue;
+        }
+
+        let weight = null;
+        if (values.weight) {
+            weight = /^\d+$/.test(values.weight) ? parseInt(values.weight, 10) : 0;
+            if (weight < 1) {
+                fail(line, `weight: "${values.weight}" is not a whole number of 1 or more`, 'VALIDATION_ERROR', 'weight');
+                continue;
+            }
+        }
+
+        let range;
+        if (ranged) {
+            range = values.range ? parseRange(values.range) : null;
+            if (!range) {
+                fail(line, values.range
+                    ? `range: "${values.range}" is not a roll or a range such as 1-4`
+                    : 'range: every row needs a range when any row has one', values.range ? 'VALIDATION_ERROR' : 'MISSING_REQUIRED_FIELD', 'range');
+                continue;
+            }
+            const overlap = results.findIndex(result => result.range[0] <= range[1] && range[0] <= result.range[1]);
+            if (overlap !== -1) {
+                fail(line, `range: ${formatRange(range)} overlaps ${formatRange(results[overlap].range)} on line ${lines[overlap]}`, 'VALIDATION_ERROR', 'range');
+                continue;
+            }
+        } else {
+            range = [next, next + (weight ?? 1) - 1];
+            next = range[1] + 1;
+        }
+
+        // Text results hold their text as the description; document results name the link
+        const result = uuid
+            ? { type: DOCUMENT_RESULT, name: text, documentUuid: uuid }
+            : { type: TEXT_RESULT, description: text };
+        if (values.img) {
+            result.img = values.img;
+        }
+        results.push({ ...result, weight: weight ?? range[1] - range[0] + 1, range, drawn: false });
+        lines.push(line);
+    }
+
+    const reportFailures = () => {
+        if (failures.length > 0) {
+            throw new ValidationError(
+                `${failures.length} of ${csv.rows.length} table rows failed validation; no table was created.`,
+                null,
+                'VALIDATION_ERROR',
+                { failures }
+            );
+        }
+    };
+    reportFailures();
+
+    // Rolls between two ranges would draw nothing, unless a given formula never rolls them
+    if (!options.formula) {
+        const order = results.map((result, index) => index).sort((a, b) => results[a].range[0] - results[b].range[0]);
+        for (let index = 1; index < order.length; index++) {
+            const gap = [results[order[index - 1]].range[1] + 1, results[order[index]].range[0] - 1];
+            if (gap[0] <= gap[1]) {
+                fail(lines[order[index]], `range: no result covers ${formatRange(gap)}; fill the gap or give the table's --formula`, 'VALIDATION_ERROR', 'range');
+            }
+        }
+        reportFailures();
+    }
+
+    const low = Math.min(...results.map(result => result.range[0]));
+    const high = Math.max(...results.map(result => result.range[1]));
+    const formula = options.formula || inferFormula(low, high);
+    if (!formula) {
+        throw new ValidationError(`No dice roll gives exactly ${low} to ${high}; give the table's --formula.`, 'formula', 'MISSING_ARGUMENT');
+    }
+    return { table: withOwnType('RollTable', { name: options.name, formula, results }), lines };
+}
+
+/**
+ * Write a RollTable's results as CSV, in range order
+ * @param {Object} table - RollTable data with its results
+ * @returns {string} CSV text with the TABLE_COLUMNS columns
+ */
+export function tableToCsv(table) {
+    const rows = [...table.results]
+        .sort((a, b) => a.range[0] - b.range[0])
+        .map(result => ({
+            range: formatRange(result.range),
+            text: result.type === DOCUMENT_RESULT ? result.name : (result.description || result.name),
+            weight: result.weight,
+            img: result.img,
+            documentUuid: result.documentUuid
+        }));
+    return formatCsv(TABLE_COLUMNS, rows);
+}
+
+export class RollTableCsv {
+    /**
+     * @param {WorldManager} worldManager - World to read and create tables in
+     */
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+    }
+
+    /**
+     * Create a RollTable from a parsed CSV file
+     * The table is validated with the RollTable schema and created like `doc create`.
+     * @param {Object} csv - {columns, rows} from parseCsv()
+     * @param {Object} options - Import options
+     * @param {string} options.file - File the CSV came from
+     * @param {string} options.name - Table name (default: the file name without its extension)
+     * @param {string} options.folder - Folder path for the table, created if missing
+     * @param {string} options.formula - Dice formula (default: inferred from the ranges)
+     * @param {boolean} options.noImage - Skip image validation
+     * @returns {Promise<Object>} {success, id, name, folder, formula, results: [{line, range, type, text}]}
+     * @throws {ValidationError} As tableFromCsv(), or the schema's error with the CSV line of the result it is about
+     */
+    async import(csv, options = {}) {
+        const file = options.file || 'table.csv';
+        const name = options.name || file.replace(/\.[^.]*$/, '');
+        const { table, lines } = tableFromCsv(csv, { file, name, formula: options.formula });
+
+        let created;
+        try {
+            created = await this.worldManager.create('RollTable', table, { folder: options.folder, noImage: options.noImage });
+        } catch (error) {
+            const index = /^results\.(\d+)(?:\.|$)/.exec(error.field ?? '')?.[1];
+            if (index === undefined || lines[index] === undefined) {
+                throw error;
+            }
+            throw new ValidationError(`${file}:${lines[index]}: ${error.message}`, error.field, error.code, error.details);
+        }
+
+        return {
+            ...created,
+            formula: table.formula,
+            results: table.results.map((result, index) => ({
+                line: lines[index],
+                range: result.range,
+                type: result.type,
+                text: result.type === DOCUMENT_RESULT ? result.name || result.documentUuid : result.description
+            }))
+        };
+    }
+
+    /**
+     * Find a RollTable by ID, UUID or name
+     * @private
+     */
+    async _findTable(key) {
+        const id = splitDocumentUuid(key)?.type === 'RollTable' ? splitDocumentUuid(key).id : key;
+        if (isValidId(id)) {
+            try {
+                return await this.worldManager.get('RollTable', id);
+            } catch (error) {
+                if (error.code !== 'DOCUMENT_NOT_FOUND') {
+                    throw error;
+                }
+            }
+        }
+
+        const found = await this.worldManager.findDocumentsByName([key]);
+        const matches = (found[key] ?? []).filter(match => match.documentName === 'RollTable');
+        if (matches.length === 0) {
+            throw new ValidationError(`No roll table is named "${key}" or has that ID.`, 'table', 'DOCUMENT_NOT_FOUND');
+        }
+        if (matches.length > 1) {
+            const ids = matches.map(match => splitDocumentUuid(match.uuid).id);
+            throw new ValidationError(
+                `${matches.length} roll tables are named "${key}" (${ids.join(', ')}); give its ID.`,
+                'table',
+                'MULTIPLE_MATCHES',
+                { matches: ids }
+            );
+        }
+        return await this.worldManager.get('RollTable', splitDocumentUuid(matches[0].uuid).id);
+    }
+
+    /**
+     * Write a RollTable as CSV
+     * @param {string} key - Table ID, UUID or name (any case)
+     * @returns {Promise<Object>} {id, name, formula, results, csv} where results counts the rows
+     * @throws {ValidationError} DOCUMENT_NOT_FOUND, or MULTIPLE_MATCHES when several tables have the name
+     */
+    async export(key) {
+        const table = await this._findTable(key);
+        return { id: table._id, name: table.name, formula: table.formula, results: table.results.length, csv: tableToCsv(table) };
+    }
+}
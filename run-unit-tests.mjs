@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Run the unit tests (npm test)
+ *
+ * The unit tests are the test-*.mjs files built on test-helpers.mjs; they run
+ * against stand-ins and need no FoundryVTT server. Each runs in its own Node
+ * process, one after the other. The other test-*.mjs files drive a real
+ * server and are run by hand.
+ */
+
+import { spawnSync } from 'child_process';
+import { readdirSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// A test that hangs (such as a daemon that never stops) fails instead of blocking the run
+const TEST_TIMEOUT = 120000;
+
+const files = readdirSync(__dirname)
+    .filter(file => /^test-.+\.mjs$/.test(file) && file !== 'test-helpers.mjs')
+    .filter(file => readFileSync(join(__dirname, file), 'utf8').includes("from './test-helpers.mjs'"))
+    .sort();
+
+const failed = [];
+for (const file of files) {
+    console.log(`\n▶️  ${file}`);
+    const { status } = spawnSync(process.execPath, [join(__dirname, file)], { stdio: 'inherit', timeout: TEST_TIMEOUT });
+    if (status !== 0) {
+        failed.push(file);
+    }
+}
+
+console.log(failed.length === 0
+    ? `\n🎉 All ${files.length} test files passed!`
+    : `\n❌ ${failed.length} of ${files.length} test files failed: ${failed.join(', ')}`);
+process.exit(failed.length === 0 ? 0 : 1);
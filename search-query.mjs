@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Search query language for WorldManager.search()
+ *
+ * Queries are parsed here into a plain JSON tree and evaluated inside the
+ * Foundry page against each document's source data, so only the matching
+ * page of results crosses the Puppeteer bridge.
+ *
+ *   system.level>=3 and system.rarity=rare
+ *   flags.mymodule.source exists or not (folder="Weapons" or name~"Long*")
+ *
+ * Conditions compare a dotted path with a value using = != > >= < <= or ~
+ * (case-insensitive wildcard match), or test it with `exists`. Conditions are
+ * combined with and/or/not (also &&, ||, !) and parentheses; `and` binds
+ * tighter than `or`. Bare values are read as numbers, true, false or null when
+ * they look like one; quote them to compare as strings.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+export const COMPARISON_OPERATORS = ['=', '==', '!=', '>', '>=', '<', '<=', '~'];
+
+// Longest operators first so ">=" is not read as ">" followed by "="
+const OPERATOR_PATTERN = /^(==|!=|>=|<=|&&|\|\||[=><~!()])/;
+const WORD_PATTERN = /^[^\s()=!<>~&|"']+/;
+
+/**
+ * Split a query into tokens
+ * @private
+ * @returns {Array<{kind: string, value: *}>} kind is word, string or operator
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let rest = expression.trim();
+
+    while (rest.length > 0) {
+        let match;
+        if (rest[0] === '"' || rest[0] === "'") {
+            const end = rest.indexOf(rest[0], 1);
+            if (end === -1) {
+                throw queryError(`Unterminated string in query: ${rest}`);
+            }
+            tokens.push({ kind: 'string', value: rest.slice(1, end) });
+            rest = rest.slice(end + 1);
+        } else if ((match = rest.match(OPERATOR_PATTERN))) {
+            tokens.push({ kind: 'operator', value: match[1] });
+            rest = rest.slice(match[1].length);
+        } else if ((match = rest.match(WORD_PATTERN))) {
+            tokens.push({ kind: 'word', value: match[0] });
+            rest = rest.slice(match[0].length);
+        } else {
+            throw queryError(`Unexpected character in query: ${rest[0]}`);
+        }
+        rest = rest.trimStart();
+    }
+
+    return tokens;
+}
+
+/**
+ * @private
+ */
+function queryError(message) {
+    return new ValidationError(message, 'where', 'INVALID_QUERY');
+}
+
+/**
+ * Read a bare value as a number, boolean or null when it looks like one
+ * @private
+ */
+function coerceValue(token) {
+    if (token.kind === 'string') {
+        return token.value;
+    }
+    if (token.value === 'true' || token.value === 'false') {
+        return token.value === 'true';
+    }
+    if (token.value === 'null') {
+        return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token.value)) {
+        return Number(token.value);
+    }
+    return token.value;
+}
+
+/**
+ * Recursive descent parser over the token list
+ * @private
+ */
+class QueryParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isKeyword(token, ...keywords) {
+        return token !== undefined && token.kind !== 'string' && keywords.includes(token.value.toLowerCase());
+    }
+
+    parse() {
+        const node = this.parseOr();
+        if (this.peek()) {
+            throw queryError(`Unexpected "${this.peek().value}" in query`);
+        }
+        return node;
+    }
+
+    parseOr() {
+        const args = [this.parseAnd()];
+        while (this.isKeyword(this.peek(), 'or', '||')) {
+            this.next();
+            args.push(this.parseAnd());
+        }
+        return args.length === 1 ? args[0] : { op: 'or', args };
+    }
+
+    parseAnd() {
+        const args = [this.parseUnary()];
+        while (this.isKeyword(this.peek(), 'and', '&&')) {
+            this.next();
+            args.push(this.parseUnary());
+        }
+        return args.length === 1 ? args[0] : { op: 'and', args };
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (this.isKeyword(token, 'not', '!')) {
+            this.next();
+            return { op: 'not', arg: this.parseUnary() };
+        }
+        if (token?.kind === 'operator' && token.value === '(') {
+            this.next();
+            const node = this.parseOr();
+            if (this.next()?.value !== ')') {
+                throw queryError('Missing ")" in query');
+            }
+            return node;
+        }
+        return this.parseCondition();
+    }
+
+    parseCondition() {
+        const path = this.next();
+        if (!path || path.kind !== 'word') {
+            throw queryError(path ? `Expected a field path, found "${path.value}"` : 'Query ended where a condition was expected');
+        }
+
+        const operator = this.next();
+        if (this.isKeyword(operator, 'exists')) {
+            return { op: 'exists', path: path.value };
+        }
+        if (!operator || operator.kind !== 'operator' || !COMPARISON_OPERATORS.includes(operator.value)) {
+            throw queryError(`Expected an operator (${COMPARISON_OPERATORS.join(' ')} or exists) after "${path.value}"`);
+        }
+
+        const value = this.next();
+        if (!value || value.kind === 'operator') {
+            throw queryError(`Expected a value after "${path.value}${operator.value}"`);
+        }
+        return { op: operator.value === '==' ? '=' : operator.value, path: path.value, value: coerceValue(value) };
+    }
+}
+
+/**
+ * Parse a query expression
+ * @param {string} expression - e.g. 'system.level>=3 and folder="Weapons"'
+ * @returns {Object|null} Query tree, or null for an empty expression
+ * @throws {ValidationError} INVALID_QUERY when the expression cannot be parsed
+ */
+export function parseQuery(expression) {
+    if (expression === undefined || expression === null || String(expression).trim() === '') {
+        return null;
+    }
+    return new QueryParser(tokenize(String(expression))).parse();
+}
+
+/**
+ * Dotted paths a query tree reads
+ * @param {Object|null} tree - Tree from parseQuery()
+ * @returns {Array<string>} Paths, without duplicates
+ */
+export function queryPaths(tree) {
+    if (!tree) {
+        return [];
+    }
+    if (tree.args || tree.arg) {
+        return [...new Set((tree.args || [tree.arg]).flatMap(queryPaths))];
+    }
+    return [tree.path];
+}
+
+/**
+ * Parse a sort specification
+ * @param {string|Array<string>} spec - Comma-separated paths, each optionally suffixed with :asc or :desc
+ * @returns {Array<{path: string, descending: boolean}>|null} Sort keys, or null when none are given
+ */
+export function parseSort(spec) {
+    if (!spec) {
+        return null;
+    }
+
+    const keys = (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(key => key.trim())
+        .filter(Boolean)
+        .map(key => {
+            const [path, direction = 'asc'] = key.split(':');
+            if (!path || !['asc', 'desc'].includes(direction.toLowerCase())) {
+                throw new ValidationError(`Invalid sort key "${key}". Use <path>, <path>:asc or <path>:desc`, 'sort', 'INVALID_QUERY');
+            }
+            return { path, descending: direction.toLowerCase() === 'desc' };
+        });
+    return keys.length > 0 ? keys : null;
+}
+
+/**
+ * Parse a --limit or --offset value
+ * @param {string|number} value - Value as given
+ * @param {string} field - Option name, for the error
+ * @returns {number|null} Non-negative integer, or null when not given
+ */
+export function parseCount(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new ValidationError(`--${field} must be a non-negative integer, got "${value}"`, field, 'INVALID_ARGUMENT');
+    }
+    return number;
+}
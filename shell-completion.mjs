@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * ShellCompletion - Tab completion for bash, zsh and fish
+ *
+ * The generated scripts call back into `foundry-manager.mjs __complete` with
+ * the words typed so far. Candidates are computed offline from the command
+ * table and the data directory (world manifests, SystemDiscovery systems,
+ * pack declarations and the selected system's documentTypes), so completion
+ * never starts FoundryVTT.
+ */
+
+import { basename, resolve } from 'path';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import {
+    COMMANDS, OPTION_SPECS, GLOBAL_OPTIONS, LEGACY_OPTIONS, COMPLETE_COMMAND, findCommand
+} from './cli-commands.mjs';
+import { USER_ROLES } from './world-manager.mjs';
+
+export const SUPPORTED_SHELLS = ['bash', 'zsh', 'fish'];
+
+// Options whose values are completed dynamically, by long name
+const VALUE_COMPLETERS = {
+    world: 'worlds',
+    'from-world': 'worlds',
+    'to-world': 'worlds',
+    system: 'systems',
+    type: 'types',
+    role: 'roles'
+};
+
+export class ShellCompletion {
+    /**
+     * Create a completer
+     * @param {SystemDiscovery} systemDiscovery - Offline system and world discovery
+     * @param {Object} defaults - Configured defaults
+     * @param {string} defaults.world - World used to pick types when -w/-s are not on the line
+     * @param {string} defaults.system - System used to pick types when -w/-s are not on the line
+     */
+    constructor(systemDiscovery, defaults = {}) {
+        this.systemDiscovery = systemDiscovery;
+        this.defaults = defaults;
+    }
+
+    /**
+     * Completion script for a shell
+     * @param {string} shell - bash, zsh or fish
+     * @param {string} scriptPath - Path of foundry-manager.mjs to call back into
+     * @returns {string} Script to source in the shell
+     */
+    static script(shell, scriptPath) {
+        const script = resolve(scriptPath);
+        const name = basename(script);
+        const callback = `"${process.execPath}" "${script}" ${COMPLETE_COMMAND}`;
+
+        switch (shell) {
+            case 'bash':
+                return `# foundry-manager completion for bash
+# Load with: source <(${name} completion bash)
+_foundry_manager_complete() {
+    local IFS=$'\\n'
+    COMPREPLY=( $(${callback} "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null) )
+}
+complete -o default -F _foundry_manager_complete ${name} foundry-validator
+`;
+
+            case 'zsh':
+                return `#compdef ${name} foundry-validator
+# foundry-manager completion for zsh
+# Load with: source <(${name} completion zsh)
+_foundry_manager_complete() {
+    local -a candidates
+    candidates=("\${(@f)$(${callback} "\${(@)words[2,CURRENT]}" 2>/dev/null)}")
+    if [[ -n "\${candidates[1]}" ]]; then
+        compadd -a candidates
+    else
+        _files
+    fi
+}
+compdef _foundry_manager_complete ${name} foundry-validator
+`;
+
+            case 'fish':
+                return `# foundry-manager completion for fish
+# Load with: ${name} completion fish | source
+function __foundry_manager_complete
+    set -l tokens (commandline -opc)
+    set -e tokens[1]
+    ${callback} $tokens (commandline -ct | string collect --allow-empty) 2>/dev/null
+end
+for command in ${name} foundry-validator
+    complete -c $command -f -a '(__foundry_manager_complete)'
+    complete -c $command -s f -l file -r -F
+    complete -c $command -l config -r -F
+end
+`;
+
+            default:
+                throw new ValidationError(
+                    `Unsupported shell: ${shell}. Use one of: ${SUPPORTED_SHELLS.join(', ')}`,
+                    'shell',
+                    'INVALID_ARGUMENT'
+                );
+        }
+    }
+
+    /**
+     * Complete the last word of a command line
+     * @param {Array<string>} words - Words after the program name; the last one is being typed (may be empty)
+     * @returns {Promise<Array<string>>} Candidates starting with the current word
+     */
+    async complete(words) {
+        const typed = words.length > 0 ? words.slice(0, -1) : [];
+        const current = words.length > 0 ? words[words.length - 1] : '';
+
+        const { positionals, options, pendingOption } = this._scan(typed);
+        const definition = findCommand(positionals);
+
+        // Lines that do not start with a subcommand use the deprecated flag form
+        const first = typed[0];
+        const isLegacy = first !== undefined && !findCommand([first]) && !this._isGroup(first);
+
+        let candidates = [];
+        if (pendingOption) {
+            candidates = await this._values(VALUE_COMPLETERS[pendingOption], options);
+        } else if (current.startsWith('-')) {
+            candidates = this._optionFlags(isLegacy ? Object.keys(LEGACY_OPTIONS) : [...GLOBAL_OPTIONS, ...(definition?.options || [])]);
+        } else if (isLegacy) {
+            candidates = [];
+        } else if (positionals.length === 0) {
+            candidates = [...new Set([...COMMANDS.map(command => command.words[0]), 'help'])];
+        } else if (positionals.length === 1 && this._isGroup(positionals[0])) {
+            candidates = COMMANDS
+                .filter(command => command.words[0] === positionals[0] && command.words.length > 1)
+                .map(command => command.words[1]);
+            // A group that is also a command (export <world> <dir>) takes that command's first positional too
+            if (definition) {
+                candidates.push(...await this._positionalValues(definition, positionals, options));
+            }
+        } else if (definition) {
+            candidates = await this._positionalValues(definition, positionals, options);
+        }
+
+        return candidates.filter(candidate => candidate.startsWith(current)).sort();
+    }
+
+    /**
+     * Values for the next positional of a command
+     * @private
+     */
+    async _positionalValues(definition, positionals, options) {
+        const next = (definition.positionals || [])[positionals.length - definition.words.length];
+        if (next === 'type') {
+            return await this._values('types', options);
+        } else if (next === 'shell') {
+            return SUPPORTED_SHELLS;
+        } else if (next === 'pack') {
+            return await this._values('packs', options);
+        } else if (next === 'world') {
+            return await this._values('worlds', options);
+        }
+        return [];
+    }
+
+    /**
+     * Split typed words into positionals and option values
+     * @private
+     */
+    _scan(typed) {
+        const positionals = [];
+        const options = {};
+        let pendingOption = null;
+
+        for (const word of typed) {
+            if (pendingOption) {
+                options[pendingOption] = word;
+                pendingOption = null;
+            } else if (word.startsWith('-')) {
+                const name = this._optionName(word);
+                const spec = findCommand(positionals)?.specs?.[name] || LEGACY_OPTIONS[name];
+                if (name && spec?.arg && !word.includes('=')) {
+                    pendingOption = name;
+                }
+            } else {
+                positionals.push(word);
+            }
+        }
+
+        return { positionals, options, pendingOption };
+    }
+
+    /**
+     * Long option name for a flag such as -w or --world
+     * @private
+     */
+    _optionName(flag) {
+        if (flag.startsWith('--')) {
+            return flag.slice(2).split('=')[0];
+        }
+        return Object.keys(LEGACY_OPTIONS).find(name => LEGACY_OPTIONS[name].short === flag.slice(1)) || null;
+    }
+
+    /**
+     * Flags for a list of option names
+     * @private
+     */
+    _optionFlags(names) {
+        return names.flatMap(name => {
+            const short = (OPTION_SPECS[name] || LEGACY_OPTIONS[name]).short;
+            return short ? [`--${name}`, `-${short}`] : [`--${name}`];
+        });
+    }
+
+    /**
+     * @private
+     */
+    _isGroup(word) {
+        return COMMANDS.some(command => command.words[0] === word && command.words.length > 1);
+    }
+
+    /**
+     * Dynamic values for worlds, systems, packs, types or user roles
+     * @private
+     */
+    async _values(kind, options) {
+        switch (kind) {
+            case 'worlds':
+                return (await this.systemDiscovery.getAllWorlds()).map(world => world.id);
+
+            case 'systems':
+                return (await this.systemDiscovery.getAllSystems()).map(system => system.id);
+
+            case 'packs':
+                return (await this.systemDiscovery.getAllPacks()).map(pack => pack.id);
+
+            case 'roles':
+                return Object.keys(USER_ROLES);
+
+            case 'types': {
+                const systemId = await this._selectedSystem(options);
+                const systemIds = systemId
+                    ? [systemId]
+                    : (await this.systemDiscovery.getAllSystems()).map(system => system.id);
+
+                const types = new Set();
+                for (const id of systemIds) {
+                    try {
+                        this._collectTypes(await this.systemDiscovery.getSystemObjectTypes(id), types);
+                    } catch (error) {
+                        // Unknown system on the command line: nothing to offer for it
+                    }
+                }
+                return [...types];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * System whose types should be offered: -s, the system of -w, then the configured defaults
+     * @private
+     */
+    async _selectedSystem(options) {
+        if (options.system) {
+            return options.system;
+        }
+
+        const worldId = options.world || (!this.defaults.system && this.defaults.world);
+        if (worldId) {
+            const world = (await this.systemDiscovery.getAllWorlds()).find(candidate => candidate.id === worldId);
+            if (world?.system) {
+                return world.system;
+            }
+        }
+
+        return this.defaults.system || null;
+    }
+
+    /**
+     * Add document types and subtypes from getSystemObjectTypes() to a set
+     * @private
+     */
+    _collectTypes(typeInfo, types) {
+        types.add('actor');
+        types.add('item');
+        Object.keys(typeInfo.types.actors).forEach(type => types.add(type));
+        Object.keys(typeInfo.types.items).forEach(type => types.add(type));
+        for (const [docType, subtypes] of Object.entries(typeInfo.types.other)) {
+            types.add(docType);
+            Object.keys(subtypes).forEach(type => types.add(type));
+        }
+    }
+}
+
+export default ShellCompletion;
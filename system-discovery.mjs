@@ -10,6 +10,7 @@
 import { readdir, readFile, stat } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, resolve } from 'path';
+import { resolveDataPath } from './config-manager.mjs';
 
 export class SystemDiscovery {
     constructor(options = {}) {
@@ -21,28 +22,21 @@ export class SystemDiscovery {
 
     /**
      * Resolve FoundryVTT data path
+     * Uses the same lookup as the config file defaults, with FOUNDRY_VTT_DATA_PATH taking precedence.
      * @private
      */
     _resolveDataPath() {
-        // Check for symbolic link first (development setup)
-        const symlinkPath = resolve('./foundry-data');
-        if (existsSync(symlinkPath)) {
-            return resolve(symlinkPath);
+        const envPath = process.env.FOUNDRY_VTT_DATA_PATH;
+        if (envPath && existsSync(envPath)) {
+            return resolve(envPath);
         }
-        
-        // Default FoundryVTT data locations
-        const possiblePaths = [
-            process.env.FOUNDRY_VTT_DATA_PATH,
-            join(process.env.HOME || process.env.USERPROFILE, '.local/share/FoundryVTT/Data'),
-            join(process.env.HOME || process.env.USERPROFILE, 'FoundryVTT/Data'),
-            './foundry-data'
-        ].filter(path => path && existsSync(path));
-
-        if (possiblePaths.length === 0) {
+
+        const dataPath = resolveDataPath();
+        if (!dataPath) {
             throw new Error('Could not locate FoundryVTT data directory');
         }
 
-        return resolve(possiblePaths[0]);
+        return dataPath;
     }
 
     /**
@@ -136,6 +130,86 @@ export class SystemDiscovery {
         return systems.find(system => system.id === systemId) || null;
     }
 
+    /**
+     * Get all worlds in the data directory
+     * @returns {Promise<Array>} List of {id, title, system} read from each world.json
+     */
+    async getAllWorlds() {
+        const worldsPath = join(this.dataPath, 'worlds');
+        if (!existsSync(worldsPath)) {
+            return [];
+        }
+
+        const worlds = [];
+        for (const entry of await readdir(worldsPath)) {
+            const manifestPath = join(worldsPath, entry, 'world.json');
+            if (!existsSync(manifestPath)) {
+                continue;
+            }
+
+            try {
+                const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+                worlds.push({
+                    id: manifest.id || entry,
+                    title: manifest.title || entry,
+                    system: manifest.system || null
+                });
+            } catch (error) {
+                if (this.verbose) {
+                    console.log(`   ❌ Error reading world.json for ${entry}: ${error.message}`);
+                }
+            }
+        }
+
+        return worlds;
+    }
+
+    /**
+     * Get compendium packs declared by world, system and module manifests
+     * Pack IDs are "<package id>.<pack name>", as used by game.packs.
+     * @returns {Promise<Array>} List of {id, label, type, packageType, packageName}
+     */
+    async getAllPacks() {
+        const packs = [];
+        for (const [packageType, directory, manifestName] of [
+            ['world', 'worlds', 'world.json'],
+            ['system', 'systems', 'system.json'],
+            ['module', 'modules', 'module.json']
+        ]) {
+            const packagesPath = join(this.dataPath, directory);
+            if (!existsSync(packagesPath)) {
+                continue;
+            }
+
+            for (const entry of await readdir(packagesPath)) {
+                const manifestPath = join(packagesPath, entry, manifestName);
+                if (!existsSync(manifestPath)) {
+                    continue;
+                }
+
+                try {
+                    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+                    const packageName = manifest.id || manifest.name || entry;
+                    for (const pack of manifest.packs || []) {
+                        packs.push({
+                            id: `${packageName}.${pack.name}`,
+                            label: pack.label || pack.name,
+                            type: pack.type || pack.entity || null,
+                            packageType,
+                            packageName
+                        });
+                    }
+                } catch (error) {
+                    if (this.verbose) {
+                        console.log(`   ❌ Error reading ${manifestName} for ${entry}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        return packs;
+    }
+
     /**
      * Get object types for a specific system
      * @param {string} systemId - System identifier
@@ -266,7 +340,7 @@ export class SystemDiscovery {
 
         } catch (error) {
             console.error(`❌ Error: ${error.message}`);
-            console.error('Use --list-systems to see available systems');
+            console.error('Run "systems" to see available systems');
         }
     }
 
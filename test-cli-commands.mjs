@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test subcommand parsing
+ * Checks subcommands, strict option handling, mutual exclusion, per-command
+ * help and the deprecated flag form, without starting FoundryVTT.
+ */
+
+import { parseCommandLine, parseAssignments, suggestSubcommand } from './cli-commands.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+function parseError(argv) {
+    try {
+        parseCommandLine(argv);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+function testCliCommands() {
+    console.log('🧪 Testing command-line parsing...\n');
+
+    let parsed = parseCommandLine(['doc', 'update', 'weapon', '--id', 'abc123', '{"name":"Club"}', '-w', 'testania']);
+    check('parses doc update', parsed.command === 'update' && parsed.args.type === 'weapon' && parsed.args.id === 'abc123');
+    check('keeps JSON as the input positional', parsed.args.positionals[0] === '{"name":"Club"}' && parsed.args.world === 'testania');
+    check('subcommands are not deprecated', parsed.deprecated === false);
+
+    parsed = parseCommandLine(['doc', 'get', 'weapon', '--id', 'abc123', '--fields', 'name,system.price']);
+    check('parses doc get --fields', parsed.command === 'get' && parsed.args.fields === 'name,system.price');
+
+    parsed = parseCommandLine(['doc', 'find', 'weapon', '--where', 'system.level>=3', '--sort', 'name', '--limit', '5']);
+    check('parses doc find queries', parsed.args.where === 'system.level>=3' && parsed.args.sort === 'name' && parsed.args.limit === '5');
+    check('--count conflicts with paging', parseError(['doc', 'find', 'weapon', '--count', '--limit', '5'])?.code === 'CONFLICTING_OPTIONS');
+
+    parsed = parseCommandLine(['doc', 'delete', 'Actor.abc123.Item.def456']);
+    check('a UUID stands for <type> and --id', parsed.args.type === 'Actor.abc123.Item' && parsed.args.id === 'def456');
+
+    parsed = parseCommandLine(['doc', 'update', 'Item.abc123', '{"system.price":5}', '--dry-run']);
+    check('parses doc update --dry-run', parsed.command === 'update' && parsed.args['dry-run'] === true);
+    check('--dry-run is not accepted by get', parseError(['doc', 'get', 'Item.abc123', '--dry-run'])?.code === 'INVALID_ARGUMENT');
+
+    parsed = parseCommandLine(['doc', 'upsert', 'weapon', '{"name":"Club"}', '--match-by', 'name', '--on-multiple', 'first']);
+    check('parses doc upsert', parsed.command === 'upsert' && parsed.args['match-by'] === 'name' &&
+        parsed.args['on-multiple'] === 'first' && parsed.args.positionals[0] === '{"name":"Club"}');
+
+    parsed = parseCommandLine(['-t', 'weapon', '-i', '{"name":"Club"}', '--match-by', 'name']);
+    check('flag form -i with --match-by upserts', parsed.command === 'upsert' && suggestSubcommand(parsed.command, parsed.args).includes('doc upsert'));
+
+    parsed = parseCommandLine(['doc', 'move', 'Item.abc123', '--folder', 'Weapons/Martial']);
+    check('parses doc move by UUID', parsed.command === 'move' && parsed.args.id === 'abc123' && parsed.args.folder === 'Weapons/Martial');
+    check('doc move needs --folder', parseError(['doc', 'move', 'weapon', '--id', 'abc123'])?.field === 'folder');
+
+    parsed = parseCommandLine(['doc', 'clone', 'Item.abc123', '--set', 'name=Longsword +1', '--set', 'system.magicalBonus=1', '--count', '3']);
+    check('parses doc clone with repeated --set', parsed.command === 'clone' && parsed.args.id === 'abc123' &&
+        parsed.args.set.length === 2 && parsed.args.count === '3');
+    check('--count takes a value only where a command says so', parsed.args.count === '3' &&
+        parseCommandLine(['doc', 'find', 'weapon', '--count']).args.count === true);
+    check('doc clone help shows the count value', parseCommandLine(['doc', 'clone', '--help']).help.includes('--count <n>'));
+
+    const values = parseAssignments(['name=Longsword +1', 'system.magicalBonus=1', 'flags.x={"a":true}', 'system.note=a=b']);
+    check('--set values are read as JSON when they parse', values.name === 'Longsword +1' && values['system.magicalBonus'] === 1 &&
+        values['flags.x'].a === true && values['system.note'] === 'a=b');
+    check('--set needs a path', (() => { try { parseAssignments(['=1']); } catch (error) { return error.field === 'set'; } })());
+
+    parsed = parseCommandLine(['copy', '--from-world', 'dev', '--to-world', 'live', '--type', 'weapon', '--name', '*', '--keep-id']);
+    check('parses copy', parsed.command === 'copy' && parsed.args['from-world'] === 'dev' && parsed.args['to-world'] === 'live' &&
+        parsed.args.type === 'weapon' && parsed.args['keep-id'] === true);
+    check('copy needs a target world', parseError(['copy', '--from-world', 'dev', '--type', 'weapon'])?.field === 'to-world');
+
+    parsed = parseCommandLine(['undo', '3', '--force']);
+    check('parses undo with a count', parsed.command === 'undo' && parsed.args.n === '3' && parsed.args.force === true);
+
+    parsed = parseCommandLine(['folder', 'delete', 'Item', 'Weapons/Martial', '--contents']);
+    check('parses folder delete', parsed.command === 'folder-delete' && parsed.args.folder === 'Weapons/Martial' && parsed.args.contents === true);
+
+    parsed = parseCommandLine(['export', 'testania', './content', '--types', 'Item,npc', '--strip']);
+    check('parses export with the world as a positional', parsed.args.world === 'testania' && parsed.args.dir === './content' && parsed.args.strip === true);
+
+    parsed = parseCommandLine(['sync', 'apply', './content', '--match-by', 'flags.repo.id', '--prune']);
+    check('parses sync apply', parsed.command === 'sync-apply' && parsed.args['match-by'] === 'flags.repo.id' && parsed.args.prune === true);
+
+    parsed = parseCommandLine(['serve', 'status']);
+    check('parses serve status', parsed.command === 'serve-status');
+
+    parsed = parseCommandLine(['credentials', 'status', '--json']);
+    check('credential subcommands imply their flag', parsed.command === 'credentials' && parsed.args['credential-status'] === true);
+
+    parsed = parseCommandLine(['images', '*.webp']);
+    check('optional positionals are named', parsed.args['image-pattern'] === '*.webp');
+
+    check('unknown options are rejected', parseError(['doc', 'find', 'weapon', '--nam', 'x'])?.code === 'INVALID_ARGUMENT');
+    check('options of other commands are rejected', parseError(['worlds', '--id', 'abc'])?.code === 'INVALID_ARGUMENT');
+    check('extra positionals are rejected', parseError(['schema', 'weapon', 'armor'])?.code === 'INVALID_ARGUMENT');
+    check('missing positionals are reported', parseError(['doc', 'find'])?.field === 'type');
+    check('required options are enforced', parseError(['doc', 'delete', 'weapon'])?.field === 'id');
+    check('exclusive options conflict', parseError(['types', '-s', 'dnd5e', '-w', 'testania'])?.code === 'CONFLICTING_OPTIONS');
+    check('--json and --ndjson conflict', parseError(['worlds', '--json', '--ndjson'])?.code === 'CONFLICTING_OPTIONS');
+    check('JSON argument and --file conflict', parseError(['validate', 'weapon', '{}', '-f', 'x.json'])?.code === 'CONFLICTING_OPTIONS');
+    check('unknown group commands are rejected', parseError(['doc', 'frobnicate'])?.code === 'INVALID_ARGUMENT');
+
+    parsed = parseCommandLine(['import', './content', '--ids', 'derive']);
+    check('import takes --ids', parsed.command === 'import' && parsed.args.ids === 'derive');
+
+    parsed = parseCommandLine(['check', 'links', '--types', 'JournalEntry,Scene', '--fix-plan']);
+    check('check links', parsed.command === 'check-links' && parsed.args.types === 'JournalEntry,Scene' && parsed.args['fix-plan'] === true);
+
+    parsed = parseCommandLine(['doc', 'permissions', 'JournalEntry', '--folder', 'Handouts', '--owner', 'Alice=OWNER', '--owner', 'default=LIMITED']);
+    check('doc permissions takes repeated --owner', parsed.command === 'permissions' && parsed.args.owner.join() === 'Alice=OWNER,default=LIMITED');
+    parsed = parseCommandLine(['users', 'update', 'Alice', '--rename', 'Alicia', '--role', 'TRUSTED', '--character', '']);
+    check('users update takes the user and its changes', parsed.command === 'user-update' && parsed.args.user === 'Alice' &&
+        parsed.args.rename === 'Alicia' && parsed.args.role === 'TRUSTED' && parsed.args.character === '');
+    check('users import takes a CSV file', parseCommandLine(['users', 'import', 'roster.csv']).args.csv === 'roster.csv');
+    parsed = parseCommandLine(['import', 'journal', './lore', '--folder', 'Lore', '--assets', 'worlds/test/lore']);
+    check('import journal takes a path and an assets directory', parsed.command === 'journal-import' && parsed.args.path === './lore' &&
+        parsed.args.folder === 'Lore' && parsed.args.assets === 'worlds/test/lore');
+    check('import of a directory is still a bulk import', parseCommandLine(['import', './content']).command === 'import');
+    parsed = parseCommandLine(['import', 'table', 'encounters.csv', '--formula', '2d6', '--name', 'Encounters']);
+    check('import table takes a CSV file and a formula', parsed.command === 'table-import' && parsed.args.csv === 'encounters.csv' &&
+        parsed.args.formula === '2d6' && parsed.args.name === 'Encounters');
+    parsed = parseCommandLine(['export', 'table', 'Encounters']);
+    check('export table writes to stdout without a file', parsed.command === 'table-export' && parsed.args.table === 'Encounters' && parsed.args.csv === undefined);
+    check('export of a world is still a full export', parseCommandLine(['export', 'myworld', './content']).command === 'export');
+    parsed = parseCommandLine(['export', '--world', 'table', './content']);
+    check('a world named table is exported with --world', parsed.command === 'export' && parsed.args.world === 'table' && parsed.args.dir === './content');
+    parsed = parseCommandLine(['export', '--', 'table', './content']);
+    check('or after --', parsed.command === 'export' && parsed.args.world === 'table' && parsed.args.dir === './content');
+    check('doc create takes --owner', parseCommandLine(['doc', 'create', 'JournalEntry', '{}', '--owner', 'Bob=OBSERVER']).args.owner[0] === 'Bob=OBSERVER');
+
+    check('per-command help', parseCommandLine(['doc', 'create', '--help']).help.includes('doc create <type> [json]'));
+    check('help <command>', parseCommandLine(['help', 'serve', 'stop']).help.includes('serve stop'));
+    check('group help', parseCommandLine(['doc']).help.includes('doc delete'));
+
+    parsed = parseCommandLine(['-t', 'weapon', '-r', '--name', 'Long*']);
+    check('flag form still works', parsed.command === 'read' && parsed.args.type === 'weapon' && parsed.deprecated === true);
+    check('flag form suggests the subcommand', suggestSubcommand(parsed.command, parsed.args).includes('doc find'));
+
+    parsed = parseCommandLine(['-t', 'weapon', '-d', '--id', 'abc123', '--dry-run']);
+    check('flag form accepts --dry-run', parsed.command === 'delete' && parsed.args['dry-run'] === true);
+
+    parsed = parseCommandLine(['{"name":"Club"}', '-t', 'weapon']);
+    check('flag form defaults to validate', parsed.command === 'validate' && parsed.args.positionals[0] === '{"name":"Club"}');
+
+    check('flag form rejects several commands', parseError(['-t', 'weapon', '-i', '-u', '-d'])?.code === 'CONFLICTING_OPTIONS');
+    check('flag form rejects typos', parseError(['--list-world'])?.code === 'INVALID_ARGUMENT');
+}
+
+runTests(testCliCommands, 'command-line');
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test document cloning and cross-world copies
+ * Runs WorldManager.clone() and FoundryManager.copyDocuments() against
+ * stand-in worlds (an Item collection with folders, an Actor with embedded
+ * Items), checking --set values, copy counts, folders, journaling, ID
+ * handling and that the previously active world is restored.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { FoundryManager } from './foundry-manager.mjs';
+import { check, caught, log, quiet, runTests, Collection, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager and the validator log each step; keep the output to the checks
+quiet();
+
+// A stand-in Item class that creates into the active world's collections
+let nextId = 1;
+class Item extends StandInDocument {
+    static documentName = 'Item';
+
+    static async createDocuments(list, { keepId } = {}) {
+        return list.map(data => {
+            const document = new Item({ ...data, _id: keepId && data._id ? data._id : `item${String(nextId++).padStart(12, '0')}`, _stats: { createdTime: nextId } });
+            game.collections.get('Item').set(document.id, document);
+            return document;
+        });
+    }
+}
+
+function makeWorld(id) {
+    const items = new Collection();
+    items.documentName = 'Item';
+    items.documentClass = Item;
+
+    const folders = [];
+    folders.get = (folderId) => folders.find(folder => folder.id === folderId);
+
+    const game = { world: { id }, collections: new Map([['Item', items]]), folders };
+    const window = { game, CONFIG: { Item: { documentClass: Item, typeLabels: { weapon: 'Weapon', loot: 'Loot' } } } };
+    return { window, game, items, folders };
+}
+
+function activate(world) {
+    globalThis.window = world.window;
+    globalThis.game = world.game;
+}
+
+globalThis.Folder = {
+    create: async ({ name, type, folder }) => {
+        const created = { id: `folder${nextId++}`, name, type, folder: game.folders.get(folder) ?? null };
+        game.folders.push(created);
+        return created;
+    }
+};
+
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data, options) => {
+        validated.push({ type, data, options });
+        return { success: true };
+    }
+});
+
+async function testClone() {
+    log('🧪 Testing clone and copy...\n');
+
+    const dev = makeWorld('dev');
+    activate(dev);
+    dev.folders.push({ id: 'weapons', name: 'Weapons', type: 'Item', folder: null });
+    dev.items.set('sword00000000001', new Item({ _id: 'sword00000000001', name: 'Longsword', type: 'weapon', folder: 'weapons', ownership: { user1: 3 }, system: { price: 15, description: 'See @UUID[Item.sword00000000001]{Longsword}' } }));
+    dev.items.set('rope', new Item({ _id: 'rope', name: 'Rope', type: 'loot', folder: null, system: {} }));
+
+    const actor = { uuid: 'Actor.hero', documentName: 'Actor', constructor: { metadata: { embedded: { Item: 'items' } } } };
+    const carried = new Collection([['dagger', new Item({ _id: 'dagger', name: 'Dagger', type: 'weapon', system: {} }, actor)]]);
+    actor.getEmbeddedCollection = () => carried;
+    actor.createEmbeddedDocuments = async (name, list) => list.map(data => {
+        const document = new Item({ ...data, _id: `item${nextId++}` }, actor);
+        carried.set(document.id, document);
+        return document;
+    });
+    globalThis.fromUuid = async (uuid) => (uuid === 'Actor.hero' ? actor : null);
+
+    const journaled = [];
+    const journal = { append: async (operation, changes) => journaled.push({ operation, changes }) };
+    const worldManager = new WorldManager(validator, { journal });
+
+    let result = await worldManager.clone('weapon', 'sword00000000001', { set: { name: 'Longsword +1', 'system.magicalBonus': 1 }, count: 3 });
+    const copies = result.documents.map(document => dev.items.get(document.id));
+    check('clone creates the requested number of copies', result.documents.length === 3 && copies.every(Boolean));
+    check('--set values are applied to every copy', copies.every(copy => copy.name === 'Longsword +1' &&
+        copy._source.system.magicalBonus === 1 && copy._source.system.price === 15));
+    check('copies get new IDs', new Set(copies.map(copy => copy.id)).size === 3 && !copies.some(copy => copy.id === 'sword00000000001'));
+    check('the source is left alone', dev.items.get('sword00000000001').name === 'Longsword' && !('magicalBonus' in dev.items.get('sword00000000001')._source.system));
+    check('copies stay in the source folder', result.folder === 'Weapons' && copies.every(copy => copy._source.folder === 'weapons'));
+    check('the copy is validated once, with the --set values', validated.length === 1 && validated[0].data.system.magicalBonus === 1);
+    check('all copies are one journal entry', journaled.length === 1 && journaled[0].operation === 'clone' && journaled[0].changes.length === 3);
+
+    result = await worldManager.clone('Item', 'rope', { folder: 'Gear/Camping' });
+    check('copies are named like Foundry\'s Duplicate', result.documents[0].name === 'Rope (Copy)');
+    check('--folder places the copies, creating the folder', result.folder === 'Gear/Camping');
+
+    result = await worldManager.clone('Actor.hero.Item', 'dagger', { count: 2 });
+    check('embedded documents are cloned into their parent', result.parent === 'Actor.hero' && carried.size === 3 &&
+        result.documents[0].uuid.startsWith('Actor.hero.Item.'));
+
+    check('embedded copies cannot take a folder', (await caught(worldManager.clone('Actor.hero.Item', 'dagger', { folder: 'X' })))?.code === 'INVALID_ARGUMENT');
+    check('--count must be at least 1', (await caught(worldManager.clone('weapon', 'sword00000000001', { count: 0 })))?.field === 'count');
+    check('missing sources are reported', (await caught(worldManager.clone('weapon', 'rope')))?.code === 'DOCUMENT_NOT_FOUND');
+
+    // Cross-world copies through FoundryManager, switching between stand-in worlds
+    const live = makeWorld('live');
+    live.items.set('old', new Item({ _id: 'old', name: 'Old Sword', type: 'weapon', system: {} }));
+    const worlds = { dev, live };
+    const switched = [];
+    const manager = Object.create(FoundryManager.prototype);
+    Object.assign(manager, { initialized: true, selectedWorld: 'dev', worldManager: new WorldManager(validator) });
+    manager.switchWorld = async (worldId) => {
+        if (worldId === manager.selectedWorld) {
+            return;
+        }
+        switched.push(worldId);
+        activate(worlds[worldId]);
+        manager.selectedWorld = worldId;
+        manager.worldManager = new WorldManager(validator);
+    };
+
+    result = await manager.copyDocuments('dev', 'live', 'weapon', { name: 'Longsword*', noImage: true });
+    const copied = result.documents.map(document => live.items.get(document.id));
+    check('copy reads matching documents and creates them in the target world', result.copied === 4 && copied.every(Boolean) &&
+        copied.some(copy => copy.name === 'Longsword'));
+    check('copies get new IDs by default', !live.items.has('sword00000000001') && result.documents.some(document => document.source === 'Item.sword00000000001'));
+    const original = result.documents.find(document => document.source === 'Item.sword00000000001');
+    check('@UUID links between copies follow the new IDs', live.items.get(original.id)._source.system.description === `See @UUID[Item.${original.id}]{Longsword}`);
+    check('source-world folder, ownership and _stats are left out', copied.every(copy =>
+        copy._source.folder === undefined && copy._source.ownership === undefined && copy._source._stats.createdTime));
+    check('the previous world is active again', manager.selectedWorld === 'dev' && switched.join() === 'live,dev');
+
+    result = await manager.copyDocuments('dev', 'live', 'weapon', { where: 'name=Longsword', keepId: true });
+    check('--keep-id keeps the source IDs', result.copied === 1 && live.items.get('sword00000000001')?.name === 'Longsword');
+
+    const conflict = await caught(manager.copyDocuments('dev', 'live', 'weapon', { where: 'name=Longsword', keepId: true }));
+    check('IDs already in the target world are conflicts', conflict?.code === 'VALIDATION_ERROR' &&
+        conflict.details.failures[0].code === 'ID_CONFLICT' && conflict.details.failures[0].file === 'Item.sword00000000001');
+    check('nothing is copied after a conflict', [...live.items.values()].filter(item => item.name === 'Longsword').length === 2);
+
+    result = await manager.copyDocuments('dev', 'live', 'weapon', { name: 'Nothing*' });
+    check('no matches copies nothing', result.copied === 0 && manager.selectedWorld === 'dev');
+    check('copying into the same world is refused', (await caught(manager.copyDocuments('dev', 'dev', 'weapon')))?.field === 'to-world');
+}
+
+runTests(testClone, 'clone');
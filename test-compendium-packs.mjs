@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test compendium pack operations
+ * Runs the WorldManager pack methods against a stand-in page with one
+ * unlocked and one locked Item pack and a world Item collection, and checks
+ * index search, locking, validation, import and export.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { check, caught, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Minimal stand-ins for documents, packs and the world collection
+let nextId = 1;
+function makeDocument(data, pack = null) {
+    const source = { ...data, _id: data._id ?? `new${nextId++}` };
+    return {
+        get id() { return source._id; },
+        get name() { return source.name; },
+        get uuid() { return pack ? `Compendium.${pack.collection}.Item.${source._id}` : `Item.${source._id}`; },
+        _source: source,
+        toObject: () => structuredClone(source),
+        update: async (changes) => {
+            Object.assign(source, changes);
+            return null;
+        },
+        delete: async () => pack.documents.delete(source._id)
+    };
+}
+
+function makePack(collection, locked, entries) {
+    const pack = {
+        collection,
+        locked,
+        documentName: 'Item',
+        metadata: { label: collection, packageType: 'system', packageName: collection.split('.')[0] },
+        documents: new Map(),
+        indexRequests: [],
+        get index() {
+            return new Map([...this.documents].map(([id, doc]) => [id, { _id: id, name: doc.name, type: doc._source.type }]));
+        },
+        async getIndex({ fields = [] } = {}) {
+            this.indexRequests.push(fields);
+            return new Map([...this.documents].map(([id, doc]) => {
+                const entry = { _id: id, name: doc.name, type: doc._source.type };
+                fields.forEach(field => window.__foundryManager.setProperty(entry, field, window.__foundryManager.getProperty(doc._source, field)));
+                return [id, entry];
+            }));
+        },
+        async getDocument(id) {
+            return this.documents.get(id) ?? null;
+        },
+        documentClass: {
+            create: async (data, { pack: packId }) => {
+                const target = packs.get(packId);
+                const document = makeDocument(data, target);
+                target.documents.set(document.id, document);
+                return document;
+            }
+        },
+        async importDocument(document) {
+            const copy = makeDocument({ ...document.toObject(), _id: undefined }, this);
+            this.documents.set(copy.id, copy);
+            return copy;
+        }
+    };
+    entries.forEach(data => pack.documents.set(data._id, makeDocument(data, pack)));
+    return pack;
+}
+
+const packs = new Map([
+    ['world.loot', makePack('world.loot', false, [
+        { _id: 'p1', name: 'Rope', type: 'loot', system: { price: 1 } },
+        { _id: 'p2', name: 'Ruby', type: 'loot', system: { price: 500 } }
+    ])],
+    ['dnd5e.items', makePack('dnd5e.items', true, [{ _id: 's1', name: 'Longsword', type: 'weapon', system: { price: 15 } }])]
+]);
+
+const worldItems = new Map([['w1', makeDocument({ _id: 'w1', name: 'Lantern', type: 'loot' })]]);
+worldItems.documentName = 'Item';
+worldItems.importFromCompendium = async (pack, id, updateData, { keepId }) => {
+    const source = (await pack.getDocument(id)).toObject();
+    const document = makeDocument({ ...source, _id: keepId ? source._id : undefined });
+    worldItems.set(document.id, document);
+    return document;
+};
+
+globalThis.window = {
+    game: { collections: new Map([['Item', worldItems]]), packs },
+    CONFIG: { Item: { typeLabels: { loot: 'Loot', weapon: 'Weapon' } } }
+};
+globalThis.game = window.game;
+globalThis.foundry = { utils: { mergeObject: (original, other) => ({ ...original, ...other }) } };
+
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data, options) => {
+        validated.push({ type, data, options });
+        return { success: true };
+    }
+});
+const worldManager = new WorldManager(validator);
+
+async function testCompendiumPacks() {
+    log('🧪 Testing compendium packs...\n');
+
+    const list = await worldManager.listPacks();
+    check('lists packs with lock state', list.length === 2 && list.find(pack => pack.id === 'dnd5e.items').locked === true);
+
+    const found = await worldManager.searchPack('world.loot', null, { where: 'system.price>10' });
+    check('searches the index with queries', found.length === 1 && found[0].name === 'Ruby');
+    check('query paths are added to the index request', packs.get('world.loot').indexRequests.pop().includes('system.price'));
+    check('counts index matches', await worldManager.searchPack('Compendium.world.loot', 'R*', { count: true }) === 2);
+
+    const ruby = await worldManager.getFromPack('world.loot', 'p2', { fields: 'system.price' });
+    check('gets a pack document with fields', ruby._id === 'p2' && ruby.system.price === 500 && ruby.name === undefined);
+
+    const created = await worldManager.createInPack('world.loot', { name: 'Torch', type: 'loot', img: 'torch.webp' });
+    check('creates in an unlocked pack after validation', packs.get('world.loot').documents.has(created.id) && validated.pop().type === 'Item');
+
+    await worldManager.updateInPack('world.loot', 'p1', { name: 'Silk Rope' });
+    check('updates validate the merged document', validated.pop().data.type === 'loot' && packs.get('world.loot').documents.get('p1').name === 'Silk Rope');
+
+    await worldManager.deleteFromPack('world.loot', created.id);
+    check('deletes from an unlocked pack', !packs.get('world.loot').documents.has(created.id));
+
+    check('locked packs reject changes', (await caught(worldManager.createInPack('dnd5e.items', { name: 'Club', type: 'weapon' })))?.code === 'PACK_LOCKED');
+    check('unknown packs are reported', (await caught(worldManager.searchPack('nope.pack')))?.code === 'PACK_NOT_FOUND');
+
+    const imported = await worldManager.importFromPack('dnd5e.items', 's1', { keepId: true });
+    check('imports from locked packs into the world', imported.id === 's1' && worldItems.get('s1')?.name === 'Longsword');
+    check('import names its source', imported.source === 'Compendium.dnd5e.items.s1');
+
+    const exported = await worldManager.exportToPack('world.loot', 'loot', 'w1');
+    check('exports world documents into a pack', packs.get('world.loot').documents.get(exported.id)?.name === 'Lantern');
+    check('exports check the pack is unlocked', (await caught(worldManager.exportToPack('dnd5e.items', 'Item', 'w1')))?.code === 'PACK_LOCKED');
+}
+
+runTests(testCompendiumPacks, 'compendium pack');
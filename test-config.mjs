@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test configuration file loading
+ * Merges temporary project config files and checks precedence, path
+ * resolution, CLI overrides and error reporting.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ConfigManager, CONFIG_FILE_NAME } from './config-manager.mjs';
+import { parseCommandLine } from './cli-commands.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+function testConfig() {
+    console.log('🧪 Testing configuration loading...\n');
+
+    const root = mkdtempSync(join(tmpdir(), 'foundry-manager-config-'));
+    const nested = join(root, 'campaign', 'notes');
+    mkdirSync(nested, { recursive: true });
+    const savedDataPath = process.env.FOUNDRY_VTT_DATA_PATH;
+    delete process.env.FOUNDRY_VTT_DATA_PATH;
+
+    try {
+        writeFileSync(join(root, CONFIG_FILE_NAME), JSON.stringify({
+            dataPath: 'data',
+            port: 31000,
+            world: 'testania',
+            timeouts: { navigation: 45000 },
+            defaults: { 'no-image': true }
+        }));
+
+        let config = ConfigManager.load({ cwd: nested });
+        check('finds project config in a parent directory', config.files.some(file => file.scope === 'project'));
+        check('resolves relative paths against the config file', config.get('dataPath') === join(root, 'data'));
+        check('merges nested timeouts', config.get('timeouts.navigation') === 45000 && config.get('timeouts.gameReady') === 60000);
+        check('keeps defaults for unset keys', config.get('hostname') === 'localhost');
+        check('records the source of each value', config.show().values.port.source.startsWith('project'));
+
+        const options = config.toServerOptions();
+        check('maps to server manager options', options.port === 31000 && options.navigationTimeout === 45000);
+
+        const args = config.applyArgs({ world: 'elsewhere', positionals: [] });
+        check('command-line flags override the config', args.world === 'elsewhere' && config.get('world') === 'elsewhere');
+        check('config fills in default flags', args['no-image'] === true);
+        check('command-line source is reported', config.show().values.world.source === 'command line');
+
+        writeFileSync(join(root, CONFIG_FILE_NAME), JSON.stringify({ world: 'testania', system: 'dnd5e', defaults: { 'no-image': true } }));
+        config = ConfigManager.load({ cwd: nested });
+        let parsed = parseCommandLine(['types', '-w', 'elsewhere']);
+        config.applyArgs(parsed.args, parsed.options);
+        check('a configured system is not used with a world', parsed.args.world === 'elsewhere' && parsed.args.system === undefined);
+        parsed = parseCommandLine(['export', 'testania', './out']);
+        config.applyArgs(parsed.args, parsed.options);
+        check('only options the command accepts are filled in', parsed.args['no-image'] === undefined && parsed.args.system === undefined);
+        parsed = parseCommandLine(['types']);
+        config.applyArgs(parsed.args, parsed.options);
+        check('a configured world wins over a configured system', parsed.args.world === 'testania' && parsed.args.system === undefined);
+
+        writeFileSync(join(root, CONFIG_FILE_NAME), JSON.stringify({ defaults: { json: true, ndjson: true } }));
+        config = ConfigManager.load({ cwd: nested });
+        parsed = parseCommandLine(['worlds']);
+        check('json and ndjson defaults conflict', (() => {
+            try {
+                config.applyArgs(parsed.args, parsed.options);
+            } catch (error) {
+                return error.code === 'CONFLICTING_OPTIONS';
+            }
+            return false;
+        })());
+        writeFileSync(join(root, CONFIG_FILE_NAME), JSON.stringify({ defaults: { json: true } }));
+        parsed = parseCommandLine(['worlds', '--ndjson']);
+        ConfigManager.load({ cwd: nested }).applyArgs(parsed.args, parsed.options);
+        check('an output flag on the command line replaces the configured one', parsed.args.ndjson === true && parsed.args.json === undefined);
+
+        process.env.FOUNDRY_VTT_DATA_PATH = '/srv/foundry/Data';
+        config = ConfigManager.load({ cwd: nested });
+        check('FOUNDRY_VTT_DATA_PATH overrides config files', config.get('dataPath') === '/srv/foundry/Data');
+        delete process.env.FOUNDRY_VTT_DATA_PATH;
+
+        writeFileSync(join(root, CONFIG_FILE_NAME), JSON.stringify({ port: 'fast' }));
+        try {
+            ConfigManager.load({ cwd: nested });
+            check('rejects values of the wrong type', false);
+        } catch (error) {
+            check('rejects values of the wrong type', error.code === 'INVALID_CONFIG' && error.field === 'port');
+        }
+
+        try {
+            ConfigManager.load({ configPath: join(root, 'missing.json') });
+            check('reports a missing --config file', false);
+        } catch (error) {
+            check('reports a missing --config file', error.code === 'FILE_NOT_FOUND');
+        }
+    } finally {
+        if (savedDataPath !== undefined) {
+            process.env.FOUNDRY_VTT_DATA_PATH = savedDataPath;
+        }
+        rmSync(root, { recursive: true, force: true });
+    }
+}
+
+runTests(testConfig, 'configuration');
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test daemon request forwarding
+ * Runs ManagerDaemon with a stand-in manager (no FoundryVTT server) and checks
+ * that DaemonClient requests, errors, mutation ordering and the requests held
+ * back during a world switch behave as expected.
+ */
+
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ManagerDaemon, DaemonClient } from './manager-daemon.mjs';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+// Minimal stand-in exposing what the daemon uses from FoundryManager
+const manager = {
+    selectedWorld: 'testania',
+    selectedSystem: 'dnd5e',
+    serverManager: { getState: () => 'ready' },
+    listWorlds: async () => ['testania'],
+    initialize: async () => {},
+    cleanup: async () => {}
+};
+
+async function testDaemon() {
+    console.log('🧪 Testing daemon forwarding...\n');
+
+    const paths = {
+        socketPath: join(tmpdir(), `foundry-manager-test-${process.pid}.sock`),
+        pidFile: join(tmpdir(), `foundry-manager-test-${process.pid}.pid`)
+    };
+
+    const order = [];
+    const handler = async (command, args) => {
+        if (command === 'insert') {
+            // The first mutation is slower; serialization must keep arrival order
+            await new Promise(resolve => setTimeout(resolve, args.delay));
+            order.push(args.name);
+            return { id: args.name, name: args.name };
+        }
+        if (command === 'copy') {
+            // Like copyDocuments(): the server is on other worlds until the copy ends
+            order.push('copy started');
+            manager.selectedWorld = 'elsewhere';
+            await new Promise(resolve => setTimeout(resolve, 100));
+            manager.selectedWorld = 'testania';
+            order.push('copy finished');
+            return { copied: 1 };
+        }
+        if (command === 'read' && args.delay) {
+            await new Promise(resolve => setTimeout(resolve, args.delay));
+            order.push(`read on ${manager.selectedWorld}`);
+            return { command, echoed: args.type };
+        }
+        if (command === 'schema') {
+            throw new ValidationError('Unknown type: blaster', 'type', 'UNKNOWN_TYPE');
+        }
+        return { command, echoed: args.type };
+    };
+
+    const daemon = new ManagerDaemon(manager, handler, paths);
+    await daemon.start('testania');
+
+    const client = await DaemonClient.connect(paths);
+    check('client connects to running daemon', client !== null);
+
+    try {
+        const result = await client.request('read', { type: 'weapon' });
+        check('forwards read commands', result.echoed === 'weapon');
+
+        const status = await client.request('status');
+        check('reports ServerState', status.state === 'ready' && status.world === 'testania');
+
+        try {
+            await client.request('schema', { type: 'blaster' });
+            check('propagates validation errors', false);
+        } catch (error) {
+            check('propagates validation errors', error instanceof ValidationError && error.code === 'UNKNOWN_TYPE');
+        }
+
+        try {
+            await client.request('read', { type: 'weapon', world: 'elsewhere' });
+            check('rejects other worlds', false);
+        } catch (error) {
+            check('rejects other worlds', error.code === 'WORLD_MISMATCH');
+        }
+
+        await Promise.all([
+            client.request('insert', { name: 'first', delay: 100 }),
+            client.request('insert', { name: 'second', delay: 0 })
+        ]);
+        check('serializes mutations in arrival order', order.join(',') === 'first,second');
+
+        order.length = 0;
+        await Promise.all([
+            client.request('read', { type: 'weapon', delay: 50 }),
+            client.request('copy', { 'from-world': 'elsewhere', 'to-world': 'testania' }),
+            client.request('read', { type: 'weapon', world: 'testania', delay: 1 }),
+            client.request('insert', { name: 'third', delay: 20 })
+        ]);
+        check('a copy waits for running reads and holds back every later request', order.join(',') ===
+            'read on testania,copy started,copy finished,read on testania,third');
+    } finally {
+        client.close();
+        await daemon.stop();
+    }
+
+    check('no daemon detected after stop', (await DaemonClient.connect(paths)) === null);
+}
+
+runTests(testDaemon, 'daemon');
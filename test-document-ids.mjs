@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test document IDs
+ * Checks the ID helpers, then runs WorldManager.create() and
+ * importDocuments() against a stand-in Item and JournalEntry collection,
+ * checking that supplied _id values are kept or refused when taken, that
+ * derived IDs are stable, and that @UUID links between imported documents
+ * follow their new IDs.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { FoundryManager } from './foundry-manager.mjs';
+import { generateId, deriveId, deriveDocumentKey, isValidId, rewriteUuidReferences } from './document-ids.mjs';
+import { check, caught, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Stand-in document classes that save into the collections below
+let nextId = 1;
+function makeCollection(documentName) {
+    const collection = new Map();
+    collection.documentName = documentName;
+    const create = (data, keepId) => {
+        const _id = keepId && data._id ? data._id : `gen${String(nextId++).padStart(13, '0')}`;
+        const document = { id: _id, name: data.name, type: data.type, uuid: `${documentName}.${_id}`, _source: { ...data, _id } };
+        document.toObject = () => structuredClone(document._source);
+        collection.set(_id, document);
+        return document;
+    };
+    collection.documentClass = {
+        create: async (data, { keepId } = {}) => create(data, keepId),
+        createDocuments: async (list, { keepId } = {}) => list.map(data => create(data, keepId))
+    };
+    return collection;
+}
+
+const items = makeCollection('Item');
+const journals = makeCollection('JournalEntry');
+globalThis.window = {
+    game: { collections: new Map([['Item', items], ['JournalEntry', journals]]) },
+    CONFIG: { Item: { typeLabels: { weapon: 'Weapon' } }, JournalEntry: {} }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator({ validateDocument: async (type, data) => ({ success: true, data }) });
+const worldManager = new WorldManager(validator);
+
+async function testDocumentIds() {
+    log('🧪 Testing document IDs...\n');
+
+    check('generated IDs use Foundry\'s format', isValidId(generateId()) && isValidId(FoundryManager.generateRandomId()));
+    check('derived IDs are stable and valid', deriveId('Item/weapon/Longsword') === deriveId('Item/weapon/Longsword') && isValidId(deriveId('x')));
+    check('different keys derive different IDs', deriveId('Item/weapon/Longsword') !== deriveId('Item/weapon/Glaive'));
+    check('the derive key is document name, type and name', deriveDocumentKey('Item', { name: 'Rope', type: 'loot' }) === 'Item/loot/Rope');
+    check('malformed IDs are not valid', !isValidId('sword') && !isValidId('abcdefghijklmno!') && !isValidId(null));
+
+    const links = rewriteUuidReferences(
+        { text: '@UUID[Item.aaaaaaaaaaaaaaaa]{A} and @UUID[Actor.aaaaaaaaaaaaaaaa.Item.bbbbbbbbbbbbbbbb]', list: ['@UUID[Item.cccccccccccccccc]'] },
+        new Map([['Item.aaaaaaaaaaaaaaaa', 'AAAAAAAAAAAAAAAA'], ['Actor.aaaaaaaaaaaaaaaa', 'BBBBBBBBBBBBBBBB']])
+    );
+    check('@UUID links to mapped documents are rewritten, including embedded ones', links.rewritten === 2 &&
+        links.value.text === '@UUID[Item.AAAAAAAAAAAAAAAA]{A} and @UUID[Actor.BBBBBBBBBBBBBBBB.Item.bbbbbbbbbbbbbbbb]' &&
+        links.value.list[0] === '@UUID[Item.cccccccccccccccc]');
+
+    // create()
+    let result = await worldManager.create('weapon', { _id: 'longsword0000001', name: 'Longsword' });
+    check('create keeps a supplied _id', result.id === 'longsword0000001' && items.has('longsword0000001'));
+    const taken = await caught(worldManager.create('weapon', { _id: 'longsword0000001', name: 'Longsword' }));
+    check('a taken _id is a conflict', taken?.code === 'ID_CONFLICT' && taken.field === '_id' && items.size === 1);
+    check('a malformed _id is refused', (await caught(worldManager.create('weapon', { _id: 'sword', name: 'Sword' })))?.code === 'INVALID_ID');
+    result = await worldManager.create('weapon', { _id: 'longsword0000001', name: 'Longsword' }, { ids: 'new' });
+    check('--ids new drops the _id', result.id !== 'longsword0000001' && items.size === 2);
+    result = await worldManager.create('weapon', { name: 'Glaive' }, { ids: 'derive' });
+    check('--ids derive uses the ID derived from type and name', result.id === deriveId('Item/weapon/Glaive'));
+    check('deriving the same document again is a conflict', (await caught(worldManager.create('weapon', { name: 'Glaive' }, { ids: 'derive' })))?.code === 'ID_CONFLICT');
+    check('unknown --ids modes are rejected', (await caught(worldManager.create('weapon', { name: 'X' }, { ids: 'reuse' })))?.field === 'ids');
+
+    // importDocuments()
+    const entries = () => [
+        { file: 'Item/rope.json', type: 'Item', data: { _id: 'roperopeRope0001', name: 'Rope', type: 'loot' } },
+        { file: 'JournalEntry/camp.json', type: 'JournalEntry', data: { _id: 'campcampCamp0001', name: 'Camp', content: 'Bring @UUID[Item.roperopeRope0001]{Rope}' } }
+    ];
+    result = await worldManager.importDocuments(entries());
+    check('import keeps supplied IDs by default', items.has('roperopeRope0001') && journals.has('campcampCamp0001') && result.references === 0);
+
+    const conflict = await caught(worldManager.importDocuments(entries()));
+    check('IDs already in the world fail validation', conflict?.code === 'VALIDATION_ERROR' &&
+        conflict.details.failures.every(failure => failure.code === 'ID_CONFLICT'));
+
+    result = await worldManager.importDocuments(entries(), { ids: 'new' });
+    const rope = result.documents.find(document => document.name === 'Rope');
+    const camp = journals.get(result.documents.find(document => document.name === 'Camp').id);
+    check('--ids new imports again under new IDs', result.created === 2 && rope.id !== 'roperopeRope0001');
+    check('@UUID links between imported documents follow the new IDs', result.references === 1 &&
+        camp._source.content === `Bring @UUID[Item.${rope.id}]{Rope}`);
+
+    result = await worldManager.importDocuments(entries(), { ids: 'derive' });
+    check('--ids derive imports under derived IDs', items.has(deriveId('Item/loot/Rope')) && journals.has(deriveId('JournalEntry//Camp')));
+    check('and rewrites links to them', journals.get(deriveId('JournalEntry//Camp'))._source.content.includes(`Item.${deriveId('Item/loot/Rope')}`));
+
+    const bad = await caught(worldManager.importDocuments([{ file: 'bad.json', type: 'Item', data: { _id: 'bad', name: 'Bad' } }]));
+    check('malformed IDs fail validation', bad?.details?.failures[0].code === 'INVALID_ID');
+}
+
+runTests(testDocumentIds, 'document ID');
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test dry runs of create, update and delete
+ * Runs WorldManager against a stand-in page whose Item class cleans data the
+ * way a Foundry schema does (unknown system fields dropped, wrong types
+ * rejected), and checks the previewed changes, the ignored paths, and that
+ * nothing is saved.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { previewChanges } from './world-sync.mjs';
+import { check, caught, log, quiet, runTests, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Expand dotted keys and merge, as foundry.utils.mergeObject does
+function merge(original, changes) {
+    const result = structuredClone(original);
+    for (const [key, value] of Object.entries(changes)) {
+        const keys = key.split('.');
+        let target = result;
+        keys.slice(0, -1).forEach(part => { target = target[part] ??= {}; });
+        const last = keys[keys.length - 1];
+        target[last] = value && typeof value === 'object' && !Array.isArray(value) ? merge(target[last] ?? {}, value) : value;
+    }
+    return result;
+}
+
+// A stand-in Item class with a schema of {name, type, system: {price, weight}}
+const writes = [];
+class Item extends StandInDocument {
+    static documentName = 'Item';
+    static metadata = { embedded: {} };
+
+    constructor(data) {
+        if (data.system?.price !== undefined && typeof data.system.price !== 'number') {
+            throw new Error('Item validation errors: system.price: must be a number');
+        }
+        const system = { price: data.system?.price ?? 0, weight: data.system?.weight ?? 0 };
+        super({ _id: data._id ?? null, name: data.name, type: data.type, system, _stats: { modifiedTime: 1 } });
+    }
+
+    clone(changes) { return new Item(merge(this._source, changes)); }
+    async update() { writes.push('update'); }
+    async delete() { writes.push('delete'); }
+    static async create() { writes.push('create'); }
+}
+
+const items = new Map([
+    ['sword', new Item({ _id: 'sword', name: 'Longsword', type: 'weapon', system: { price: 15, weight: 3 } })],
+    ['fireball', new Item({ _id: 'fireball', name: 'Fireball', type: 'spell' })]
+]);
+items.documentName = 'Item';
+items.documentClass = Item;
+
+const actor = {
+    id: 'boss',
+    name: 'Bandit Chief',
+    constructor: { metadata: { embedded: { Item: 'items', ActiveEffect: 'effects' } } },
+    items: { size: 2 },
+    effects: { size: 0 }
+};
+const actors = new Map([['boss', actor]]);
+actors.documentName = 'Actor';
+
+globalThis.window = {
+    game: { collections: new Map([['Item', items], ['Actor', actors]]) },
+    CONFIG: { Item: { documentClass: Item, typeLabels: { weapon: 'Weapon', spell: 'Spell' } }, Actor: { typeLabels: { npc: 'NPC' } } }
+};
+globalThis.game = window.game;
+
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data, options) => {
+        validated.push({ type, data, options });
+        return { success: true };
+    }
+});
+const worldManager = new WorldManager(validator);
+
+async function testDryRun() {
+    log('🧪 Testing dry runs...\n');
+
+    const preview = await worldManager.update('Item', 'sword', { 'system.price': 20, 'system.prcie': 5 }, { dryRun: true });
+    check('an update previews the changed fields', preview.dryRun && preview.changes.length === 1 &&
+        preview.changes[0].path === 'system.price' && preview.changes[0].from === 15 && preview.changes[0].to === 20);
+    check('paths the schema drops are reported as ignored', preview.ignored.join() === 'system.prcie');
+    check('the changed document is validated', validated.at(-1).data.system.price === 20 && validated.at(-1).options.skipImageValidation);
+    check('the document is left untouched', items.get('sword')._source.system.price === 15 && writes.length === 0);
+
+    const invalid = await caught(worldManager.update('Item', 'sword', { system: { price: 'lots' } }, { dryRun: true }));
+    check('invalid changes fail validation', invalid?.code === 'VALIDATION_ERROR' && invalid.message.includes('system.price'));
+
+    const missing = await caught(worldManager.update('Item', 'nope', { name: 'X' }, { dryRun: true }));
+    check('missing documents are reported', missing?.code === 'DOCUMENT_NOT_FOUND');
+
+    const otherType = await Promise.all([
+        caught(worldManager.update('weapon', 'fireball', { name: 'X' }, { dryRun: true })),
+        caught(worldManager.update('weapon', 'fireball', { name: 'X' })),
+        caught(worldManager.delete('weapon', 'fireball'))
+    ]);
+    check('a subtype does not reach documents of another type', otherType.every(error => error?.code === 'DOCUMENT_NOT_FOUND') &&
+        items.has('fireball') && writes.length === 0);
+
+    const created = await worldManager.create('weapon', { name: 'Glaive', system: { price: 20, sharp: true } }, { dryRun: true, folder: 'Weapons' });
+    check('a create previews the fields it sets', created.changes.map(change => `${change.path}=${change.to}`).join() === 'name=Glaive,system.price=20');
+    check('a create reports ignored fields', created.ignored.join() === 'system.sharp');
+    check('a create names the folder without creating it', created.folder === 'Weapons' && created.id === null && writes.length === 0);
+
+    const deleted = await worldManager.delete('Actor', 'boss', { dryRun: true });
+    check('a delete lists what goes with the document', deleted.name === 'Bandit Chief' && JSON.stringify(deleted.contents) === '{"items":2}');
+    check('nothing is deleted', actors.has('boss') && writes.length === 0);
+
+    const removal = previewChanges({ name: 'A', flags: { x: 1 } }, { name: 'A', flags: {} }, { 'flags.-=x': null });
+    check('removed fields are previewed, not reported as ignored', removal.ignored.length === 0 &&
+        removal.changes.length === 1 && removal.changes[0].path === 'flags.x' && removal.changes[0].to === undefined);
+}
+
+runTests(testDryRun, 'dry-run');
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test embedded document operations
+ * Runs WorldManager create/update/delete/search against a stand-in page
+ * holding one Actor with embedded Items and ActiveEffects, and checks how
+ * paths resolve and which data reaches validateDocument().
+ */
+
+import { WorldManager, isEmbeddedPath, splitDocumentUuid } from './world-manager.mjs';
+import { check, caught, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Minimal stand-ins for an Actor and its embedded collections
+function embeddedDocument(parent, documentName, data) {
+    const source = { ...data };
+    return {
+        get id() { return source._id; },
+        get name() { return source.name; },
+        get type() { return source.type; },
+        get uuid() { return `${parent.uuid}.${documentName}.${source._id}`; },
+        _source: source,
+        toObject: () => structuredClone(source)
+    };
+}
+
+let nextId = 1;
+const actor = {
+    uuid: 'Actor.hero1',
+    documentName: 'Actor',
+    constructor: { metadata: { embedded: { Item: 'items', ActiveEffect: 'effects' } } },
+    collections: { Item: new Map(), ActiveEffect: new Map() },
+    getEmbeddedCollection(name) {
+        return this.collections[name];
+    },
+    async createEmbeddedDocuments(name, list) {
+        return list.map(data => {
+            const document = embeddedDocument(this, name, { _id: `new${nextId++}`, ...data });
+            this.collections[name].set(document.id, document);
+            return document;
+        });
+    },
+    async updateEmbeddedDocuments(name, list) {
+        return list.map(({ _id, ...changes }) => {
+            Object.assign(this.collections[name].get(_id)._source, changes);
+            return this.collections[name].get(_id);
+        });
+    },
+    async deleteEmbeddedDocuments(name, ids) {
+        ids.forEach(id => this.collections[name].delete(id));
+        return ids;
+    }
+};
+actor.collections.Item.set('rope1', embeddedDocument(actor, 'Item', { _id: 'rope1', name: 'Rope', type: 'loot', system: { quantity: 1 } }));
+
+globalThis.window = {
+    game: { collections: new Map() },
+    CONFIG: { Item: { typeLabels: { loot: 'Loot', weapon: 'Weapon' } } }
+};
+globalThis.fromUuid = async (uuid) => (uuid === actor.uuid ? actor : null);
+globalThis.foundry = { utils: { mergeObject: (original, other) => ({ ...original, ...other, system: { ...original.system, ...other.system } }) } };
+
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data, options) => {
+        validated.push({ type, data, options });
+        return { success: true };
+    }
+});
+const worldManager = new WorldManager(validator);
+
+async function testEmbeddedDocuments() {
+    log('🧪 Testing embedded documents...\n');
+
+    check('embedded paths have an odd number of parts', isEmbeddedPath('Actor.hero1.Item') && !isEmbeddedPath('Actor.hero1') && !isEmbeddedPath('weapon'));
+    check('UUIDs split into path and ID', splitDocumentUuid('Actor.hero1.Item.rope1').type === 'Actor.hero1.Item' && splitDocumentUuid('weapon') === null);
+
+    const found = await worldManager.search('Actor.hero1.items', null);
+    check('collection names address embedded collections', found.length === 1 && found[0].name === 'Rope');
+
+    let result = await worldManager.create('Actor.hero1.weapon', { name: 'Dagger', img: 'dagger.webp' });
+    let call = validated.pop();
+    check('subtypes create embedded Items of that type', actor.collections.Item.get(result.id)?.type === 'weapon');
+    check('embedded Items are validated with images', call.type === 'weapon' && call.data.type === 'weapon' && call.options.embedded && !call.options.skipImageValidation);
+    check('results name the parent and UUID', result.parent === 'Actor.hero1' && result.uuid === `Actor.hero1.Item.${result.id}`);
+
+    result = await worldManager.create('Actor.hero1.ActiveEffect', { name: 'Blessed' });
+    call = validated.pop();
+    check('other embedded documents skip image validation', call.type === 'ActiveEffect' && call.options.skipImageValidation === true);
+
+    result = await worldManager.update('Actor.hero1.Item', 'rope1', { system: { quantity: 3 } });
+    call = validated.pop();
+    check('updates validate the merged document', call.data.name === 'Rope' && call.data.system.quantity === 3);
+    check('updates reach the parent', actor.collections.Item.get('rope1')._source.system.quantity === 3);
+
+    const ropeData = await worldManager.get('Actor.hero1.Item', 'rope1');
+    check('get returns embedded data', ropeData.name === 'Rope');
+
+    const wrongUpdate = await caught(worldManager.update('Actor.hero1.weapon', 'rope1', { name: 'Spear' }));
+    const wrongDelete = await caught(worldManager.delete('Actor.hero1.weapon', 'rope1'));
+    check('a subtype path does not reach embedded documents of another type', wrongUpdate?.code === 'DOCUMENT_NOT_FOUND' &&
+        wrongDelete?.code === 'DOCUMENT_NOT_FOUND' && actor.collections.Item.get('rope1')?.name === 'Rope');
+
+    await worldManager.delete('Actor.hero1.Item', 'rope1');
+    check('delete removes the embedded document', !actor.collections.Item.has('rope1'));
+
+    check('unknown parents are reported', (await caught(worldManager.search('Actor.nobody.Item')))?.code === 'DOCUMENT_NOT_FOUND');
+    check('unknown embedded collections are reported', (await caught(worldManager.search('Actor.hero1.Tile')))?.code === 'UNKNOWN_TYPE');
+    check('missing embedded documents are reported', (await caught(worldManager.delete('Actor.hero1.Item', 'nope')))?.code === 'DOCUMENT_NOT_FOUND');
+}
+
+runTests(testEmbeddedDocuments, 'embedded document');
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test world export to a directory tree
+ * Runs WorldManager.exportDocuments() against a stand-in page with Items in
+ * nested folders and an Actor with embedded Items, writes the result with
+ * writeDocumentDirectory() into a temporary directory, and checks the layout,
+ * key order, stripping and pruning.
+ */
+
+import { mkdtempSync, readFileSync, existsSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorldManager } from './world-manager.mjs';
+import { readDocumentDirectory, writeDocumentDirectory, stripFields } from './document-files.mjs';
+import { check, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Minimal stand-ins for folders, documents and collections
+const weapons = { name: 'Weapons', folder: null };
+const martial = { name: 'Martial', folder: weapons };
+
+function makeDocument(data, folder = null) {
+    return { type: data.type, folder, toObject: () => structuredClone(data) };
+}
+
+function makeCollection(documentName, documents) {
+    const collection = new Map();
+    collection.documentName = documentName;
+    collection.contents = documents;
+    return collection;
+}
+
+const items = makeCollection('Item', [
+    makeDocument({ name: 'Longsword', _id: 'abc123', type: 'weapon', sort: 100, _stats: { modifiedTime: 1 }, system: { sort: 'keep' } }, martial),
+    makeDocument({ _id: 'def456', name: 'Rope', type: 'loot', sort: 200 })
+]);
+const actors = makeCollection('Actor', [
+    makeDocument({ _id: 'ghi789', name: 'Bandit Chief', type: 'npc', items: [{ _id: 'i1', name: 'Dagger', sort: 5 }] })
+]);
+
+globalThis.window = {
+    game: { collections: new Map([['Item', items], ['Actor', actors]]) },
+    CONFIG: { Item: { typeLabels: { weapon: 'Weapon', loot: 'Loot' } }, Actor: { typeLabels: { npc: 'NPC' } } },
+    CONST: { FOLDER_DOCUMENT_TYPES: ['Actor', 'Item', 'JournalEntry'] }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator();
+const worldManager = new WorldManager(validator);
+
+async function testExport() {
+    log('🧪 Testing export...\n');
+
+    const all = await worldManager.exportDocuments();
+    check('exports every sidebar collection present', all.types.map(type => type.documentName).join() === 'Actor,Item' && all.documents.length === 3);
+    check('documents carry their folder path', all.documents.find(document => document.data._id === 'abc123').folder === 'Weapons/Martial');
+
+    const weaponsOnly = await worldManager.exportDocuments({ types: 'weapon' });
+    check('subtypes limit the export', weaponsOnly.documents.length === 1 && weaponsOnly.types[0].subtype === 'weapon');
+
+    check('stripping keeps nested system fields', stripFields({ _id: 'x', sort: 1, system: { sort: 2 } }, ['sort']).system.sort === 2);
+
+    const root = mkdtempSync(join(tmpdir(), 'fm-export-'));
+    try {
+        const stale = join(root, 'Item', 'old.zzz999.json');
+        await writeDocumentDirectory(root, [{ documentName: 'Item', folder: null, data: { _id: 'zzz999', name: 'Old' } }]);
+        check('files are named by slug and ID', existsSync(stale));
+
+        const result = await writeDocumentDirectory(root, all.documents, { strip: true, prune: ['Actor', 'Item'] });
+        const longsword = readFileSync(join(root, 'Item', 'Weapons', 'Martial', 'longsword.abc123.json'), 'utf8');
+        check('files are laid out by type and folder', result.files.includes('Actor/bandit-chief.ghi789.json'));
+        check('keys are sorted', Object.keys(JSON.parse(longsword)).join() === '_id,name,system,type');
+        check('files end with a newline', longsword.endsWith('}\n'));
+        check('volatile fields are stripped from embedded documents', !readFileSync(join(root, 'Actor', 'bandit-chief.ghi789.json'), 'utf8').includes('"sort"'));
+        check('stale files are pruned', !existsSync(stale) && result.removed.join() === 'Item/old.zzz999.json');
+
+        writeFileSync(join(root, 'Item', 'notes.json'), '{}');
+        await writeDocumentDirectory(root, all.documents);
+        check('without prune other files are kept', existsSync(join(root, 'Item', 'notes.json')));
+
+        const { entries } = await readDocumentDirectory(root);
+        check('exports read back for import', entries.filter(entry => entry.type === 'Item' && entry.data._id).length === 2);
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+}
+
+runTests(testExport, 'export');
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test folder management
+ * Runs the WorldManager folder methods and --folder placement against a
+ * stand-in page with an Item collection and a folder tree, and checks path
+ * resolution, creation of missing levels, moves, renames and deletes, and
+ * that documents deleted with a folder can be undone.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { check, caught, log, quiet, runTests, Collection, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Minimal stand-ins for folders, Items and the game object
+let nextId = 1;
+const folders = new Collection();
+const items = new Collection();
+items.documentName = 'Item';
+
+function makeFolder(data) {
+    const source = { color: null, folder: null, ...data, _id: `fold${nextId++}` };
+    return {
+        get id() { return source._id; },
+        get name() { return source.name; },
+        get type() { return source.type; },
+        get color() { return source.color; },
+        get folder() { return folders.get(source.folder) ?? null; },
+        get contents() { return items.filter(item => item._source.folder === source._id); },
+        _source: source,
+        update: async (changes) => Object.assign(source, changes),
+        delete: async ({ deleteSubfolders, deleteContents } = {}) => {
+            deleted.push({ id: source._id, deleteSubfolders, deleteContents });
+            folders.delete(source._id);
+            if (deleteContents) {
+                items.filter(item => item._source.folder === source._id).forEach(item => items.delete(item.id));
+            }
+        }
+    };
+}
+
+class Item extends StandInDocument {
+    static documentName = 'Item';
+
+    constructor(data) {
+        super({ folder: null, ...data, _id: data._id ?? `item${String(nextId++).padStart(12, '0')}` });
+    }
+
+    static async create(data) {
+        const item = new Item(data);
+        items.set(item.id, item);
+        return item;
+    }
+
+    async update(changes) {
+        Object.assign(this._source, changes);
+        return this;
+    }
+}
+
+const deleted = [];
+const weapons = makeFolder({ name: 'Weapons', type: 'Item' });
+folders.set(weapons.id, weapons);
+const actors = makeFolder({ name: 'Weapons', type: 'Actor' });
+folders.set(actors.id, actors);
+items.set('sword', new Item({ _id: 'sword', name: 'Longsword', type: 'weapon', folder: weapons.id }));
+
+items.documentClass = Item;
+
+globalThis.Folder = {
+    create: async (data) => {
+        const folder = makeFolder(data);
+        folders.set(folder.id, folder);
+        return folder;
+    }
+};
+globalThis.window = {
+    game: { collections: new Map([['Item', items]]), folders },
+    CONFIG: { Item: { typeLabels: { weapon: 'Weapon', loot: 'Loot' } } }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator();
+const worldManager = new WorldManager(validator);
+
+// A journal stand-in that hands its entries back to undo
+const journaled = [];
+const journal = {
+    append: async (operation, changes) => journaled.push({ seq: journaled.length + 1, operation, changes }),
+    pending: async () => journaled.filter(entry => entry.operation !== 'undo').slice(-1)
+};
+const recording = new WorldManager(validator, { journal });
+
+async function testFolders() {
+    log('🧪 Testing folders...\n');
+
+    const created = await worldManager.createFolder('weapon', 'Weapons/Martial', { color: '#8b0000' });
+    check('subtypes resolve to their document type', created.type === 'Item');
+    check('only missing levels are created', created.created.length === 1 && created.created[0] === 'Weapons/Martial');
+    check('existing folders are reused per type', folders.get(created.id).folder === weapons && folders.get(created.id).color === '#8b0000');
+
+    const again = await worldManager.createFolder('Item', 'Weapons/Martial');
+    check('creating an existing path is a no-op', again.id === created.id && again.created.length === 0);
+
+    const inserted = await worldManager.create('weapon', { name: 'Glaive', img: 'glaive.webp' }, { folder: 'Weapons/Martial/Polearms' });
+    check('--folder creates the path on insert', inserted.folder === 'Weapons/Martial/Polearms');
+    check('inserted documents land in the folder', folders.get(items.get(inserted.id)._source.folder)?.name === 'Polearms');
+
+    const list = await worldManager.listFolders('Item');
+    check('lists folders of one type with paths', list.map(folder => folder.path).join(',') === 'Weapons,Weapons/Martial,Weapons/Martial/Polearms');
+    check('folder sizes count their documents', list[0].size === 1 && list[2].depth === 3);
+    check('lists folders of every type', (await worldManager.listFolders()).length === 4);
+
+    let moved = await worldManager.move('weapon', 'sword', 'Weapons/Martial');
+    check('moves documents into folders', moved.folder === 'Weapons/Martial' && items.get('sword')._source.folder === created.id);
+    moved = await worldManager.move('weapon', 'sword', '/');
+    check('"/" moves documents to the top level', moved.folder === null && items.get('sword')._source.folder === null);
+
+    const renamed = await worldManager.updateFolder('Item', 'Weapons/Martial', { name: 'Martial Weapons', color: '#004400' });
+    check('renames and recolors folders', renamed.path === 'Weapons/Martial Weapons' && folders.get(created.id).color === '#004400');
+    check('folder IDs address folders', (await worldManager.updateFolder('Item', created.id, { name: 'Martial' })).path === 'Weapons/Martial');
+
+    const glaive = items.get(inserted.id).toObject();
+    const removed = await recording.deleteFolder('Item', 'Weapons/Martial/Polearms', { contents: true });
+    check('deletes folders with their contents', removed.deletedContents && deleted.pop().deleteContents === true && !items.has(inserted.id));
+    check('documents deleted with their folder are journaled', journaled.length === 1 && journaled[0].operation === 'delete' &&
+        journaled[0].changes.length === 1 && JSON.stringify(journaled[0].changes[0].before) === JSON.stringify(glaive) && !('changes' in removed));
+    await recording.undo();
+    check('undo brings them back at the top level, as their folder is gone', items.get(inserted.id)?.name === 'Glaive' &&
+        items.get(inserted.id)._source.folder === null);
+    await worldManager.deleteFolder('Item', 'Weapons/Martial');
+    check('deletes folders keeping their contents', deleted.pop().deleteContents === false);
+
+    check('unknown folders are reported', (await caught(worldManager.deleteFolder('Item', 'Armor')))?.code === 'FOLDER_NOT_FOUND');
+    check('invalid colors are rejected', (await caught(worldManager.createFolder('Item', 'Armor', { color: 'red' })))?.code === 'INVALID_ARGUMENT');
+    check('folder names cannot contain slashes', (await caught(worldManager.updateFolder('Item', 'Weapons', { name: 'A/B' })))?.field === 'name');
+    check('embedded documents cannot be placed in folders', (await caught(worldManager.create('Actor.a1.Item', {}, { folder: 'X' })))?.code === 'INVALID_ARGUMENT');
+}
+
+runTests(testFolders, 'folder');
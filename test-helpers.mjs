@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Shared harness for the unit tests
+ *
+ * The test-*.mjs files run without a FoundryVTT server. They report each
+ * check with check(), collect errors with caught() and thrown(), and end with
+ * runTests(), which prints the summary line and sets the exit code. quiet()
+ * keeps WorldManager's logging out of the output. The stand-ins play the page
+ * side of Foundry: a Collection, a StandInDocument base class for the
+ * documents a test needs, and a validator whose page runs functions in Node.
+ */
+
+import { FoundryPuppeteerValidator } from './foundry-puppeteer-validator.mjs';
+
+// Checks print through the console as it was before quiet() or any capture
+const print = console.log;
+let failures = 0;
+
+/**
+ * Print a line of test output, even while the console is quiet
+ * @param {...*} args - Values to print
+ */
+export function log(...args) {
+    print(...args);
+}
+
+/**
+ * Silence console.log until runTests() reports the result
+ */
+export function quiet() {
+    console.log = () => {};
+}
+
+/**
+ * Report one check
+ * @param {string} description - What is checked
+ * @param {boolean} condition - Whether it holds
+ */
+export function check(description, condition) {
+    print(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) failures++;
+}
+
+/**
+ * Error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error|null>} The error, or null when it resolved
+ */
+export async function caught(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Error a function throws
+ * @param {Function} fn - Function expected to throw
+ * @returns {Error|null} The error, or null when it returned
+ */
+export function thrown(fn) {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Run a test function, print the summary and exit
+ * @param {Function} test - Test function, sync or async
+ * @param {string} name - What was tested, for "All <name> tests passed!"
+ */
+export function runTests(test, name) {
+    Promise.resolve()
+        .then(test)
+        .catch(error => {
+            console.error('Unexpected test error:', error);
+            failures++;
+        })
+        .finally(() => {
+            console.log = print;
+            console.log(failures === 0 ? `\n🎉 All ${name} tests passed!` : `\n❌ ${failures} check(s) failed`);
+            process.exit(failures === 0 ? 0 : 1);
+        });
+}
+
+/**
+ * Stand-in for Foundry's Collection: a Map with its array helpers
+ */
+export class Collection extends Map {
+    get contents() { return [...this.values()]; }
+    find(predicate) { return this.contents.find(predicate); }
+    filter(predicate) { return this.contents.filter(predicate); }
+}
+
+/**
+ * Stand-in for a Foundry document, holding its data as _source
+ * Subclasses set the static documentName and add the create, update and
+ * delete behaviour their test needs.
+ */
+export class StandInDocument {
+    constructor(data, parent = null) {
+        this._source = structuredClone(data);
+        this.parent = parent;
+    }
+
+    get id() { return this._source._id; }
+    get name() { return this._source.name; }
+    get type() { return this._source.type; }
+    get folder() { return globalThis.game?.folders?.get(this._source.folder) ?? null; }
+    get uuid() { return `${this.parent ? `${this.parent.uuid}.` : ''}${this.constructor.documentName}.${this.id}`; }
+    toObject() { return structuredClone(this._source); }
+}
+
+/**
+ * Validator whose page evaluates functions in Node against the global stand-ins
+ * Every document passes validation unless validateDocument is overridden.
+ * @param {Object} overrides - Methods to replace, such as validateDocument
+ * @returns {FoundryPuppeteerValidator} The validator
+ */
+export function standInValidator(overrides = {}) {
+    const validator = Object.create(FoundryPuppeteerValidator.prototype);
+    validator.serverManager = { page: { evaluate: async (fn, ...args) => fn(...structuredClone(args)) } };
+    validator._ensureInitialized = async () => {};
+    validator.validateDocument = async () => ({ success: true });
+    return Object.assign(validator, overrides);
+}
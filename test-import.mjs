@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test bulk import from a directory
+ * Reads a temporary directory of document files and runs
+ * WorldManager.importDocuments() against a stand-in page, checking that all
+ * failures are reported together, batches are created per type, and a failed
+ * batch rolls back everything created before it.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { WorldManager } from './world-manager.mjs';
+import { readDocumentDirectory } from './document-files.mjs';
+import { check, caught, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager and the validator log each step; keep the output to the checks
+quiet();
+
+// Stand-in world collections whose document classes create and delete in batches
+let nextId = 1;
+const calls = [];
+function makeCollection(documentName) {
+    const collection = new Map();
+    collection.documentName = documentName;
+    collection.documentClass = {
+        createDocuments: async (list) => {
+            calls.push({ documentName, action: 'create', size: list.length });
+            if (list.some(data => data.name === 'Explodes')) {
+                throw new Error('Database write failed');
+            }
+            return list.map(data => {
+                const document = { id: `doc${nextId++}`, name: data.name, type: data.type };
+                collection.set(document.id, document);
+                return document;
+            });
+        },
+        deleteDocuments: async (ids) => {
+            calls.push({ documentName, action: 'delete', size: ids.length });
+            ids.forEach(id => collection.delete(id));
+            return ids;
+        }
+    };
+    return collection;
+}
+
+const items = makeCollection('Item');
+const actors = makeCollection('Actor');
+globalThis.window = {
+    game: { collections: new Map([['Item', items], ['Actor', actors]]) },
+    CONFIG: { Item: { typeLabels: { weapon: 'Weapon' } }, Actor: { typeLabels: { npc: 'NPC' } } }
+};
+globalThis.game = window.game;
+
+// The real validateBatch() over a validateDocument() that requires a name
+const validator = standInValidator({
+    validateDocument: async (type, data) => {
+        if (!data.name) {
+            throw new ValidationError('Document name is required', 'name', 'MISSING_REQUIRED_FIELD');
+        }
+        return { success: true, data };
+    }
+});
+const worldManager = new WorldManager(validator);
+
+function writeTree(root, files) {
+    for (const [path, content] of Object.entries(files)) {
+        mkdirSync(join(root, path, '..'), { recursive: true });
+        writeFileSync(join(root, path), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+}
+
+async function testImport() {
+    log('🧪 Testing bulk import...\n');
+
+    const root = mkdtempSync(join(tmpdir(), 'fm-import-'));
+    try {
+        writeTree(root, {
+            'Item/longsword.json': { name: 'Longsword', type: 'weapon' },
+            'Item/Weapons/glaive.json': { name: 'Glaive', type: 'weapon' },
+            'Actor/bandit.json': { name: 'Bandit', type: 'npc' },
+            'Actor/notes.txt': 'ignored'
+        });
+        let { entries } = await readDocumentDirectory(root);
+        check('the top directory names the type', entries.map(entry => `${entry.type}:${entry.file}`).join() === 'Actor:Actor/bandit.json,Item:Item/longsword.json,Item:Item/Weapons/glaive.json');
+        check('--type overrides the directory', (await readDocumentDirectory(root, { type: 'weapon' })).entries.every(entry => entry.type === 'weapon'));
+        check('missing directories are reported', (await caught(readDocumentDirectory(join(root, 'nope'))))?.code === 'DIRECTORY_NOT_FOUND');
+
+        const result = await worldManager.importDocuments(entries, { batchSize: 1 });
+        check('creates every document', result.created === 3 && items.size === 2 && actors.size === 1);
+        check('batches per document type', calls.filter(call => call.action === 'create').map(call => call.documentName).join() === 'Actor,Item,Item');
+        check('results name their files', result.documents.find(document => document.name === 'Glaive').file === 'Item/Weapons/glaive.json');
+
+        writeTree(root, {
+            'Item/broken.json': '{"name":',
+            'Item/nameless.json': { type: 'weapon' },
+            'stray.json': { name: 'Stray' },
+            'Wand/wand.json': { name: 'Wand' }
+        });
+        ({ entries } = await readDocumentDirectory(root));
+        calls.length = 0;
+        const error = await caught(worldManager.importDocuments(entries));
+        const files = error?.details?.failures.map(failure => failure.file).join();
+        check('all failures are reported together', files === 'Item/broken.json,Item/nameless.json,stray.json,Wand/wand.json');
+        check('failures carry their codes', error.details.failures.find(failure => failure.file === 'Item/nameless.json').code === 'MISSING_REQUIRED_FIELD');
+        check('nothing is created when validation fails', calls.length === 0);
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+
+    items.clear();
+    actors.clear();
+    calls.length = 0;
+    const entries = [
+        { file: 'a.json', type: 'npc', data: { name: 'Bandit' } },
+        { file: 'b.json', type: 'Item', data: { name: 'Rope' } },
+        { file: 'c.json', type: 'Item', data: { name: 'Explodes' } }
+    ];
+    const error = await caught(worldManager.importDocuments(entries, { batchSize: 1 }));
+    check('a failed batch is reported', error?.code === 'IMPORT_FAILED' && error.details.files[0] === 'c.json');
+    check('earlier batches are rolled back', error.details.rolledBack === 2 && items.size === 0 && actors.size === 0);
+    check('a batch size of 0 is rejected', (await caught(worldManager.importDocuments(entries, { batchSize: 0 })))?.field === 'batch-size');
+}
+
+runTests(testImport, 'import');
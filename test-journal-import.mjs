@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Markdown journal importer
+ * Converts Markdown to HTML, splits files into pages, reads a temporary
+ * directory of notes with images, and imports it through a stand-in world,
+ * checking the pages, uploaded images and the @UUID links made from
+ * [[wiki links]].
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorldManager } from './world-manager.mjs';
+import { markdownToHtml } from './markdown.mjs';
+import { JournalImporter, assetPath, readMarkdownSource, splitPages, titledPage } from './journal-import.mjs';
+import { check, caught, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+async function testJournalImport() {
+    log('🧪 Testing the Markdown journal importer...\n');
+
+    check('paragraphs, emphasis and code', markdownToHtml('Some **bold**, *em* and `a<b`\nsame paragraph\n\nNext') ===
+        '<p>Some <strong>bold</strong>, <em>em</em> and <code>a&lt;b</code>\nsame paragraph</p>\n<p>Next</p>');
+    check('tight lists hold no paragraphs and nest by indentation', markdownToHtml('- a\n- b\n  1. c') ===
+        '<ul>\n<li>a</li>\n<li>b\n<ol>\n<li>c</li>\n</ol></li>\n</ul>');
+    check('tables keep their column alignment', markdownToHtml('| A | B |\n|---|--:|\n| 1 | 2 |').includes('<td style="text-align: right">2</td>'));
+    check('fenced code is escaped, not converted', markdownToHtml('```\n# not a heading <b>\n```') === '<pre><code># not a heading &lt;b&gt;</code></pre>');
+    check('inline HTML is escaped, HTML blocks are kept', markdownToHtml('a <b>b</b>\n\n<div class="x">\nraw\n</div>') ===
+        '<p>a &lt;b&gt;b&lt;/b&gt;</p>\n<div class="x">\nraw\n</div>');
+    check('images and wiki links go through the callbacks', markdownToHtml('![Map](<maps/old town.png>) [[Hero|the hero]] [[Nobody]]', {
+        image: (src) => `uploads/${src}`,
+        link: (target, label) => (target === 'Hero' ? `@UUID[Actor.x]{${label}}` : null)
+    }) === '<p><img src="uploads/maps/old town.png" alt="Map"> @UUID[Actor.x]{the hero} Nobody</p>');
+
+    check('links and images with other schemes keep only their text', markdownToHtml('[x](javascript:alert(1)) ![Map](<java\tscript:alert(1)>)') ===
+        '<p>x Map</p>');
+    check('bare link URLs may hold balanced parentheses', markdownToHtml('[Foo](https://en.wikipedia.org/wiki/Foo_(bar)) (see [it](a.md))') ===
+        '<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a> (see <a href="a.md">it</a>)</p>');
+
+    let pages = splitPages('Intro text\n\n## Brindle *Town*\nA\n### Inn\nB\n```\n## not a page\n```\n## Roads\nC', 'Lore');
+    check('a file splits at its top-level headings', pages.map(page => page.name).join() === 'Lore,Brindle Town,Roads');
+    check('sub-headings and code stay in their page', pages[1].markdown.includes('### Inn') && pages[1].markdown.includes('## not a page'));
+    check('files without headings are one page', splitPages('Just text', 'Notes').length === 1);
+    check('a leading heading names a file\'s page', JSON.stringify(titledPage('\n# The Inn\nWarm.', 'inn')) === '{"name":"The Inn","markdown":"Warm."}' &&
+        titledPage('No heading', 'inn').name === 'inn');
+    check('image paths are relative to their file', assetPath('places/town.md', '../maps/Old%20Town.webp?v=2') === 'maps/Old Town.webp');
+
+    const root = mkdtempSync(join(tmpdir(), 'foundry-manager-journal-'));
+    try {
+        mkdirSync(join(root, 'lore', 'places'), { recursive: true });
+        mkdirSync(join(root, 'lore', 'maps'));
+        writeFileSync(join(root, 'lore', 'maps', 'town.webp'), 'WEBP');
+        writeFileSync(join(root, 'lore', 'intro.md'), '# Introduction\nSee [[Brindle]], [[Hero]] and [[Goblin]].\n\n![Map](maps/town.webp)\n');
+        writeFileSync(join(root, 'lore', 'places', 'brindle.md'), '# Brindle\n![Map](../maps/town.webp)\n![Gone](missing.png)\n![Web](https://example.com/x.png)');
+        writeFileSync(join(root, 'lore', 'notes.txt'), 'not Markdown');
+
+        const source = await readMarkdownSource(join(root, 'lore'));
+        check('a directory reads its Markdown files in path order', source.directory && source.name === 'lore' &&
+            source.files.map(file => file.file).join() === 'intro.md,places/brindle.md');
+        check('local images are read once each, missing ones are null', Object.keys(source.images).sort().join() === 'maps/town.webp,places/missing.png' &&
+            source.images['maps/town.webp'] === Buffer.from('WEBP').toString('base64') && source.images['places/missing.png'] === null);
+
+        const calls = [];
+        const worldManager = {
+            findDocumentsByName: async (names) => {
+                calls.push({ findDocumentsByName: names });
+                return { Hero: [{ uuid: 'Actor.hero' }], Goblin: [{ uuid: 'Actor.g1' }, { uuid: 'Actor.g2' }] };
+            },
+            uploadFiles: async (files, directory) => {
+                calls.push({ uploadFiles: files, directory });
+                return files.map(file => ({ name: file.name, path: `worlds/test/assets/journal/${file.name}` }));
+            },
+            create: async (type, data, options) => {
+                calls.push({ create: data, options });
+                return { success: true, id: data._id, name: data.name, folder: options.folder };
+            }
+        };
+        const importer = new JournalImporter(worldManager);
+
+        const error = await caught(importer.import(source));
+        check('missing images are reported before anything is uploaded or created', error?.code === 'IMAGE_NOT_FOUND' &&
+            error.details.failures[0].file === 'places/brindle.md' && calls.length === 0);
+
+        writeFileSync(join(root, 'lore', 'places', 'brindle.md'), '# Brindle\n![Map](../maps/town.webp)\nBack to [[introduction|the start]].');
+        const result = await importer.import(await readMarkdownSource(join(root, 'lore')), { folder: 'Lore', assets: 'lore-images' });
+        const { create, options } = calls.find(call => call.create);
+        check('a directory becomes one entry with a page per file', create.name === 'lore' &&
+            create.pages.map(page => page.name).join() === 'Introduction,Brindle' && result.pages.length === 2);
+        check('pages are HTML text pages in file order', create.pages[0].type === 'text' && create.pages[0].text.format === 1 &&
+            create.pages[0].sort < create.pages[1].sort && !create.pages[0].text.content.includes('<h1>'));
+        check('the entry keeps the IDs its links point at', options.ids === 'keep' && options.folder === 'Lore' &&
+            create.pages[1].text.content.includes(`@UUID[JournalEntry.${create._id}.JournalEntryPage.${create.pages[0]._id}]{the start}`));
+        check('links to other pages are not looked up in the world', calls.find(call => call.findDocumentsByName).findDocumentsByName.join() === 'Hero,Goblin');
+        check('unique world documents are linked', create.pages[0].text.content.includes('@UUID[Actor.hero]{Hero}') && result.links === 3);
+        check('ambiguous names are left as text and reported', result.unresolved.length === 1 &&
+            result.unresolved[0].target === 'Goblin' && result.unresolved[0].reason === '2 documents have this name');
+
+        const upload = calls.find(call => call.uploadFiles);
+        check('each image is uploaded once, with its type, to the assets directory', upload.uploadFiles.length === 1 &&
+            upload.uploadFiles[0].name === 'maps-town.webp' && upload.uploadFiles[0].type === 'image/webp' && upload.directory === 'lore-images');
+        check('image sources point at the uploads', create.pages.every(page => page.text.content.includes('src="worlds/test/assets/journal/maps-town.webp"')));
+
+        calls.length = 0;
+        const single = await importer.import(await readMarkdownSource(join(root, 'lore', 'places', 'brindle.md')), { name: 'Town' });
+        check('a single file is split into pages by heading', single.name === 'Town' && single.pages.map(page => page.name).join() === 'Brindle');
+        check('links outside a single file are looked up in the world',
+            calls.find(call => call.findDocumentsByName)?.findDocumentsByName.join() === 'introduction');
+        calls.length = 0;
+        const clashing = await importer.import({
+            name: 'Clash',
+            directory: false,
+            files: [{ file: 'clash.md', markdown: '![](a/b-c.png) ![](a-b/c.png) ![](../a-b-c.png)\n\n[[Hero|<b>Bold</b> & {braces}]]' }],
+            images: { 'a/b-c.png': 'QQ==', 'a-b/c.png': 'Qg==', '../a-b-c.png': 'Qw==' }
+        });
+        check('paths that flatten to the same name are uploaded under numbered names',
+            calls.find(call => call.uploadFiles).uploadFiles.map(file => file.name).join() === 'a-b-c.png,a-b-c-2.png,a-b-c-3.png' &&
+            clashing.images.map(image => image.path.split('/').pop()).join() === 'a-b-c.png,a-b-c-2.png,a-b-c-3.png');
+        check('link labels are escaped and cannot end the label early',
+            calls.find(call => call.create).create.pages[0].text.content.includes('@UUID[Actor.hero]{&lt;b&gt;Bold&lt;/b&gt; &amp; {braces&#125;}'));
+        check('a missing path is reported', (await caught(readMarkdownSource(join(root, 'nope'))))?.code === 'FILE_NOT_FOUND');
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+
+    // findDocumentsByName() and uploadFiles() in the page
+    const documents = (documentName, list) => new Map(list.map(([id, name]) => [id, { documentName, name, uuid: `${documentName}.${id}` }]));
+    const pagesOf = documents('JournalEntryPage', [['p1', 'Goblin'], ['p2', 'Tavern']]);
+    const uploads = [];
+    globalThis.window = {
+        CONST: { FOLDER_DOCUMENT_TYPES: ['Actor', 'JournalEntry'] },
+        FilePicker: {
+            createDirectory: async (source, path) => {
+                uploads.push(`mkdir ${path}`);
+                if (path === 'worlds') {
+                    throw new Error('EEXIST');
+                }
+            },
+            upload: async (source, path, file) => {
+                uploads.push(`${path}/${file.name}:${file.type}:${await file.text()}`);
+                return { path: `${path}/${file.name}` };
+            }
+        }
+    };
+    globalThis.game = {
+        world: { id: 'test' },
+        collections: new Map([
+            ['Actor', documents('Actor', [['a1', 'Goblin'], ['a2', 'goblin'], ['a3', 'Hero']])],
+            ['JournalEntry', new Map([['j1', { documentName: 'JournalEntry', name: 'Lore', uuid: 'JournalEntry.j1', pages: pagesOf }]])]
+        ])
+    };
+    game.journal = game.collections.get('JournalEntry');
+    const validator = standInValidator();
+    const manager = new WorldManager(validator);
+
+    const found = await manager.findDocumentsByName(['goblin', 'Tavern', 'Nowhere']);
+    check('names match sidebar documents in any case', found.goblin.map(match => match.uuid).join() === 'Actor.a1,Actor.a2');
+    check('journal pages match when no document does', found.Tavern[0]?.uuid === 'JournalEntryPage.p2' && found.Nowhere.length === 0);
+
+    const uploaded = await manager.uploadFiles([{ name: 'map.webp', type: 'image/webp', data: Buffer.from('WEBP').toString('base64') }]);
+    check('uploads go to the world\'s assets by default, creating its directories', uploaded[0].path === 'worlds/test/assets/journal/map.webp' &&
+        uploads.join('|') === 'mkdir worlds|mkdir worlds/test|mkdir worlds/test/assets|mkdir worlds/test/assets/journal|worlds/test/assets/journal/map.webp:image/webp:WEBP');
+}
+
+runTests(testJournalImport, 'journal import');
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Test machine-readable CLI output
+ * Checks CliOutput rendering for --json / --ndjson without starting FoundryVTT
+ */
+
+import { CliOutput, OutputFormat } from './cli-output.mjs';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+// Collects everything written to it, line by line
+class CaptureStream {
+    constructor() {
+        this.lines = [];
+    }
+
+    write(chunk) {
+        this.lines.push(...chunk.split('\n').filter(Boolean));
+    }
+}
+
+function testJsonOutput() {
+    console.log('🧪 Testing JSON output mode...\n');
+
+    const stdout = new CaptureStream();
+    const output = new CliOutput({ format: OutputFormat.JSON, stdout });
+    output.success('list-worlds', { worlds: ['alpha', 'beta'] });
+
+    check('writes exactly one line', stdout.lines.length === 1);
+    const parsed = JSON.parse(stdout.lines[0]);
+    check('wraps result in an ok envelope', parsed.ok === true && parsed.command === 'list-worlds');
+    check('keeps the result intact', parsed.result.worlds.join(',') === 'alpha,beta');
+}
+
+function testNdjsonOutput() {
+    console.log('\n🧪 Testing NDJSON output mode...\n');
+
+    const stdout = new CaptureStream();
+    const output = new CliOutput({ format: OutputFormat.NDJSON, stdout });
+    output.success('read', {
+        type: 'weapon',
+        documents: [{ id: 'a1', name: 'Club' }, { id: 'b2', name: 'Dagger' }]
+    });
+
+    check('writes one line per document', stdout.lines.length === 2);
+    check('lines are plain records', JSON.parse(stdout.lines[1]).name === 'Dagger');
+
+    const single = new CaptureStream();
+    new CliOutput({ format: OutputFormat.NDJSON, stdout: single }).success('insert', { id: 'c3', name: 'Mace' });
+    check('non-list commands write a single envelope', single.lines.length === 1 && JSON.parse(single.lines[0]).ok === true);
+}
+
+function testErrorOutput() {
+    console.log('\n🧪 Testing structured errors...\n');
+
+    const stdout = new CaptureStream();
+    const output = new CliOutput({ format: OutputFormat.JSON, stdout });
+    output.failure('insert', new ValidationError('Image is required', 'img', 'MISSING_IMAGE'));
+
+    const parsed = JSON.parse(stdout.lines[0]);
+    check('marks failure', parsed.ok === false);
+    check('includes error code', parsed.error.code === 'MISSING_IMAGE');
+    check('includes error field', parsed.error.field === 'img');
+
+    const generic = CliOutput.serializeError(new Error('boom'));
+    check('plain errors get a generic code', generic.code === 'ERROR' && generic.field === null);
+}
+
+runTests(() => {
+    testJsonOutput();
+    testNdjsonOutput();
+    testErrorOutput();
+}, 'JSON output');
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test the link checker
+ * Collects references from stand-in exported documents (journal pages with
+ * @UUID links, a scene with tokens and notes, an actor with embedded items)
+ * and checks which are reported broken, the field paths and sources given,
+ * and the fix-up plan.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { LinkChecker, collectReferences, fixPlan, resolveRelativeUuid } from './link-check.mjs';
+import { check, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+const documents = [
+    {
+        documentName: 'JournalEntry',
+        data: {
+            _id: 'lore', name: 'Lore', folder: 'gone',
+            pages: [
+                { _id: 'p1', name: 'Intro', text: { content: '<p>Meet @UUID[Actor.hero]{the hero} and @UUID[Actor.ghost]{a ghost}, see @UUID[.p2]{next}.</p>' } },
+                { _id: 'p2', name: 'Next', text: { content: 'Back to @UUID[.p9]. Loot: @UUID[Compendium.dnd5e.items.Item.abc]{Dagger}' } }
+            ]
+        }
+    },
+    {
+        documentName: 'Actor',
+        data: {
+            _id: 'hero', name: 'Hero', folder: null, system: { details: { biography: { value: 'Carries @UUID[Actor.hero.Item.sword]{the sword}' } } },
+            items: [{ _id: 'sword', name: 'Sword', _stats: { compendiumSource: 'Compendium.dnd5e.items.Item.missing' }, system: {} }]
+        }
+    },
+    {
+        documentName: 'Scene',
+        data: {
+            _id: 'town', name: 'Town', journal: 'lore', playlist: 'music',
+            tokens: [{ _id: 't1', name: 'Hero', actorId: 'hero' }, { _id: 't2', name: 'Ghost', actorId: 'ghost' }],
+            notes: [{ _id: 'n1', entryId: 'lore' }]
+        }
+    }
+];
+
+const existing = new Set(['Actor.hero', 'Actor.hero.Item.sword', 'JournalEntry.lore', 'JournalEntry.lore.JournalEntryPage.p2', 'Compendium.dnd5e.items.Item.abc']);
+
+async function testLinkCheck() {
+    log('🧪 Testing the link checker...\n');
+
+    check('sibling links resolve next to their document', resolveRelativeUuid('.p2', 'JournalEntry.lore.JournalEntryPage.p1') === 'JournalEntry.lore.JournalEntryPage.p2');
+    check('typed relative links resolve in the top-level document', resolveRelativeUuid('.Item.sword', 'Actor.hero.Item.dagger') === 'Actor.hero.Item.sword');
+
+    const references = collectReferences(documents);
+    const find = (source, path) => references.filter(reference => reference.source === source && reference.path === path);
+    check('@UUID links in HTML fields are found with their field path', find('JournalEntry.lore.JournalEntryPage.p1', 'text.content').length === 3);
+    check('embedded documents are their own source', find('Actor.hero.Item.sword', '_stats.compendiumSource')[0]?.target === 'Compendium.dnd5e.items.Item.missing');
+    check('ID fields become UUIDs of their document type', find('Scene.town.Token.t2', 'actorId')[0]?.target === 'Actor.ghost' &&
+        find('Scene.town', 'journal')[0]?.target === 'JournalEntry.lore');
+    check('top-level folders are references, empty fields are not', find('JournalEntry.lore', 'folder')[0]?.target === 'Folder.gone' &&
+        find('Actor.hero', 'folder').length === 0);
+
+    const resolved = [];
+    const worldManager = {
+        exportDocuments: async () => ({ documents }),
+        resolveUuids: async (uuids) => {
+            resolved.push(...uuids);
+            return Object.fromEntries(uuids.map(uuid => [uuid, existing.has(uuid) ? { documentName: 'X', name: 'X' } : null]));
+        }
+    };
+    const result = await new LinkChecker(worldManager).check({ fixPlan: true });
+    const broken = result.broken.map(reference => `${reference.source}:${reference.path}→${reference.target}`);
+    check('every distinct target is resolved once', resolved.length === new Set(resolved).size && result.targets === resolved.length);
+    check('broken links are reported with source, path and target', broken.join('\n') === [
+        'JournalEntry.lore:folder→Folder.gone',
+        'JournalEntry.lore.JournalEntryPage.p1:text.content→Actor.ghost',
+        'JournalEntry.lore.JournalEntryPage.p2:text.content→JournalEntry.lore.JournalEntryPage.p9',
+        'Actor.hero.Item.sword:_stats.compendiumSource→Compendium.dnd5e.items.Item.missing',
+        'Scene.town:playlist→Playlist.music',
+        'Scene.town.Token.t2:actorId→Actor.ghost'
+    ].join('\n'));
+    check('link labels are reported', result.broken[1].label === 'a ghost' && result.broken[1].kind === 'link');
+
+    const page = result.fixes.find(fix => fix.uuid === 'JournalEntry.lore.JournalEntryPage.p1');
+    check('the fix-up plan turns broken links into their label', page.update['text.content'] ===
+        '<p>Meet @UUID[Actor.hero]{the hero} and a ghost, see @UUID[.p2]{next}.</p>');
+    check('links without a label become their target', result.fixes.find(fix => fix.uuid.endsWith('p2')).update['text.content'].startsWith('Back to JournalEntry.lore.JournalEntryPage.p9.'));
+    check('broken reference fields are cleared', JSON.stringify(result.fixes.find(fix => fix.uuid === 'Scene.town').update) === '{"playlist":null}');
+    check('several links in one field are fixed together', fixPlan([
+        { source: 'A.a', kind: 'link', path: 'x', link: '@UUID[A.b]', target: 'A.b', label: null, value: '@UUID[A.b] @UUID[A.c]{C}' },
+        { source: 'A.a', kind: 'link', path: 'x', link: '@UUID[A.c]{C}', target: 'A.c', label: 'C', value: '@UUID[A.b] @UUID[A.c]{C}' }
+    ])[0].update.x === 'A.b C');
+    check('no fix-up plan unless asked', !('fixes' in await new LinkChecker(worldManager).check()));
+
+    const anchored = await new LinkChecker({
+        exportDocuments: async () => ({
+            documents: [{ documentName: 'JournalEntry', data: { _id: 'lore', name: 'Lore', pages: [{ _id: 'p1', name: 'Intro', text: { content: '@UUID[.p2#goblins]{Goblins} @UUID[.p9#orcs]' } }] } }]
+        }),
+        resolveUuids: worldManager.resolveUuids
+    }).check({ fixPlan: true });
+    check('anchored links resolve their document and keep the anchor', anchored.broken.length === 1 &&
+        anchored.broken[0].target === 'JournalEntry.lore.JournalEntryPage.p9' && anchored.broken[0].anchor === 'orcs' &&
+        collectReferences([{ documentName: 'JournalEntry', data: { _id: 'lore', name: 'Lore', text: '@UUID[JournalEntry.lore.JournalEntryPage.p2#goblins]' } }])[0].anchor === 'goblins');
+    check('the fix-up plan leaves valid anchored links alone', anchored.fixes[0].update['text.content'] === '@UUID[.p2#goblins]{Goblins} JournalEntry.lore.JournalEntryPage.p9');
+
+    // resolveUuids() in the page
+    globalThis.window = {};
+    globalThis.fromUuid = async (uuid) => {
+        if (uuid === 'bad uuid') {
+            throw new Error('Invalid UUID');
+        }
+        return existing.has(uuid) ? { documentName: 'Actor', name: 'Hero' } : null;
+    };
+    const validator = standInValidator();
+    const found = await new WorldManager(validator).resolveUuids(['Actor.hero', 'Actor.ghost', 'bad uuid']);
+    check('resolveUuids names found documents and nulls the rest', found['Actor.hero'].name === 'Hero' &&
+        found['Actor.ghost'] === null && found['bad uuid'] === null);
+}
+
+runTests(testLinkCheck, 'link check');
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test document ownership
+ * Runs WorldManager create/update with --owner and permissions() against a
+ * stand-in JournalEntry collection with users and folders, checking that user
+ * names resolve to IDs, levels are merged into the existing ownership, and
+ * that one document, a search result or a folder can be viewed and changed.
+ */
+
+import { WorldManager, parseOwnershipLevel } from './world-manager.mjs';
+import { parseOwners } from './cli-commands.mjs';
+import { check, caught, log, quiet, runTests, Collection, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+const folders = new Collection([
+    ['handouts', { id: 'handouts', name: 'Handouts', type: 'JournalEntry', folder: null }],
+    ['session1', { id: 'session1', name: 'Session 1', type: 'JournalEntry', folder: null }]
+]);
+folders.get('session1').folder = folders.get('handouts');
+
+// A stand-in JournalEntry class that saves into the collection below
+let nextId = 1;
+class JournalEntry extends StandInDocument {
+    static documentName = 'JournalEntry';
+
+    get ownership() { return this._source.ownership; }
+
+    static async create(data) {
+        const document = new JournalEntry({ ownership: { default: 0 }, ...data, _id: `journal${nextId++}` });
+        journals.set(document.id, document);
+        return document;
+    }
+
+    async update(changes) {
+        this._source = { ...this._source, ...structuredClone(changes), ownership: { ...this._source.ownership, ...changes.ownership } };
+        return this;
+    }
+}
+
+const journals = new Collection();
+journals.documentName = 'JournalEntry';
+journals.documentClass = JournalEntry;
+
+globalThis.window = {
+    game: {
+        collections: new Map([['JournalEntry', journals]]),
+        users: new Collection([['u1', { id: 'u1', name: 'Alice' }], ['u2', { id: 'u2', name: 'Bob' }]]),
+        folders
+    },
+    CONFIG: { JournalEntry: { documentClass: JournalEntry } }
+};
+globalThis.game = window.game;
+
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data) => {
+        validated.push(data);
+        return { success: true };
+    }
+});
+
+async function testPermissions() {
+    log('🧪 Testing document ownership...\n');
+
+    check('--owner values are split at the last =', JSON.stringify(parseOwners(['Alice=OWNER', 'default=limited'])) === '{"Alice":"OWNER","default":"limited"}');
+    check('--owner needs a user and a level', (() => {
+        try {
+            parseOwners(['Alice']);
+        } catch (error) {
+            return error.field === 'owner';
+        }
+    })());
+    check('levels are names in any case or numbers', parseOwnershipLevel('observer') === 2 && parseOwnershipLevel(3) === 3 && parseOwnershipLevel('NONE') === 0);
+
+    const journal = { entries: [], append: async (operation, changes) => journal.entries.push({ operation, changes }) };
+    const worldManager = new WorldManager(validator, { journal });
+
+    const { id } = await worldManager.create('JournalEntry', { name: 'Map', folder: 'session1' }, { owner: { alice: 'OBSERVER', default: 'LIMITED' } });
+    check('create resolves user names to IDs', JSON.stringify(journals.get(id).ownership) === '{"u1":2,"default":1}');
+    check('the ownership is validated with the document', validated.at(-1).ownership.u1 === 2);
+
+    await worldManager.update('JournalEntry', id, {}, { owner: { Bob: 'OWNER' } });
+    check('update merges levels into the existing ownership', JSON.stringify(journals.get(id).ownership) === '{"u1":2,"default":1,"u2":3}');
+
+    check('unknown users are reported', (await caught(worldManager.create('JournalEntry', { name: 'X' }, { owner: { Carol: 'OWNER' } })))?.code === 'USER_NOT_FOUND');
+    check('unknown levels are reported', (await caught(worldManager.update('JournalEntry', id, {}, { owner: { Bob: 'ADMIN' } })))?.field === 'owner');
+    check('embedded documents take no --owner', (await caught(worldManager.create('Actor.a.Item', { name: 'X' }, { owner: { Bob: 'OWNER' } })))?.code === 'INVALID_ARGUMENT');
+
+    await JournalEntry.create({ name: 'Letter', folder: 'handouts' });
+    await JournalEntry.create({ name: 'Secret', folder: null });
+
+    let result = await worldManager.permissions('JournalEntry', { id });
+    check('one document\'s ownership is listed by user name and level name', result.documents.length === 1 &&
+        result.documents[0].ownership.map(entry => `${entry.user}:${entry.level}`).join() === 'Alice:OBSERVER,default:LIMITED,Bob:OWNER');
+    check('viewing changes nothing', result.updated === 0);
+
+    journal.entries.length = 0;
+    result = await worldManager.permissions('JournalEntry', { folder: 'Handouts', owner: { Alice: 'OWNER' } });
+    check('a folder includes its subfolders', result.documents.map(document => document.name).sort().join() === 'Letter,Map' && result.updated === 2);
+    check('documents outside it are left alone', !('u1' in [...journals.values()].find(document => document.name === 'Secret').ownership));
+    check('all changes are one journal entry', journal.entries.length === 1 && journal.entries[0].operation === 'permissions' &&
+        journal.entries[0].changes.length === 2);
+
+    result = await worldManager.permissions('JournalEntry', { name: 'Sec*', owner: { default: 'NONE', Bob: 'OBSERVER' } });
+    check('a search result can be changed', result.documents.length === 1 && JSON.stringify(journals.get(result.documents[0].id).ownership) === '{"default":0,"u2":2}');
+
+    check('some selection is required', (await caught(worldManager.permissions('JournalEntry')))?.code === 'MISSING_ARGUMENT');
+    check('missing documents are reported', (await caught(worldManager.permissions('JournalEntry', { id: 'nope' })))?.code === 'DOCUMENT_NOT_FOUND');
+}
+
+runTests(testPermissions, 'permission');
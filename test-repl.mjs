@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test the interactive shell
+ * Runs ReplShell commands and completion against a stand-in manager
+ * (no FoundryVTT server) and checks parsing, defaults and name completion.
+ */
+
+import { ReplShell, splitWords } from './repl-shell.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+const calls = [];
+
+// Minimal stand-in exposing what ReplShell uses from FoundryManager
+const manager = {
+    selectedWorld: 'testania',
+    selectedSystem: 'dnd5e',
+    listWorlds: async () => ['testania', 'elsewhere'],
+    switchWorld: async (worldId) => {
+        calls.push(['switchWorld', worldId]);
+        manager.selectedWorld = worldId;
+    },
+    validator: {
+        getAvailableTypes: async () => ({ types: { Item: { weapon: 'Weapon', spell: 'Spell' }, Actor: { npc: 'NPC' } } })
+    },
+    worldManager: {
+        search: async () => [{ id: 'abc123', name: 'Longsword' }, { id: 'def456', name: 'Long Bow' }],
+        get: async (type, id, options) => {
+            calls.push(['get', type, id, options.fields]);
+            return { _id: id, name: 'Longsword' };
+        },
+        update: async (type, id, data) => {
+            calls.push(['update', type, id, data]);
+            return { success: true, id, name: 'Longsword' };
+        }
+    }
+};
+
+// Silent renderer recording what would be printed
+const rendered = [];
+const output = {
+    success: (command, result) => rendered.push({ command, result }),
+    failure: (command, error) => rendered.push({ command, error })
+};
+
+async function testRepl() {
+    console.log('🧪 Testing interactive shell...\n');
+
+    const { words, rest } = splitWords('update "Long Bow" id1 {"name": "a b"}', 3);
+    check('splits quoted words and keeps JSON intact', words[1] === 'Long Bow' && rest === '{"name": "a b"}');
+
+    const shell = new ReplShell(manager, { output });
+
+    let [hits] = await shell.complete('sch');
+    check('completes command names', hits.length === 1 && hits[0] === 'schema');
+
+    [hits] = await shell.complete('find we');
+    check('completes subtypes', hits.length === 1 && hits[0] === 'weapon');
+
+    [hits] = await shell.complete('find weapon Long');
+    check('completes document names, quoting spaces', hits.includes('Longsword') && hits.includes('"Long Bow"'));
+
+    [hits] = await shell.complete('use world else');
+    check('completes world IDs', hits[0] === 'elsewhere');
+
+    await shell.execute('find weapon Long*');
+    check('find renders a read result', rendered.pop()?.result.documents.length === 2);
+    check('find sets the current type', shell.currentType === 'weapon');
+
+    await shell.execute('get abc123 --fields name,system.price');
+    const get = calls.pop();
+    check('get passes --fields through', get[2] === 'abc123' && get[3] === 'name,system.price');
+
+    await shell.execute('update abc123 {"system": {"quantity": 2}}');
+    const update = calls.pop();
+    check('update defaults to the current type', update[1] === 'weapon' && update[2] === 'abc123' && update[3].system.quantity === 2);
+
+    await shell.execute('update abc123 {not json');
+    check('invalid JSON is reported, not thrown', rendered.pop()?.error.code === 'INVALID_JSON');
+
+    await shell.execute('frobnicate');
+    check('unknown commands are reported', rendered.pop()?.error.code === 'MISSING_ARGUMENT');
+
+    // Messages the shell prints itself, which must survive the silenced diagnostics
+    const printed = [];
+    const log = console.log;
+    console.log = (...args) => printed.push(args.join(' '));
+    await shell.execute('help');
+    await shell.execute('use world elsewhere');
+    await shell.execute('js');
+    console.log = log;
+    check('help lists the commands', printed[0]?.includes('find <type> [pattern]') && printed[0].includes('use world <id>'));
+    check('use world switches worlds and says so', calls.pop()?.[1] === 'elsewhere' && printed[1] === '🌍 Now using world: elsewhere');
+    check('js without code enters JS mode and says so', shell.jsMode && printed[2]?.startsWith('Entering JS mode'));
+    await shell.execute('.exit');
+
+    check('exit ends the shell', (await shell.execute('exit')) === false);
+}
+
+runTests(testRepl, 'shell');
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Test the REST API routing and error mapping
+ * Runs RestServer against a stand-in manager (no FoundryVTT server) and
+ * checks routes, envelopes and ValidationError code → HTTP status mapping.
+ */
+
+import http from 'http';
+import { RestServer, parseHttpPort } from './rest-server.mjs';
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+const documents = [{ id: 'abc123', name: 'Longsword' }];
+
+// Minimal stand-in exposing what RestServer uses from FoundryManager
+const manager = {
+    listWorlds: async () => ['testania'],
+    listTypes: async () => ({ systemId: 'dnd5e', types: { Item: { weapon: 'Weapon' } } }),
+    getSchema: async (type) => {
+        if (type !== 'weapon') {
+            throw new ValidationError(`Unknown type: ${type}`, 'type', 'UNKNOWN_TYPE');
+        }
+        return { documentType: 'Item', subtype: 'weapon' };
+    },
+    validateDocument: async (type, data, options) => {
+        if (!data.img && !options.noImage) {
+            throw new ValidationError('Image is required', 'img', 'MISSING_IMAGE');
+        }
+        return { success: true, data };
+    },
+    worldManager: {
+        count: async (type, name, options) => (options.where === 'system.price>10' ? 1 : documents.length),
+        search: async (type, name, options) => (options.fields ? documents.map(({ id }) => ({ id, img: 'sword.webp' })) : documents),
+        get: async (type, id, options) => {
+            if (id !== 'abc123') {
+                throw new ValidationError(`Document with ID "${id}" not found.`, null, 'DOCUMENT_NOT_FOUND');
+            }
+            return options.fields === 'name' ? { _id: id, name: 'Longsword' } : { _id: id, name: 'Longsword', system: {} };
+        },
+        create: async (type, data, options) => (options.dryRun
+            ? { success: true, dryRun: true, id: null, name: data.name, changes: [], embedded: [], ignored: [] }
+            : { success: true, id: 'new456', name: data.name }),
+        update: async (type, id) => ({ success: true, id, name: 'Longsword' }),
+        delete: async (type, id) => {
+            throw new ValidationError(`Document with ID "${id}" not found.`, null, 'DOCUMENT_NOT_FOUND');
+        },
+        upsert: async (type, data, options) => ({ success: true, action: data.name === 'Club' ? 'updated' : 'created', matchBy: options.matchBy, documents: [] }),
+        clone: async (type, id, options) => ({ success: true, source: { id, name: 'Longsword' }, set: options.set, count: options.count }),
+        permissions: async (type, options) => ({ success: true, updated: options.owner ? 1 : 0, owner: options.owner, documents: [] }),
+        importUsers: async (roster, options) => ({ success: true, created: roster.rows.length, file: options.file, columns: roster.columns }),
+        updateUser: async (user, fields) => {
+            throw new ValidationError(`A user named "${fields.name}" already exists.`, 'name', 'USER_EXISTS');
+        },
+        undo: async (count, options) => ({ undone: [{ seq: 7, operation: 'update', changes: 1 }], count, force: options.force }),
+        deleteFolder: async (type, path, options) => ({ success: true, type, path, deletedContents: options.contents }),
+        importFromPack: async (pack, id, options) => {
+            if (pack !== 'dnd5e.items') {
+                throw new ValidationError(`Compendium pack "${pack}" not found.`, null, 'PACK_NOT_FOUND');
+            }
+            return { success: true, id, keepId: options.keepId };
+        }
+    }
+};
+
+async function request(base, method, path, body) {
+    const response = await fetch(`${base}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, payload: await response.json() };
+}
+
+// Request with headers fetch() will not set, such as Host
+function rawRequest(server, method, path, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: server.host, port: server.port, method, path, headers }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ status: response.statusCode, payload: JSON.parse(Buffer.concat(chunks).toString()) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function testRestApi() {
+    console.log('🧪 Testing REST API...\n');
+
+    let exclusiveRuns = 0;
+    const server = new RestServer(manager, {
+        port: 30000 + (process.pid % 1000) + 100,
+        runExclusive: (operation) => {
+            exclusiveRuns++;
+            return operation();
+        }
+    });
+    await server.start();
+    const base = `http://${server.host}:${server.port}`;
+
+    try {
+        let res = await request(base, 'GET', '/worlds');
+        check('GET /worlds returns worlds', res.status === 200 && res.payload.result.worlds[0] === 'testania');
+
+        res = await request(base, 'GET', '/schema/blaster');
+        check('UNKNOWN_TYPE maps to 404', res.status === 404 && res.payload.error.code === 'UNKNOWN_TYPE');
+
+        res = await request(base, 'POST', '/validate/weapon', { name: 'Club' });
+        check('MISSING_IMAGE maps to 422', res.status === 422 && res.payload.error.field === 'img');
+
+        res = await request(base, 'POST', '/validate/weapon?noImage=true', { name: 'Club' });
+        check('noImage query skips image check', res.status === 200 && res.payload.ok === true);
+
+        res = await request(base, 'POST', '/validate/weapon', '{not json');
+        check('invalid body maps to 400', res.status === 400 && res.payload.error.code === 'INVALID_JSON');
+
+        res = await request(base, 'GET', '/documents/weapon/abc123');
+        check('GET document by ID', res.status === 200 && res.payload.result.system !== undefined);
+
+        res = await request(base, 'GET', '/documents/weapon/abc123?fields=name');
+        check('fields query projects the document', res.status === 200 && res.payload.result.system === undefined);
+
+        res = await request(base, 'GET', '/documents/weapon?fields=img');
+        check('fields query projects search results', res.payload.result.documents[0].img === 'sword.webp');
+
+        res = await request(base, 'GET', `/documents/weapon?count=true&where=${encodeURIComponent('system.price>10')}`);
+        check('count query passes the filter through', res.status === 200 && res.payload.result.count === 1);
+
+        res = await request(base, 'GET', '/documents/weapon/nope');
+        check('missing document maps to 404', res.status === 404 && res.payload.error.code === 'DOCUMENT_NOT_FOUND');
+
+        res = await request(base, 'POST', '/documents/weapon', { name: 'Dagger' });
+        check('POST document returns 201', res.status === 201 && res.payload.result.id === 'new456');
+
+        res = await request(base, 'POST', '/documents/weapon?dryRun=true', { name: 'Dagger' });
+        check('a dry-run POST returns 200', res.status === 200 && res.payload.result.dryRun === true);
+
+        res = await request(base, 'PUT', '/documents/weapon?matchBy=name', { name: 'Dagger' });
+        check('an upsert that creates returns 201', res.status === 201 && res.payload.result.matchBy === 'name');
+
+        res = await request(base, 'PUT', '/documents/weapon?matchBy=name', { name: 'Club' });
+        check('an upsert that updates returns 200', res.status === 200 && res.payload.result.action === 'updated');
+
+        res = await request(base, 'DELETE', '/documents/weapon/missing');
+        check('DOCUMENT_NOT_FOUND maps to 404', res.status === 404);
+
+        check('mutations run exclusively', exclusiveRuns === 5);
+
+        res = await request(base, 'POST', '/documents/weapon/abc123/clone?count=2', { 'system.magicalBonus': 1 });
+        check('clone takes --set values from the body, and is not a created resource', res.status === 200 && res.payload.result.set['system.magicalBonus'] === 1 &&
+            res.payload.result.count === '2');
+
+        res = await request(base, 'PATCH', '/documents/JournalEntry/abc123/permissions', { Alice: 'OWNER' });
+        check('ownership levels come from the body', res.status === 200 && res.payload.result.owner.Alice === 'OWNER');
+
+        res = await request(base, 'POST', '/users/import', { csv: 'name,role\nAlice,PLAYER\nBob,TRUSTED\n' });
+        check('a user roster is posted as CSV text', res.status === 201 && res.payload.result.created === 2 &&
+            res.payload.result.columns.join() === 'name,role' && res.payload.result.file === 'roster.csv');
+
+        res = await request(base, 'POST', '/import/journal?name=Notes', { name: 'lore', directory: false, files: [{ file: 'lore.md', markdown: '# Inn\nWarm.\n# Road\nLong.' }], images: {} });
+        check('a journal is imported from a posted Markdown source', res.status === 201 && res.payload.result.name === 'Notes' &&
+            res.payload.result.pages.map(page => page.name).join() === 'Inn,Road');
+
+        res = await request(base, 'POST', '/import/table?name=Weather', { csv: 'text,weight\nRain,2\nSun,1\n' });
+        check('a roll table is imported from posted CSV text', res.status === 201 && res.payload.result.name === 'Weather' &&
+            res.payload.result.formula === '1d3');
+
+        res = await request(base, 'PATCH', '/users/Alice', { name: 'Bob' });
+        check('taken user names map to 409', res.status === 409 && res.payload.error.code === 'USER_EXISTS');
+
+        res = await request(base, 'POST', '/packs/dnd5e.items/documents/s1/import?keepId=true');
+        check('pack import needs no body and answers 200', res.status === 200 && res.payload.result.keepId === true);
+
+        res = await request(base, 'GET', '/documents/weapon/%E0%A4%A');
+        check('malformed URL encoding maps to 400', res.status === 400 && res.payload.error.code === 'BAD_REQUEST');
+
+        res = await request(base, 'POST', '/packs/nope/documents/s1/import');
+        check('unknown packs map to 404', res.status === 404 && res.payload.error.code === 'PACK_NOT_FOUND');
+
+        res = await request(base, 'DELETE', '/folders/Item/Weapons/Martial?contents=true');
+        check('folder routes keep the path slashes', res.payload.result.path === 'Weapons/Martial' && res.payload.result.deletedContents === true);
+
+        res = await request(base, 'POST', '/undo?count=2&force=true');
+        check('undo takes its count and force from the query', res.payload.result.count === '2' && res.payload.result.force === true);
+
+        res = await request(base, 'PUT', '/documents/weapon/abc123', {});
+        check('unsupported method maps to 405', res.status === 405);
+
+        res = await request(base, 'GET', '/nowhere');
+        check('unknown route maps to 404', res.status === 404 && res.payload.error.code === 'NOT_FOUND');
+
+        const runsBefore = exclusiveRuns;
+        const ownHost = `${server.host}:${server.port}`;
+        res = await rawRequest(server, 'POST', '/documents/weapon', { Host: ownHost, 'Content-Type': 'text/plain' }, '{"name":"Dagger"}');
+        check('a text/plain POST maps to 415', res.status === 415 && res.payload.error.code === 'UNSUPPORTED_MEDIA_TYPE');
+
+        res = await rawRequest(server, 'POST', '/undo', { Host: ownHost });
+        check('a bodiless mutation without a JSON Content-Type maps to 415', res.status === 415);
+
+        res = await rawRequest(server, 'POST', '/documents/weapon', { Host: ownHost, 'Content-Type': 'application/json', Origin: 'https://evil.example' }, '{"name":"Dagger"}');
+        check('a request with an Origin maps to 403', res.status === 403 && res.payload.error.code === 'FORBIDDEN');
+
+        res = await rawRequest(server, 'GET', '/worlds', { Host: `evil.example:${server.port}` });
+        check('a foreign Host maps to 403', res.status === 403 && res.payload.error.code === 'FORBIDDEN');
+
+        res = await rawRequest(server, 'GET', '/worlds', { Host: `${server.host}:${server.port + 1}` });
+        check('the bound address on another port maps to 403', res.status === 403);
+        check('refused requests never reach the manager', exclusiveRuns === runsBefore);
+
+        res = await rawRequest(server, 'GET', '/worlds', { Host: `localhost:${server.port}` });
+        check('a loopback bind also answers to localhost', res.status === 200);
+    } finally {
+        await server.stop();
+    }
+
+    const portError = (value) => {
+        try {
+            parseHttpPort(value);
+            return null;
+        } catch (error) {
+            return error.code;
+        }
+    };
+    check('--http-port defaults to 30080 and reads whole numbers', parseHttpPort(undefined) === 30080 && parseHttpPort('8080') === 8080);
+    check('ports outside 1-65535 or not numbers are rejected', ['70000', '0', 'abc', '80.5'].every(value => portError(value) === 'INVALID_ARGUMENT'));
+}
+
+runTests(testRestApi, 'REST API');
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test roll tables as CSV
+ * Reads tables written with dice ranges or with weights only, checking the
+ * ranges and formula they get and that every bad row is reported with its
+ * line, then imports and exports them through a stand-in world and reads an
+ * exported table back in.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { formatCsv, parseCsv } from './csv.mjs';
+import { RollTableCsv, formatRange, inferFormula, parseRange, tableFromCsv, tableToCsv } from './roll-table-csv.mjs';
+import { check, caught, thrown, runTests } from './test-helpers.mjs';
+
+async function testRollTables() {
+    console.log('🧪 Testing roll tables as CSV...\n');
+
+    check('ranges are single rolls or spans, with 00 as 100', JSON.stringify([parseRange('7'), parseRange('01–04'), parseRange('96-00')]) ===
+        '[[7,7],[1,4],[96,100]]');
+    check('backwards and non-numeric ranges are rejected', parseRange('5-2') === null && parseRange('a-b') === null);
+    check('ranges are written back as cells', formatRange([3, 3]) === '3' && formatRange([1, 4]) === '1-4');
+    check('formulas are inferred from the range bounds', inferFormula(1, 20) === '1d20' && inferFormula(2, 12) === '2d6' &&
+        inferFormula(3, 18) === '3d6' && inferFormula(2, 7) === null);
+
+    const text = formatCsv(['text', 'weight'], [{ text: 'A "big", bad\nwolf', weight: 2 }, { text: null, weight: 1 }]);
+    check('CSV output quotes fields that need it', text === 'text,weight\n"A ""big"", bad\nwolf",2\n,1\n');
+    check('CSV output reads back in', parseCsv(text).rows[0].values.text === 'A "big", bad\nwolf');
+
+    let { table, lines } = tableFromCsv(parseCsv('text,weight\nGoblins,3\nWolves\nDragon,1\n'), { name: 'Encounters' });
+    check('weights lay ranges end to end', table.results.map(result => formatRange(result.range)).join() === '1-3,4,5' &&
+        table.results.map(result => result.weight).join() === '3,1,1');
+    check('the formula rolls across all weights', table.formula === '1d5' && table.name === 'Encounters' && table.type === 'RollTable');
+    check('text results hold their text as the description', table.results[0].type === 'text' && table.results[0].description === 'Goblins' &&
+        !('name' in table.results[0]) && !('img' in table.results[0]));
+    check('each result knows its line', lines.join() === '2,3,4');
+
+    ({ table } = tableFromCsv(parseCsv([
+        'range,text,img,documentUuid',
+        '2-6,Nothing,,',
+        '7,Bandits,icons/bandit.webp,',
+        '8-12,The Hermit,,Actor.hermit0000000001'
+    ].join('\n'))));
+    check('dice ranges set weights and a summed formula', table.formula === '2d6' && table.results.map(result => result.weight).join() === '5,1,5');
+    check('results with a documentUuid draw that document', table.results[2].type === 'document' &&
+        table.results[2].documentUuid === 'Actor.hermit0000000001' && table.results[2].name === 'The Hermit' && table.results[1].img === 'icons/bandit.webp');
+    check('--formula wins over the inferred one', tableFromCsv(parseCsv('range,text\n1-4,A\n5-6,B'), { formula: '1d6' }).table.formula === '1d6');
+
+    let error = thrown(() => tableFromCsv(parseCsv([
+        'range,text,weight',
+        '1-4,Goblins,',
+        '3-5,Wolves,',
+        ',Bears,',
+        'ten,Owls,',
+        '10,,',
+        '11,Snakes,half'
+    ].join('\n')), { file: 'encounters.csv' }));
+    check('every bad row is reported with its line', error?.code === 'VALIDATION_ERROR' &&
+        error.details.failures.map(failure => `${failure.file}:${failure.field}`).join() ===
+        'encounters.csv:3:range,encounters.csv:4:range,encounters.csv:5:range,encounters.csv:6:text,encounters.csv:7:weight');
+    check('overlaps name the row they overlap', error.details.failures[0].error === 'range: 3-5 overlaps 1-4 on line 2');
+
+    error = thrown(() => tableFromCsv(parseCsv('range,text\n5-6,B\n1-3,A\n8-10,C'), { file: 'gaps.csv' }));
+    check('gaps between ranges are reported on the row after them', error?.code === 'VALIDATION_ERROR' &&
+        error.details.failures.map(failure => `${failure.file}:${failure.error}`).join('|') ===
+        'gaps.csv:2:range: no result covers 4; fill the gap or give the table\'s --formula|' +
+        'gaps.csv:4:range: no result covers 7; fill the gap or give the table\'s --formula');
+    check('a given formula allows gaps', tableFromCsv(parseCsv('range,text\n1-3,A\n5-6,B'), { formula: '1d6' }).table.results.length === 2);
+
+    check('unknown columns are reported', thrown(() => tableFromCsv(parseCsv('roll,text\n1,A')))?.code === 'INVALID_CSV');
+    check('a table needs results', thrown(() => tableFromCsv(parseCsv('text\n')))?.code === 'INVALID_CSV');
+    error = thrown(() => tableFromCsv(parseCsv('range,text\n2-4,A\n5-7,B')));
+    check('ranges no dice roll gives need a formula', error?.code === 'MISSING_ARGUMENT' && error.field === 'formula');
+
+    // A stand-in world holding one table, and another two that share a name
+    const created = [];
+    const stored = {
+        encounters000001: {
+            _id: 'encounters000001', name: 'Encounters', formula: '1d6',
+            results: [
+                { type: 'document', name: 'The Hermit', documentUuid: 'Actor.hermit0000000001', weight: 2, range: [5, 6], img: null },
+                { type: 'text', name: '', description: 'Goblins, <b>lots</b>', weight: 4, range: [1, 4], img: 'icons/goblin.webp' }
+            ]
+        },
+        weather000000001: { _id: 'weather000000001', name: 'Weather', formula: '1d2', results: [] },
+        weather000000002: { _id: 'weather000000002', name: 'Weather', formula: '1d2', results: [] }
+    };
+    const worldManager = {
+        create: async (type, data, options) => {
+            if (data.results.some(result => result.img === 'bad.txt')) {
+                throw new ValidationError('img: bad.txt is not an image file', 'results.1.img', 'VALIDATION_ERROR');
+            }
+            created.push({ type, data, options });
+            return { success: true, id: 'table00000000001', name: data.name, folder: options.folder };
+        },
+        get: async (type, id) => {
+            if (!stored[id]) {
+                throw new ValidationError(`Document with ID "${id}" not found.`, null, 'DOCUMENT_NOT_FOUND');
+            }
+            return structuredClone(stored[id]);
+        },
+        findDocumentsByName: async ([name]) => ({
+            [name]: Object.values(stored)
+                .filter(table => table.name.toLowerCase() === name.toLowerCase())
+                .map(table => ({ uuid: `RollTable.${table._id}`, documentName: 'RollTable', name: table.name }))
+        })
+    };
+    const tables = new RollTableCsv(worldManager);
+
+    const imported = await tables.import(parseCsv('text,weight\nRain,2\nSun,1'), { file: 'weather.csv', folder: 'Tables', noImage: true });
+    check('a table is named after its file by default', imported.name === 'weather' && created[0].data.name === 'weather');
+    check('the table is created as a RollTable in its folder', created[0].type === 'RollTable' &&
+        created[0].options.folder === 'Tables' && created[0].options.noImage === true);
+    check('the result lists each row with its line and range', imported.formula === '1d3' &&
+        imported.results.map(row => `${row.line}:${formatRange(row.range)}:${row.text}`).join() === '2:1-2:Rain,3:3:Sun');
+
+    error = await caught(tables.import(parseCsv('text,img\nRain,\nSun,bad.txt'), { file: 'weather.csv' }));
+    check('schema errors name the CSV line of their result', error?.message === 'weather.csv:3: img: bad.txt is not an image file' &&
+        error.field === 'results.1.img');
+
+    const exported = await tables.export('encounters');
+    check('tables are exported by name in range order', exported.id === 'encounters000001' && exported.results === 2 &&
+        exported.csv === [
+            'range,text,weight,img,documentUuid',
+            '1-4,"Goblins, <b>lots</b>",4,icons/goblin.webp,',
+            '5-6,The Hermit,2,,Actor.hermit0000000001',
+            ''
+        ].join('\n'));
+    check('tables are exported by ID or UUID', (await tables.export('RollTable.encounters000001')).name === 'Encounters' &&
+        (await tables.export('weather000000002')).id === 'weather000000002');
+    check('shared names are ambiguous', (await caught(tables.export('Weather')))?.code === 'MULTIPLE_MATCHES');
+    check('unknown tables are reported', (await caught(tables.export('Loot')))?.code === 'DOCUMENT_NOT_FOUND');
+
+    ({ table } = tableFromCsv(parseCsv(exported.csv)));
+    const original = stored.encounters000001.results.sort((a, b) => a.range[0] - b.range[0]);
+    check('an exported table reads back in with the same results', table.formula === '1d6' &&
+        tableToCsv(table) === exported.csv &&
+        table.results.every((result, index) => formatRange(result.range) === formatRange(original[index].range) &&
+            result.weight === original[index].weight && result.type === original[index].type));
+}
+
+runTests(testRollTables, 'roll table');
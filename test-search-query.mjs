@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test the search query language
+ * Parses queries and runs WorldManager.search()/count() against a stand-in
+ * page whose evaluate() calls the page function directly on a fake `window`
+ * with an in-memory Item collection (no FoundryVTT server).
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { parseQuery, parseSort } from './search-query.mjs';
+import { check, log, quiet, runTests, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each search; keep the output to the checks
+quiet();
+
+function queryError(expression) {
+    try {
+        parseQuery(expression);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+// Minimal stand-ins for Foundry documents and the game object
+function item(id, name, type, system, extra = {}) {
+    const source = { _id: id, name, type, system, folder: extra.folder?.id ?? null, flags: extra.flags ?? {} };
+    return { id, name, type, folder: extra.folder ?? null, _source: source, toObject: () => structuredClone(source) };
+}
+
+const weapons = { id: 'fold1', name: 'Weapons' };
+const items = new Map([
+    ['a1', item('a1', 'Longsword', 'weapon', { price: 15, rarity: 'common', level: 1 }, { folder: weapons })],
+    ['a2', item('a2', 'Flame Tongue', 'weapon', { price: 5000, rarity: 'rare', level: 5 }, { folder: weapons, flags: { mymodule: { source: 'DMG' } } })],
+    ['a3', item('a3', 'Long Bow', 'weapon', { price: 50, rarity: 'common', level: 3, tags: ['ranged', 'two-handed'] })],
+    ['a4', item('a4', 'Fireball', 'spell', { level: 3, rarity: 'rare' })]
+]);
+items.documentName = 'Item';
+
+globalThis.window = {
+    game: { collections: new Map([['Item', items]]) },
+    CONFIG: { Item: { typeLabels: { weapon: 'Weapon', spell: 'Spell' } } }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator();
+const worldManager = new WorldManager(validator);
+
+async function ids(type, name, options) {
+    return (await worldManager.search(type, name, options)).map(doc => doc.id).join(',');
+}
+
+async function testSearchQuery() {
+    log('🧪 Testing search queries...\n');
+
+    const tree = parseQuery('system.level>=3 and (system.rarity=rare or not flags.x exists)');
+    check('and binds tighter than or, parentheses group', tree.op === 'and' && tree.args[1].op === 'or' && tree.args[1].args[1].op === 'not');
+    check('numbers are coerced, quoted values are not', tree.args[0].value === 3 && parseQuery('name="3"').value === '3');
+    check('unbalanced parentheses are rejected', queryError('(name=a')?.code === 'INVALID_QUERY');
+    check('missing values are rejected', queryError('system.level>=')?.code === 'INVALID_QUERY');
+    check('sort keys take a direction', parseSort('system.price:desc,name')[0].descending === true);
+    check('invalid sort directions are rejected', (() => { try { parseSort('name:up'); } catch (error) { return error.code === 'INVALID_QUERY'; } })());
+
+    check('numeric comparison', await ids('weapon', null, { where: 'system.level>=3' }) === 'a2,a3');
+    check('string equality and subtype', await ids('item', null, { where: 'system.rarity=rare' }) === 'a2,a4');
+    check('exists', await ids('weapon', null, { where: 'flags.mymodule.source exists' }) === 'a2');
+    check('folder matches by name', await ids('weapon', null, { where: 'folder="Weapons"' }) === 'a1,a2');
+    check('arrays match any element', await ids('weapon', null, { where: 'system.tags=ranged' }) === 'a3');
+    check('wildcard operator', await ids('weapon', null, { where: 'name~"long*"' }) === 'a1,a3');
+    check('or / not combinations', await ids('item', null, { where: 'not (system.rarity=common or type=spell)' }) === 'a2');
+    check('combines with --name', await ids('weapon', 'Long*', { where: 'system.price<20' }) === 'a1');
+
+    check('sorts descending', await ids('weapon', null, { sort: 'system.price:desc' }) === 'a2,a3,a1');
+    check('limit and offset page the sorted result', await ids('weapon', null, { sort: 'system.price', limit: 1, offset: 1 }) === 'a3');
+    check('fields are projected after paging', (await worldManager.search('weapon', null, { sort: 'system.price', limit: 1, fields: 'system.price' }))[0].system.price === 15);
+    check('count', await worldManager.count('item', null, { where: 'system.level=3' }) === 2);
+
+    let error = null;
+    try {
+        await worldManager.search('weapon', null, { limit: '-1' });
+    } catch (caught) {
+        error = caught;
+    }
+    check('negative limits are rejected', error?.code === 'INVALID_ARGUMENT' && error.field === 'limit');
+}
+
+runTests(testSearchQuery, 'search query');
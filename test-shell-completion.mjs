@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Test shell completion
+ * Completes command lines against a stand-in SystemDiscovery (no data
+ * directory or FoundryVTT server) and checks the generated scripts.
+ */
+
+import { ShellCompletion } from './shell-completion.mjs';
+import { check, runTests } from './test-helpers.mjs';
+
+// Minimal stand-in exposing what ShellCompletion uses from SystemDiscovery
+const systemDiscovery = {
+    getAllWorlds: async () => [
+        { id: 'testania', system: 'dnd5e' },
+        { id: 'golarion', system: 'pf2e' }
+    ],
+    getAllSystems: async () => [{ id: 'dnd5e' }, { id: 'pf2e' }],
+    getAllPacks: async () => [{ id: 'dnd5e.items' }, { id: 'dnd5e.monsters' }, { id: 'testania.loot' }],
+    getSystemObjectTypes: async (systemId) => {
+        const types = {
+            dnd5e: { actors: { npc: 'NPC' }, items: { weapon: 'Weapon' }, other: { journalentrypage: { text: 'Text' } } },
+            pf2e: { actors: { hazard: 'Hazard' }, items: { feat: 'Feat' }, other: {} }
+        };
+        if (!types[systemId]) {
+            throw new Error(`System not found: ${systemId}`);
+        }
+        return { systemId, types: types[systemId] };
+    }
+};
+
+async function testShellCompletion() {
+    console.log('🧪 Testing shell completion...\n');
+
+    const completion = new ShellCompletion(systemDiscovery, { system: 'dnd5e' });
+    const complete = (...words) => completion.complete(words);
+
+    check('completes subcommands', (await complete('do')).join() === 'doc');
+    check('completes group commands', (await complete('doc', '')).join() === 'clone,create,delete,find,get,move,permissions,update,upsert');
+    check('completes -w from worlds', (await complete('doc', 'find', '-w', '')).join() === 'golarion,testania');
+    check('completes -s from systems', (await complete('types', '--system', 'p')).join() === 'pf2e');
+
+    let types = await complete('doc', 'find', '-s', 'pf2e', '');
+    check('types follow -s', types.includes('hazard') && !types.includes('npc'));
+
+    types = await complete('doc', 'find', '-w', 'golarion', '');
+    check('types follow the system of -w', types.includes('feat') && !types.includes('weapon'));
+
+    types = await complete('validate', '');
+    check('types fall back to the configured system', types.includes('npc') && types.includes('text'));
+
+    types = await complete('-t', 'w');
+    check('completes -t in the flag form', types.join() === 'weapon');
+
+    const flags = await complete('doc', 'delete', 'npc', '--');
+    check('completes options of the command', flags.includes('--id') && !flags.includes('--name'));
+
+    check('completes pack IDs', (await complete('pack', 'find', 'dnd5e.')).join() === 'dnd5e.items,dnd5e.monsters');
+    check('completes the type after the pack', (await complete('pack', 'export', 'testania.loot', 'wea')).join() === 'weapon');
+
+    check('completes the world to export, next to export table', (await complete('export', 't')).join() === 'table,testania');
+    check('export still completes worlds alone', (await complete('export', 'g')).join() === 'golarion');
+    check('completes user roles', (await complete('users', 'create', 'Alice', '--role', 'G')).join() === 'GAMEMASTER');
+    check('completes shells', (await complete('completion', '')).join() === 'bash,fish,zsh');
+    check('no candidates for free-form values', (await complete('doc', 'get', 'npc', '--id', '')).length === 0);
+    check('per-command options that take a value are not followed by types', (await complete('doc', 'clone', '--count', '')).length === 0);
+    check('completes the worlds of a copy', (await complete('copy', '--to-world', 'g')).join() === 'golarion');
+
+    for (const shell of ['bash', 'zsh', 'fish']) {
+        const script = ShellCompletion.script(shell, '/opt/foundry/foundry-manager.mjs');
+        check(`${shell} script calls back into __complete`, script.includes('"/opt/foundry/foundry-manager.mjs" __complete'));
+    }
+
+    try {
+        ShellCompletion.script('tcsh', 'foundry-manager.mjs');
+        check('rejects unsupported shells', false);
+    } catch (error) {
+        check('rejects unsupported shells', error.code === 'INVALID_ARGUMENT');
+    }
+}
+
+runTests(testShellCompletion, 'shell completion');
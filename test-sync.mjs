@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test declarative sync
+ * Plans source entries against a stand-in WorldManager holding a few live
+ * documents, and checks matching by _id and by flag, field-level and embedded
+ * diffs, pruning, and that apply() runs exactly the planned steps.
+ */
+
+import { WorldSync, diffDocument } from './world-sync.mjs';
+import { check, caught, runTests } from './test-helpers.mjs';
+
+// Live documents as exportDocuments() returns them
+const liveDocuments = [
+    { documentName: 'Item', folder: null, data: { _id: 'sword', name: 'Longsword', type: 'weapon', system: { price: 15, weight: 3 }, _stats: { modifiedTime: 1 } } },
+    { documentName: 'Item', folder: null, data: { _id: 'rope', name: 'Rope', type: 'loot', system: { price: 1 } } },
+    { documentName: 'Item', folder: null, data: { _id: 'old', name: 'Old Map', type: 'loot', system: {} } },
+    {
+        documentName: 'Actor', folder: null, data: {
+            _id: 'boss', name: 'Bandit Chief', type: 'npc', flags: { repo: { id: 'chief' } },
+            items: [{ _id: 'i1', name: 'Dagger', system: { quantity: 1 } }, { _id: 'i2', name: 'Torch', system: {} }]
+        }
+    }
+];
+
+const calls = [];
+const worldManager = {
+    exportDocuments: async ({ types }) => ({
+        types: types.map(type => ({ documentName: ['npc', 'Actor'].includes(type) ? 'Actor' : 'Item', subtype: type === 'npc' ? 'npc' : null })),
+        documents: liveDocuments.filter(document => types.some(type => (type === 'npc' ? 'Actor' : type) === document.documentName))
+    }),
+    create: async (type, data, options) => calls.push(['create', type, data._id ?? data.name, options.ids]),
+    update: async (type, id, data) => calls.push(['update', type, id, JSON.stringify(data)]),
+    delete: async (type, id) => calls.push(['delete', type, id])
+};
+
+async function testSync() {
+    console.log('🧪 Testing sync...\n');
+
+    const diff = diffDocument({ name: 'Longsword', system: { price: 20 }, _stats: { modifiedTime: 2 } }, liveDocuments[0].data);
+    check('diffs only the source fields, ignoring _stats', diff.changes.length === 1 && diff.changes[0].path === 'system.price' && diff.changes[0].from === 15);
+
+    const sync = new WorldSync(worldManager);
+    const entries = [
+        { file: 'Item/longsword.sword.json', type: 'Item', data: { _id: 'sword', name: 'Longsword', system: { price: 20 } } },
+        { file: 'Item/rope.rope.json', type: 'Item', data: { _id: 'rope', name: 'Rope', system: { price: 1 } } },
+        { file: 'Item/ruby.ruby.json', type: 'Item', data: { _id: 'ruby', name: 'Ruby', type: 'loot' } }
+    ];
+    let plan = await sync.plan(entries);
+    check('plans creates for unmatched files', plan.create.length === 1 && plan.create[0].id === 'ruby');
+    check('plans field-level updates', plan.update.length === 1 && plan.update[0].changes[0].to === 20);
+    check('counts unchanged documents', plan.unchanged === 1);
+    check('deletes only with prune', plan.delete.length === 0);
+
+    plan = await sync.plan(entries, { prune: true });
+    check('prune plans deletes of unmatched live documents', plan.delete.map(step => step.id).join() === 'old');
+
+    await sync.apply(plan);
+    check('apply runs the plan in order', calls.map(call => call[0]).join() === 'create,update,delete');
+    check('creates keep the source _id', calls[0][3] === 'keep');
+    check('updates send only the changes', calls[1][3] === '{"system":{"price":20}}');
+
+    const actorEntry = {
+        file: 'Actor/chief.json', type: 'npc', data: {
+            _id: 'other-id', name: 'Bandit Chief', flags: { repo: { id: 'chief' } },
+            items: [{ _id: 'i1', name: 'Dagger', system: { quantity: 2 } }, { _id: 'i3', name: 'Rope' }]
+        }
+    };
+    calls.length = 0;
+    plan = await sync.plan([actorEntry], { matchBy: 'flags.repo.id', prune: true });
+    const step = plan.update[0];
+    check('matches by flag and keeps the live ID', step?.id === 'boss' && !step.changes.some(change => change.path === '_id'));
+    check('embedded documents are matched by _id', step.embedded.map(child => `${child.action}:${child.id}`).join() === 'update:i1,create:i3,delete:i2');
+
+    await sync.apply(plan);
+    check('embedded steps go through the parent path', calls.every(call => call[1] === 'Actor.boss.items') && calls.length === 3);
+
+    const error = await caught(sync.plan([{ file: 'a.json', type: 'Item', data: { name: 'No ID' } }, { file: 'b.json', error: 'Invalid JSON', code: 'INVALID_JSON' }]));
+    check('unmatchable and unreadable files are reported together', error?.details.failures.map(failure => failure.code).join() === 'MISSING_REQUIRED_FIELD,INVALID_JSON');
+
+    const duplicate = await caught(sync.plan([entries[0], { ...entries[0], file: 'copy.json' }]));
+    check('duplicate source files are rejected', duplicate?.details.failures[0].code === 'DUPLICATE_MATCH');
+
+    const failing = new WorldSync({ ...worldManager, delete: async () => { throw new Error('Permission denied'); } });
+    const stopped = await caught(failing.apply({ matchBy: '_id', create: [], update: [], delete: [{ documentName: 'Item', id: 'old' }] }));
+    check('a failing step stops the apply', stopped?.code === 'SYNC_FAILED' && stopped.details.applied.deleted === 0);
+}
+
+runTests(testSync, 'sync');
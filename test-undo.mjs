@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test the mutation journal and undo
+ * Runs WorldManager create/update/delete and pack imports against a stand-in
+ * Item collection with a journal in a temporary directory, and checks what is
+ * recorded, that undo reverts entries newest first (recreating deleted documents with their
+ * IDs), and that documents changed since an entry are not overwritten
+ * without force.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorldManager } from './world-manager.mjs';
+import { MutationJournal, journalPath, revertData } from './mutation-journal.mjs';
+import { check, caught, log, quiet, runTests, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// Apply nested update data, including "-=key" deletions
+function apply(target, changes) {
+    for (const [key, value] of Object.entries(changes)) {
+        if (key.startsWith('-=')) {
+            delete target[key.slice(2)];
+        } else if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+            apply(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+// A stand-in Item class that saves into the collection below
+let nextId = 1;
+let modifiedTime = 1;
+class Item extends StandInDocument {
+    static documentName = 'Item';
+
+    static async create(data, { keepId } = {}) {
+        const document = new Item({ ...data, _id: keepId && data._id ? data._id : `item${String(nextId++).padStart(12, '0')}`, _stats: { modifiedTime: modifiedTime++ } });
+        items.set(document.id, document);
+        return document;
+    }
+
+    async update(changes) {
+        apply(this._source, changes);
+        this._source._stats = { modifiedTime: modifiedTime++ };
+        return this;
+    }
+
+    async delete() {
+        items.delete(this.id);
+        return this;
+    }
+}
+
+const items = new Map();
+items.documentName = 'Item';
+items.documentClass = Item;
+
+// A compendium pack with one entry, imported by creating a world Item
+const shortbow = { _id: 'bow000000000001', name: 'Shortbow', type: 'weapon' };
+const pack = { collection: 'dnd5e.items', documentName: 'Item', index: new Map([[shortbow._id, shortbow]]) };
+items.importFromCompendium = (source, id, updateData, { keepId }) => Item.create(source.index.get(id), { keepId });
+
+globalThis.window = {
+    game: { collections: new Map([['Item', items]]), packs: new Map([[pack.collection, pack]]) },
+    CONFIG: { Item: { documentClass: Item, typeLabels: { weapon: 'Weapon' } } }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator();
+
+async function testUndo() {
+    log('🧪 Testing the mutation journal and undo...\n');
+
+    const root = mkdtempSync(join(tmpdir(), 'fm-journal-'));
+    try {
+        let context = { command: 'insert', args: { type: 'weapon' } };
+        const journal = new MutationJournal(journalPath('testania', root), { context: () => context });
+        const worldManager = new WorldManager(validator, { journal });
+
+        const { id } = await worldManager.create('weapon', { name: 'Longsword', system: { price: 15 } });
+        context = { command: 'update', args: { id } };
+        await worldManager.update('weapon', id, { system: { price: 20, rare: true } });
+        const { id: ropeId } = await worldManager.create('Item', { name: 'Rope', type: 'loot' });
+        context = { command: 'delete', args: { id: ropeId } };
+        await worldManager.delete('Item', ropeId);
+
+        let history = await journal.history();
+        check('every mutation is journaled, newest first', history.map(entry => entry.operation).join() === 'delete,create,update,create');
+        check('entries record the command', history[0].command === 'delete' && history[0].args.id === ropeId);
+        check('updates keep pre- and post-image', history[2].changes[0].before.system.price === 15 && history[2].changes[0].after.system.price === 20);
+        check('deletes keep the pre-image', history[0].changes[0].before.name === 'Rope' && history[0].changes[0].after === null);
+        check('changes are addressed by UUID', history[3].changes[0].uuid === `Item.${id}`);
+
+        let result = await worldManager.undo(2);
+        check('undo reverts the newest entries', result.undone.map(entry => entry.operation).join() === 'delete,create');
+        check('the deleted document is gone again after undoing its create', !items.has(ropeId));
+
+        await worldManager.create('Item', { name: 'Torch', type: 'loot' });
+        const torch = [...items.values()].find(item => item.name === 'Torch');
+        await worldManager.delete('Item', torch.id);
+        await worldManager.undo();
+        check('deleted documents come back with their ID', items.get(torch.id)?.name === 'Torch');
+
+        // The Torch create is next in line; change the Torch outside the journal first
+        items.get(torch.id)._source.name = 'Lit Torch';
+        const conflict = await caught(worldManager.undo());
+        check('documents changed since are not overwritten', conflict?.code === 'UNDO_CONFLICT' && items.has(torch.id));
+        await worldManager.undo(1, { force: true });
+        check('force overwrites them', !items.has(torch.id));
+
+        result = await worldManager.undo();
+        check('updates are reverted from the pre-image', items.get(id)._source.system.price === 15 && !('rare' in items.get(id)._source.system));
+
+        history = await journal.history();
+        check('undo entries name what they undid', history[0].operation === 'undo' && history[0].undoes === history.find(entry => entry.undoneBy === history[0].seq).seq);
+        check('undo entries are not undone themselves', (await journal.pending(10)).map(entry => entry.operation).join() === 'create');
+
+        check('a journal survives a new manager', (await new MutationJournal(journal.path).history()).length === history.length);
+
+        context = { command: 'pack-import', args: { pack: pack.collection, id: shortbow._id } };
+        const imported = await worldManager.importFromPack(pack.collection, shortbow._id);
+        history = await journal.history();
+        check('pack imports are journaled as creates', history[0].operation === 'import' && history[0].command === 'pack-import' &&
+            history[0].changes[0].before === null && history[0].changes[0].after.name === 'Shortbow');
+        await worldManager.undo();
+        check('undoing a pack import removes the world document', !items.has(imported.id));
+        check('undo needs a journal', (await caught(new WorldManager(validator).undo()))?.code === 'INVALID_ARGUMENT');
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+
+    const data = revertData({ name: 'A', system: { price: 1 } }, { name: 'B', system: { price: 1, rare: true }, flags: { x: 1 } });
+    check('revert data restores and removes fields', JSON.stringify(data) === '{"name":"A","system":{"-=rare":null},"-=flags":null}');
+}
+
+runTests(testUndo, 'undo');
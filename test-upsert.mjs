@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test upsert
+ * Runs WorldManager.upsert() against a stand-in Item collection and checks
+ * that documents are matched by _id, name or a flag, updated when found and
+ * created otherwise, that several matches are handled as asked, and that
+ * each upsert is one journal entry.
+ */
+
+import { WorldManager } from './world-manager.mjs';
+import { check, caught, log, quiet, runTests, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+// A stand-in Item class that saves into the collection below
+let nextId = 1;
+const updates = [];
+class Item extends StandInDocument {
+    static documentName = 'Item';
+
+    static async create(data, { keepId } = {}) {
+        const document = new Item({ ...data, _id: keepId && data._id ? data._id : `item${String(nextId++).padStart(12, '0')}` });
+        items.set(document.id, document);
+        return document;
+    }
+
+    async update(changes) {
+        updates.push(changes);
+        this._source = { ...this._source, ...structuredClone(changes), system: { ...this._source.system, ...changes.system } };
+        return this;
+    }
+}
+
+const items = new Map();
+items.documentName = 'Item';
+items.documentClass = Item;
+
+globalThis.window = {
+    game: { collections: new Map([['Item', items]]) },
+    CONFIG: { Item: { documentClass: Item, typeLabels: { weapon: 'Weapon', loot: 'Loot' } } }
+};
+globalThis.game = window.game;
+
+const validator = standInValidator();
+
+async function testUpsert() {
+    log('🧪 Testing upsert...\n');
+
+    const journaled = [];
+    const journal = { append: async (operation, changes) => journaled.push({ operation, changes }) };
+    const worldManager = new WorldManager(validator, { journal });
+
+    let result = await worldManager.upsert('weapon', { name: 'Longsword', system: { price: 15 } }, { matchBy: 'name' });
+    check('a document that matches nothing is created', result.action === 'created' && result.matches === 0 && items.size === 1);
+    const id = result.documents[0].id;
+
+    result = await worldManager.upsert('weapon', { _id: 'stale', name: 'Longsword', system: { price: 20 } }, { matchBy: 'name' });
+    check('running it again updates the match instead', result.action === 'updated' && items.size === 1 && items.get(id)._source.system.price === 20);
+    check('the _id in the data is not written to the match', !('_id' in updates[0]) && items.has(id));
+    check('each upsert is one journal entry', journaled.map(entry => entry.operation).join() === 'upsert,upsert');
+
+    result = await worldManager.upsert('Item', { name: 'Rope', type: 'loot', flags: { repo: { id: 'rope-1' } } }, { matchBy: 'flags.repo.id' });
+    result = await worldManager.upsert('Item', { name: 'Hemp Rope', type: 'loot', flags: { repo: { id: 'rope-1' } } }, { matchBy: 'flags.repo.id' });
+    check('documents can be matched by a flag', result.action === 'updated' && items.get(result.documents[0].id).name === 'Hemp Rope');
+    check('subtypes only match their own documents', (await worldManager.upsert('weapon', { name: 'Hemp Rope', type: 'weapon' }, { matchBy: 'name' })).action === 'created');
+
+    result = await worldManager.upsert('weapon', { _id: 'abcdEFGH12345678', name: 'Glaive' });
+    check('matching by _id is the default and keeps the _id on create', result.matchBy === '_id' && items.get('abcdEFGH12345678')?.name === 'Glaive');
+    result = await worldManager.upsert('weapon', { _id: 'abcdEFGH12345678', name: 'Glaive', system: { price: 8 } });
+    check('the next run finds it by _id', result.action === 'updated' && items.get('abcdEFGH12345678')._source.system.price === 8);
+
+    await Item.create({ name: 'Longsword', type: 'weapon', system: { price: 15 } });
+    const several = await caught(worldManager.upsert('weapon', { name: 'Longsword', system: { price: 30 } }, { matchBy: 'name' }));
+    check('several matches are an error by default', several?.code === 'MULTIPLE_MATCHES' && several.details.matches.length === 2);
+
+    result = await worldManager.upsert('weapon', { name: 'Longsword', system: { price: 30 } }, { matchBy: 'name', onMultiple: 'skip' });
+    check('--on-multiple skip changes nothing', result.action === 'skipped' && result.matches === 2 &&
+        [...items.values()].every(item => item._source.system?.price !== 30));
+
+    result = await worldManager.upsert('weapon', { name: 'Longsword', system: { price: 30 } }, { matchBy: 'name', onMultiple: 'first' });
+    check('--on-multiple first updates one', result.documents.length === 1 && result.documents[0].id === id);
+
+    journaled.length = 0;
+    result = await worldManager.upsert('weapon', { name: 'Longsword', system: { price: 40 } }, { matchBy: 'name', onMultiple: 'all' });
+    check('--on-multiple all updates every match', result.documents.length === 2 &&
+        [...items.values()].filter(item => item._source.system?.price === 40).length === 2);
+    check('and journals them as one entry', journaled.length === 1 && journaled[0].changes.length === 2);
+
+    const size = items.size;
+    result = await worldManager.upsert('weapon', { name: 'Halberd', system: { price: 10 } }, { matchBy: 'name', dryRun: true });
+    check('a dry run previews the create', result.dryRun && result.action === 'created' && result.documents[0].dryRun && items.size === size);
+
+    check('the match value must be in the data', (await caught(worldManager.upsert('weapon', { name: 'X' }, { matchBy: 'flags.repo.id' })))?.field === 'match-by');
+    check('unknown --on-multiple modes are rejected', (await caught(worldManager.upsert('weapon', { name: 'X' }, { matchBy: 'name', onMultiple: 'merge' })))?.field === 'on-multiple');
+}
+
+runTests(testUpsert, 'upsert');
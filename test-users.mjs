@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Test user management
+ * Parses CSV rosters and runs the WorldManager user methods against stand-in
+ * users and actors, checking that roles and characters are resolved and
+ * validated before saving, that names stay unique, and that a roster with any
+ * bad row creates no users at all.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+import { WorldManager, parseUserRole } from './world-manager.mjs';
+import { parseCsv } from './csv.mjs';
+import { check, caught, log, quiet, runTests, Collection, StandInDocument, standInValidator } from './test-helpers.mjs';
+
+// WorldManager logs each operation; keep the output to the checks
+quiet();
+
+const actors = new Collection([['hero000000000001', { id: 'hero000000000001', name: 'Hero' }]]);
+
+// A stand-in User class that saves into the collection below
+let nextId = 1;
+class User extends StandInDocument {
+    static documentName = 'User';
+
+    constructor(data) {
+        super({ role: 1, color: null, character: null, password: '', ...data });
+    }
+
+    get role() { return this._source.role; }
+    get active() { return false; }
+    get character() { return actors.get(this._source.character) ?? null; }
+
+    static async create(data) {
+        const [user] = await User.createDocuments([data]);
+        return user;
+    }
+
+    static async createDocuments(list) {
+        return list.map(data => {
+            const user = new User({ ...data, _id: `user${String(nextId++).padStart(12, '0')}` });
+            users.set(user.id, user);
+            return user;
+        });
+    }
+
+    async update(changes) {
+        this._source = { ...this._source, ...structuredClone(changes) };
+        return this;
+    }
+
+    async delete() {
+        users.delete(this.id);
+        return this;
+    }
+}
+
+const users = new Collection();
+users.documentClass = User;
+await User.createDocuments([{ name: 'Gamemaster', role: 4 }]);
+
+globalThis.window = {
+    game: { users, actors, user: users.get('user000000000001') },
+    CONFIG: { User: { documentClass: User } }
+};
+globalThis.game = window.game;
+
+// Stands in for the User schema: roles are 0-4 and characters are document IDs
+const validated = [];
+const validator = standInValidator({
+    validateDocument: async (type, data) => {
+        validated.push({ type, data });
+        if (!data.name) {
+            throw new ValidationError('Document must have a name', 'name', 'MISSING_REQUIRED_FIELD');
+        }
+        if (data.role !== undefined && ![0, 1, 2, 3, 4].includes(data.role)) {
+            throw new ValidationError(`role: ${data.role} is not a valid choice`, 'role', 'VALIDATION_ERROR');
+        }
+        if (data.character && !/^[A-Za-z0-9]{16}$/.test(data.character)) {
+            throw new ValidationError('character: must be a valid 16-character alphanumeric ID', 'character', 'VALIDATION_ERROR');
+        }
+        return { success: true };
+    }
+});
+validator.validateBatch = async (documents) => Promise.all(documents.map(async ({ type, data }) => {
+    try {
+        return await validator.validateDocument(type, data);
+    } catch (error) {
+        return { success: false, error: error.message, code: error.code, field: error.field };
+    }
+}));
+
+async function testUsers() {
+    log('🧪 Testing user management...\n');
+
+    let csv = parseCsv('name,role\r\n"Doe, Jane",PLAYER\n\n"Say ""hi""\nthere", trusted \n');
+    check('CSV fields may be quoted, with commas, quotes and line breaks', csv.rows.length === 2 &&
+        csv.rows[0].values.name === 'Doe, Jane' && csv.rows[1].values.name === 'Say "hi"\nthere');
+    check('CSV rows know their line and values are trimmed', csv.rows[1].line === 4 && csv.rows[1].values.role === 'trusted');
+    csv = parseCsv('name,role,color\nAlice');
+    check('missing trailing fields are empty', csv.rows[0].values.role === '' && csv.rows[0].values.color === '');
+    check('extra fields are reported with their line', (() => {
+        try {
+            parseCsv('name\nAlice\nBob,GAMEMASTER');
+        } catch (error) {
+            return error.code === 'INVALID_CSV' && error.message.startsWith('Line 3');
+        }
+    })());
+    check('unterminated quotes are reported', (() => {
+        try {
+            parseCsv('name\n"Alice');
+        } catch (error) {
+            return error.code === 'INVALID_CSV';
+        }
+    })());
+
+    check('roles are names in any case or numbers', parseUserRole('trusted') === 2 && parseUserRole('4') === 4 && parseUserRole('WIZARD') === 'WIZARD');
+
+    const worldManager = new WorldManager(validator);
+
+    const alice = await worldManager.createUser({ name: 'Alice', role: 'trusted', password: 'secret', character: 'Hero' });
+    check('create resolves the role and the character', alice.role === 'TRUSTED' &&
+        users.get(alice.id)._source.character === 'hero000000000001' && users.get(alice.id)._source.role === 2);
+    check('the user is validated as a User before saving', validated.at(-1).type === 'User' && validated.at(-1).data.character === 'hero000000000001');
+
+    check('user names are unique in any case', (await caught(worldManager.createUser({ name: 'alice' })))?.code === 'USER_EXISTS');
+    check('unknown characters are reported', (await caught(worldManager.createUser({ name: 'Bob', character: 'Villain' })))?.field === 'character');
+    check('invalid roles are rejected by the schema', (await caught(worldManager.createUser({ name: 'Bob', role: 'WIZARD' })))?.field === 'role');
+    check('nothing invalid was saved', users.size === 2);
+
+    const listed = await worldManager.listUsers();
+    check('users are listed with role names and characters', listed.map(user => `${user.name}:${user.role}:${user.character?.name ?? '-'}`).join() ===
+        'Gamemaster:GAMEMASTER:-,Alice:TRUSTED:Hero');
+    check('passwords are never listed', listed.every(user => !('password' in user)));
+
+    await worldManager.updateUser('alice', { role: 'ASSISTANT', character: '', name: 'Alicia' });
+    check('update renames, changes the role and unassigns the character', users.get(alice.id).name === 'Alicia' &&
+        users.get(alice.id).role === 3 && users.get(alice.id)._source.character === null);
+    check('changes are validated merged into the current data', validated.at(-1).data.name === 'Alicia' && !('password' in validated.at(-1).data));
+    check('a user may keep its own name', (await caught(worldManager.updateUser(alice.id, { name: 'ALICIA' }))) === null);
+    check('renaming onto another user is refused', (await caught(worldManager.updateUser(alice.id, { name: 'Gamemaster' })))?.code === 'USER_EXISTS');
+    check('an update needs a change', (await caught(worldManager.updateUser(alice.id, {})))?.code === 'INVALID_ARGUMENT');
+    check('unknown users are reported', (await caught(worldManager.updateUser('Carol', { role: 1 })))?.code === 'USER_NOT_FOUND');
+
+    check('the manager\'s own user cannot be deleted', (await caught(worldManager.deleteUser('Gamemaster')))?.code === 'INVALID_ARGUMENT');
+    const deleted = await worldManager.deleteUser('Alicia');
+    check('users are deleted by name', deleted.success && !users.has(alice.id));
+
+    let error = await caught(worldManager.importUsers(parseCsv([
+        'name,role,password,character',
+        'Bob,PLAYER,pw1,',
+        'Carol,WIZARD,pw2,',
+        'bob,TRUSTED,pw3,',
+        'Dan,PLAYER,,Villain',
+        ',PLAYER,,'
+    ].join('\n')), { file: 'table.csv' }));
+    check('every bad roster row is reported with its line', error?.code === 'VALIDATION_ERROR' &&
+        error.details.failures.map(failure => `${failure.file}:${failure.field}`).join() ===
+        'table.csv:3:role,table.csv:4:name,table.csv:5:character,table.csv:6:name');
+    check('a roster with bad rows creates no users', users.size === 1);
+
+    error = await caught(worldManager.importUsers(parseCsv('name,level\nBob,1')));
+    check('unknown roster columns are reported', error?.code === 'INVALID_CSV' && error.message.includes('level'));
+
+    const imported = await worldManager.importUsers(parseCsv('name,role,character,color\nBob,,Hero,#ff0000\nCarol,GAMEMASTER,,'));
+    check('a valid roster creates every user', imported.created === 2 && imported.users.map(user => `${user.line}:${user.name}:${user.role}`).join() ===
+        '2:Bob:PLAYER,3:Carol:GAMEMASTER');
+    check('roster users get their characters and colors', users.get(imported.users[0].id)._source.character === 'hero000000000001' &&
+        users.get(imported.users[0].id)._source.color === '#ff0000');
+}
+
+runTests(testUsers, 'user');
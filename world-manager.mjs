@@ -1,337 +1,2506 @@
-import { FoundryPuppeteerValidator } from './foundry-puppeteer-validator.mjs';
+import { FoundryPuppeteerValidator, ValidationError, withOwnType } from './foundry-puppeteer-validator.mjs';
+import { parseQuery, parseSort, parseCount, queryPaths } from './search-query.mjs';
+import { previewChanges } from './world-sync.mjs';
+import { revertData, sameDocument } from './mutation-journal.mjs';
+import { generateId, deriveId, deriveDocumentKey, isValidId, parseIdMode, rewriteUuidReferences } from './document-ids.mjs';
 
-export class WorldManager {
-    constructor(validator) {
-        if (!(validator instanceof FoundryPuppeteerValidator)) {
-            throw new Error("WorldManager requires an instance of FoundryPuppeteerValidator.");
-        }
-        this.validator = validator;
+/**
+ * Install shared helpers on window.__foundryManager in the Foundry page
+ * Runs before each WorldManager evaluation; a no-op once installed, and
+ * installs again after a page reload.
+ */
+function installPageHelpers() {
+    if (window.__foundryManager) {
+        return;
     }
 
-    async search(documentType, namePattern = null) {
-        console.log(`Searching for ${documentType} documents with pattern: ${namePattern}`);
-        const page = this.validator.serverManager.page;
-        if (!page) {
-            throw new Error("Puppeteer page not available.");
-        }
+    window.__foundryManager = {
+        /**
+         * Resolve a type name or embedded collection path to its collection
+         * "Actor.<id>.Item" (or "Actor.<id>.items", or a subtype such as
+         * "Actor.<id>.weapon") addresses a parent's embedded collection;
+         * anything else is a world collection or subtype.
+         * @returns {Promise<{collection, documentName: string, subtype: string|null, parent: Document|null}|{error: string, code: string}>}
+         */
+        async resolve(type) {
+            if (!type.includes('.')) {
+                return { ...this.resolveCollection(type), parent: null };
+            }
+
+            const segments = type.split('.');
+            const embeddedName = segments.pop();
+            const parentUuid = segments.join('.');
+            const parent = await fromUuid(parentUuid);
+            if (!parent) {
+                return { error: `Parent document "${parentUuid}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            // Embedded document names map to collection names, e.g. {Item: 'items', ActiveEffect: 'effects'}
+            const embedded = parent.constructor.metadata.embedded || {};
+            const wanted = embeddedName.toLowerCase();
+            let documentName = Object.keys(embedded).find(name => name.toLowerCase() === wanted || embedded[name].toLowerCase() === wanted);
+            let subtype = null;
+            if (!documentName) {
+                documentName = Object.keys(embedded).find(name => window.CONFIG?.[name]?.typeLabels?.[embeddedName]);
+                subtype = documentName ? embeddedName : null;
+            }
+            if (!documentName) {
+                return {
+                    error: `${parent.documentName} documents have no embedded "${embeddedName}" collection. Embedded types: ${Object.keys(embedded).join(', ')}`,
+                    code: 'UNKNOWN_TYPE'
+                };
+            }
 
-        const documents = await page.evaluate(async (type, pattern) => {
-            // Check if game and collections are available
+            return { collection: parent.getEmbeddedCollection(documentName), documentName, subtype, parent };
+        },
+
+        /**
+         * Resolve a type name (collection or subtype) to its world collection
+         * @returns {{collection, documentName: string, subtype: string|null}|{error: string, code: string}}
+         */
+        resolveCollection(type) {
             if (!window.game || !window.game.collections) {
                 return { error: `Game context not fully initialized. Collections not available.` };
             }
-            
+
             // Normalize the input type to match FoundryVTT's internal capitalization
             const normalizedType = type.split('-')
                                        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
                                        .join('');
 
-            // First, check if it's a direct collection name (Item, Actor, Scene, etc.)
             let collection = game.collections.get(normalizedType);
-            let filterByType = null;
-            
-            // If not a direct collection, check if it's a subtype
+            let subtype = null;
+
+            // If not a direct collection, look the type up as a subtype
             if (!collection) {
-                // Check if it's an Item subtype
-                if (window.CONFIG?.Item?.typeLabels?.[type]) {
-                    collection = game.collections.get('Item');
-                    filterByType = type;
-                } 
-                // Check if it's an Actor subtype
-                else if (window.CONFIG?.Actor?.typeLabels?.[type]) {
-                    collection = game.collections.get('Actor');
-                    filterByType = type;
-                }
-                // Check other document types
-                else {
-                    for (const [docType, config] of Object.entries(window.CONFIG)) {
-                        if (config?.typeLabels?.[type]) {
-                            collection = game.collections.get(docType);
-                            filterByType = type;
-                            break;
-                        }
+                for (const docType of ['Item', 'Actor', ...Object.keys(window.CONFIG)]) {
+                    if (window.CONFIG?.[docType]?.typeLabels?.[type]) {
+                        collection = game.collections.get(docType);
+                        subtype = type;
+                        break;
                     }
                 }
             }
-            
+
             if (!collection) {
-                return { error: `Collection for type "${type}" (normalized: ${normalizedType}) not found.` };
+                return { error: `Collection for type "${type}" (normalized: ${normalizedType}) not found.`, code: 'UNKNOWN_TYPE' };
+            }
+            return { collection, documentName: collection.documentName, subtype };
+        },
+
+        getProperty(object, path) {
+            return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+        },
+
+        setProperty(object, path, value) {
+            const keys = path.split('.');
+            let target = object;
+            for (const key of keys.slice(0, -1)) {
+                if (typeof target[key] !== 'object' || target[key] === null) {
+                    target[key] = {};
+                }
+                target = target[key];
+            }
+            target[keys[keys.length - 1]] = value;
+        },
+
+        /**
+         * Documents of a type matching a name pattern and a query tree from search-query.mjs
+         * Conditions are tested against each document's source data, without toObject().
+         * @returns {Array<Document>|{error: string, code: string}}
+         */
+        async findDocuments(type, pattern, where) {
+            const resolved = await this.resolve(type);
+            if (resolved.error) {
+                return resolved;
             }
 
-            let results = Array.from(collection.values());
-            
+            let results = Array.from(resolved.collection.values());
+
             // Filter by subtype if needed
-            if (filterByType) {
-                results = results.filter(doc => doc.type === filterByType);
+            if (resolved.subtype) {
+                results = results.filter(doc => doc.type === resolved.subtype);
             }
+            return this.filterDocuments(results, pattern, where);
+        },
 
+        /**
+         * Filter documents or compendium index entries by name pattern and query tree
+         */
+        filterDocuments(results, pattern, where) {
             // Filter by name pattern if provided
             if (pattern) {
                 const regex = new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.'), 'i');
                 results = results.filter(doc => regex.test(doc.name));
             }
 
-            return results.map(doc => ({
-                id: doc.id,
-                name: doc.name,
-                // Add other relevant properties you want to return
-                // For now, just id and name for basic search
+            if (where) {
+                results = results.filter(doc => this.matches(doc, where));
+            }
+            return results;
+        },
+
+        /**
+         * Source data of a document; compendium index entries are plain objects already
+         */
+        sourceOf(doc) {
+            return doc._source ?? (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+        },
+
+        /**
+         * Find a compendium pack by ID ("dnd5e.items"), optionally prefixed with "Compendium."
+         * @returns {{pack: CompendiumCollection}|{error: string, code: string}}
+         */
+        resolvePack(packId, { unlocked = false } = {}) {
+            const id = packId.replace(/^Compendium\./, '');
+            const pack = game.packs.get(id);
+            if (!pack) {
+                return { error: `Compendium pack "${id}" not found. Run "pack list" to see available packs.`, code: 'PACK_NOT_FOUND' };
+            }
+            if (unlocked && pack.locked) {
+                return { error: `Compendium pack "${id}" is locked. Unlock it in Foundry to modify it.`, code: 'PACK_LOCKED' };
+            }
+            return { pack };
+        },
+
+        /**
+         * Case-insensitive regular expression for a pattern with * and ? wildcards
+         */
+        wildcard(pattern) {
+            const escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+        },
+
+        /**
+         * Values of a dotted path on a document; arrays are matched element by element
+         * `folder` matches the folder's name as well as its ID.
+         */
+        values(doc, path) {
+            const value = this.getProperty(this.sourceOf(doc), path);
+            if (path === 'folder' && doc.folder) {
+                return [value, doc.folder.name];
+            }
+            return Array.isArray(value) ? value : [value];
+        },
+
+        compare(a, b) {
+            if (typeof a === 'number' && typeof b === 'number') {
+                return a - b;
+            }
+            return String(a).localeCompare(String(b), undefined, { numeric: true });
+        },
+
+        matches(doc, node) {
+            switch (node.op) {
+                case 'and':
+                    return node.args.every(arg => this.matches(doc, arg));
+                case 'or':
+                    return node.args.some(arg => this.matches(doc, arg));
+                case 'not':
+                    return !this.matches(doc, node.arg);
+                case 'exists':
+                    return this.values(doc, node.path).some(value => value !== undefined && value !== null);
+                case '!=':
+                    return !this.matches(doc, { ...node, op: '=' });
+            }
+
+            return this.values(doc, node.path).some(value => {
+                if (node.op === '=') {
+                    return value === node.value
+                        || (value != null && node.value != null && typeof value !== 'object' && String(value) === String(node.value));
+                }
+                if (value === undefined || value === null || typeof value === 'object') {
+                    return false;
+                }
+                if (node.op === '~') {
+                    return this.wildcard(node.value).test(String(value));
+                }
+                const order = this.compare(value, node.value);
+                return { '>': order > 0, '>=': order >= 0, '<': order < 0, '<=': order <= 0 }[node.op];
+            });
+        },
+
+        /**
+         * Sort (optional) and slice a result list
+         */
+        paginate(results, { sort, limit, offset }) {
+            if (sort) {
+                this.sort(results, sort);
+            }
+            return results.slice(offset ?? 0, limit === null ? undefined : (offset ?? 0) + limit);
+        },
+
+        /**
+         * Sort documents in place by [{path, descending}]; missing values sort last
+         */
+        sort(docs, keys) {
+            return docs.sort((a, b) => {
+                for (const { path, descending } of keys) {
+                    const left = this.getProperty(this.sourceOf(a), path);
+                    const right = this.getProperty(this.sourceOf(b), path);
+                    if (left == null || right == null) {
+                        if (left != null || right != null) {
+                            return left == null ? 1 : -1;
+                        }
+                        continue;
+                    }
+                    const order = this.compare(left, right);
+                    if (order !== 0) {
+                        return descending ? -order : order;
+                    }
+                }
+                return 0;
+            });
+        },
+
+        /**
+         * Slash-separated path of a folder, e.g. "Weapons/Martial"
+         */
+        folderPath(folder) {
+            const names = [];
+            for (let current = folder; current; current = current.folder) {
+                names.unshift(current.name);
+            }
+            return names.join('/');
+        },
+
+        /**
+         * Find the folder at a path for a document type, optionally creating missing folders
+         * An empty path or "/" is the top level (folder null).
+         * @returns {Promise<{folder: Folder|null, created: Array<string>}|{error: string, code: string}>}
+         */
+        async resolveFolder(documentName, path, { create = false, color = null } = {}) {
+            const names = String(path ?? '').split('/').map(name => name.trim()).filter(Boolean);
+            const created = [];
+            let folder = null;
+
+            for (const name of names) {
+                const parentId = folder?.id ?? null;
+                let next = game.folders.find(candidate => candidate.type === documentName
+                    && candidate.name === name
+                    && (candidate.folder?.id ?? null) === parentId);
+
+                if (!next && !create) {
+                    // Folder IDs are accepted in place of a one-part path
+                    next = names.length === 1 ? game.folders.get(name) : null;
+                    if (!next || next.type !== documentName) {
+                        return { error: `${documentName} folder "${names.join('/')}" not found.`, code: 'FOLDER_NOT_FOUND' };
+                    }
+                } else if (!next) {
+                    next = await Folder.create({ name, type: documentName, folder: parentId, ...(color ? { color } : {}) });
+                    created.push(this.folderPath(next));
+                }
+                folder = next;
+            }
+
+            return { folder, created };
+        },
+
+        /**
+         * A user by ID or by name in any case
+         * @returns {User|null}
+         */
+        findUser(key) {
+            return game.users.get(key) ?? game.users.find(candidate => candidate.name.toLowerCase() === String(key).toLowerCase()) ?? null;
+        },
+
+        /**
+         * Ownership data for levels keyed by user name or ID; "default" is the default level
+         * @returns {{ownership: Object}|{error: string, code: string, field: string}}
+         */
+        resolveOwnership(levels) {
+            const ownership = {};
+            for (const [key, level] of Object.entries(levels)) {
+                if (key.toLowerCase() === 'default') {
+                    ownership.default = level;
+                    continue;
+                }
+                const user = this.findUser(key);
+                if (!user) {
+                    return { error: `User "${key}" not found.`, code: 'USER_NOT_FOUND', field: 'owner' };
+                }
+                ownership[user.id] = level;
+            }
+            return { ownership };
+        },
+
+        /**
+         * Ownership of a document as [{user, id, level}], with user names for user IDs
+         */
+        describeOwnership(document) {
+            return Object.entries(document.ownership ?? {}).map(([id, level]) => ({
+                user: id === 'default' ? 'default' : (game.users.get(id)?.name ?? null),
+                id,
+                level
             }));
-        }, documentType, namePattern);
+        },
 
-        if (documents.error) {
-            throw new Error(documents.error);
+        /**
+         * Copy only the given dotted paths of an object, keeping their nesting
+         */
+        project(object, fields) {
+            const projected = {};
+            for (const field of fields) {
+                const value = this.getProperty(object, field);
+                if (value !== undefined) {
+                    this.setProperty(projected, field, value);
+                }
+            }
+            return projected;
         }
+    };
+}
 
-        return documents;
+// What upsert() does when several documents match
+export const UPSERT_ON_MULTIPLE = ['error', 'first', 'all', 'skip'];
+
+// Document ownership levels, as CONST.DOCUMENT_OWNERSHIP_LEVELS (INHERIT only appears on embedded documents)
+export const OWNERSHIP_LEVELS = { INHERIT: -1, NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 };
+
+/**
+ * Ownership level of a level name (any case) or number
+ * @param {string|number} level - NONE, LIMITED, OBSERVER, OWNER, or 0-3
+ * @returns {number} The level
+ * @throws {ValidationError} INVALID_ARGUMENT for anything else
+ */
+export function parseOwnershipLevel(level) {
+    const text = String(level).trim().toUpperCase();
+    const value = /^\d$/.test(text) ? Number(text) : OWNERSHIP_LEVELS[text];
+    if (value === undefined || value < 0 || value > OWNERSHIP_LEVELS.OWNER) {
+        throw new ValidationError(`Invalid ownership level "${level}". Use NONE, LIMITED, OBSERVER or OWNER`, 'owner', 'INVALID_ARGUMENT');
     }
+    return value;
+}
 
-    // Placeholder for create, update, delete methods
-    async create(documentType, data, options = {}) {
-        console.log(`Creating ${documentType} document with data:`, data);
-        
-        // Validate the document first (includes image validation unless noImage is true)
-        await this.validator.validateDocument(documentType, data, options);
-        
+/**
+ * Name of an ownership level, e.g. 3 becomes "OWNER"
+ * @param {number} level - Ownership level
+ * @returns {string} The level's name, or the number for unknown levels
+ */
+export function ownershipLevelName(level) {
+    return Object.keys(OWNERSHIP_LEVELS).find(name => OWNERSHIP_LEVELS[name] === level) ?? String(level);
+}
+
+// User roles, as CONST.USER_ROLES
+export const USER_ROLES = { NONE: 0, PLAYER: 1, TRUSTED: 2, ASSISTANT: 3, GAMEMASTER: 4 };
+
+// Columns of a user roster CSV file
+export const ROSTER_COLUMNS = ['name', 'role', 'password', 'color', 'character'];
+
+/**
+ * User role of a role name (any case) or number
+ * Anything else is passed on unchanged, so the User schema reports it with the other fields.
+ * @param {string|number} role - PLAYER, TRUSTED, ASSISTANT, GAMEMASTER, NONE, or 0-4
+ * @returns {number|string} The role
+ */
+export function parseUserRole(role) {
+    const text = String(role).trim().toUpperCase();
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+    return USER_ROLES[text] ?? role;
+}
+
+/**
+ * Name of a user role, e.g. 4 becomes "GAMEMASTER"
+ * @param {number} role - User role
+ * @returns {string} The role's name, or the number for unknown roles
+ */
+export function userRoleName(role) {
+    return Object.keys(USER_ROLES).find(name => USER_ROLES[name] === role) ?? String(role);
+}
+
+/**
+ * Whether a type addresses a parent's embedded collection, e.g. "Actor.<id>.Item"
+ * @param {string} documentType - Type argument
+ * @returns {boolean} True for paths with an odd number (3+) of dot-separated parts
+ */
+export function isEmbeddedPath(documentType) {
+    const segments = String(documentType).split('.');
+    return segments.length >= 3 && segments.length % 2 === 1;
+}
+
+/**
+ * Split a document UUID into the collection path and ID the commands take
+ * "Actor.abc.Item.def" becomes {type: "Actor.abc.Item", id: "def"}, "Actor.abc" becomes {type: "Actor", id: "abc"}.
+ * @param {string} uuid - Document UUID
+ * @returns {{type: string, id: string}|null} null when the string is not a world document UUID
+ */
+export function splitDocumentUuid(uuid) {
+    const segments = String(uuid).split('.');
+    if (segments.length < 2 || segments.length % 2 !== 0 || segments.some(segment => !segment)) {
+        return null;
+    }
+    const id = segments.pop();
+    return { type: segments.join('.'), id };
+}
+
+export class WorldManager {
+    /**
+     * @param {FoundryPuppeteerValidator} validator - Validator whose page holds the world
+     * @param {Object} options - Manager options
+     * @param {MutationJournal} options.journal - Journal that records every create, update, delete, move, clone and import
+     */
+    constructor(validator, options = {}) {
+        if (!(validator instanceof FoundryPuppeteerValidator)) {
+            throw new Error("WorldManager requires an instance of FoundryPuppeteerValidator.");
+        }
+        this.validator = validator;
+        this.journal = options.journal || null;
+        this._captured = null; // Changes collected for one journal entry (undo, upsert)
+    }
+
+    /**
+     * Whether mutations need to return pre- and post-images
+     * @private
+     */
+    _isRecording() {
+        return Boolean(this.journal || this._captured);
+    }
+
+    /**
+     * Journal the document changes of one operation
+     * @private
+     * @param {string} operation - create, update, delete, move, clone or import
+     * @param {Array<Object>} changes - [{uuid, documentName, name, before, after}]
+     */
+    async _record(operation, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        if (this._captured) {
+            this._captured.push(...changes);
+        } else if (this.journal) {
+            await this.journal.append(operation, changes);
+        }
+    }
+
+    /**
+     * Run several mutations and journal their changes as one entry
+     * @private
+     * @param {string} operation - Operation recorded for the entry
+     * @param {Function} run - async () => result
+     * @returns {Promise<*>} Result of run
+     */
+    async _journaled(operation, run) {
+        const outer = this._captured;
+        this._captured = [];
+        try {
+            return await run();
+        } finally {
+            const captured = this._captured;
+            this._captured = outer;
+            await this._record(operation, captured);
+        }
+    }
+
+    /**
+     * Convert an error returned from the page into an exception
+     * Errors that carry a code become ValidationErrors so callers can map them.
+     * @private
+     */
+    _toError(result) {
+        return result.code
+            ? new ValidationError(result.error, result.field ?? null, result.code)
+            : new Error(result.error);
+    }
+
+    /**
+     * Run a function in the Foundry page with the shared helpers installed
+     * @private
+     * @returns {Promise<*>} The function's result; a returned {error} is thrown
+     */
+    async _evaluate(pageFunction, ...args) {
         const page = this.validator.serverManager.page;
         if (!page) {
             throw new Error("Puppeteer page not available.");
         }
 
-        const result = await page.evaluate(async (type, docData) => {
+        await page.evaluate(installPageHelpers);
+        const result = await page.evaluate(pageFunction, ...args);
+        if (result?.error) {
+            throw this._toError(result);
+        }
+        return result;
+    }
+
+    /**
+     * Normalize a field list given as an array or comma-separated string
+     * @private
+     */
+    _normalizeFields(fields) {
+        if (!fields) {
+            return null;
+        }
+        const list = (Array.isArray(fields) ? fields : String(fields).split(','))
+            .map(field => field.trim())
+            .filter(Boolean);
+        return list.length > 0 ? list : null;
+    }
+
+    /**
+     * Parse the query options shared by search() and count()
+     * @private
+     * @returns {{where: Object|null, sort: Array|null, limit: number|null, offset: number|null}}
+     */
+    _normalizeQuery(options) {
+        return {
+            where: typeof options.where === 'object' ? options.where : parseQuery(options.where),
+            sort: parseSort(options.sort),
+            limit: parseCount(options.limit, 'limit'),
+            offset: parseCount(options.offset, 'offset')
+        };
+    }
+
+    /**
+     * Ownership data for levels by user name or ID
+     * @private
+     * @param {Object} owner - Level names or numbers by user name, user ID or "default"
+     * @returns {Promise<Object|null>} Ownership by user ID, or null when owner is empty
+     * @throws {ValidationError} INVALID_ARGUMENT for unknown levels, USER_NOT_FOUND for unknown users
+     */
+    async _ownership(owner) {
+        if (!owner || Object.keys(owner).length === 0) {
+            return null;
+        }
+        const levels = Object.fromEntries(Object.entries(owner).map(([user, level]) => [user, parseOwnershipLevel(level)]));
+        const { ownership } = await this._evaluate((levels) => window.__foundryManager.resolveOwnership(levels), levels);
+        return ownership;
+    }
+
+    /**
+     * Check a folder color is a hex color
+     * @private
+     * @returns {string|null} The color, or null when not given
+     */
+    _normalizeColor(color) {
+        if (color === undefined || color === null || color === '') {
+            return null;
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new ValidationError(`Invalid color "${color}". Use a hex color such as #8b0000`, 'color', 'INVALID_ARGUMENT');
+        }
+        return color;
+    }
+
+    /**
+     * Search documents of a type, optionally by name and query
+     * Filtering, sorting and paging run in the page; only the requested page is returned.
+     * @param {string} documentType - Document type or subtype
+     * @param {string} namePattern - Name filter with wildcards (*, ?)
+     * @param {Object} options - Search options
+     * @param {Array<string>|string} options.fields - Dotted paths to return besides the ID (default: name)
+     * @param {string} options.where - Query expression (see search-query.mjs)
+     * @param {string} options.sort - Sort keys, e.g. "system.price:desc,name"
+     * @param {number|string} options.limit - Maximum number of documents to return
+     * @param {number|string} options.offset - Number of matching documents to skip
+     * @returns {Promise<Array<Object>>} [{id, name}] or [{id, ...fields}]
+     */
+    async search(documentType, namePattern = null, options = {}) {
+        console.log(`Searching for ${documentType} documents with pattern: ${namePattern}`);
+        const query = this._normalizeQuery(options);
+
+        return await this._evaluate(async (type, pattern, fields, query) => {
+            const helpers = window.__foundryManager;
+            let results = await helpers.findDocuments(type, pattern, query.where);
+            if (results.error) {
+                return results;
+            }
+
+            results = helpers.paginate(results, query);
+
+            if (fields) {
+                return results.map(doc => ({ id: doc.id, ...helpers.project(doc.toObject(), fields) }));
+            }
+            return results.map(doc => ({ id: doc.id, name: doc.name }));
+        }, documentType, namePattern, this._normalizeFields(options.fields), query);
+    }
+
+    /**
+     * Count documents of a type matching a name pattern and query, without returning them
+     * @param {string} documentType - Document type or subtype
+     * @param {string} namePattern - Name filter with wildcards (*, ?)
+     * @param {Object} options - Same filters as search(); sort and paging are ignored
+     * @returns {Promise<number>} Number of matching documents
+     */
+    async count(documentType, namePattern = null, options = {}) {
+        console.log(`Counting ${documentType} documents with pattern: ${namePattern}`);
+        const { where } = this._normalizeQuery({ where: options.where });
+
+        return await this._evaluate(async (type, pattern, query) => {
+            const results = await window.__foundryManager.findDocuments(type, pattern, query);
+            return results.error ? results : results.length;
+        }, documentType, namePattern, where);
+    }
+
+    /**
+     * Get one document by ID
+     * @param {string} documentType - Document type or subtype
+     * @param {string} id - Document ID
+     * @param {Object} options - Get options
+     * @param {Array<string>|string} options.fields - Dotted paths to return (default: the whole document)
+     * @returns {Promise<Object>} The document's toObject() data, or {_id, ...fields}
+     */
+    async get(documentType, id, options = {}) {
+        console.log(`Getting ${documentType} document with ID: ${id}`);
+
+        return await this._evaluate(async (type, docId, fields) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            const data = document.toObject();
+            return fields ? { _id: data._id, ...helpers.project(data, fields) } : data;
+        }, documentType, id, this._normalizeFields(options.fields));
+    }
+
+    /**
+     * Describe what a type or embedded collection path resolves to
+     * @private
+     * @returns {Promise<{documentName: string, subtype: string|null, parent: string|null}>}
+     */
+    async _describe(documentType) {
+        return await this._evaluate(async (type) => {
+            const resolved = await window.__foundryManager.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+            return { documentName: resolved.documentName, subtype: resolved.subtype, parent: resolved.parent?.uuid ?? null };
+        }, documentType);
+    }
+
+    /**
+     * Document type a compendium pack holds
+     * @private
+     * @returns {Promise<{documentName: string}>}
+     */
+    async _describePack(packId, unlocked = false) {
+        return await this._evaluate((id, unlocked) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(id, { unlocked });
+            return error ? { error, code } : { documentName: pack.documentName };
+        }, packId, unlocked);
+    }
+
+    /**
+     * Create a document in a world collection or in a parent's embedded collection
+     * The data is validated first, including images unless options.noImage is set.
+     * Embedded documents only need an image when they are Items.
+     * @param {string} documentType - Type, subtype, or embedded path such as "Actor.<id>.Item"
+     * @param {Object} data - Document data
+     * @param {Object} options - Validation and placement options
+     * @param {boolean} options.noImage - Skip image validation
+     * @param {string} options.folder - Folder path such as "Weapons/Martial", created if missing
+     * @param {Object} options.owner - Ownership levels by user name or ID, or "default", merged into data.ownership
+     * @param {string} options.ids - keep the _id in data (default), new to drop it, or derive it
+     *        from the document's type and name (see document-ids.mjs); a taken ID fails with ID_CONFLICT
+     * @param {boolean} options.dryRun - Validate and build the document in memory without saving it
+     * @returns {Promise<Object>} {success, id, name}, plus folder, or uuid and parent for embedded documents;
+     *          a dry run returns {success, dryRun, id, name, changes, embedded, ignored} instead (see previewChanges())
+     */
+    async create(documentType, data, options = {}) {
+        console.log(`Creating ${documentType} document with data:`, data);
+        const { folder: folderPath, ids, owner, dryRun = false, ...validationOptions } = options;
+        const idMode = parseIdMode(ids);
+
+        if (folderPath && isEmbeddedPath(documentType)) {
+            throw new ValidationError('Embedded documents cannot be placed in folders.', 'folder', 'INVALID_ARGUMENT');
+        }
+        if (owner && isEmbeddedPath(documentType)) {
+            throw new ValidationError('Embedded documents take their ownership from their parent.', 'owner', 'INVALID_ARGUMENT');
+        }
+        const ownership = await this._ownership(owner);
+        if (ownership) {
+            data = { ...data, ownership: { ...data.ownership, ...ownership } };
+        }
+
+        const { _id, ...fields } = data;
+        if (idMode === 'derive') {
+            const { documentName, subtype } = await this._describe(documentType);
+            data = { ...fields, _id: deriveId(deriveDocumentKey(documentName, subtype ? { ...fields, type: subtype } : fields)) };
+        } else if (idMode === 'new' || _id === undefined || _id === null) {
+            data = fields;
+        } else if (!isValidId(_id)) {
+            throw new ValidationError(`_id must be 16 letters and digits, got ${JSON.stringify(_id)}`, '_id', 'INVALID_ID');
+        }
+
+        if (isEmbeddedPath(documentType)) {
+            const { documentName, subtype } = await this._describe(documentType);
+            await this.validator.validateDocument(subtype || documentName, subtype ? { ...data, type: subtype } : data, {
+                ...validationOptions,
+                embedded: true,
+                skipImageValidation: documentName !== 'Item'
+            });
+        } else {
+            // Validate the document first (includes image validation unless noImage is true)
+            await this.validator.validateDocument(documentType, data, validationOptions);
+        }
+
+        const result = await this._evaluate(async (type, docData, folderPath, dryRun, record) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+            const { collection, documentName, subtype, parent } = resolved;
+            if (subtype) {
+                docData.type = subtype;
+            }
+            const keepId = Boolean(docData._id);
+            if (keepId && collection.has(docData._id)) {
+                return { error: `${documentName} ${docData._id} already exists${parent ? ` in ${parent.uuid}` : ''}.`, code: 'ID_CONFLICT', field: '_id' };
+            }
+
             try {
-                // Check if game and collections are available
-                if (!window.game || !window.game.collections) {
-                    return { error: `Game context not fully initialized. Collections not available.` };
-                }
-                
-                // Normalize the input type to match FoundryVTT's internal capitalization
-                // e.g., "journalentry" -> "JournalEntry", "rolltable" -> "RollTable"
-                const normalizedType = type.split('-')
-                                           .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                                           .join('');
-
-                let collection = game.collections.get(normalizedType);
-                let actualType = normalizedType; // Assume normalizedType is the actual document type
-
-                // If not a direct collection, check if it's a subtype
-                if (!collection) {
-                    // Check if it's an Item subtype
-                    if (window.CONFIG?.Item?.typeLabels?.[type]) {
-                        collection = game.collections.get('Item');
-                        actualType = 'Item';
-                        docData.type = type; // Original type is the subtype
-                    } 
-                    // Check if it's an Actor subtype
-                    else if (window.CONFIG?.Actor?.typeLabels?.[type]) {
-                        collection = game.collections.get('Actor');
-                        actualType = 'Actor';
-                        docData.type = type; // Original type is the subtype
-                    }
-                    // Check other document types (for subtypes within other top-level documents)
-                    else {
-                        for (const [docType, config] of Object.entries(window.CONFIG)) {
-                            if (config?.typeLabels?.[type]) {
-                                collection = game.collections.get(docType);
-                                actualType = docType;
-                                docData.type = type; // Original type is the subtype
-                                break;
-                            }
-                        }
+                if (dryRun) {
+                    // An unsaved instance holds the data as the schema cleans it; folders are neither looked up nor created
+                    const DocumentClass = window.CONFIG?.[documentName]?.documentClass || collection.documentClass;
+                    const preview = new DocumentClass(parent || docData.type ? docData : { ...docData, type: documentName }, { parent });
+                    const result = { success: true, dryRun: true, id: keepId ? preview.id : null, name: preview.name, after: preview.toObject() };
+                    if (parent) {
+                        return { ...result, parent: parent.uuid };
                     }
+                    return folderPath ? { ...result, folder: folderPath } : result;
                 }
-                
-                if (!collection) {
-                    return { error: `Collection for type "${type}" (normalized: ${normalizedType}) not found.` };
-                }
-                
-                let DocumentClass = null;
-                // Try to get from CONFIG first using the actualType
-                if (window.CONFIG?.[actualType]?.documentClass) {
-                    DocumentClass = window.CONFIG[actualType].documentClass;
-                } else {
-                    // Fallback for cases where documentClass might be nested or not directly on CONFIG
-                    for (const key in window.CONFIG) {
-                        if (key.toLowerCase() === actualType.toLowerCase() && window.CONFIG[key].documentClass) {
-                            DocumentClass = window.CONFIG[key].documentClass;
-                            break;
-                        }
-                    }
-                    if (!DocumentClass && window[actualType]) { // Fallback to global object for core types
-                        DocumentClass = window[actualType];
-                    } else if (!DocumentClass && collection?.documentClass) { // Fallback to collection's documentClass
-                        DocumentClass = collection.documentClass;
+
+                if (parent) {
+                    const [created] = await parent.createEmbeddedDocuments(documentName, [docData], { keepId });
+                    if (!created) {
+                        return { error: `Creation of the ${documentName} was cancelled.` };
                     }
+                    const change = record ? { uuid: created.uuid, documentName, name: created.name, before: null, after: created.toObject() } : null;
+                    return { success: true, id: created.id, name: created.name, uuid: created.uuid, parent: parent.uuid, change };
                 }
 
-                if (!DocumentClass) {
-                    return { error: `Document class not found for type: ${actualType}` };
-                }
-                
                 // Ensure docData.type is set for all document creations
                 if (!docData.type) {
-                    docData.type = normalizedType;
+                    docData.type = documentName;
                 }
 
-                const createdDocument = await DocumentClass.create(docData);
-                return { success: true, id: createdDocument.id, name: createdDocument.name };
+                let folder = null;
+                if (folderPath) {
+                    const placed = await helpers.resolveFolder(documentName, folderPath, { create: true });
+                    if (placed.error) {
+                        return placed;
+                    }
+                    folder = placed.folder;
+                    docData.folder = folder?.id ?? null;
+                }
+
+                const DocumentClass = window.CONFIG?.[documentName]?.documentClass || collection.documentClass;
+                const createdDocument = await DocumentClass.create(docData, { keepId });
+                const change = record
+                    ? { uuid: createdDocument.uuid, documentName, name: createdDocument.name, before: null, after: createdDocument.toObject() }
+                    : null;
+                const result = { success: true, id: createdDocument.id, name: createdDocument.name, change };
+                return folder ? { ...result, folder: helpers.folderPath(folder) } : result;
             } catch (e) {
-                return { error: e.message || "Failed to create document." };
+                return dryRun
+                    ? { error: e.message || "The document data is not valid.", code: 'VALIDATION_ERROR' }
+                    : { error: e.message || "Failed to create document." };
             }
-        }, documentType, data);
+        }, documentType, data, folderPath ?? null, dryRun, this._isRecording());
 
-        if (result.error) {
-            throw new Error(result.error);
+        if (!dryRun) {
+            const { change, ...created } = result;
+            await this._record('create', change ? [change] : []);
+            return created;
         }
-
-        return result;
+        const { after, ...preview } = result;
+        return { ...preview, ...previewChanges(null, after, data) };
     }
 
-    async update(documentType, id, data) {
+    /**
+     * Update a document by ID
+     * Embedded updates are validated by merging them into the current data first.
+     * @param {string} documentType - Type, subtype, or embedded path such as "Actor.<id>.Item"
+     * @param {string} id - Document ID
+     * @param {Object} data - Changes, nested or with dotted keys
+     * @param {Object} options - Update options
+     * @param {boolean} options.dryRun - Apply the changes to an in-memory clone and validate it without saving
+     * @param {Object} options.owner - Ownership levels by user name or ID, or "default"; other users keep theirs
+     * @returns {Promise<Object>} {success, id, name}, plus uuid and parent for embedded documents;
+     *          a dry run adds dryRun, changes, embedded and ignored (see previewChanges())
+     */
+    async update(documentType, id, data, options = {}) {
         console.log(`Updating ${documentType} document with ID: ${id} with data:`, data);
-        const page = this.validator.serverManager.page;
-        if (!page) {
-            throw new Error("Puppeteer page not available.");
+
+        if (options.owner && isEmbeddedPath(documentType)) {
+            throw new ValidationError('Embedded documents take their ownership from their parent.', 'owner', 'INVALID_ARGUMENT');
+        }
+        const ownership = await this._ownership(options.owner);
+        if (ownership) {
+            data = { ...data, ownership: { ...data.ownership, ...ownership } };
+        }
+
+        if (options.dryRun) {
+            return await this._previewUpdate(documentType, id, data);
+        }
+
+        if (isEmbeddedPath(documentType)) {
+            const { documentName, merged } = await this._evaluate(async (type, docId, updateData) => {
+                const resolved = await window.__foundryManager.resolve(type);
+                const document = resolved.collection?.get(docId);
+                if (resolved.error || !document || (resolved.subtype && document.type !== resolved.subtype)) {
+                    return resolved.error ? resolved : { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+                }
+                return {
+                    documentName: resolved.documentName,
+                    merged: foundry.utils.mergeObject(document.toObject(), updateData, { inplace: false })
+                };
+            }, documentType, id, data);
+            await this.validator.validateDocument(documentName, merged, { embedded: true, skipImageValidation: true });
         }
 
-        const result = await page.evaluate(async (type, docId, updateData) => {
+        const { change, ...result } = await this._evaluate(async (type, docId, updateData, record) => {
+            const resolved = await window.__foundryManager.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
             try {
-                // Check if game and collections are available
-                if (!window.game || !window.game.collections) {
-                    return { error: `Game context not fully initialized. Collections not available.` };
-                }
-                
-                // Normalize the input type to match FoundryVTT's internal capitalization
-                const normalizedType = type.split('-')
-                                           .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                                           .join('');
-
-                // First, check if it's a direct collection name (Item, Actor, Scene, etc.)
-                let collection = game.collections.get(normalizedType);
-                
-                // If not a direct collection, check if it's a subtype
-                if (!collection) {
-                    // Check if it's an Item subtype
-                    if (window.CONFIG?.Item?.typeLabels?.[type]) {
-                        collection = game.collections.get('Item');
-                    } 
-                    // Check if it's an Actor subtype
-                    else if (window.CONFIG?.Actor?.typeLabels?.[type]) {
-                        collection = game.collections.get('Actor');
-                    }
-                    // Check other document types
-                    else {
-                        for (const [docType, config] of Object.entries(window.CONFIG)) {
-                            if (config?.typeLabels?.[type]) {
-                                collection = game.collections.get(docType);
-                                break;
-                            }
-                        }
-                    }
+                const before = record ? document.toObject() : null;
+                const changeOf = (updated) => (updated && record
+                    ? { uuid: document.uuid, documentName: resolved.documentName, name: updated.name, before, after: updated.toObject() }
+                    : null);
+
+                if (resolved.parent) {
+                    const [updated] = await resolved.parent.updateEmbeddedDocuments(resolved.documentName, [{ ...updateData, _id: docId }]);
+                    return { success: true, id: docId, name: (updated ?? document).name, uuid: document.uuid, parent: resolved.parent.uuid, change: changeOf(updated) };
                 }
-                
-                if (!collection) {
-                    return { error: `Collection for type "${type}" (normalized: ${normalizedType}) not found.` };
-                }
-                
-                const document = collection.get(docId);
-                if (!document) {
-                    // If document not found in collection, it might be a filtered subtype
-                    // Try to find it by searching all documents of the correct type
-                    const allDocs = Array.from(collection.values());
-                    const foundDoc = allDocs.find(doc => doc.id === docId && (!type || doc.type === type));
-                    if (!foundDoc) {
-                        return { error: `Document with ID "${docId}" not found.` };
+
+                // update() returns nothing when the data did not change
+                const updated = await document.update(updateData);
+                const updatedDocument = updated ?? document;
+                return { success: true, id: updatedDocument.id, name: updatedDocument.name, change: changeOf(updated) };
+            } catch (e) {
+                return { error: e.message || "Failed to update document." };
+            }
+        }, documentType, id, data, this._isRecording());
+
+        await this._record('update', change ? [change] : []);
+        return result;
+    }
+
+    /**
+     * Delete a document by ID
+     * @param {string} documentType - Type, subtype, or embedded path such as "Actor.<id>.Item"
+     * @param {string} id - Document ID
+     * @param {Object} options - Delete options
+     * @param {boolean} options.dryRun - Only report what would be deleted
+     * @returns {Promise<Object>} {success, id}, plus uuid and parent for embedded documents;
+     *          a dry run adds dryRun, name, documentName and contents, the embedded documents
+     *          deleted with it counted by collection, e.g. {items: 3}
+     */
+    async delete(documentType, id, options = {}) {
+        console.log(`Deleting ${documentType} document with ID: ${id}`);
+
+        const { change, ...result } = await this._evaluate(async (type, docId, dryRun, record) => {
+            const resolved = await window.__foundryManager.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            if (dryRun) {
+                const contents = {};
+                for (const collectionName of Object.values(document.constructor.metadata?.embedded || {})) {
+                    const size = document[collectionName]?.size ?? 0;
+                    if (size > 0) {
+                        contents[collectionName] = size;
                     }
-                    const updatedDocument = await foundDoc.update(updateData);
-                    return { success: true, id: updatedDocument.id, name: updatedDocument.name };
                 }
-                
-                const updatedDocument = await document.update(updateData);
-                return { success: true, id: updatedDocument.id, name: updatedDocument.name };
+                const result = { success: true, dryRun: true, id: docId, name: document.name ?? null, documentName: resolved.documentName, contents };
+                return resolved.parent ? { ...result, uuid: document.uuid, parent: resolved.parent.uuid } : result;
+            }
+
+            try {
+                const change = record
+                    ? { uuid: document.uuid, documentName: resolved.documentName, name: document.name ?? null, before: document.toObject(), after: null }
+                    : null;
+
+                if (resolved.parent) {
+                    await resolved.parent.deleteEmbeddedDocuments(resolved.documentName, [docId]);
+                    return { success: true, id: docId, uuid: document.uuid, parent: resolved.parent.uuid, change };
+                }
+
+                await document.delete();
+                return { success: true, id: docId, change };
             } catch (e) {
-                return { error: e.message || "Failed to update document." };
+                return { error: e.message || "Failed to delete document." };
+            }
+        }, documentType, id, Boolean(options.dryRun), this._isRecording());
+
+        await this._record('delete', change ? [change] : []);
+        return result;
+    }
+
+    /**
+     * Dry run of update(): apply the changes to an in-memory clone, validate it, and diff it
+     * @private
+     */
+    async _previewUpdate(documentType, id, data) {
+        const { before, after, isEmbedded, documentName, ...result } = await this._evaluate(async (type, docId, updateData) => {
+            const resolved = await window.__foundryManager.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            try {
+                // clone() merges the changes into a copy of the data and throws when the schema rejects them
+                const clone = document.clone(updateData);
+                const result = {
+                    success: true,
+                    dryRun: true,
+                    id: docId,
+                    name: clone.name,
+                    documentName: resolved.documentName,
+                    isEmbedded: Boolean(resolved.parent),
+                    before: document.toObject(),
+                    after: clone.toObject()
+                };
+                return resolved.parent ? { ...result, uuid: document.uuid, parent: resolved.parent.uuid } : result;
+            } catch (e) {
+                return { error: e.message || "The changes are not valid.", code: 'VALIDATION_ERROR' };
             }
         }, documentType, id, data);
 
-        if (result.error) {
-            throw new Error(result.error);
+        await this.validator.validateDocument(isEmbedded ? documentName : documentType, after, {
+            embedded: isEmbedded,
+            skipImageValidation: true
+        });
+        return { ...result, ...previewChanges(before, after, data) };
+    }
+
+    /**
+     * Move a document into a folder, or to the top level
+     * @param {string} documentType - Document type or subtype
+     * @param {string} id - Document ID
+     * @param {string} folderPath - Folder path such as "Weapons/Martial" (created if missing); "" or "/" for the top level
+     * @returns {Promise<Object>} {success, id, name, folder} where folder is the new path or null
+     */
+    async move(documentType, id, folderPath) {
+        console.log(`Moving ${documentType} document with ID: ${id} to folder: ${folderPath || '/'}`);
+
+        if (isEmbeddedPath(documentType)) {
+            throw new ValidationError('Embedded documents cannot be placed in folders.', 'folder', 'INVALID_ARGUMENT');
         }
 
+        const { change, ...result } = await this._evaluate(async (type, docId, path, record) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            try {
+                const placed = await helpers.resolveFolder(resolved.documentName, path, { create: true });
+                if (placed.error) {
+                    return placed;
+                }
+                const before = record ? document.toObject() : null;
+                const updated = await document.update({ folder: placed.folder?.id ?? null });
+                const change = updated && record
+                    ? { uuid: document.uuid, documentName: resolved.documentName, name: document.name, before, after: updated.toObject() }
+                    : null;
+                return { success: true, id: docId, name: document.name, folder: placed.folder ? helpers.folderPath(placed.folder) : null, change };
+            } catch (e) {
+                return { error: e.message || "Failed to move document." };
+            }
+        }, documentType, id, folderPath ?? '', this._isRecording());
+
+        await this._record('move', change ? [change] : []);
         return result;
     }
 
-    async delete(documentType, id) {
-        console.log(`Deleting ${documentType} document with ID: ${id}`);
-        const page = this.validator.serverManager.page;
-        if (!page) {
-            throw new Error("Puppeteer page not available.");
+    /**
+     * Show or set who may see and edit documents
+     * The documents are one document by ID, or all of the type matching a name
+     * pattern, query and folder (its subfolders included). With options.owner,
+     * the given levels are merged into each document's ownership; other users
+     * keep theirs. All changes are journaled as one entry.
+     * @param {string} documentType - Document type or subtype
+     * @param {Object} options - Selection and ownership
+     * @param {string} options.id - Document ID
+     * @param {string} options.name - Name filter with wildcards (*, ?)
+     * @param {string} options.where - Query expression (see search-query.mjs)
+     * @param {string} options.folder - Folder path ("/" for the top level)
+     * @param {Object} options.owner - Levels to set by user name or ID, or "default" (see parseOwnershipLevel())
+     * @returns {Promise<Object>} {success, updated, documents: [{id, name, uuid, ownership: [{user, id, level}]}]}
+     *          where level is a name such as OWNER and user is null for users that no longer exist
+     */
+    async permissions(documentType, options = {}) {
+        const { id = null, name = null, where = null, folder = null } = options;
+        if (isEmbeddedPath(documentType)) {
+            throw new ValidationError('Embedded documents take their ownership from their parent.', 'type', 'INVALID_ARGUMENT');
+        }
+        if (!id && !name && !where && folder === null) {
+            throw new ValidationError('Choose documents with --id, --name, --where or --folder.', 'id', 'MISSING_ARGUMENT');
         }
+        const ownership = await this._ownership(options.owner);
+        const query = this._normalizeQuery({ where });
+        console.log(`${ownership ? 'Setting' : 'Reading'} ownership of ${documentType} documents`);
 
-        const result = await page.evaluate(async (type, docId) => {
-            try {
-                // Check if game and collections are available
-                if (!window.game || !window.game.collections) {
-                    return { error: `Game context not fully initialized. Collections not available.` };
-                }
-                
-                // Normalize the input type to match FoundryVTT's internal capitalization
-                const normalizedType = type.split('-')
-                                       .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                                       .join('');
+        const result = await this._evaluate(async (type, docId, pattern, where, folderPath, ownership, record) => {
+            const helpers = window.__foundryManager;
+            const resolved = helpers.resolveCollection(type);
+            if (resolved.error) {
+                return resolved;
+            }
 
-                // First, check if it's a direct collection name (Item, Actor, Scene, etc.)
-                let collection = game.collections.get(normalizedType);
-                
-                // If not a direct collection, check if it's a subtype
-                if (!collection) {
-                    // Check if it's an Item subtype
-                    if (window.CONFIG?.Item?.typeLabels?.[type]) {
-                        collection = game.collections.get('Item');
-                    } 
-                    // Check if it's an Actor subtype
-                    else if (window.CONFIG?.Actor?.typeLabels?.[type]) {
-                        collection = game.collections.get('Actor');
+            let documents = await helpers.findDocuments(type, pattern, where);
+            if (docId) {
+                documents = documents.filter(doc => doc.id === docId);
+                if (documents.length === 0) {
+                    return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+                }
+            }
+            if (folderPath !== null) {
+                const placed = await helpers.resolveFolder(resolved.documentName, folderPath);
+                if (placed.error) {
+                    return placed;
+                }
+                const inFolder = (doc) => {
+                    if (!placed.folder) {
+                        return !doc.folder;
                     }
-                    // Check other document types
-                    else {
-                        for (const [docType, config] of Object.entries(window.CONFIG)) {
-                            if (config?.typeLabels?.[type]) {
-                                collection = game.collections.get(docType);
-                                break;
-                            }
+                    for (let current = doc.folder; current; current = current.folder) {
+                        if (current.id === placed.folder.id) {
+                            return true;
                         }
                     }
-                }
-                
-                if (!collection) {
-                    return { error: `Collection for type "${type}" (normalized: ${normalizedType}) not found.` };
-                }
-                
-                const document = collection.get(docId);
-                if (!document) {
-                    // If document not found in collection, it might be a filtered subtype
-                    // Try to find it by searching all documents
-                    const allDocs = Array.from(collection.values());
-                    const foundDoc = allDocs.find(doc => doc.id === docId);
-                    if (!foundDoc) {
-                        return { error: `Document with ID "${docId}" not found.` };
+                    return false;
+                };
+                documents = documents.filter(inFolder);
+            }
+
+            const changes = [];
+            let updated = 0;
+            if (ownership) {
+                try {
+                    for (const document of documents) {
+                        const before = record ? document.toObject() : null;
+                        const saved = await document.update({ ownership });
+                        if (saved) {
+                            updated++;
+                            if (record) {
+                                changes.push({ uuid: document.uuid, documentName: resolved.documentName, name: document.name, before, after: saved.toObject() });
+                            }
+                        }
                     }
-                    await foundDoc.delete();
-                    return { success: true, id: docId };
+                } catch (e) {
+                    // Documents updated before the failure are still journaled
+                    return { success: false, failed: e.message || 'Failed to update ownership.', changes };
                 }
-                
-                await document.delete();
-                return { success: true, id: docId };
-            } catch (e) {
-                return { error: e.message || "Failed to delete document." };
             }
-        }, documentType, id);
 
-        if (result.error) {
-            throw new Error(result.error);
+            return {
+                success: true,
+                updated,
+                documents: documents.map(doc => ({ id: doc.id, name: doc.name, uuid: doc.uuid, ownership: helpers.describeOwnership(doc) })),
+                changes
+            };
+        }, documentType, id, name, query.where, folder, ownership, this._isRecording());
+
+        const { changes, failed, ...permissions } = result;
+        await this._record('permissions', changes);
+        if (failed) {
+            throw new Error(failed);
         }
+        return {
+            ...permissions,
+            documents: permissions.documents.map(document => ({
+                ...document,
+                ownership: document.ownership.map(entry => ({ ...entry, level: ownershipLevelName(entry.level) }))
+            }))
+        };
+    }
 
-        return result;
+    /**
+     * Update the documents matching data at a path, or create one if none matches
+     * The value of options.matchBy in data is compared with the same path of
+     * every document of the type (or of the parent's collection for embedded
+     * paths). Matches are updated with data minus its _id. When nothing
+     * matches, the document is created, keeping its _id when matching by _id so
+     * the next run finds it. All changes are journaled as one entry.
+     * @param {string} documentType - Type, subtype, or embedded path such as "Actor.<id>.Item"
+     * @param {Object} data - Document data
+     * @param {Object} options - Upsert options
+     * @param {string} options.matchBy - Path to match by, e.g. name or flags.myrepo.id (default: _id)
+     * @param {string} options.onMultiple - When several documents match: error (default), first, all or skip
+     * @param {string} options.folder - Folder path for a created document
+     * @param {boolean} options.noImage - Skip image validation when creating
+     * @param {boolean} options.dryRun - Preview the create or update without saving it
+     * @returns {Promise<Object>} {success, action, matchBy, value, matches, documents} where action is
+     *          created, updated or skipped and documents holds the create() or update() results; dryRun is set for a dry run
+     * @throws {ValidationError} MULTIPLE_MATCHES when several documents match and onMultiple is error
+     */
+    async upsert(documentType, data, options = {}) {
+        const { matchBy = '_id', onMultiple = 'error', folder, noImage, dryRun } = options;
+        if (!UPSERT_ON_MULTIPLE.includes(onMultiple)) {
+            throw new ValidationError(`--on-multiple must be one of ${UPSERT_ON_MULTIPLE.join(', ')}, got "${onMultiple}"`, 'on-multiple', 'INVALID_ARGUMENT');
+        }
+        const value = matchBy.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+        if (value === undefined) {
+            throw new ValidationError(`The document data has no ${matchBy} to match by.`, 'match-by', 'INVALID_ARGUMENT');
+        }
+        console.log(`Upserting ${documentType} document matched by ${matchBy}: ${JSON.stringify(value)}`);
+
+        const matches = await this._evaluate(async (type, path, value) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+            const wanted = JSON.stringify(value);
+            return Array.from(resolved.collection.values())
+                .filter(doc => !resolved.subtype || doc.type === resolved.subtype)
+                .filter(doc => JSON.stringify(helpers.getProperty(helpers.sourceOf(doc), path)) === wanted)
+                .map(doc => ({ id: doc.id, name: doc.name }));
+        }, documentType, matchBy, value);
+
+        const result = { success: true, ...(dryRun ? { dryRun: true } : {}), matchBy, value, matches: matches.length };
+        let targets = matches;
+        if (matches.length > 1) {
+            if (onMultiple === 'error') {
+                throw new ValidationError(
+                    `${matches.length} documents match ${matchBy} ${JSON.stringify(value)} (${matches.map(match => match.id).join(', ')}); use --on-multiple first, all or skip.`,
+                    'match-by',
+                    'MULTIPLE_MATCHES',
+                    { matches }
+                );
+            }
+            if (onMultiple === 'skip') {
+                return { ...result, action: 'skipped', documents: [] };
+            }
+            if (onMultiple === 'first') {
+                targets = matches.slice(0, 1);
+            }
+        }
+
+        const { _id, ...changes } = data;
+        const documents = await this._journaled('upsert', async () => {
+            if (targets.length === 0) {
+                return [await this.create(documentType, data, { folder, noImage, dryRun, ids: matchBy === '_id' ? 'keep' : 'new' })];
+            }
+            const updated = [];
+            for (const target of targets) {
+                updated.push(await this.update(documentType, target.id, changes, { dryRun }));
+            }
+            return updated;
+        });
+        return { ...result, action: targets.length === 0 ? 'created' : 'updated', documents };
+    }
+
+    /**
+     * Create copies of a document
+     * Copies get new IDs and, unless options.set gives a name, the source's name
+     * with " (Copy)" appended, as Foundry's Duplicate does. Top-level copies stay
+     * in the source's folder unless options.folder is given. The copy is
+     * validated once, then all copies are created in one request and journaled
+     * as one entry.
+     * @param {string} documentType - Type, subtype, or embedded path such as "Actor.<id>.Item"
+     * @param {string} id - ID of the document to copy
+     * @param {Object} options - Clone options
+     * @param {Object} options.set - Values for the copies keyed by path, e.g. {'system.magicalBonus': 1}
+     * @param {number|string} options.count - Number of copies (default: 1)
+     * @param {string} options.folder - Folder path for top-level copies, created if missing
+     * @param {boolean} options.noImage - Skip image validation
+     * @returns {Promise<Object>} {success, source: {id, name}, documents: [{id, name, uuid}]}, plus folder, or parent for embedded copies
+     */
+    async clone(documentType, id, options = {}) {
+        const count = parseCount(options.count, 'count') ?? 1;
+        if (count === 0) {
+            throw new ValidationError('--count must be at least 1', 'count', 'INVALID_ARGUMENT');
+        }
+        const embedded = isEmbeddedPath(documentType);
+        if (options.folder && embedded) {
+            throw new ValidationError('Embedded documents cannot be placed in folders.', 'folder', 'INVALID_ARGUMENT');
+        }
+        console.log(`Cloning ${documentType} document with ID: ${id} (${count} ${count === 1 ? 'copy' : 'copies'})`);
+
+        const source = await this._evaluate(async (type, docId, set) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document || (resolved.subtype && document.type !== resolved.subtype)) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            const data = document.toObject();
+            delete data._id;
+            delete data._stats;
+            data.name = `${document.name} (Copy)`;
+            for (const [path, value] of Object.entries(set)) {
+                helpers.setProperty(data, path, value);
+            }
+            return { documentName: resolved.documentName, name: document.name, data };
+        }, documentType, id, options.set || {});
+
+        await this.validator.validateDocument(source.documentName, source.data, {
+            noImage: options.noImage,
+            embedded,
+            skipImageValidation: embedded && source.documentName !== 'Item'
+        });
+
+        const { changes, ...result } = await this._evaluate(async (type, docData, count, folderPath, record) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+            const { collection, documentName, parent } = resolved;
+
+            try {
+                if (folderPath) {
+                    const placed = await helpers.resolveFolder(documentName, folderPath, { create: true });
+                    if (placed.error) {
+                        return placed;
+                    }
+                    docData.folder = placed.folder?.id ?? null;
+                }
+
+                const list = Array.from({ length: count }, () => structuredClone(docData));
+                const DocumentClass = window.CONFIG?.[documentName]?.documentClass || collection.documentClass;
+                const created = parent
+                    ? await parent.createEmbeddedDocuments(documentName, list)
+                    : await DocumentClass.createDocuments(list);
+
+                const result = {
+                    documents: created.map(document => ({ id: document.id, name: document.name, uuid: document.uuid })),
+                    changes: record
+                        ? created.map(document => ({ uuid: document.uuid, documentName, name: document.name, before: null, after: document.toObject() }))
+                        : []
+                };
+                if (parent) {
+                    return { ...result, parent: parent.uuid };
+                }
+                const folder = created[0]?.folder;
+                return { ...result, folder: folder ? helpers.folderPath(folder) : null };
+            } catch (e) {
+                return { error: e.message || "Failed to clone document." };
+            }
+        }, documentType, source.data, count, options.folder ?? null, this._isRecording());
+
+        await this._record('clone', changes);
+        return { success: true, source: { id, name: source.name }, ...result };
+    }
+
+    /**
+     * List folders, optionally only those holding one document type
+     * @param {string} documentType - Document type or subtype (optional)
+     * @returns {Promise<Array<Object>>} [{id, name, type, path, color, depth, size}] sorted by type and path
+     */
+    async listFolders(documentType = null) {
+        console.log(`Listing folders${documentType ? ` for ${documentType}` : ''}`);
+
+        return await this._evaluate(async (type) => {
+            const helpers = window.__foundryManager;
+            let documentName = null;
+            if (type) {
+                const resolved = await helpers.resolve(type);
+                if (resolved.error) {
+                    return resolved;
+                }
+                documentName = resolved.documentName;
+            }
+
+            return Array.from(game.folders.values())
+                .filter(folder => !documentName || folder.type === documentName)
+                .map(folder => {
+                    const path = helpers.folderPath(folder);
+                    return {
+                        id: folder.id,
+                        name: folder.name,
+                        type: folder.type,
+                        path,
+                        color: folder.color ?? null,
+                        depth: path.split('/').length,
+                        size: folder.contents?.length ?? 0
+                    };
+                })
+                .sort((a, b) => a.type.localeCompare(b.type) || a.path.localeCompare(b.path));
+        }, documentType);
+    }
+
+    /**
+     * Create a folder path for a document type, creating each missing level
+     * @param {string} documentType - Document type or subtype the folder holds
+     * @param {string} folderPath - Folder path such as "Weapons/Martial"
+     * @param {Object} options - Folder options
+     * @param {string} options.color - Color for the created folders, e.g. "#8b0000"
+     * @returns {Promise<Object>} {success, id, path, created} where created lists the new folder paths
+     */
+    async createFolder(documentType, folderPath, options = {}) {
+        console.log(`Creating ${documentType} folder: ${folderPath}`);
+        const color = this._normalizeColor(options.color);
+
+        if (!String(folderPath ?? '').split('/').some(name => name.trim())) {
+            throw new ValidationError('A folder path is required.', 'path', 'INVALID_ARGUMENT');
+        }
+
+        return await this._evaluate(async (type, path, color) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            try {
+                const { folder, created, error, code } = await helpers.resolveFolder(resolved.documentName, path, { create: true, color });
+                if (error) {
+                    return { error, code };
+                }
+                return { success: true, id: folder.id, type: resolved.documentName, path: helpers.folderPath(folder), created };
+            } catch (e) {
+                return { error: e.message || "Failed to create folder." };
+            }
+        }, documentType, folderPath, color);
+    }
+
+    /**
+     * Rename or recolor a folder
+     * @param {string} documentType - Document type or subtype the folder holds
+     * @param {string} folderPath - Folder path, or the folder's ID
+     * @param {Object} changes - Changes to make
+     * @param {string} changes.name - New name
+     * @param {string} changes.color - New color, e.g. "#8b0000"
+     * @returns {Promise<Object>} {success, id, path}
+     */
+    async updateFolder(documentType, folderPath, changes = {}) {
+        console.log(`Updating ${documentType} folder: ${folderPath}`);
+        const update = {};
+        if (changes.name !== undefined) {
+            if (!String(changes.name).trim() || String(changes.name).includes('/')) {
+                throw new ValidationError('Folder names must be non-empty and cannot contain "/".', 'name', 'INVALID_ARGUMENT');
+            }
+            update.name = String(changes.name).trim();
+        }
+        if (changes.color !== undefined) {
+            update.color = this._normalizeColor(changes.color);
+        }
+        if (Object.keys(update).length === 0) {
+            throw new ValidationError('Nothing to update. Give a new name or color.', null, 'INVALID_ARGUMENT');
+        }
+
+        return await this._evaluate(async (type, path, update) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const { folder, error, code } = await helpers.resolveFolder(resolved.documentName, path);
+            if (error || !folder) {
+                return error ? { error, code } : { error: 'A folder path is required.', code: 'INVALID_ARGUMENT' };
+            }
+
+            try {
+                await folder.update(update);
+                return { success: true, id: folder.id, type: resolved.documentName, path: helpers.folderPath(folder) };
+            } catch (e) {
+                return { error: e.message || "Failed to update folder." };
+            }
+        }, documentType, folderPath, update);
+    }
+
+    /**
+     * Delete a folder
+     * Without options.contents its documents and subfolders move up to the parent folder.
+     * With it, the deleted documents are journaled as one entry; the folders are not.
+     * @param {string} documentType - Document type or subtype the folder holds
+     * @param {string} folderPath - Folder path, or the folder's ID
+     * @param {Object} options - Delete options
+     * @param {boolean} options.contents - Also delete subfolders and every document in them
+     * @returns {Promise<Object>} {success, id, path, deletedContents}
+     */
+    async deleteFolder(documentType, folderPath, options = {}) {
+        console.log(`Deleting ${documentType} folder: ${folderPath}`);
+
+        const { changes, ...result } = await this._evaluate(async (type, path, contents, record) => {
+            const helpers = window.__foundryManager;
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+
+            const { folder, error, code } = await helpers.resolveFolder(resolved.documentName, path);
+            if (error || !folder) {
+                return error ? { error, code } : { error: 'A folder path is required.', code: 'INVALID_ARGUMENT' };
+            }
+
+            // The documents deleted with the folder are journaled; the folders themselves are not
+            const inFolder = (doc) => {
+                for (let current = doc.folder; current; current = current.folder) {
+                    if (current.id === folder.id) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            const changes = contents && record
+                ? Array.from(resolved.collection.values()).filter(inFolder).map(doc => ({
+                    uuid: doc.uuid, documentName: resolved.documentName, name: doc.name ?? null, before: doc.toObject(), after: null
+                }))
+                : [];
+
+            try {
+                const fullPath = helpers.folderPath(folder);
+                await folder.delete({ deleteSubfolders: contents, deleteContents: contents });
+                return { success: true, id: folder.id, type: resolved.documentName, path: fullPath, deletedContents: contents, changes };
+            } catch (e) {
+                return { error: e.message || "Failed to delete folder." };
+            }
+        }, documentType, folderPath, !!options.contents, this._isRecording());
+
+        await this._record('delete', changes);
+        return result;
+    }
+
+    /**
+     * List the world's users
+     * Passwords are never returned.
+     * @returns {Promise<Array<Object>>} [{id, name, role, color, active, character}] where role is a name
+     *          such as PLAYER and character is {id, name} or null
+     */
+    async listUsers() {
+        console.log('Listing users');
+
+        const users = await this._evaluate(() => {
+            const helpers = window.__foundryManager;
+            return Array.from(game.users.values()).map(user => ({
+                id: user.id,
+                name: user.name,
+                role: user.role,
+                color: helpers.sourceOf(user).color ?? null,
+                active: Boolean(user.active),
+                character: user.character ? { id: user.character.id, name: user.character.name } : null
+            }));
+        });
+        return users.map(user => ({ ...user, role: userRoleName(user.role) }));
+    }
+
+    /**
+     * User data from the fields the user commands take
+     * Empty values are left out, except character, where "" unassigns the character.
+     * @private
+     * @param {Object} fields - {name, role, password, color, character}
+     * @returns {Object} User data with the role as a number; character is still a name or ID
+     */
+    _userData(fields) {
+        const data = {};
+        for (const key of ['name', 'password', 'color']) {
+            if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') {
+                data[key] = key === 'name' ? String(fields[key]).trim() : fields[key];
+            }
+        }
+        if (fields.role !== undefined && fields.role !== null && fields.role !== '') {
+            data.role = parseUserRole(fields.role);
+        }
+        if (fields.character !== undefined && fields.character !== null) {
+            data.character = fields.character === '' ? null : fields.character;
+        }
+        return data;
+    }
+
+    /**
+     * Check user names are free and resolve assigned characters to Actor IDs
+     * @private
+     * @param {Array<Object>} users - User data from _userData()
+     * @param {string} userId - User being updated, whose own name does not count as taken
+     * @returns {Promise<Array<Object>>} {data} with the character's ID, or {error, code, field}, per user
+     */
+    async _prepareUsers(users, userId = null) {
+        return await this._evaluate((users, userId) => users.map(data => {
+            const taken = data.name !== undefined &&
+                game.users.find(user => user.id !== userId && user.name.toLowerCase() === data.name.toLowerCase());
+            if (taken) {
+                return { error: `A user named "${taken.name}" already exists.`, code: 'USER_EXISTS', field: 'name' };
+            }
+            if (data.character) {
+                const actor = game.actors.get(data.character) ?? game.actors.find(candidate => candidate.name === data.character);
+                if (!actor) {
+                    return { error: `Actor "${data.character}" not found.`, code: 'DOCUMENT_NOT_FOUND', field: 'character' };
+                }
+                return { data: { ...data, character: actor.id } };
+            }
+            return { data };
+        }), users, userId);
+    }
+
+    /**
+     * Validate user data with the User schema
+     * @private
+     * @throws {ValidationError} When a role, character ID or other field is not valid
+     */
+    async _validateUser(data) {
+        await this.validator.validateTypeless('User', data, { skipImageValidation: true });
+    }
+
+    /**
+     * Find a user by ID or name, with its data for validating changes
+     * @private
+     * @returns {Promise<{id: string, name: string, data: Object}>} data leaves out the password
+     * @throws {ValidationError} USER_NOT_FOUND
+     */
+    async _findUser(key) {
+        return await this._evaluate((key) => {
+            const helpers = window.__foundryManager;
+            const user = helpers.findUser(key);
+            if (!user) {
+                return { error: `User "${key}" not found.`, code: 'USER_NOT_FOUND', field: 'user' };
+            }
+            const { password, ...data } = structuredClone(helpers.sourceOf(user));
+            return { id: user.id, name: user.name, data };
+        }, key);
+    }
+
+    /**
+     * Create a user
+     * The role and assigned character are checked with the User schema before saving.
+     * User changes are not journaled: undo could not restore passwords.
+     * @param {Object} fields - User fields
+     * @param {string} fields.name - User name, unique in the world (any case)
+     * @param {string|number} fields.role - PLAYER (default), TRUSTED, ASSISTANT, GAMEMASTER, NONE, or 0-4
+     * @param {string} fields.password - Password (default: none)
+     * @param {string} fields.color - Color, e.g. "#8b0000"
+     * @param {string} fields.character - Name or ID of the actor the user plays
+     * @returns {Promise<Object>} {success, id, name, role}
+     * @throws {ValidationError} USER_EXISTS, DOCUMENT_NOT_FOUND for an unknown character, or a validation error
+     */
+    async createUser(fields) {
+        console.log(`Creating user: ${fields.name}`);
+        const [prepared] = await this._prepareUsers([this._userData(fields)]);
+        if (prepared.error) {
+            throw this._toError(prepared);
+        }
+        await this._validateUser(prepared.data);
+
+        const result = await this._evaluate(async (data) => {
+            try {
+                const DocumentClass = window.CONFIG?.User?.documentClass || game.users.documentClass;
+                const user = await DocumentClass.create(data);
+                return { success: true, id: user.id, name: user.name, role: user.role };
+            } catch (e) {
+                return { error: e.message || "Failed to create user." };
+            }
+        }, prepared.data);
+        return { ...result, role: userRoleName(result.role) };
+    }
+
+    /**
+     * Change a user's name, role, password, color or assigned character
+     * The changes are validated merged into the user's current data.
+     * @param {string} key - User ID or name
+     * @param {Object} fields - Fields to change, as for createUser(); character "" unassigns the character
+     * @returns {Promise<Object>} {success, id, name, role}
+     * @throws {ValidationError} USER_NOT_FOUND, USER_EXISTS, DOCUMENT_NOT_FOUND, INVALID_ARGUMENT when
+     *         nothing is changed, or a validation error
+     */
+    async updateUser(key, fields) {
+        console.log(`Updating user: ${key}`);
+        const changes = this._userData(fields);
+        if (Object.keys(changes).length === 0) {
+            throw new ValidationError('Nothing to update. Give a new name, role, password, color or character.', null, 'INVALID_ARGUMENT');
+        }
+
+        const user = await this._findUser(key);
+        const [prepared] = await this._prepareUsers([changes], user.id);
+        if (prepared.error) {
+            throw this._toError(prepared);
+        }
+        await this._validateUser({ ...user.data, ...prepared.data });
+
+        const result = await this._evaluate(async (id, changes) => {
+            try {
+                const user = game.users.get(id);
+                await user.update(changes);
+                return { success: true, id, name: user.name, role: user.role };
+            } catch (e) {
+                return { error: e.message || "Failed to update user." };
+            }
+        }, user.id, prepared.data);
+        return { ...result, role: userRoleName(result.role) };
+    }
+
+    /**
+     * Delete a user
+     * The user the manager is logged in as cannot be deleted.
+     * @param {string} key - User ID or name
+     * @returns {Promise<Object>} {success, id, name}
+     * @throws {ValidationError} USER_NOT_FOUND, INVALID_ARGUMENT for the manager's own user
+     */
+    async deleteUser(key) {
+        console.log(`Deleting user: ${key}`);
+
+        return await this._evaluate(async (key) => {
+            const user = window.__foundryManager.findUser(key);
+            if (!user) {
+                return { error: `User "${key}" not found.`, code: 'USER_NOT_FOUND', field: 'user' };
+            }
+            if (user.id === game.user?.id) {
+                return { error: `"${user.name}" is the user this manager is logged in as.`, code: 'INVALID_ARGUMENT', field: 'user' };
+            }
+
+            try {
+                await user.delete();
+                return { success: true, id: user.id, name: user.name };
+            } catch (e) {
+                return { error: e.message || "Failed to delete user." };
+            }
+        }, key);
+    }
+
+    /**
+     * Create users from the rows of a roster CSV file, all or none
+     * Every row is checked first (free names, known characters, the User schema); any failure
+     * is reported with its line and nothing is created.
+     * @param {{columns: Array<string>, rows: Array<Object>}} roster - Parsed CSV (see csv.mjs) with the
+     *        columns name, role, password, color and character; only name is required
+     * @param {Object} options - Import options
+     * @param {string} options.file - File name used in failure reports (default: roster.csv)
+     * @returns {Promise<Object>} {success, created, users: [{line, id, name, role}]}
+     * @throws {ValidationError} INVALID_CSV for unknown or missing columns,
+     *         VALIDATION_ERROR with details.failures when any row is invalid
+     */
+    async importUsers(roster, options = {}) {
+        const file = options.file || 'roster.csv';
+        const unknown = roster.columns.filter(column => !ROSTER_COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown roster columns: ${unknown.join(', ')}. Use ${ROSTER_COLUMNS.join(', ')}`, null, 'INVALID_CSV');
+        }
+        if (!roster.columns.includes('name')) {
+            throw new ValidationError('The roster needs a name column.', 'name', 'INVALID_CSV');
+        }
+        console.log(`Importing ${roster.rows.length} users from ${file}`);
+
+        const rows = roster.rows.map(({ line, values }) => ({ line, data: this._userData(values) }));
+        const failures = [];
+        const fail = (line, error, code, field) => failures.push({ file: `${file}:${line}`, line, error, code, field: field ?? null });
+
+        const seen = new Map();
+        const prepared = await this._prepareUsers(rows.map(row => row.data));
+        const toValidate = [];
+        rows.forEach((row, index) => {
+            const name = row.data.name?.toLowerCase();
+            if (name !== undefined && seen.has(name)) {
+                fail(row.line, `"${row.data.name}" is already on line ${seen.get(name)}.`, 'USER_EXISTS', 'name');
+            } else if (prepared[index].error) {
+                fail(row.line, prepared[index].error, prepared[index].code, prepared[index].field);
+            } else {
+                toValidate.push({ line: row.line, data: prepared[index].data });
+            }
+            if (name !== undefined && !seen.has(name)) {
+                seen.set(name, row.line);
+            }
+        });
+
+        const results = await this.validator.validateBatch(
+            toValidate.map(row => ({ type: 'User', data: withOwnType('User', row.data) })),
+            { skipImageValidation: true }
+        );
+        results.forEach((result, index) => {
+            if (!result.success) {
+                fail(toValidate[index].line, result.error, result.code, result.field);
+            }
+        });
+
+        if (failures.length > 0) {
+            failures.sort((a, b) => a.line - b.line);
+            throw new ValidationError(
+                `${failures.length} of ${rows.length} roster rows failed validation; no users were created.`,
+                null,
+                'VALIDATION_ERROR',
+                { failures }
+            );
+        }
+
+        const created = await this._evaluate(async (list) => {
+            try {
+                const DocumentClass = window.CONFIG?.User?.documentClass || game.users.documentClass;
+                const created = await DocumentClass.createDocuments(list);
+                return created.map(user => ({ id: user.id, name: user.name, role: user.role }));
+            } catch (e) {
+                return { error: e.message || "Failed to create users." };
+            }
+        }, toValidate.map(row => row.data));
+
+        const users = created.map((user, index) => ({ line: toValidate[index].line, ...user, role: userRoleName(user.role) }));
+        return { success: true, created: users.length, users };
+    }
+
+    /**
+     * Read every document of the world's sidebar collections, with its folder path
+     * Embedded documents are part of each document's data.
+     * @param {Object} options - Export options
+     * @param {Array<string>|string} options.types - Types or subtypes to export (default: all)
+     * @returns {Promise<{types: Array<Object>, documents: Array<Object>}>} The exported {documentName, subtype}
+     *          and [{documentName, folder, data}] where folder is a path or null
+     */
+    async exportDocuments(options = {}) {
+        const types = this._normalizeFields(options.types);
+        console.log(`Exporting ${types ? types.join(', ') : 'all'} documents`);
+
+        return await this._evaluate(async (types) => {
+            const helpers = window.__foundryManager;
+            const targets = [];
+            if (types) {
+                for (const type of types) {
+                    const resolved = helpers.resolveCollection(type);
+                    if (resolved.error) {
+                        return resolved;
+                    }
+                    targets.push(resolved);
+                }
+            } else {
+                const names = window.CONST?.FOLDER_DOCUMENT_TYPES
+                    || ['Actor', 'Adventure', 'Cards', 'Item', 'JournalEntry', 'Macro', 'Playlist', 'RollTable', 'Scene'];
+                names.filter(name => game.collections.get(name))
+                    .forEach(name => targets.push({ collection: game.collections.get(name), documentName: name, subtype: null }));
+            }
+
+            return {
+                types: targets.map(({ documentName, subtype }) => ({ documentName, subtype })),
+                documents: targets.flatMap(({ collection, documentName, subtype }) => collection.contents
+                    .filter(doc => !subtype || doc.type === subtype)
+                    .map(doc => ({ documentName, folder: doc.folder ? helpers.folderPath(doc.folder) : null, data: doc.toObject() })))
+            };
+        }, types);
+    }
+
+    /**
+     * Look up documents by UUID with fromUuid(), in the world or in compendium packs
+     * @param {Array<string>} uuids - UUIDs to look up
+     * @returns {Promise<Object>} {documentName, name} by UUID, or null for UUIDs that do not resolve
+     */
+    async resolveUuids(uuids) {
+        console.log(`Resolving ${uuids.length} UUIDs`);
+        return await this._evaluate(async (uuids) => {
+            const found = {};
+            for (const uuid of uuids) {
+                try {
+                    const document = await fromUuid(uuid);
+                    found[uuid] = document ? { documentName: document.documentName, name: document.name ?? null } : null;
+                } catch (e) {
+                    // Malformed UUIDs do not resolve either
+                    found[uuid] = null;
+                }
+            }
+            return found;
+        }, uuids);
+    }
+
+    /**
+     * Find documents by name in the world's sidebar collections and journal pages
+     * Names match in any case. Journal pages are only offered when no top-level document matches.
+     * @param {Array<string>} names - Names to look up
+     * @returns {Promise<Object>} [{uuid, documentName, name}] by name, empty for names nothing matches
+     */
+    async findDocumentsByName(names) {
+        console.log(`Looking up ${names.length} document names`);
+        return await this._evaluate((names) => {
+            const wanted = new Map(names.map(name => [name.toLowerCase(), name]));
+            const found = Object.fromEntries(names.map(name => [name, []]));
+            const pages = Object.fromEntries(names.map(name => [name, []]));
+            const add = (target, document) => {
+                const name = wanted.get(String(document.name ?? '').toLowerCase());
+                if (name !== undefined) {
+                    target[name].push({ uuid: document.uuid, documentName: document.documentName, name: document.name });
+                }
+            };
+
+            const types = window.CONST?.FOLDER_DOCUMENT_TYPES
+                || ['Actor', 'Adventure', 'Cards', 'Item', 'JournalEntry', 'Macro', 'Playlist', 'RollTable', 'Scene'];
+            for (const type of types) {
+                game.collections.get(type)?.forEach(document => add(found, document));
+            }
+            game.journal?.forEach(entry => entry.pages?.forEach(page => add(pages, page)));
+
+            return Object.fromEntries(names.map(name => [name, found[name].length > 0 ? found[name] : pages[name]]));
+        }, names);
+    }
+
+    /**
+     * Upload files into a directory of the Foundry data folder
+     * Missing directories are created; files of the same name are replaced.
+     * @param {Array<Object>} files - [{name, type, data}] with the MIME type and base64 contents
+     * @param {string} directory - Directory relative to the data folder (default: worlds/<world>/assets/journal)
+     * @returns {Promise<Array<Object>>} [{name, path}] with the path to reference each file by
+     * @throws {ValidationError} UPLOAD_FAILED when the server refuses a file
+     */
+    async uploadFiles(files, directory = null) {
+        console.log(`Uploading ${files.length} files`);
+        return await this._evaluate(async (files, directory) => {
+            const Picker = window.foundry?.applications?.apps?.FilePicker?.implementation ?? window.FilePicker;
+            const target = (directory ?? `worlds/${game.world.id}/assets/journal`).replace(/^\/+|\/+$/g, '');
+
+            let path = '';
+            for (const part of target.split('/')) {
+                path = path ? `${path}/${part}` : part;
+                try {
+                    await Picker.createDirectory('data', path, {});
+                } catch (e) {
+                    // The directory exists already; other problems surface in the upload
+                }
+            }
+
+            const uploaded = [];
+            for (const { name, type, data } of files) {
+                try {
+                    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+                    const response = await Picker.upload('data', target, new File([bytes], name, { type }), {}, { notify: false });
+                    if (!response?.path) {
+                        return { error: `The server did not accept ${name}: ${response?.message ?? 'no path returned'}`, code: 'UPLOAD_FAILED' };
+                    }
+                    uploaded.push({ name, path: response.path });
+                } catch (e) {
+                    return { error: `Failed to upload ${name}: ${e.message}`, code: 'UPLOAD_FAILED' };
+                }
+            }
+            return uploaded;
+        }, files, directory);
+    }
+
+    /**
+     * Create many top-level documents, all or nothing
+     * Every document is validated before anything is created, and all failures
+     * are reported together. Documents are then created with createDocuments()
+     * in batches per document type; if a batch fails, everything created so far
+     * is deleted again.
+     * @param {Array<Object>} entries - {file, type, data}, or {file, error, code} for unreadable files
+     * @param {Object} options - Import options
+     * @param {boolean} options.noImage - Skip image validation
+     * @param {number|string} options.batchSize - Documents per createDocuments() call (default: 100)
+     * @param {string} options.ids - keep the _id in the data (default), new, or derive IDs from type
+     *        and name. An ID already in the world or given twice fails validation with ID_CONFLICT.
+     *        With new or derive, @UUID[...] links between the imported documents follow their new IDs.
+     * @returns {Promise<Object>} {success, created, references, documents: [{file, id, name, documentName}]}
+     * @throws {ValidationError} VALIDATION_ERROR with details.failures when any entry is invalid,
+     *         IMPORT_FAILED with details.rolledBack when a batch could not be created
+     */
+    async importDocuments(entries, options = {}) {
+        const batchSize = parseCount(options.batchSize, 'batch-size') ?? 100;
+        if (batchSize === 0) {
+            throw new ValidationError('--batch-size must be at least 1', 'batch-size', 'INVALID_ARGUMENT');
+        }
+        const idMode = parseIdMode(options.ids);
+        console.log(`Importing ${entries.length} documents`);
+
+        const failures = entries
+            .filter(entry => entry.error)
+            .map(({ file, error, code }) => ({ file, error, code, field: null }));
+        const readable = entries.filter(entry => !entry.error);
+
+        // Resolve each distinct type once; embedded paths have no place in a flat import
+        const types = new Map();
+        for (const type of new Set(readable.map(entry => entry.type))) {
+            try {
+                if (isEmbeddedPath(type)) {
+                    throw new ValidationError(`Embedded paths cannot be imported: ${type}`, 'type', 'INVALID_ARGUMENT');
+                }
+                types.set(type, await this._describe(type));
+            } catch (error) {
+                types.set(type, { error });
+            }
+        }
+
+        const valid = [];
+        const toValidate = [];
+        for (const entry of readable) {
+            const { error } = types.get(entry.type);
+            if (error) {
+                failures.push({ file: entry.file, error: error.message, code: error.code || 'UNKNOWN_TYPE', field: 'type' });
+            } else {
+                toValidate.push(entry);
+            }
+        }
+
+        const results = await this.validator.validateBatch(
+            toValidate.map(entry => ({ type: entry.type, data: entry.data })),
+            { noImage: options.noImage }
+        );
+        results.forEach((result, index) => {
+            const entry = toValidate[index];
+            if (result.success) {
+                valid.push(entry);
+            } else {
+                failures.push({ file: entry.file, error: result.error, code: result.code, field: result.field });
+            }
+        });
+        const references = idMode === 'keep' ? 0 : this._assignIds(valid, types, idMode);
+        failures.push(...await this._idConflicts(valid, types));
+
+        if (failures.length > 0) {
+            failures.sort((a, b) => a.file.localeCompare(b.file));
+            throw new ValidationError(
+                `${failures.length} of ${entries.length} files failed validation; nothing was imported.`,
+                null,
+                'VALIDATION_ERROR',
+                { failures }
+            );
+        }
+
+        // Batches per document type, in the order the types first appear
+        const groups = new Map();
+        for (const entry of valid) {
+            const { documentName, subtype } = types.get(entry.type);
+            const data = subtype ? { ...entry.data, type: subtype } : entry.data;
+            if (!groups.has(documentName)) {
+                groups.set(documentName, []);
+            }
+            groups.get(documentName).push({ file: entry.file, data });
+        }
+
+        const documents = [];
+        const changes = [];
+        const createdIds = new Map();
+        for (const [documentName, group] of groups) {
+            for (let start = 0; start < group.length; start += batchSize) {
+                const batch = group.slice(start, start + batchSize);
+                console.log(`Creating ${documentName} ${start + 1}-${start + batch.length} of ${group.length}`);
+                try {
+                    const created = await this._evaluate(async (name, list, record) => {
+                        const DocumentClass = window.CONFIG?.[name]?.documentClass || game.collections.get(name).documentClass;
+                        try {
+                            const created = await DocumentClass.createDocuments(list, { keepId: true });
+                            return created.map(document => ({
+                                id: document.id,
+                                name: document.name,
+                                change: record ? { uuid: document.uuid, documentName: name, name: document.name, before: null, after: document.toObject() } : null
+                            }));
+                        } catch (e) {
+                            return { error: e.message || "Failed to create documents." };
+                        }
+                    }, documentName, batch.map(entry => entry.data), this._isRecording());
+
+                    // Recorded before checking the count, so a partial batch is rolled back too
+                    createdIds.set(documentName, [...(createdIds.get(documentName) || []), ...created.map(document => document.id)]);
+                    if (created.length !== batch.length) {
+                        throw new Error(`Only ${created.length} of ${batch.length} ${documentName} documents were created.`);
+                    }
+                    created.forEach(({ change, ...document }, index) => {
+                        documents.push({ file: batch[index].file, ...document, documentName });
+                        if (change) {
+                            changes.push(change);
+                        }
+                    });
+                } catch (error) {
+                    const rollback = await this._rollback(createdIds);
+                    throw new ValidationError(
+                        `Import failed at ${batch[0].file}: ${error.message} ${rollback.error
+                            ? `Rolling back failed (${rollback.error}); ${rollback.deleted} of ${rollback.total} created documents were deleted.`
+                            : `All ${rollback.total} created documents were deleted again.`}`,
+                        null,
+                        'IMPORT_FAILED',
+                        { files: batch.map(entry => entry.file), rolledBack: rollback.deleted, rollbackError: rollback.error || null }
+                    );
+                }
+            }
+        }
+
+        // One entry for the whole import, so one undo removes it again
+        await this._record('import', changes);
+        return { success: true, created: documents.length, references, documents };
+    }
+
+    /**
+     * Give import entries new or derived IDs and rewrite @UUID links between them
+     * Entries are changed in place.
+     * @private
+     * @param {Array<Object>} entries - Validated {file, type, data} entries
+     * @param {Map<string, Object>} types - Described type of each entry type
+     * @param {string} idMode - new or derive
+     * @returns {number} How many @UUID links were rewritten
+     */
+    _assignIds(entries, types, idMode) {
+        const idMap = new Map();
+        for (const entry of entries) {
+            const { documentName, subtype } = types.get(entry.type);
+            const { _id, ...fields } = entry.data;
+            const id = idMode === 'derive'
+                ? deriveId(deriveDocumentKey(documentName, subtype ? { ...fields, type: subtype } : fields))
+                : generateId();
+            if (_id) {
+                idMap.set(`${documentName}.${_id}`, id);
+            }
+            entry.data = { _id: id, ...fields };
+        }
+
+        let references = 0;
+        for (const entry of entries) {
+            const { value, rewritten } = rewriteUuidReferences(entry.data, idMap);
+            entry.data = value;
+            references += rewritten;
+        }
+        return references;
+    }
+
+    /**
+     * Import entries whose _id is malformed or taken, by a world document or an earlier entry
+     * @private
+     * @param {Array<Object>} entries - Validated {file, type, data} entries
+     * @param {Map<string, Object>} types - Described type of each entry type
+     * @returns {Promise<Array<Object>>} Failures as {file, error, code: 'ID_CONFLICT' or 'INVALID_ID', field: '_id'}
+     */
+    async _idConflicts(entries, types) {
+        const failures = [];
+        const withIds = [];
+        for (const entry of entries.filter(entry => entry.data._id !== undefined && entry.data._id !== null)) {
+            if (isValidId(entry.data._id)) {
+                withIds.push(entry);
+            } else {
+                failures.push({ file: entry.file, error: `_id must be 16 letters and digits, got ${JSON.stringify(entry.data._id)}`, code: 'INVALID_ID', field: '_id' });
+            }
+        }
+
+        const ids = {};
+        withIds.forEach(entry => {
+            const { documentName } = types.get(entry.type);
+            (ids[documentName] ??= []).push(entry.data._id);
+        });
+        const existing = withIds.length === 0 ? {} : await this._evaluate((ids) => Object.fromEntries(Object.entries(ids).map(([name, list]) =>
+            [name, list.filter(id => game.collections.get(name).has(id))])), ids);
+
+        const seen = new Set();
+        for (const entry of withIds) {
+            const { documentName } = types.get(entry.type);
+            const key = `${documentName}.${entry.data._id}`;
+            if (existing[documentName].includes(entry.data._id)) {
+                failures.push({ file: entry.file, error: `${key} already exists in the world.`, code: 'ID_CONFLICT', field: '_id' });
+            } else if (seen.has(key)) {
+                failures.push({ file: entry.file, error: `${key} is given more than once.`, code: 'ID_CONFLICT', field: '_id' });
+            }
+            seen.add(key);
+        }
+        return failures;
+    }
+
+    /**
+     * Delete documents created by a failed import
+     * @private
+     * @param {Map<string, Array<string>>} createdIds - Document IDs by document name
+     * @returns {Promise<{total: number, deleted: number, error: string|null}>}
+     */
+    async _rollback(createdIds) {
+        const total = [...createdIds.values()].reduce((sum, ids) => sum + ids.length, 0);
+        let deleted = 0;
+        for (const [documentName, ids] of createdIds) {
+            if (ids.length === 0) {
+                continue;
+            }
+            console.log(`Rolling back ${ids.length} ${documentName} documents`);
+            try {
+                deleted += await this._evaluate(async (name, list) => {
+                    const DocumentClass = window.CONFIG?.[name]?.documentClass || game.collections.get(name).documentClass;
+                    try {
+                        return (await DocumentClass.deleteDocuments(list)).length;
+                    } catch (e) {
+                        return { error: e.message || "Failed to delete documents." };
+                    }
+                }, documentName, ids);
+            } catch (error) {
+                return { total, deleted, error: error.message };
+            }
+        }
+        return { total, deleted, error: null };
+    }
+
+    /**
+     * Revert the newest journal entries that are not undone yet
+     * Created documents are deleted, updated ones get their pre-image back and
+     * deleted ones are recreated with their original IDs. A document changed
+     * since the entry (it no longer matches the post-image) stops the undo
+     * unless options.force is set. Each reverted entry is followed by an undo
+     * entry in the journal.
+     * @param {number|string} count - Number of entries to revert (default: 1)
+     * @param {Object} options - Undo options
+     * @param {boolean} options.force - Overwrite later changes to the documents
+     * @returns {Promise<Object>} {undone: [{seq, operation, changes}]}, newest first
+     * @throws {ValidationError} UNDO_CONFLICT or UNDO_FAILED with details.undone when an entry cannot be reverted
+     */
+    async undo(count = 1, options = {}) {
+        if (!this.journal) {
+            throw new ValidationError('No mutation journal is kept for this world.', null, 'INVALID_ARGUMENT');
+        }
+        const limit = parseCount(count, 'n') ?? 1;
+        const entries = await this.journal.pending(limit);
+        console.log(`Undoing ${entries.length} journal entries`);
+
+        const undone = [];
+        for (const entry of entries) {
+            this._captured = [];
+            try {
+                for (const change of [...entry.changes].reverse()) {
+                    await this._revert(change, options);
+                }
+            } catch (error) {
+                // Changes reverted so far stay on record; the entry stays pending so it can be retried
+                const captured = this._captured;
+                this._captured = null;
+                if (captured.length > 0) {
+                    await this.journal.append('undo', captured, { partialUndoOf: entry.seq });
+                }
+                throw new ValidationError(
+                    `Undo of #${entry.seq} (${entry.operation}) stopped: ${error.message}`,
+                    error.field || null,
+                    error.code === 'UNDO_CONFLICT' ? 'UNDO_CONFLICT' : 'UNDO_FAILED',
+                    { undone, seq: entry.seq, code: error.code || null }
+                );
+            }
+
+            const captured = this._captured;
+            this._captured = null;
+            await this.journal.append('undo', captured, { undoes: entry.seq });
+            undone.push({ seq: entry.seq, operation: entry.operation, changes: entry.changes.length });
+        }
+
+        return { undone };
+    }
+
+    /**
+     * Revert one journaled document change; changes already reverted are skipped
+     * @private
+     */
+    async _revert(change, options) {
+        const { type, id } = splitDocumentUuid(change.uuid) || {};
+        if (!type) {
+            throw new ValidationError(`Cannot revert ${change.uuid}: not a world document.`, null, 'INVALID_ARGUMENT');
+        }
+        const current = await this.get(type, id).catch(error => {
+            if (error.code === 'DOCUMENT_NOT_FOUND') {
+                return null;
+            }
+            throw error;
+        });
+        const changedSince = () => {
+            if (!options.force && !sameDocument(current, change.after)) {
+                throw new ValidationError(`${change.uuid} changed after this entry; use --force to overwrite it.`, null, 'UNDO_CONFLICT');
+            }
+        };
+
+        if (!change.before) {
+            if (current) {
+                changedSince();
+                await this.delete(type, id);
+            }
+        } else if (!change.after) {
+            if (!current) {
+                await this.create(type, await this._withoutMissingFolder(change.before), { noImage: true });
+            }
+        } else {
+            if (!current) {
+                throw new ValidationError(`${change.uuid} was deleted after this entry.`, null, 'DOCUMENT_NOT_FOUND');
+            }
+            if (!sameDocument(current, change.before)) {
+                changedSince();
+                await this.update(type, id, revertData(change.before, current));
+            }
+        }
+    }
+
+    /**
+     * Image of a deleted document without its folder when that folder is gone too
+     * Folders are not journaled, so documents deleted with theirs come back at the top level.
+     * @private
+     */
+    async _withoutMissingFolder(image) {
+        if (!image.folder || await this._evaluate(id => game.folders.has(id), image.folder)) {
+            return image;
+        }
+        return { ...image, folder: null };
+    }
+
+    /**
+     * List compendium packs from the world, the system and active modules
+     * @returns {Promise<Array<Object>>} [{id, label, documentName, packageType, packageName, locked, size}]
+     */
+    async listPacks() {
+        console.log('Listing compendium packs');
+
+        return await this._evaluate(() => Array.from(game.packs.values()).map(pack => ({
+            id: pack.collection,
+            label: pack.metadata.label,
+            documentName: pack.documentName,
+            packageType: pack.metadata.packageType ?? null,
+            packageName: pack.metadata.packageName ?? pack.metadata.package ?? null,
+            locked: pack.locked,
+            size: pack.index.size
+        })));
+    }
+
+    /**
+     * Search a compendium pack's index
+     * Index entries carry _id, name, type and img; other paths used by the
+     * query, sort or fields are added to the index request.
+     * @param {string} packId - Pack ID, e.g. "dnd5e.items"
+     * @param {string} namePattern - Name filter with wildcards (*, ?)
+     * @param {Object} options - Same options as search(), plus count
+     * @param {boolean} options.count - Return the number of matches instead
+     * @returns {Promise<Array<Object>|number>} [{id, name}] or [{id, ...fields}], or the count
+     */
+    async searchPack(packId, namePattern = null, options = {}) {
+        console.log(`Searching compendium ${packId} with pattern: ${namePattern}`);
+        const query = this._normalizeQuery(options);
+        const fields = this._normalizeFields(options.fields);
+        const indexFields = [...new Set([
+            ...queryPaths(query.where),
+            ...(query.sort || []).map(key => key.path),
+            ...(fields || [])
+        ])];
+
+        return await this._evaluate(async (id, pattern, fields, query, indexFields, count) => {
+            const helpers = window.__foundryManager;
+            const { pack, error, code } = helpers.resolvePack(id);
+            if (error) {
+                return { error, code };
+            }
+
+            const index = await pack.getIndex({ fields: indexFields });
+            let results = helpers.filterDocuments(Array.from(index.values()), pattern, query.where);
+            if (count) {
+                return results.length;
+            }
+
+            results = helpers.paginate(results, query);
+            if (fields) {
+                return results.map(entry => ({ id: entry._id, ...helpers.project(entry, fields) }));
+            }
+            return results.map(entry => ({ id: entry._id, name: entry.name }));
+        }, packId, namePattern, fields, query, indexFields, options.count === true);
+    }
+
+    /**
+     * Get one document from a compendium pack
+     * @param {string} packId - Pack ID
+     * @param {string} id - Document ID in the pack
+     * @param {Object} options - Get options
+     * @param {Array<string>|string} options.fields - Dotted paths to return (default: the whole document)
+     * @returns {Promise<Object>} The document's toObject() data, or {_id, ...fields}
+     */
+    async getFromPack(packId, id, options = {}) {
+        console.log(`Getting document ${id} from compendium ${packId}`);
+
+        return await this._evaluate(async (packId, docId, fields) => {
+            const helpers = window.__foundryManager;
+            const { pack, error, code } = helpers.resolvePack(packId);
+            if (error) {
+                return { error, code };
+            }
+
+            const document = await pack.getDocument(docId);
+            if (!document) {
+                return { error: `Document with ID "${docId}" not found in ${pack.collection}.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+            const data = document.toObject();
+            return fields ? { _id: data._id, ...helpers.project(data, fields) } : data;
+        }, packId, id, this._normalizeFields(options.fields));
+    }
+
+    /**
+     * Create a document in an unlocked compendium pack
+     * The data is validated as the pack's document type, like world documents.
+     * @param {string} packId - Pack ID
+     * @param {Object} data - Document data
+     * @param {Object} options - Validation options
+     * @param {boolean} options.noImage - Skip image validation
+     * @returns {Promise<Object>} {success, id, name, uuid, pack}
+     */
+    async createInPack(packId, data, options = {}) {
+        console.log(`Creating document in compendium ${packId} with data:`, data);
+
+        const { documentName } = await this._describePack(packId, true);
+        await this.validator.validateDocument(documentName, data, options);
+
+        return await this._evaluate(async (packId, docData) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(packId, { unlocked: true });
+            if (error) {
+                return { error, code };
+            }
+
+            try {
+                const created = await pack.documentClass.create(docData, { pack: pack.collection });
+                return { success: true, id: created.id, name: created.name, uuid: created.uuid, pack: pack.collection };
+            } catch (e) {
+                return { error: e.message || "Failed to create document." };
+            }
+        }, packId, data);
+    }
+
+    /**
+     * Update a document in an unlocked compendium pack
+     * The update is validated by merging it into the current data first.
+     * @param {string} packId - Pack ID
+     * @param {string} id - Document ID in the pack
+     * @param {Object} data - Changes, nested or with dotted keys
+     * @returns {Promise<Object>} {success, id, name, uuid, pack}
+     */
+    async updateInPack(packId, id, data) {
+        console.log(`Updating document ${id} in compendium ${packId} with data:`, data);
+
+        const { documentName, merged } = await this._evaluate(async (packId, docId, updateData) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(packId, { unlocked: true });
+            const document = pack && await pack.getDocument(docId);
+            if (error || !document) {
+                return error ? { error, code } : { error: `Document with ID "${docId}" not found in ${pack.collection}.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+            return {
+                documentName: pack.documentName,
+                merged: foundry.utils.mergeObject(document.toObject(), updateData, { inplace: false })
+            };
+        }, packId, id, data);
+        await this.validator.validateDocument(documentName, merged, { skipImageValidation: true });
+
+        return await this._evaluate(async (packId, docId, updateData) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(packId, { unlocked: true });
+            if (error) {
+                return { error, code };
+            }
+
+            try {
+                const document = await pack.getDocument(docId);
+                const updated = (await document.update(updateData)) ?? document;
+                return { success: true, id: updated.id, name: updated.name, uuid: updated.uuid, pack: pack.collection };
+            } catch (e) {
+                return { error: e.message || "Failed to update document." };
+            }
+        }, packId, id, data);
+    }
+
+    /**
+     * Delete a document from an unlocked compendium pack
+     * @param {string} packId - Pack ID
+     * @param {string} id - Document ID in the pack
+     * @returns {Promise<Object>} {success, id, uuid, pack}
+     */
+    async deleteFromPack(packId, id) {
+        console.log(`Deleting document ${id} from compendium ${packId}`);
+
+        return await this._evaluate(async (packId, docId) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(packId, { unlocked: true });
+            if (error) {
+                return { error, code };
+            }
+
+            const document = await pack.getDocument(docId);
+            if (!document) {
+                return { error: `Document with ID "${docId}" not found in ${pack.collection}.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+            try {
+                await document.delete();
+                return { success: true, id: docId, uuid: document.uuid, pack: pack.collection };
+            } catch (e) {
+                return { error: e.message || "Failed to delete document." };
+            }
+        }, packId, id);
+    }
+
+    /**
+     * Import a compendium entry into the world
+     * @param {string} packId - Pack ID
+     * @param {string} id - Document ID in the pack
+     * @param {Object} options - Import options
+     * @param {boolean} options.keepId - Keep the pack document's ID in the world
+     * @returns {Promise<Object>} {success, id, name, documentName, source}
+     */
+    async importFromPack(packId, id, options = {}) {
+        console.log(`Importing document ${id} from compendium ${packId}`);
+
+        const { change, ...result } = await this._evaluate(async (packId, docId, keepId, record) => {
+            const { pack, error, code } = window.__foundryManager.resolvePack(packId);
+            if (error) {
+                return { error, code };
+            }
+            if (!pack.index.has(docId) && !(await pack.getIndex()).has(docId)) {
+                return { error: `Document with ID "${docId}" not found in ${pack.collection}.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            try {
+                const collection = game.collections.get(pack.documentName);
+                const imported = await collection.importFromCompendium(pack, docId, {}, { keepId });
+                const change = record
+                    ? { uuid: imported.uuid, documentName: pack.documentName, name: imported.name, before: null, after: imported.toObject() }
+                    : null;
+                return { success: true, id: imported.id, name: imported.name, documentName: pack.documentName, source: `Compendium.${pack.collection}.${docId}`, change };
+            } catch (e) {
+                return { error: e.message || "Failed to import document." };
+            }
+        }, packId, id, options.keepId === true, this._isRecording());
+
+        await this._record('import', change ? [change] : []);
+        return result;
+    }
+
+    /**
+     * Export a world document into an unlocked compendium pack
+     * @param {string} packId - Pack ID
+     * @param {string} documentType - World document type or subtype
+     * @param {string} id - World document ID
+     * @returns {Promise<Object>} {success, id, name, uuid, pack}
+     */
+    async exportToPack(packId, documentType, id) {
+        console.log(`Exporting ${documentType} document ${id} to compendium ${packId}`);
+
+        return await this._evaluate(async (packId, type, docId) => {
+            const helpers = window.__foundryManager;
+            const { pack, error, code } = helpers.resolvePack(packId, { unlocked: true });
+            if (error) {
+                return { error, code };
+            }
+
+            const resolved = await helpers.resolve(type);
+            if (resolved.error) {
+                return resolved;
+            }
+            if (resolved.parent) {
+                return { error: 'Embedded documents cannot be exported on their own; export their parent.', code: 'INVALID_DOCUMENT_TYPE' };
+            }
+            if (resolved.documentName !== pack.documentName) {
+                return {
+                    error: `Compendium ${pack.collection} holds ${pack.documentName} documents, not ${resolved.documentName}.`,
+                    code: 'INVALID_DOCUMENT_TYPE'
+                };
+            }
+
+            const document = resolved.collection.get(docId);
+            if (!document) {
+                return { error: `Document with ID "${docId}" not found.`, code: 'DOCUMENT_NOT_FOUND' };
+            }
+
+            try {
+                const exported = await pack.importDocument(document);
+                return { success: true, id: exported.id, name: exported.name, uuid: exported.uuid, pack: pack.collection };
+            } catch (e) {
+                return { error: e.message || "Failed to export document." };
+            }
+        }, packId, documentType, id);
     }
-}
\ No newline at end of file
+}
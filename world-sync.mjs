@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * WorldSync - Plan and apply a source directory against a live world
+ *
+ * Source files (one document each, laid out as `import` reads them) are
+ * matched to live documents by `_id` or by another path such as a flag, then
+ * compared field by field. The plan lists the documents to create, the
+ * field-level changes to make to existing ones (embedded documents are matched
+ * by `_id` inside their parent), and, with prune, the live documents no source
+ * file describes. Applying runs exactly those steps through WorldManager.
+ *
+ * Only the fields a source file contains are compared, so a file can manage
+ * part of a document; embedded collections are managed as a whole.
+ */
+
+import { ValidationError } from './foundry-puppeteer-validator.mjs';
+
+// Never compared: bookkeeping Foundry rewrites on every change
+const IGNORED_FIELDS = ['_stats'];
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * True for an array of embedded documents (objects with an _id)
+ * @private
+ */
+function isEmbeddedArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && typeof item._id === 'string');
+}
+
+/**
+ * Deep equality of JSON values
+ * @private
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Value at a dotted path
+ * @private
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Field changes from live to source, for the paths the source contains
+ * @private
+ */
+function diffFields(source, live, path, changes) {
+    if (isPlainObject(source) && isPlainObject(live)) {
+        for (const key of Object.keys(source)) {
+            diffFields(source[key], live[key], path ? `${path}.${key}` : key, changes);
+        }
+    } else if (!isEqual(source, live)) {
+        changes.push({ path, from: live, to: source });
+    }
+    return changes;
+}
+
+/**
+ * Compare source data with a live document
+ * @param {Object} source - Source file data
+ * @param {Object} live - Live document data (toObject())
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.ignore - Top-level fields to skip besides _stats
+ * @returns {{changes: Array<Object>, embedded: Array<Object>}} Field changes [{path, from, to}] and
+ *          embedded steps [{collection, action, id, name, data|changes}] where action is create, update or delete
+ */
+export function diffDocument(source, live, options = {}) {
+    const ignore = [...IGNORED_FIELDS, ...(options.ignore || [])];
+    const changes = [];
+    const embedded = [];
+
+    for (const key of Object.keys(source)) {
+        if (ignore.includes(key)) {
+            continue;
+        }
+
+        if (Array.isArray(source[key]) && (isEmbeddedArray(source[key]) || isEmbeddedArray(live[key]))) {
+            const liveById = new Map((live[key] || []).map(child => [child._id, child]));
+            const sourceIds = new Set();
+            for (const child of source[key]) {
+                sourceIds.add(child._id);
+                const current = liveById.get(child._id);
+                if (!current) {
+                    embedded.push({ collection: key, action: 'create', id: child._id, name: child.name ?? null, data: child });
+                    continue;
+                }
+                const childChanges = [];
+                for (const field of Object.keys(child).filter(field => !ignore.includes(field) && field !== '_id')) {
+                    diffFields(child[field], current[field], field, childChanges);
+                }
+                if (childChanges.length > 0) {
+                    embedded.push({ collection: key, action: 'update', id: child._id, name: child.name ?? current.name ?? null, changes: childChanges });
+                }
+            }
+            for (const [id, child] of liveById) {
+                if (!sourceIds.has(id)) {
+                    embedded.push({ collection: key, action: 'delete', id, name: child.name ?? null });
+                }
+            }
+            continue;
+        }
+
+        diffFields(source[key], live[key], key, changes);
+    }
+
+    return { changes, embedded };
+}
+
+/**
+ * Leaf paths a create or update sets, with dotted keys kept as written
+ * @private
+ */
+function leafPaths(data, prefix = '') {
+    return Object.entries(data).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return isPlainObject(value) && Object.keys(value).length > 0 ? leafPaths(value, path) : [path];
+    });
+}
+
+/**
+ * What a create or update would change, for a dry run
+ * A path the data sets that the resulting document lacks was dropped by the
+ * document's schema, which usually means a misspelled field.
+ * @param {Object|null} before - Current document data (toObject()), or null for a create
+ * @param {Object} after - Document data with the change applied
+ * @param {Object} data - Create or update data as given, nested or with dotted keys
+ * @returns {{changes: Array<Object>, embedded: Array<Object>, ignored: Array<string>}} Changes as from
+ *          diffDocument() plus removed fields (for a create, the fields the data sets) and the paths that had no effect
+ */
+export function previewChanges(before, after, data) {
+    // "-=key" and "==key" are Foundry's deletion and replacement operators
+    const requested = leafPaths(data).filter(path => !/(^|\.)(-=|==)/.test(path));
+    const ignored = requested.filter(path => getPath(after, path) === undefined);
+
+    if (!before) {
+        const changes = requested
+            .filter(path => !ignored.includes(path))
+            .map(path => ({ path, from: undefined, to: getPath(after, path) }));
+        return { changes, embedded: [], ignored };
+    }
+
+    // diffDocument() compares the fields the new data has; add those it lost
+    const { changes, embedded } = diffDocument(after, before);
+    for (const path of leafPaths(before).filter(path => !IGNORED_FIELDS.includes(path.split('.')[0]) && getPath(after, path) === undefined)) {
+        changes.push({ path, from: getPath(before, path), to: undefined });
+    }
+    return { changes, embedded, ignored };
+}
+
+/**
+ * Nested update data for a list of field changes
+ * @private
+ */
+function updateData(changes) {
+    const data = {};
+    for (const { path, to } of changes) {
+        const keys = path.split('.');
+        let target = data;
+        for (const key of keys.slice(0, -1)) {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = to;
+    }
+    return data;
+}
+
+export class WorldSync {
+    /**
+     * @param {WorldManager} worldManager - Manager of the live world
+     */
+    constructor(worldManager) {
+        this.worldManager = worldManager;
+    }
+
+    /**
+     * Compare source files with the live world
+     * @param {Array<Object>} entries - {file, type, data} or {file, error, code}, as read by readDocumentDirectory()
+     * @param {Object} options - Plan options
+     * @param {string} options.matchBy - Path that identifies a document, e.g. "_id" or "flags.myrepo.id" (default: _id)
+     * @param {boolean} options.prune - Also plan to delete live documents of the synced types without a source file
+     * @returns {Promise<Object>} {matchBy, create, update, delete, unchanged}
+     * @throws {ValidationError} VALIDATION_ERROR with details.failures when source files cannot be matched
+     */
+    async plan(entries, options = {}) {
+        const matchBy = options.matchBy || '_id';
+        const failures = entries
+            .filter(entry => entry.error)
+            .map(({ file, error, code }) => ({ file, error, code, field: null }));
+        const sources = entries.filter(entry => !entry.error);
+
+        sources.filter(entry => getPath(entry.data, matchBy) == null)
+            .forEach(entry => failures.push({ file: entry.file, error: `No ${matchBy} to match by.`, code: 'MISSING_REQUIRED_FIELD', field: matchBy }));
+
+        // The live side: every document of the synced types, read in one export
+        const requested = [...new Set(sources.map(entry => entry.type))];
+        const { types, documents } = requested.length > 0
+            ? await this.worldManager.exportDocuments({ types: requested })
+            : { types: [], documents: [] };
+        const resolved = new Map(requested.map((type, index) => [type, types[index]]));
+
+        // Documents are keyed by document name and match value
+        const keyOf = (documentName, data) => `${documentName}:${JSON.stringify(getPath(data, matchBy))}`;
+        const sourceKey = entry => keyOf(resolved.get(entry.type).documentName, entry.data);
+
+        const live = new Map();
+        for (const document of documents) {
+            const key = keyOf(document.documentName, document.data);
+            if (getPath(document.data, matchBy) == null) {
+                continue;
+            }
+            if (live.has(key) && live.get(key).data._id !== document.data._id) {
+                failures.push({
+                    file: `${document.documentName}.${document.data._id}`,
+                    error: `Several live ${document.documentName} documents have ${matchBy} = ${JSON.stringify(getPath(document.data, matchBy))}.`,
+                    code: 'DUPLICATE_MATCH',
+                    field: matchBy
+                });
+            }
+            live.set(key, document);
+        }
+
+        const seen = new Set();
+        for (const entry of sources.filter(entry => getPath(entry.data, matchBy) != null)) {
+            const key = sourceKey(entry);
+            if (seen.has(key)) {
+                failures.push({ file: entry.file, error: `Another source file has the same ${matchBy}.`, code: 'DUPLICATE_MATCH', field: matchBy });
+            }
+            seen.add(key);
+        }
+
+        if (failures.length > 0) {
+            failures.sort((a, b) => a.file.localeCompare(b.file));
+            throw new ValidationError(`${failures.length} problems prevent a sync; nothing was planned.`, null, 'VALIDATION_ERROR', { failures });
+        }
+
+        const plan = { matchBy, create: [], update: [], delete: [], unchanged: 0 };
+        for (const entry of sources) {
+            const { documentName, subtype } = resolved.get(entry.type);
+            const current = live.get(sourceKey(entry));
+            if (!current) {
+                const data = subtype && !entry.data.type ? { ...entry.data, type: subtype } : entry.data;
+                plan.create.push({ file: entry.file, documentName, name: data.name ?? null, id: matchBy === '_id' ? data._id : null, data });
+                continue;
+            }
+
+            // A document matched by a flag keeps its own ID
+            const { changes, embedded } = diffDocument(entry.data, current.data, { ignore: ['_id'] });
+            if (changes.length === 0 && embedded.length === 0) {
+                plan.unchanged++;
+                continue;
+            }
+            plan.update.push({ file: entry.file, documentName, id: current.data._id, name: current.data.name ?? null, changes, embedded });
+        }
+
+        if (options.prune) {
+            const matched = new Set(sources.map(entry => live.get(sourceKey(entry))?.data._id));
+            for (const document of live.values()) {
+                if (!matched.has(document.data._id)) {
+                    plan.delete.push({ documentName: document.documentName, id: document.data._id, name: document.data.name ?? null });
+                }
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Apply a plan from plan(): creates, then updates, then deletes
+     * Steps run one at a time and stop at the first failure; steps already applied stay applied.
+     * @param {Object} plan - Plan from plan()
+     * @param {Object} options - Apply options
+     * @param {boolean} options.noImage - Skip image validation of created documents
+     * @returns {Promise<{created: number, updated: number, deleted: number}>} Steps applied
+     * @throws {ValidationError} SYNC_FAILED with details.applied when a step fails
+     */
+    async apply(plan, options = {}) {
+        const applied = { created: 0, updated: 0, deleted: 0 };
+        const run = async (description, step) => {
+            try {
+                await step();
+            } catch (error) {
+                throw new ValidationError(
+                    `Sync stopped at ${description}: ${error.message}`,
+                    error.field || null,
+                    'SYNC_FAILED',
+                    { applied, code: error.code || null }
+                );
+            }
+        };
+
+        for (const step of plan.create) {
+            await run(`creating ${step.file}`, () => this.worldManager.create(step.documentName, step.data, {
+                noImage: options.noImage,
+                ids: plan.matchBy === '_id' ? 'keep' : 'new'
+            }));
+            applied.created++;
+        }
+
+        for (const step of plan.update) {
+            if (step.changes.length > 0) {
+                await run(`updating ${step.file}`, () => this.worldManager.update(step.documentName, step.id, updateData(step.changes)));
+            }
+            for (const child of step.embedded) {
+                const path = `${step.documentName}.${step.id}.${child.collection}`;
+                const description = `${child.action} of ${child.collection} ${child.id} in ${step.file}`;
+                if (child.action === 'create') {
+                    await run(description, () => this.worldManager.create(path, child.data, { noImage: options.noImage }));
+                } else if (child.action === 'update') {
+                    await run(description, () => this.worldManager.update(path, child.id, updateData(child.changes)));
+                } else {
+                    await run(description, () => this.worldManager.delete(path, child.id));
+                }
+            }
+            applied.updated++;
+        }
+
+        for (const step of plan.delete) {
+            await run(`deleting ${step.documentName} ${step.id}`, () => this.worldManager.delete(step.documentName, step.id));
+            applied.deleted++;
+        }
+
+        return applied;
+    }
+}